@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { getSetting, setSetting } = require('./db');
+const { multilineValue } = require('./emailTemplates');
+const { tenantPath } = require('./tenants');
+
+// Building branding: the corporation name, strata plan number, logo, colours
+// and footer text shown on voter pages, the admin header, emails and PDFs.
+// Stored in app_settings; the logo is kept there as base64 so it needs no
+// writable upload directory.
+
+const BRANDING_DEFAULTS = {
+  name: 'Spectrum 4',
+  planNumber: '',
+  primaryColor: '#3498db',
+  headerColor: '#2c3e50',
+  footerText: ''
+};
+
+const BRANDING_SETTING_KEYS = {
+  name: 'branding_name',
+  planNumber: 'branding_plan_number',
+  primaryColor: 'branding_primary_color',
+  headerColor: 'branding_header_color',
+  footerText: 'branding_footer_text'
+};
+
+const MAX_LOGO_BYTES = 512 * 1024;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Logos are checked by their first bytes, not the uploaded file name. SVG is
+// not accepted, since it can carry scripts.
+const LOGO_SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at: 0, also: { bytes: [0x57, 0x45, 0x42, 0x50], at: 8 } }
+];
+
+function matchesBytes(buffer, bytes, at = 0) {
+  return buffer.length >= at + bytes.length && bytes.every((byte, index) => buffer[at + index] === byte);
+}
+
+function detectLogoType(buffer) {
+  const match = LOGO_SIGNATURES.find(signature =>
+    matchesBytes(buffer, signature.bytes, signature.at) &&
+    (!signature.also || matchesBytes(buffer, signature.also.bytes, signature.also.at)));
+  return match ? match.type : null;
+}
+
+// Lighten (amount > 0) or darken (amount < 0) a #rrggbb colour
+function shadeColor(hex, amount) {
+  const value = parseInt(hex.slice(1), 16);
+  const channels = [value >> 16, (value >> 8) & 0xff, value & 0xff].map(channel => {
+    const target = amount < 0 ? 0 : 255;
+    return Math.round(channel + (target - channel) * Math.abs(amount));
+  });
+  return `#${channels.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function colorSetting(key, fallback) {
+  const value = getSetting(key);
+  return value && COLOR_PATTERN.test(value) ? value.toLowerCase() : fallback;
+}
+
+/**
+ * Current branding, with defaults for anything not set.
+ * @returns {{name: string, planNumber: string, footerText: string, primaryColor: string,
+ *   primaryDarkColor: string, headerColor: string, headerLightColor: string,
+ *   customColors: boolean, logoUrl: string|null, logoType: string|null}}
+ */
+function getBranding() {
+  const primaryColor = colorSetting(BRANDING_SETTING_KEYS.primaryColor, BRANDING_DEFAULTS.primaryColor);
+  const headerColor = colorSetting(BRANDING_SETTING_KEYS.headerColor, BRANDING_DEFAULTS.headerColor);
+  const logoType = getSetting('branding_logo_type');
+  const logoUpdatedAt = getSetting('branding_logo_updated_at') || '';
+
+  return {
+    name: getSetting(BRANDING_SETTING_KEYS.name) || BRANDING_DEFAULTS.name,
+    planNumber: getSetting(BRANDING_SETTING_KEYS.planNumber) || '',
+    footerText: getSetting(BRANDING_SETTING_KEYS.footerText) || '',
+    primaryColor,
+    primaryDarkColor: shadeColor(primaryColor, -0.15),
+    headerColor,
+    headerLightColor: shadeColor(headerColor, 0.1),
+    customColors: primaryColor !== BRANDING_DEFAULTS.primaryColor || headerColor !== BRANDING_DEFAULTS.headerColor,
+    // The version changes with every upload, so the logo can be cached for long
+    logoUrl: logoType
+      ? `${tenantPath()}/branding/logo?v=${crypto.createHash('sha256').update(logoUpdatedAt).digest('hex').slice(0, 12)}`
+      : null,
+    logoType: logoType || null
+  };
+}
+
+// "Strata Plan EPS1234", or '' when no plan number is set
+function describeStrataPlan(branding) {
+  return branding.planNumber ? `Strata Plan ${branding.planNumber}` : '';
+}
+
+// Absolute logo address for emails, which are read away from the site. The
+// logo path already includes the building's /b/<slug> prefix.
+function absoluteLogoUrl(branding, baseUrl) {
+  return branding.logoUrl ? new URL(branding.logoUrl, baseUrl).href : '';
+}
+
+// Branding placeholder values for email templates
+function brandingEmailValues(branding, baseUrl) {
+  return {
+    building_name: branding.name,
+    strata_plan: describeStrataPlan(branding),
+    logo_url: absoluteLogoUrl(branding, baseUrl),
+    footer_text: multilineValue(branding.footerText)
+  };
+}
+
+function saveBranding({ name, planNumber, primaryColor, headerColor, footerText }, updatedBy) {
+  setSetting(BRANDING_SETTING_KEYS.name, name || null, updatedBy);
+  setSetting(BRANDING_SETTING_KEYS.planNumber, planNumber || null, updatedBy);
+  setSetting(BRANDING_SETTING_KEYS.primaryColor, primaryColor.toLowerCase(), updatedBy);
+  setSetting(BRANDING_SETTING_KEYS.headerColor, headerColor.toLowerCase(), updatedBy);
+  setSetting(BRANDING_SETTING_KEYS.footerText, footerText || null, updatedBy);
+}
+
+// The uploaded logo as { type, data }, or null
+function getBrandingLogo() {
+  const type = getSetting('branding_logo_type');
+  const data = getSetting('branding_logo');
+  return type && data ? { type, data: Buffer.from(data, 'base64') } : null;
+}
+
+// Store a logo. Returns its type, or throws if the image is not accepted.
+function saveBrandingLogo(buffer, updatedBy) {
+  if (buffer.length > MAX_LOGO_BYTES) {
+    throw new Error(`The logo must be ${MAX_LOGO_BYTES / 1024} KB or smaller.`);
+  }
+  const type = detectLogoType(buffer);
+  if (!type) {
+    throw new Error('The logo must be a PNG, JPEG, GIF or WebP image.');
+  }
+
+  setSetting('branding_logo', buffer.toString('base64'), updatedBy);
+  setSetting('branding_logo_type', type, updatedBy);
+  setSetting('branding_logo_updated_at', new Date().toISOString(), updatedBy);
+  return type;
+}
+
+function removeBrandingLogo(updatedBy) {
+  setSetting('branding_logo', null, updatedBy);
+  setSetting('branding_logo_type', null, updatedBy);
+  setSetting('branding_logo_updated_at', new Date().toISOString(), updatedBy);
+}
+
+module.exports = {
+  BRANDING_DEFAULTS,
+  MAX_LOGO_BYTES,
+  COLOR_PATTERN,
+  getBranding,
+  describeStrataPlan,
+  absoluteLogoUrl,
+  brandingEmailValues,
+  saveBranding,
+  getBrandingLogo,
+  saveBrandingLogo,
+  removeBrandingLogo
+};
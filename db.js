@@ -2,6 +2,16 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+  isRankedMotion,
+  isApprovalMotion,
+  formatRanking,
+  computeInstantRunoff,
+  buildApprovalResults
+} = require('./services/tally');
+const { generateToken, hashToken, generateCode, hashCode, hashAuditEntry, sealToken, unsealToken } = require('./tokenCrypto');
+const { verifyTotp, generateRecoveryCodes, normalizeRecoveryCode } = require('./totp');
 
 // Use persistent directory for database if it exists (Coolify volume mount)
 // Otherwise fall back to /app for development
@@ -16,6 +26,9 @@ if (fs.existsSync(persistentDir)) {
   dbPath = path.join(__dirname, 'data.sqlite');
 }
 
+// Databases of the buildings added on the Buildings page, one file each
+const tenantsDir = path.join(path.dirname(dbPath), 'tenants');
+
 // Hash password using bcrypt-like approach with scrypt
 function hashPassword(password) {
   const salt = crypto.randomBytes(16).toString('hex');
@@ -30,7 +43,55 @@ function verifyPassword(password, hashedPassword) {
   return hash === verifyHash;
 }
 
-const db = new Database(dbPath);
+// Each building (tenant) has its own database. The default building uses
+// data.sqlite, which also lists the other buildings. Code runs against the
+// building of the current request or worker run, set with runWithTenant();
+// outside of one, the default building is used.
+const DEFAULT_TENANT = { id: 'default', slug: 'default', hostname: null, is_default: true };
+
+const tenantContext = new AsyncLocalStorage();
+const tenantConnections = new Map();
+
+function openConnection(file) {
+  const connection = new Database(file);
+  // Enable foreign keys
+  connection.pragma('foreign_keys = ON');
+  // Enable WAL mode for better concurrency and durability
+  connection.pragma('journal_mode = WAL');
+  connection.pragma('synchronous = FULL');
+  connection.pragma('wal_autocheckpoint = 1000');
+  return connection;
+}
+
+const defaultConnection = openConnection(dbPath);
+
+function currentConnection() {
+  const scope = tenantContext.getStore();
+  return scope ? scope.connection : defaultConnection;
+}
+
+// The current building's database
+const db = new Proxy({}, {
+  get(target, name) {
+    const connection = currentConnection();
+    const value = connection[name];
+    return typeof value === 'function' ? value.bind(connection) : value;
+  }
+});
+
+// Prepared statements, made for each building's database on first use
+function tenantStatements(prepare) {
+  const byConnection = new WeakMap();
+  return new Proxy({}, {
+    get(target, name) {
+      const connection = currentConnection();
+      if (!byConnection.has(connection)) {
+        byConnection.set(connection, prepare());
+      }
+      return byConnection.get(connection)[name];
+    }
+  });
+}
 
 // Generate UUID v4
 function generateUUID() {
@@ -59,16 +120,33 @@ function generateMotionRef() {
   return `M-${year}-${String(nextSeq).padStart(6, '0')}`;
 }
 
-// Enable foreign keys
-db.pragma('foreign_keys = ON');
+// Recreate `table` from its current CREATE statement after passing it through
+// `transform`, for schema changes SQLite cannot make in place (e.g. widening a
+// CHECK constraint). Rows, columns added by earlier migrations and indexes are kept.
+function rebuildTable(table, transform) {
+  const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  const indexes = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL").all(table);
+  const rebuildSql = transform(sql).replace(/^CREATE TABLE\s+("?)\w+\1/i, `CREATE TABLE ${table}_rebuild`);
 
-// Enable WAL mode for better concurrency and durability
-db.pragma('journal_mode = WAL');
-db.pragma('synchronous = FULL');
-db.pragma('wal_autocheckpoint = 1000');
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      db.exec(`DROP TABLE IF EXISTS ${table}_rebuild`);
+      db.exec(rebuildSql);
+      db.exec(`INSERT INTO ${table}_rebuild SELECT * FROM ${table}`);
+      db.exec(`DROP TABLE ${table}`);
+      db.exec(`ALTER TABLE ${table}_rebuild RENAME TO ${table}`);
+      for (const index of indexes) db.exec(index.sql);
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+}
 
-// Initialize database schema
-function initDatabase() {
+// Initialize database schema. Only the default building's database gets the
+// "admin" owner from ADMIN_PASSWORD; other buildings get their first owner
+// when they are added.
+function initDatabase({ seedAdmin = true } = {}) {
   const schema = `
     CREATE TABLE IF NOT EXISTS motions (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -77,9 +155,9 @@ function initDatabase() {
       options_json TEXT NOT NULL,
       open_at TEXT NOT NULL,
       close_at TEXT NOT NULL,
-      status TEXT NOT NULL CHECK(status IN ('Draft', 'Open', 'Closed', 'Published')),
-      required_majority TEXT NOT NULL CHECK(required_majority IN ('Simple', 'TwoThirds')),
-      outcome TEXT NULL CHECK(outcome IS NULL OR outcome IN ('Passed', 'Failed', 'Tie', 'Cancelled')),
+      status TEXT NOT NULL CHECK(status IN ('Draft', 'Scheduled', 'Open', 'Closed', 'Published')),
+      required_majority TEXT NOT NULL CHECK(required_majority IN ('Simple', 'TwoThirds', 'ThreeQuarters', 'Unanimous', 'Custom')),
+      outcome TEXT NULL CHECK(outcome IS NULL OR outcome IN ('Passed', 'Failed', 'Tie', 'Cancelled', 'No quorum')),
       outcome_notes TEXT NULL,
       created_at TEXT NOT NULL
     );
@@ -87,7 +165,7 @@ function initDatabase() {
     CREATE TABLE IF NOT EXISTS voter_tokens (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       motion_id TEXT NOT NULL REFERENCES motions(id),
-      token TEXT NOT NULL UNIQUE,
+      token_hash TEXT NOT NULL UNIQUE,
       recipient_name TEXT NULL,
       recipient_email TEXT NULL,
       unit_number TEXT NULL,
@@ -110,7 +188,7 @@ function initDatabase() {
     );
 
     CREATE INDEX IF NOT EXISTS idx_voter_tokens_motion ON voter_tokens(motion_id);
-    CREATE INDEX IF NOT EXISTS idx_voter_tokens_token ON voter_tokens(token);
+    CREATE INDEX IF NOT EXISTS idx_voter_tokens_token ON voter_tokens(token_hash);
     CREATE INDEX IF NOT EXISTS idx_ballots_motion ON ballots(motion_id);
     CREATE INDEX IF NOT EXISTS idx_ballots_token ON ballots(voter_token_id);
     CREATE INDEX IF NOT EXISTS idx_ballots_submitted ON ballots(submitted_at);
@@ -226,9 +304,9 @@ function initDatabase() {
           options_json TEXT NOT NULL,
           open_at TEXT NOT NULL,
           close_at TEXT NOT NULL,
-          status TEXT NOT NULL CHECK(status IN ('Draft', 'Open', 'Closed', 'Published')),
-          required_majority TEXT NOT NULL CHECK(required_majority IN ('Simple', 'TwoThirds')),
-          outcome TEXT NULL CHECK(outcome IS NULL OR outcome IN ('Passed', 'Failed', 'Tie', 'Cancelled')),
+          status TEXT NOT NULL CHECK(status IN ('Draft', 'Scheduled', 'Open', 'Closed', 'Published')),
+          required_majority TEXT NOT NULL CHECK(required_majority IN ('Simple', 'TwoThirds', 'ThreeQuarters', 'Unanimous', 'Custom')),
+          outcome TEXT NULL CHECK(outcome IS NULL OR outcome IN ('Passed', 'Failed', 'Tie', 'Cancelled', 'No quorum')),
           outcome_notes TEXT NULL,
           created_at TEXT NOT NULL
         )
@@ -440,6 +518,286 @@ function initDatabase() {
     // Column already exists — ignore
   }
 
+  // Migration: voting method per motion ('Single' = pick one, 'Ranked' = instant runoff)
+  try {
+    db.exec(`ALTER TABLE motions ADD COLUMN voting_method TEXT NOT NULL DEFAULT 'Single'`);
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Migration: selection limits for approval ("pick up to N") motions
+  try {
+    db.exec(`ALTER TABLE motions ADD COLUMN min_selections INTEGER NULL`);
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec(`ALTER TABLE motions ADD COLUMN max_selections INTEGER NULL`);
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Per-option detail for ballots that carry more than a single choice.
+  // For ranked ballots, rank is the voter's preference order starting at 1;
+  // approval ballots store one row per selected option with a NULL rank.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ballot_choices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ballot_id INTEGER NOT NULL REFERENCES ballots(id),
+      motion_id TEXT NOT NULL REFERENCES motions(id),
+      choice TEXT NOT NULL,
+      rank INTEGER NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ballot_choices_ballot ON ballot_choices(ballot_id);
+    CREATE INDEX IF NOT EXISTS idx_ballot_choices_motion ON ballot_choices(motion_id);
+  `);
+
+  // Ballot groups: several motions (e.g. a general meeting agenda) voted on
+  // through one link. Each voter gets one group token; it is linked to an
+  // ordinary per-motion voter token for every motion in the group, so each
+  // motion is still tallied and closed on its own.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ballot_groups (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      description TEXT NULL,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS ballot_group_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id TEXT NOT NULL REFERENCES ballot_groups(id),
+      token_hash TEXT NOT NULL UNIQUE,
+      recipient_name TEXT NULL,
+      recipient_email TEXT NULL,
+      unit_number TEXT NULL,
+      status TEXT NOT NULL CHECK(status IN ('Active', 'Used', 'Revoked')),
+      used_at TEXT NULL,
+      created_at TEXT NOT NULL,
+      email_sent BOOLEAN DEFAULT 0,
+      email_sent_at TEXT NULL,
+      email_error TEXT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ballot_group_tokens_group ON ballot_group_tokens(group_id);
+  `);
+
+  try {
+    db.exec(`ALTER TABLE motions ADD COLUMN group_id TEXT NULL REFERENCES ballot_groups(id)`);
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec(`ALTER TABLE voter_tokens ADD COLUMN group_token_id INTEGER NULL REFERENCES ballot_group_tokens(id)`);
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_voter_tokens_group_token ON voter_tokens(group_token_id)');
+
+  // Unit registry: entitlement per strata lot, matched to voter_tokens.unit_number
+  // (trimmed, case-insensitive) for entitlement-weighted motions
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS units (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      unit_number TEXT NOT NULL,
+      entitlement REAL NOT NULL CHECK(entitlement > 0),
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS ux_units_unit_number ON units(lower(trim(unit_number)));
+  `);
+
+  // Migration: weighting per motion ('Headcount' = one vote each, 'Entitlement' = unit entitlement)
+  try {
+    db.exec(`ALTER TABLE motions ADD COLUMN weighting TEXT NOT NULL DEFAULT 'Headcount'`);
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Migration: general majority thresholds. required_majority names the kind
+  // (Simple, TwoThirds, ThreeQuarters, Unanimous, Custom); the fraction and the
+  // base (Yes+No votes cast, or all eligible voters) are stored alongside it.
+  try {
+    db.exec('ALTER TABLE motions ADD COLUMN threshold_numerator INTEGER NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec('ALTER TABLE motions ADD COLUMN threshold_denominator INTEGER NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec(`ALTER TABLE motions ADD COLUMN threshold_basis TEXT NOT NULL DEFAULT 'Cast' CHECK(threshold_basis IN ('Cast', 'Eligible'))`);
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  db.exec(`
+    UPDATE motions SET threshold_numerator = 1, threshold_denominator = 2
+    WHERE required_majority = 'Simple' AND threshold_numerator IS NULL;
+    UPDATE motions SET threshold_numerator = 2, threshold_denominator = 3
+    WHERE required_majority = 'TwoThirds' AND threshold_numerator IS NULL;
+  `);
+
+  const motionsSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'motions'").get().sql;
+  if (!motionsSql.includes("'ThreeQuarters'")) {
+    const logger = require('./logger');
+    rebuildTable('motions', sql => sql.replace(
+      "CHECK(required_majority IN ('Simple', 'TwoThirds'))",
+      "CHECK(required_majority IN ('Simple', 'TwoThirds', 'ThreeQuarters', 'Unanimous', 'Custom'))"
+    ));
+    logger.info('Migrated motions.required_majority to allow three-quarter, unanimous and custom thresholds');
+  }
+
+  // Migration: per-motion quorum (minimum ballots cast or minimum turnout %)
+  // and the 'No quorum' outcome given when it is not met
+  try {
+    db.exec(`ALTER TABLE motions ADD COLUMN quorum_type TEXT NOT NULL DEFAULT 'None' CHECK(quorum_type IN ('None', 'Ballots', 'Percent'))`);
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec('ALTER TABLE motions ADD COLUMN quorum_value REAL NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  const outcomeSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'motions'").get().sql;
+  if (!outcomeSql.includes("'No quorum'")) {
+    const logger = require('./logger');
+    rebuildTable('motions', sql => sql.replace(
+      "outcome IN ('Passed', 'Failed', 'Tie', 'Cancelled')",
+      "outcome IN ('Passed', 'Failed', 'Tie', 'Cancelled', 'No quorum')"
+    ));
+    logger.info("Migrated motions.outcome to allow 'No quorum'");
+  }
+
+  // Proxies: an owner (the grantor) lets a proxy holder vote for their unit.
+  // A holder is scoped to one standalone motion or one ballot group and gets a
+  // single link; each proxy names the grantor's motion token (standalone) or
+  // ballot group token (meeting). Ballots cast through a proxy carry proxy_id.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS proxy_holders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_hash TEXT NOT NULL UNIQUE,
+      motion_id TEXT NULL REFERENCES motions(id),
+      group_id TEXT NULL REFERENCES ballot_groups(id),
+      holder_name TEXT NOT NULL,
+      holder_email TEXT NULL,
+      created_at TEXT NOT NULL,
+      CHECK((motion_id IS NULL) != (group_id IS NULL))
+    );
+
+    CREATE TABLE IF NOT EXISTS proxies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      holder_id INTEGER NOT NULL REFERENCES proxy_holders(id),
+      grantor_token_id INTEGER NULL REFERENCES voter_tokens(id),
+      grantor_group_token_id INTEGER NULL REFERENCES ballot_group_tokens(id),
+      instructions TEXT NULL,
+      status TEXT NOT NULL CHECK(status IN ('Active', 'Revoked')),
+      created_at TEXT NOT NULL,
+      revoked_at TEXT NULL,
+      CHECK((grantor_token_id IS NULL) != (grantor_group_token_id IS NULL))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_proxy_holders_motion ON proxy_holders(motion_id);
+    CREATE INDEX IF NOT EXISTS idx_proxy_holders_group ON proxy_holders(group_id);
+    CREATE INDEX IF NOT EXISTS idx_proxies_holder ON proxies(holder_id);
+    CREATE INDEX IF NOT EXISTS idx_proxies_grantor_token ON proxies(grantor_token_id);
+    CREATE INDEX IF NOT EXISTS idx_proxies_grantor_group_token ON proxies(grantor_group_token_id);
+  `);
+
+  try {
+    db.exec('ALTER TABLE ballots ADD COLUMN proxy_id INTEGER NULL REFERENCES proxies(id)');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Revisable ballots: on these motions a voter can replace their ballot until
+  // the motion closes. Each replaced version is kept in ballot_revisions.
+  try {
+    db.exec('ALTER TABLE motions ADD COLUMN revisable BOOLEAN NOT NULL DEFAULT 0');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ballot_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ballot_id INTEGER NOT NULL REFERENCES ballots(id),
+      motion_id TEXT NOT NULL REFERENCES motions(id),
+      voter_token_id INTEGER NOT NULL REFERENCES voter_tokens(id),
+      choice TEXT NOT NULL,
+      submitted_at TEXT NOT NULL,
+      user_agent TEXT NULL,
+      ip_hash TEXT NULL,
+      proxy_id INTEGER NULL REFERENCES proxies(id),
+      replaced_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_ballot_revisions_ballot ON ballot_revisions(ballot_id);
+    CREATE INDEX IF NOT EXISTS idx_ballot_revisions_motion ON ballot_revisions(motion_id);
+  `);
+
+  // Secret ballots: the voter token is still marked Used (turnout, one vote
+  // per link) but the choice goes to secret_ballots with no token, timestamp
+  // or client details. Rows are keyed by a random id in WITHOUT ROWID tables,
+  // so not even insertion order can line a choice up with the token used.
+  try {
+    db.exec('ALTER TABLE motions ADD COLUMN secret BOOLEAN NOT NULL DEFAULT 0');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS secret_ballots (
+      id TEXT PRIMARY KEY,
+      motion_id TEXT NOT NULL REFERENCES motions(id),
+      choice TEXT NOT NULL
+    ) WITHOUT ROWID;
+
+    CREATE TABLE IF NOT EXISTS secret_ballot_choices (
+      secret_ballot_id TEXT NOT NULL REFERENCES secret_ballots(id),
+      motion_id TEXT NOT NULL REFERENCES motions(id),
+      choice TEXT NOT NULL,
+      rank INTEGER NULL,
+      PRIMARY KEY (secret_ballot_id, choice)
+    ) WITHOUT ROWID;
+
+    CREATE INDEX IF NOT EXISTS idx_secret_ballots_motion ON secret_ballots(motion_id);
+    CREATE INDEX IF NOT EXISTS idx_secret_ballot_choices_motion ON secret_ballot_choices(motion_id);
+  `);
+
+  // Tie-break policy per motion, and one tie_breaks row per tied motion
+  // recording how the tie was resolved: status quo, a run-off motion, or the
+  // chair's casting vote (Pending until the chair casts it).
+  try {
+    db.exec(`ALTER TABLE motions ADD COLUMN tie_break TEXT NOT NULL DEFAULT 'None' CHECK(tie_break IN ('None', 'CastingVote', 'StatusQuo', 'Runoff'))`);
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tie_breaks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      motion_id TEXT NOT NULL UNIQUE REFERENCES motions(id),
+      policy TEXT NOT NULL CHECK(policy IN ('CastingVote', 'StatusQuo', 'Runoff')),
+      tied_json TEXT NOT NULL,
+      status TEXT NOT NULL CHECK(status IN ('Pending', 'Resolved')),
+      choice TEXT NULL,
+      outcome TEXT NULL,
+      chair_name TEXT NULL,
+      notes TEXT NULL,
+      runoff_motion_id TEXT NULL REFERENCES motions(id),
+      created_at TEXT NOT NULL,
+      resolved_at TEXT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tie_breaks_runoff ON tie_breaks(runoff_motion_id);
+  `);
+
   // Admin settings table for password storage
   db.exec(`
     CREATE TABLE IF NOT EXISTS admin_settings (
@@ -492,6 +850,180 @@ function initDatabase() {
     CREATE INDEX IF NOT EXISTS idx_token_email_outbox_next_attempt ON token_email_outbox(next_attempt_at);
   `);
 
+  // Migration: outbox rows can point at a ballot group token instead of a
+  // single motion's token, so token_id becomes nullable.
+  try {
+    const outboxInfo = db.pragma('table_info(token_email_outbox)');
+    const hasGroupTokenId = outboxInfo.some(col => col.name === 'group_token_id');
+
+    if (!hasGroupTokenId) {
+      const logger = require('./logger');
+      db.pragma('foreign_keys = OFF');
+
+      db.exec('ALTER TABLE token_email_outbox RENAME TO token_email_outbox_old');
+      db.exec(`
+        CREATE TABLE token_email_outbox (
+          id TEXT PRIMARY KEY,
+          token_id INTEGER NULL REFERENCES voter_tokens(id),
+          group_token_id INTEGER NULL REFERENCES ballot_group_tokens(id),
+          status TEXT NOT NULL CHECK(status IN ('PENDING', 'SENT', 'FAILED')),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT NULL,
+          created_at TEXT NOT NULL,
+          sent_at TEXT NULL,
+          last_error TEXT NULL,
+          CHECK(token_id IS NOT NULL OR group_token_id IS NOT NULL)
+        );
+      `);
+      db.exec(`
+        INSERT INTO token_email_outbox (
+          id, token_id, status, attempts, next_attempt_at, created_at, sent_at, last_error
+        )
+        SELECT id, token_id, status, attempts, next_attempt_at, created_at, sent_at, last_error
+        FROM token_email_outbox_old;
+      `);
+      db.exec('DROP TABLE token_email_outbox_old');
+
+      db.exec('CREATE INDEX IF NOT EXISTS idx_token_email_outbox_status ON token_email_outbox(status)');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_token_email_outbox_next_attempt ON token_email_outbox(next_attempt_at)');
+
+      db.pragma('foreign_keys = ON');
+      logger.info('Migrated token_email_outbox to support ballot group tokens');
+    }
+  } catch (err) {
+    const logger = require('./logger');
+    logger.error('Error migrating token_email_outbox:', err);
+    try {
+      db.pragma('foreign_keys = ON');
+    } catch (e) {
+      // Ignore
+    }
+    throw err;
+  }
+
+  // Scheduled motions are opened by the background worker once open_at
+  // passes. send_links_on_open holds their voting link emails in the outbox
+  // (held = 1) until then instead of sending them when the links are created.
+  const statusSql = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'motions'").get().sql;
+  if (!statusSql.includes("'Scheduled'")) {
+    const logger = require('./logger');
+    rebuildTable('motions', sql => sql.replace(
+      "status IN ('Draft', 'Open', 'Closed', 'Published')",
+      "status IN ('Draft', 'Scheduled', 'Open', 'Closed', 'Published')"
+    ));
+    logger.info("Migrated motions.status to allow 'Scheduled'");
+  }
+  try {
+    db.exec('ALTER TABLE motions ADD COLUMN send_links_on_open BOOLEAN NOT NULL DEFAULT 0');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec('ALTER TABLE token_email_outbox ADD COLUMN held BOOLEAN NOT NULL DEFAULT 0');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Reminder schedule per motion (hours before close_at, e.g. "24,2") and one
+  // token_reminders row per reminder, which is both the send queue (retried
+  // like the outbox) and the history shown on the tokens page. Ballot voters
+  // get one reminder per ballot link for each mark, whichever question queues it.
+  try {
+    db.exec('ALTER TABLE motions ADD COLUMN reminder_hours TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS token_reminders (
+      id TEXT PRIMARY KEY,
+      motion_id TEXT NOT NULL REFERENCES motions(id),
+      token_id INTEGER NOT NULL REFERENCES voter_tokens(id),
+      group_token_id INTEGER NULL REFERENCES ballot_group_tokens(id),
+      hours_before INTEGER NOT NULL,
+      status TEXT NOT NULL CHECK(status IN ('PENDING', 'SENT', 'FAILED', 'CANCELLED')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NULL,
+      created_at TEXT NOT NULL,
+      sent_at TEXT NULL,
+      last_error TEXT NULL,
+      UNIQUE(token_id, hours_before)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_token_reminders_group_token
+      ON token_reminders(group_token_id, hours_before) WHERE group_token_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_token_reminders_status ON token_reminders(status);
+    CREATE INDEX IF NOT EXISTS idx_token_reminders_motion ON token_reminders(motion_id);
+  `);
+
+  // Voting tokens are stored as a keyed hash (tokenCrypto.js). Existing raw
+  // tokens are hashed in place; emails still waiting in the outbox get a sealed
+  // copy of their raw token first so they can still be delivered.
+  try {
+    db.exec('ALTER TABLE token_email_outbox ADD COLUMN sealed_token TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  let hashedTokens = false;
+  for (const [table, outboxColumn] of [['voter_tokens', 'token_id'], ['ballot_group_tokens', 'group_token_id'], ['proxy_holders', null]]) {
+    if (!db.pragma(`table_info(${table})`).some(col => col.name === 'token')) continue;
+
+    const logger = require('./logger');
+    db.transaction(() => {
+      if (outboxColumn) {
+        const sealOutbox = db.prepare('UPDATE token_email_outbox SET sealed_token = ? WHERE id = ?');
+        const unsent = db.prepare(`
+          SELECT o.id, t.token
+          FROM token_email_outbox o
+          JOIN ${table} t ON t.id = o.${outboxColumn}
+          WHERE o.status != 'SENT'
+        `).all();
+        for (const row of unsent) sealOutbox.run(sealToken(row.token), row.id);
+      }
+
+      db.exec(`ALTER TABLE ${table} RENAME COLUMN token TO token_hash`);
+      const rehash = db.prepare(`UPDATE ${table} SET token_hash = ? WHERE id = ?`);
+      for (const row of db.prepare(`SELECT id, token_hash FROM ${table}`).all()) {
+        rehash.run(hashToken(row.token_hash), row.id);
+      }
+    })();
+    logger.info(`Migrated ${table} to hashed tokens`);
+    hashedTokens = true;
+  }
+  // Rewrite the file so the raw tokens do not linger in free pages
+  if (hashedTokens) db.exec('VACUUM');
+
+  // Optional per-link expiry, enforced separately from the motion's close_at.
+  // Motion tokens issued through a ballot link copy the ballot link's expiry.
+  try {
+    db.exec('ALTER TABLE voter_tokens ADD COLUMN expires_at TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec('ALTER TABLE ballot_group_tokens ADD COLUMN expires_at TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Short voting codes typed in at /vote with the motion ref, issued with each
+  // standalone motion token. Stored as a keyed hash like the token, and unique
+  // within a motion; unsent emails keep a sealed copy alongside the token.
+  try {
+    db.exec('ALTER TABLE voter_tokens ADD COLUMN code_hash TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec('ALTER TABLE token_email_outbox ADD COLUMN sealed_code TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_voter_tokens_code
+      ON voter_tokens(motion_id, code_hash) WHERE code_hash IS NOT NULL
+  `);
+
   db.exec(`
     CREATE TABLE IF NOT EXISTS email_trigger_log (
       message_id TEXT PRIMARY KEY,
@@ -502,7 +1034,7 @@ function initDatabase() {
 
   // Initialize admin password if not exists
   const adminSettings = db.prepare('SELECT * FROM admin_settings WHERE id = 1').get();
-  if (!adminSettings && process.env.ADMIN_PASSWORD) {
+  if (seedAdmin && !adminSettings && process.env.ADMIN_PASSWORD) {
     const hashedPassword = hashPassword(process.env.ADMIN_PASSWORD);
     db.prepare(`
       INSERT INTO admin_settings (id, password_hash, updated_at, updated_by)
@@ -513,23 +1045,254 @@ function initDatabase() {
     logger.info('Initialized admin password from environment variable');
   }
 
-  // Performance index for dashboard date filtering
+  // Admin user accounts. Observers can only look; admins run motions, voters
+  // and ballots; owners also manage admin users and system settings.
   db.exec(`
-    CREATE INDEX IF NOT EXISTS idx_motions_close_at ON motions(close_at);
-  `);
-
-  const logger = require('./logger');
-  logger.info('Database initialized at:', dbPath);
-}
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      display_name TEXT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'observer')),
+      disabled INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      updated_by TEXT NULL,
+      last_login_at TEXT NULL
+    );
+  `);
+
+  // The first owner is "admin", with the shared password used before accounts
+  // existed, so existing installs keep working until more users are added
+  const adminUserCount = db.prepare('SELECT COUNT(*) AS count FROM admin_users').get().count;
+  if (seedAdmin && adminUserCount === 0) {
+    const shared = db.prepare('SELECT password_hash FROM admin_settings WHERE id = 1').get();
+    const passwordHash = shared ? shared.password_hash : (process.env.ADMIN_PASSWORD ? hashPassword(process.env.ADMIN_PASSWORD) : null);
+    if (passwordHash) {
+      const now = new Date().toISOString();
+      db.prepare(`
+        INSERT INTO admin_users (username, display_name, password_hash, role, created_at, updated_at, updated_by)
+        VALUES ('admin', 'Administrator', ?, 'owner', ?, ?, 'system')
+      `).run(passwordHash, now, now);
+
+      const logger = require('./logger');
+      logger.info('Created owner account "admin" from the admin password');
+    }
+  }
+
+  // Who created and last changed each motion, and who last changed each
+  // setting: an admin username, or "system" for the background worker
+  try {
+    db.exec('ALTER TABLE motions ADD COLUMN created_by TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec('ALTER TABLE motions ADD COLUMN updated_by TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec('ALTER TABLE app_settings ADD COLUMN updated_by TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  // Two-factor login. The TOTP secret is sealed like outbox tokens;
+  // totp_last_step is the last accepted time step, so codes cannot be replayed.
+  // Recovery codes are stored only as hashes and can each be used once.
+  try {
+    db.exec('ALTER TABLE admin_users ADD COLUMN totp_secret_sealed TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec('ALTER TABLE admin_users ADD COLUMN totp_enabled_at TEXT NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+  try {
+    db.exec('ALTER TABLE admin_users ADD COLUMN totp_last_step INTEGER NULL');
+  } catch (e) {
+    // Column already exists — ignore
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      admin_user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL,
+      used_at TEXT NULL,
+      FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_user ON admin_recovery_codes(admin_user_id);
+  `);
+
+  // Audit log of admin, voting and background actions. Each row's hash covers
+  // its contents and the previous row's hash, so editing or deleting a row is
+  // detected by verifyAuditLog(). The triggers refuse ordinary updates and deletes.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target_type TEXT NULL,
+      target_id TEXT NULL,
+      motion_id TEXT NULL,
+      before_json TEXT NULL,
+      after_json TEXT NULL,
+      ip_hash TEXT NULL,
+      prev_hash TEXT NOT NULL,
+      hash TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_events_motion ON audit_events(motion_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor);
+
+    CREATE TRIGGER IF NOT EXISTS audit_events_no_update
+    BEFORE UPDATE ON audit_events
+    BEGIN
+      SELECT RAISE(ABORT, 'audit_events is append-only');
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS audit_events_no_delete
+    BEFORE DELETE ON audit_events
+    BEGIN
+      SELECT RAISE(ABORT, 'audit_events is append-only');
+    END;
+  `);
+
+  // API keys for /api/v1, stored only as keyed hashes. key_prefix is the start
+  // of the key, shown so admins can tell keys apart.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL CHECK(role IN ('admin', 'observer')),
+      created_at TEXT NOT NULL,
+      created_by TEXT NULL,
+      last_used_at TEXT NULL,
+      revoked_at TEXT NULL,
+      revoked_by TEXT NULL
+    );
+  `);
+
+  // Outbound webhooks. `events` is a comma-separated list of event names, or
+  // '*' for all. The signing secret is sealed like outbox tokens, since it is
+  // needed again for every delivery. Deliveries are an outbox with retries.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_endpoints (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      description TEXT NULL,
+      events TEXT NOT NULL DEFAULT '*',
+      secret_sealed TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL,
+      created_by TEXT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+      event TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      payload_json TEXT NOT NULL,
+      status TEXT NOT NULL CHECK(status IN ('PENDING', 'SENT', 'FAILED', 'ABANDONED')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NULL,
+      created_at TEXT NOT NULL,
+      delivered_at TEXT NULL,
+      response_status INTEGER NULL,
+      last_error TEXT NULL,
+      replay_of TEXT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries(created_at);
+  `);
+
+  // Admin-edited email templates, one per kind. A kind with no row uses the
+  // built-in email. `body_html` holds {{placeholders}}; the plain-text part is
+  // derived from it.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS email_templates (
+      kind TEXT PRIMARY KEY CHECK(kind IN ('invitation', 'reminder', 'results')),
+      subject TEXT NOT NULL,
+      body_html TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      updated_by TEXT NULL
+    );
+  `);
+
+  // Performance index for dashboard date filtering
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_motions_close_at ON motions(close_at);
+  `);
+
+  const logger = require('./logger');
+  logger.info('Database initialized at:', db.name);
+}
+
+// The list of buildings other than the default one, kept in the default
+// building's database
+function initTenantRegistry() {
+  defaultConnection.exec(`
+    CREATE TABLE IF NOT EXISTS tenants (
+      id TEXT PRIMARY KEY,
+      slug TEXT NOT NULL UNIQUE,
+      hostname TEXT NULL UNIQUE COLLATE NOCASE,
+      db_file TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      created_by TEXT NULL
+    );
+  `);
+}
 
 // Initialize database immediately
 initDatabase();
+initTenantRegistry();
+
+// Prepared statements for the building list. These always use the default
+// building's database.
+const tenantQueries = {
+  getAll: defaultConnection.prepare('SELECT * FROM tenants ORDER BY slug ASC'),
+
+  getById: defaultConnection.prepare('SELECT * FROM tenants WHERE id = ?'),
+
+  getBySlug: defaultConnection.prepare('SELECT * FROM tenants WHERE slug = ?'),
+
+  getByHostname: defaultConnection.prepare('SELECT * FROM tenants WHERE hostname = ?'),
+
+  create: defaultConnection.prepare(`
+    INSERT INTO tenants (id, slug, hostname, db_file, created_at, created_by)
+    VALUES (@id, @slug, @hostname, @db_file, @created_at, @created_by)
+  `),
+
+  updateHostname: defaultConnection.prepare('UPDATE tenants SET hostname = ? WHERE id = ?')
+};
 
 // Prepared statements for motions
-const motionQueries = {
+const motionQueries = tenantStatements(() => ({
   create: db.prepare(`
-    INSERT INTO motions (id, motion_ref, title, description, options_json, open_at, close_at, status, required_majority, created_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO motions (
+      id, motion_ref, title, description, options_json, open_at, close_at,
+      status, required_majority, threshold_numerator, threshold_denominator, threshold_basis,
+      voting_method, min_selections, max_selections, weighting, quorum_type, quorum_value, revisable, secret, tie_break,
+      send_links_on_open, reminder_hours, created_at, created_by, updated_by
+    ) VALUES (
+      @id, @motion_ref, @title, @description, @options_json, @open_at, @close_at,
+      @status, @required_majority, @threshold_numerator, @threshold_denominator, @threshold_basis,
+      @voting_method, @min_selections, @max_selections, @weighting, @quorum_type, @quorum_value, @revisable, @secret, @tie_break,
+      @send_links_on_open, @reminder_hours, @created_at, @created_by, @created_by
+    )
   `),
 
   getById: db.prepare('SELECT * FROM motions WHERE id = ?'),
@@ -539,27 +1302,76 @@ const motionQueries = {
   getAll: db.prepare('SELECT * FROM motions ORDER BY created_at DESC'),
 
   update: db.prepare(`
-    UPDATE motions SET title = ?, description = ?, options_json = ?, open_at = ?, close_at = ?, required_majority = ?
-    WHERE id = ?
+    UPDATE motions SET
+      title = @title,
+      description = @description,
+      options_json = @options_json,
+      open_at = @open_at,
+      close_at = @close_at,
+      required_majority = @required_majority,
+      threshold_numerator = @threshold_numerator,
+      threshold_denominator = @threshold_denominator,
+      threshold_basis = @threshold_basis,
+      voting_method = @voting_method,
+      min_selections = @min_selections,
+      max_selections = @max_selections,
+      weighting = @weighting,
+      quorum_type = @quorum_type,
+      quorum_value = @quorum_value,
+      revisable = @revisable,
+      secret = @secret,
+      tie_break = @tie_break,
+      send_links_on_open = @send_links_on_open,
+      reminder_hours = @reminder_hours,
+      updated_by = @updated_by
+    WHERE id = @id
+  `),
+
+  updateStatus: db.prepare('UPDATE motions SET status = ?, updated_by = ? WHERE id = ?'),
+
+  getScheduledDue: db.prepare(`
+    SELECT * FROM motions
+    WHERE status = 'Scheduled' AND open_at <= ?
+    ORDER BY open_at ASC
+  `),
+
+  // Only opens a motion that is still Scheduled, so a manual status change wins
+  openScheduled: db.prepare(`
+    UPDATE motions SET status = 'Open', updated_by = 'system' WHERE id = ? AND status = 'Scheduled'
   `),
 
-  updateStatus: db.prepare('UPDATE motions SET status = ? WHERE id = ?'),
+  getByGroup: db.prepare('SELECT * FROM motions WHERE group_id = ? ORDER BY created_at ASC'),
+
+  getUngrouped: db.prepare(`
+    SELECT * FROM motions
+    WHERE group_id IS NULL
+      AND status IN ('Draft', 'Scheduled', 'Open')
+    ORDER BY created_at DESC
+  `),
+
+  setGroup: db.prepare('UPDATE motions SET group_id = ? WHERE id = ?'),
 
   updateOutcome: db.prepare(`
-    UPDATE motions SET outcome = ?, outcome_notes = ? WHERE id = ?
+    UPDATE motions SET outcome = ?, outcome_notes = ?, updated_by = ? WHERE id = ?
   `),
 
   delete: db.prepare('DELETE FROM motions WHERE id = ?')
-};
+}));
 
 // Prepared statements for voter tokens
-const tokenQueries = {
+const tokenQueries = tenantStatements(() => ({
   create: db.prepare(`
-    INSERT INTO voter_tokens (motion_id, token, recipient_name, recipient_email, unit_number, status, created_at, email_sent, email_sent_at, email_error)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO voter_tokens (motion_id, token_hash, recipient_name, recipient_email, unit_number, status, created_at, email_sent, email_sent_at, email_error, expires_at, code_hash)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
 
-  getByToken: db.prepare('SELECT * FROM voter_tokens WHERE token = ?'),
+  getByTokenHash: db.prepare('SELECT * FROM voter_tokens WHERE token_hash = ?'),
+
+  updateTokenHash: db.prepare('UPDATE voter_tokens SET token_hash = ? WHERE id = ?'),
+
+  getByCodeHash: db.prepare('SELECT * FROM voter_tokens WHERE motion_id = ? AND code_hash = ?'),
+
+  updateCodeHash: db.prepare('UPDATE voter_tokens SET code_hash = ? WHERE id = ?'),
 
   getById: db.prepare('SELECT * FROM voter_tokens WHERE id = ?'),
 
@@ -578,6 +1390,26 @@ const tokenQueries = {
 
   markUsed: db.prepare('UPDATE voter_tokens SET status = ?, used_at = ? WHERE id = ?'),
 
+  createForGroupToken: db.prepare(`
+    INSERT INTO voter_tokens (motion_id, token_hash, recipient_name, recipient_email, unit_number, status, created_at, email_sent, email_sent_at, email_error, group_token_id, expires_at)
+    VALUES (?, ?, ?, ?, ?, 'Active', ?, 0, NULL, NULL, ?, ?)
+  `),
+
+  getByGroupToken: db.prepare('SELECT * FROM voter_tokens WHERE group_token_id = ?'),
+
+  countStandaloneByMotion: db.prepare(`
+    SELECT COUNT(*) as count FROM voter_tokens
+    WHERE motion_id = ? AND group_token_id IS NULL AND status != 'Revoked'
+  `),
+
+  deleteUnusedByMotionGroup: db.prepare(`
+    DELETE FROM voter_tokens
+    WHERE motion_id = ?
+      AND group_token_id IS NOT NULL
+      AND status != 'Used'
+      AND id NOT IN (SELECT voter_token_id FROM ballots WHERE motion_id = ?)
+  `),
+
   revoke: db.prepare('UPDATE voter_tokens SET status = ? WHERE id = ?'),
 
   updateEmailStatus: db.prepare(`
@@ -587,25 +1419,31 @@ const tokenQueries = {
   `),
 
   deleteByMotion: db.prepare('DELETE FROM voter_tokens WHERE motion_id = ?')
-};
+}));
 
 // Prepared statements for ballots
-const ballotQueries = {
+const ballotQueries = tenantStatements(() => ({
   create: db.prepare(`
-    INSERT INTO ballots (motion_id, voter_token_id, choice, submitted_at, user_agent, ip_hash)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO ballots (motion_id, voter_token_id, choice, submitted_at, user_agent, ip_hash, proxy_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
   `),
 
   getByMotion: db.prepare(`
-    SELECT b.*, vt.recipient_name, vt.recipient_email, vt.unit_number, vt.status as token_status, vt.used_at
+    SELECT b.*, vt.recipient_name, vt.recipient_email, vt.unit_number, vt.status as token_status, vt.used_at,
+      ph.holder_name AS proxy_holder_name,
+      (SELECT COUNT(*) FROM ballot_revisions br WHERE br.ballot_id = b.id) AS revision_count
     FROM ballots b
     JOIN voter_tokens vt ON b.voter_token_id = vt.id
+    LEFT JOIN proxies p ON b.proxy_id = p.id
+    LEFT JOIN proxy_holders ph ON p.holder_id = ph.id
     WHERE b.motion_id = ?
     ORDER BY b.submitted_at DESC
   `),
 
   countByMotion: db.prepare('SELECT COUNT(*) as count FROM ballots WHERE motion_id = ?'),
 
+  countProxyByMotion: db.prepare('SELECT COUNT(*) as count FROM ballots WHERE motion_id = ? AND proxy_id IS NOT NULL'),
+
   getResultsByMotion: db.prepare(`
     SELECT choice, COUNT(*) as count
     FROM ballots
@@ -623,9 +1461,15 @@ const ballotQueries = {
       vt.status AS token_status,
       vt.used_at,
       b.choice,
-      b.submitted_at
+      b.submitted_at,
+      u.entitlement,
+      ph.holder_name AS proxy_holder_name,
+      (SELECT COUNT(*) FROM ballot_revisions br WHERE br.ballot_id = b.id) AS revision_count
     FROM voter_tokens vt
     LEFT JOIN ballots b ON b.voter_token_id = vt.id
+    LEFT JOIN proxies p ON b.proxy_id = p.id
+    LEFT JOIN proxy_holders ph ON p.holder_id = ph.id
+    LEFT JOIN units u ON lower(trim(u.unit_number)) = lower(trim(vt.unit_number))
     WHERE vt.motion_id = ?
       AND vt.status != 'Revoked'
     ORDER BY
@@ -635,11 +1479,241 @@ const ballotQueries = {
       vt.id
   `),
 
-  existsForToken: db.prepare('SELECT 1 FROM ballots WHERE voter_token_id = ? LIMIT 1')
-};
+  existsForToken: db.prepare('SELECT 1 FROM ballots WHERE voter_token_id = ? LIMIT 1'),
+
+  getByToken: db.prepare('SELECT * FROM ballots WHERE voter_token_id = ?'),
+
+  // Revisions: the replaced version is copied to ballot_revisions, then the
+  // ballot row and its ranked/approval choices are overwritten in place
+  archiveRevision: db.prepare(`
+    INSERT INTO ballot_revisions (ballot_id, motion_id, voter_token_id, choice, submitted_at, user_agent, ip_hash, proxy_id, replaced_at)
+    SELECT id, motion_id, voter_token_id, choice, submitted_at, user_agent, ip_hash, proxy_id, ?
+    FROM ballots WHERE id = ?
+  `),
+  revise: db.prepare(`
+    UPDATE ballots
+    SET choice = ?, submitted_at = ?, user_agent = ?, ip_hash = ?, proxy_id = ?
+    WHERE id = ?
+  `),
+  deleteChoices: db.prepare('DELETE FROM ballot_choices WHERE ballot_id = ?'),
+  getChoicesByBallot: db.prepare('SELECT choice, rank FROM ballot_choices WHERE ballot_id = ? ORDER BY rank ASC, id ASC'),
+
+  getRevisionsByMotion: db.prepare(`
+    SELECT br.*, vt.recipient_name, vt.recipient_email, vt.unit_number
+    FROM ballot_revisions br
+    JOIN voter_tokens vt ON br.voter_token_id = vt.id
+    WHERE br.motion_id = ?
+    ORDER BY br.ballot_id ASC, br.id ASC
+  `),
+
+  createChoice: db.prepare(`
+    INSERT INTO ballot_choices (ballot_id, motion_id, choice, rank)
+    VALUES (?, ?, ?, ?)
+  `),
+
+  getChoicesByMotion: db.prepare(`
+    SELECT ballot_id, choice, rank
+    FROM ballot_choices
+    WHERE motion_id = ?
+    ORDER BY ballot_id ASC, rank ASC
+  `),
+
+  getChoiceCountsByMotion: db.prepare(`
+    SELECT choice, COUNT(*) as count
+    FROM ballot_choices
+    WHERE motion_id = ?
+    GROUP BY choice
+  `),
+
+  // Entitlement-weighted variants: each ballot counts for its unit's entitlement
+  // (0 when the voter's unit is not in the registry)
+  getWeightedResultsByMotion: db.prepare(`
+    SELECT b.choice, SUM(COALESCE(u.entitlement, 0)) as count
+    FROM ballots b
+    JOIN voter_tokens vt ON b.voter_token_id = vt.id
+    LEFT JOIN units u ON lower(trim(u.unit_number)) = lower(trim(vt.unit_number))
+    WHERE b.motion_id = ?
+    GROUP BY b.choice
+    ORDER BY count DESC
+  `),
+
+  getWeightedChoiceCountsByMotion: db.prepare(`
+    SELECT bc.choice, SUM(COALESCE(u.entitlement, 0)) as count
+    FROM ballot_choices bc
+    JOIN ballots b ON bc.ballot_id = b.id
+    JOIN voter_tokens vt ON b.voter_token_id = vt.id
+    LEFT JOIN units u ON lower(trim(u.unit_number)) = lower(trim(vt.unit_number))
+    WHERE bc.motion_id = ?
+    GROUP BY bc.choice
+  `),
+
+  getBallotWeightsByMotion: db.prepare(`
+    SELECT b.id AS ballot_id, COALESCE(u.entitlement, 0) AS weight
+    FROM ballots b
+    JOIN voter_tokens vt ON b.voter_token_id = vt.id
+    LEFT JOIN units u ON lower(trim(u.unit_number)) = lower(trim(vt.unit_number))
+    WHERE b.motion_id = ?
+  `),
+
+  getEntitlementTotalsByMotion: db.prepare(`
+    SELECT
+      COALESCE(SUM(COALESCE(u.entitlement, 0)), 0) AS eligible,
+      COALESCE(SUM(CASE WHEN vt.status = 'Used' THEN COALESCE(u.entitlement, 0) ELSE 0 END), 0) AS voted
+    FROM voter_tokens vt
+    LEFT JOIN units u ON lower(trim(u.unit_number)) = lower(trim(vt.unit_number))
+    WHERE vt.motion_id = ?
+      AND vt.status != 'Revoked'
+  `)
+}));
+
+// Prepared statements for secret ballots. The tally queries mirror the
+// ballotQueries ones of the same name so getMotionStats can use either set.
+// Secret ballots are never entitlement-weighted, so there are no weighted ones.
+const secretBallotQueries = tenantStatements(() => ({
+  create: db.prepare('INSERT INTO secret_ballots (id, motion_id, choice) VALUES (?, ?, ?)'),
+
+  createChoice: db.prepare(`
+    INSERT INTO secret_ballot_choices (secret_ballot_id, motion_id, choice, rank)
+    VALUES (?, ?, ?, ?)
+  `),
+
+  countByMotion: db.prepare('SELECT COUNT(*) as count FROM secret_ballots WHERE motion_id = ?'),
+
+  getResultsByMotion: db.prepare(`
+    SELECT choice, COUNT(*) as count
+    FROM secret_ballots
+    WHERE motion_id = ?
+    GROUP BY choice
+    ORDER BY count DESC
+  `),
+
+  getChoicesByMotion: db.prepare(`
+    SELECT secret_ballot_id AS ballot_id, choice, rank
+    FROM secret_ballot_choices
+    WHERE motion_id = ?
+    ORDER BY secret_ballot_id ASC, rank ASC
+  `),
+
+  getChoiceCountsByMotion: db.prepare(`
+    SELECT choice, COUNT(*) as count
+    FROM secret_ballot_choices
+    WHERE motion_id = ?
+    GROUP BY choice
+  `),
+
+  deleteByMotion: db.prepare('DELETE FROM secret_ballots WHERE motion_id = ?'),
+  deleteChoicesByMotion: db.prepare('DELETE FROM secret_ballot_choices WHERE motion_id = ?')
+}));
+
+// Prepared statements for tie-breaks
+const tieBreakQueries = tenantStatements(() => ({
+  create: db.prepare(`
+    INSERT INTO tie_breaks (motion_id, policy, tied_json, status, choice, outcome, runoff_motion_id, created_at, resolved_at)
+    VALUES (@motion_id, @policy, @tied_json, @status, @choice, @outcome, @runoff_motion_id, @created_at, @resolved_at)
+  `),
+
+  getByMotion: db.prepare(`
+    SELECT tb.*, rm.motion_ref AS runoff_motion_ref
+    FROM tie_breaks tb
+    LEFT JOIN motions rm ON tb.runoff_motion_id = rm.id
+    WHERE tb.motion_id = ?
+  `),
+
+  // The tie that a run-off motion was created to break
+  getByRunoffMotion: db.prepare(`
+    SELECT tb.*, m.motion_ref, m.title
+    FROM tie_breaks tb
+    JOIN motions m ON tb.motion_id = m.id
+    WHERE tb.runoff_motion_id = ?
+  `),
+
+  recordCastingVote: db.prepare(`
+    UPDATE tie_breaks
+    SET status = 'Resolved', choice = ?, outcome = ?, chair_name = ?, notes = ?, resolved_at = ?
+    WHERE motion_id = ? AND status = 'Pending'
+  `),
+
+  deleteByMotion: db.prepare('DELETE FROM tie_breaks WHERE motion_id = ?'),
+  // A deleted run-off motion leaves the original tie recorded without its link
+  clearRunoffMotion: db.prepare('UPDATE tie_breaks SET runoff_motion_id = NULL WHERE runoff_motion_id = ?')
+}));
+
+// Prepared statements for the unit entitlement registry
+const unitQueries = tenantStatements(() => ({
+  upsert: db.prepare(`
+    INSERT INTO units (unit_number, entitlement, created_at, updated_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT(lower(trim(unit_number))) DO UPDATE SET
+      entitlement = excluded.entitlement,
+      updated_at = excluded.updated_at
+  `),
+  getAll: db.prepare('SELECT * FROM units ORDER BY unit_number COLLATE NOCASE ASC'),
+  getById: db.prepare('SELECT * FROM units WHERE id = ?'),
+  findByNumber: db.prepare('SELECT * FROM units WHERE lower(trim(unit_number)) = lower(trim(?))'),
+  delete: db.prepare('DELETE FROM units WHERE id = ?'),
+  getTotalEntitlement: db.prepare('SELECT COALESCE(SUM(entitlement), 0) AS total, COUNT(*) AS count FROM units'),
+
+  // Voter tokens on a motion already holding this unit (one vote per strata lot)
+  countActiveTokensForUnit: db.prepare(`
+    SELECT COUNT(*) AS count FROM voter_tokens
+    WHERE motion_id = ?
+      AND status != 'Revoked'
+      AND lower(trim(unit_number)) = lower(trim(?))
+  `)
+}));
+
+// Prepared statements for proxy holders and the proxies granted to them
+const proxyQueries = tenantStatements(() => ({
+  createHolder: db.prepare(`
+    INSERT INTO proxy_holders (token_hash, motion_id, group_id, holder_name, holder_email, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  getHolderById: db.prepare('SELECT * FROM proxy_holders WHERE id = ?'),
+  updateHolderTokenHash: db.prepare('UPDATE proxy_holders SET token_hash = ? WHERE id = ?'),
+
+  // A holder is reused within a motion or ballot by email, or by name when no email is given
+  findHolder: db.prepare(`
+    SELECT * FROM proxy_holders
+    WHERE (motion_id = @motion_id OR group_id = @group_id)
+      AND CASE
+        WHEN @holder_email IS NOT NULL THEN lower(holder_email) = lower(@holder_email)
+        ELSE holder_email IS NULL AND lower(trim(holder_name)) = lower(trim(@holder_name))
+      END
+  `),
+
+  create: db.prepare(`
+    INSERT INTO proxies (holder_id, grantor_token_id, grantor_group_token_id, instructions, status, created_at)
+    VALUES (?, ?, ?, ?, 'Active', ?)
+  `),
+  getById: db.prepare('SELECT * FROM proxies WHERE id = ?'),
+  revoke: db.prepare("UPDATE proxies SET status = 'Revoked', revoked_at = ? WHERE id = ? AND status = 'Active'"),
+  getActiveByHolder: db.prepare("SELECT * FROM proxies WHERE holder_id = ? AND status = 'Active' ORDER BY id ASC"),
+  getActiveForToken: db.prepare("SELECT * FROM proxies WHERE grantor_token_id = ? AND status = 'Active'"),
+  getActiveForGroupToken: db.prepare("SELECT * FROM proxies WHERE grantor_group_token_id = ? AND status = 'Active'"),
+
+  // Admin listings: every proxy with its grantor and holder
+  getByMotion: db.prepare(`
+    SELECT p.*, ph.holder_name, ph.holder_email,
+      vt.recipient_name AS grantor_name, vt.unit_number AS grantor_unit, vt.status AS grantor_status
+    FROM proxies p
+    JOIN proxy_holders ph ON p.holder_id = ph.id
+    JOIN voter_tokens vt ON p.grantor_token_id = vt.id
+    WHERE ph.motion_id = ?
+    ORDER BY p.status ASC, lower(ph.holder_name), p.id
+  `),
+  getByGroup: db.prepare(`
+    SELECT p.*, ph.holder_name, ph.holder_email,
+      bgt.recipient_name AS grantor_name, bgt.unit_number AS grantor_unit, bgt.status AS grantor_status
+    FROM proxies p
+    JOIN proxy_holders ph ON p.holder_id = ph.id
+    JOIN ballot_group_tokens bgt ON p.grantor_group_token_id = bgt.id
+    WHERE ph.group_id = ?
+    ORDER BY p.status ASC, lower(ph.holder_name), p.id
+  `)
+}));
 
 // Prepared statements for council members
-const councilQueries = {
+const councilQueries = tenantStatements(() => ({
   create: db.prepare(`
     INSERT INTO council_members (name, email, unit_number, whatsapp, created_at, updated_at)
     VALUES (?, ?, ?, ?, ?, ?)
@@ -653,31 +1727,191 @@ const councilQueries = {
   `),
   delete: db.prepare('DELETE FROM council_members WHERE id = ?'),
   findByEmail: db.prepare('SELECT * FROM council_members WHERE email = ?')
-};
+}));
 
-// Prepared statements for admin settings
-const adminQueries = {
-  getPassword: db.prepare('SELECT password_hash FROM admin_settings WHERE id = 1'),
-  
+// Prepared statements for admin user accounts
+const adminUserQueries = tenantStatements(() => ({
+  create: db.prepare(`
+    INSERT INTO admin_users (username, display_name, password_hash, role, created_at, updated_at, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  getAll: db.prepare('SELECT * FROM admin_users ORDER BY username COLLATE NOCASE ASC'),
+  getById: db.prepare('SELECT * FROM admin_users WHERE id = ?'),
+  getByUsername: db.prepare('SELECT * FROM admin_users WHERE username = ?'),
+  update: db.prepare(`
+    UPDATE admin_users
+    SET display_name = ?, role = ?, disabled = ?, updated_at = ?, updated_by = ?
+    WHERE id = ?
+  `),
   updatePassword: db.prepare(`
-    UPDATE admin_settings 
+    UPDATE admin_users
     SET password_hash = ?, updated_at = ?, updated_by = ?
-    WHERE id = 1
+    WHERE id = ?
+  `),
+  recordLogin: db.prepare('UPDATE admin_users SET last_login_at = ? WHERE id = ?'),
+  countActiveOwners: db.prepare(`
+    SELECT COUNT(*) AS count FROM admin_users WHERE role = 'owner' AND disabled = 0
+  `),
+  enableTotp: db.prepare(`
+    UPDATE admin_users
+    SET totp_secret_sealed = ?, totp_enabled_at = ?, totp_last_step = ?, updated_at = ?, updated_by = ?
+    WHERE id = ?
+  `),
+  disableTotp: db.prepare(`
+    UPDATE admin_users
+    SET totp_secret_sealed = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = ?, updated_by = ?
+    WHERE id = ?
+  `),
+  // Only moves forward, so two requests racing with the same code cannot both succeed
+  advanceTotpStep: db.prepare(`
+    UPDATE admin_users SET totp_last_step = ?
+    WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+  `),
+  countWithoutTotp: db.prepare(`
+    SELECT COUNT(*) AS count FROM admin_users WHERE disabled = 0 AND totp_enabled_at IS NULL
   `)
-};
+}));
+
+// Prepared statements for the audit log. Empty filters match everything.
+const auditQueries = tenantStatements(() => ({
+  insert: db.prepare(`
+    INSERT INTO audit_events (
+      id, created_at, actor, action, target_type, target_id, motion_id,
+      before_json, after_json, ip_hash, prev_hash, hash
+    ) VALUES (
+      @id, @created_at, @actor, @action, @target_type, @target_id, @motion_id,
+      @before_json, @after_json, @ip_hash, @prev_hash, @hash
+    )
+  `),
+  getLast: db.prepare('SELECT id, hash FROM audit_events ORDER BY id DESC LIMIT 1'),
+  // AUTOINCREMENT never reuses ids, so the sequence also reveals deleted rows at the end
+  getSequence: db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'audit_events'"),
+  getAllInOrder: db.prepare('SELECT * FROM audit_events ORDER BY id ASC'),
+  search: db.prepare(`
+    SELECT * FROM audit_events
+    WHERE (@actor = '' OR actor = @actor COLLATE NOCASE)
+      AND (@action = '' OR action LIKE @action || '%')
+      AND (@motion_id = '' OR motion_id = @motion_id)
+      AND (@from = '' OR created_at >= @from)
+      AND (@to = '' OR created_at < @to)
+    ORDER BY id DESC
+    LIMIT @limit OFFSET @offset
+  `),
+  count: db.prepare(`
+    SELECT COUNT(*) AS count FROM audit_events
+    WHERE (@actor = '' OR actor = @actor COLLATE NOCASE)
+      AND (@action = '' OR action LIKE @action || '%')
+      AND (@motion_id = '' OR motion_id = @motion_id)
+      AND (@from = '' OR created_at >= @from)
+      AND (@to = '' OR created_at < @to)
+  `),
+  getActors: db.prepare('SELECT DISTINCT actor FROM audit_events ORDER BY actor COLLATE NOCASE'),
+  getActions: db.prepare('SELECT DISTINCT action FROM audit_events ORDER BY action')
+}));
 
-const appSettingsQueries = {
+// Prepared statements for API keys
+const apiKeyQueries = tenantStatements(() => ({
+  create: db.prepare(`
+    INSERT INTO api_keys (name, key_prefix, key_hash, role, created_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  getAll: db.prepare('SELECT id, name, key_prefix, role, created_at, created_by, last_used_at, revoked_at, revoked_by FROM api_keys ORDER BY revoked_at IS NOT NULL, created_at DESC'),
+  getById: db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+  getActiveByHash: db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL'),
+  recordUse: db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+  revoke: db.prepare('UPDATE api_keys SET revoked_at = ?, revoked_by = ? WHERE id = ? AND revoked_at IS NULL')
+}));
+
+const emailTemplateQueries = tenantStatements(() => ({
+  get: db.prepare('SELECT * FROM email_templates WHERE kind = ?'),
+  getAll: db.prepare('SELECT * FROM email_templates'),
+  upsert: db.prepare(`
+    INSERT INTO email_templates (kind, subject, body_html, updated_at, updated_by)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(kind) DO UPDATE SET
+      subject = excluded.subject,
+      body_html = excluded.body_html,
+      updated_at = excluded.updated_at,
+      updated_by = excluded.updated_by
+  `),
+  delete: db.prepare('DELETE FROM email_templates WHERE kind = ?')
+}));
+
+// Prepared statements for webhook endpoints and their delivery outbox
+const webhookQueries = tenantStatements(() => ({
+  createEndpoint: db.prepare(`
+    INSERT INTO webhook_endpoints (url, description, events, secret_sealed, enabled, created_at, created_by, updated_at)
+    VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+  `),
+  getEndpoints: db.prepare('SELECT * FROM webhook_endpoints ORDER BY created_at ASC'),
+  getEndpointById: db.prepare('SELECT * FROM webhook_endpoints WHERE id = ?'),
+  getEnabledEndpoints: db.prepare('SELECT * FROM webhook_endpoints WHERE enabled = 1'),
+  setEndpointEnabled: db.prepare('UPDATE webhook_endpoints SET enabled = ?, updated_at = ? WHERE id = ?'),
+  deleteDeliveriesByEndpoint: db.prepare('DELETE FROM webhook_deliveries WHERE endpoint_id = ?'),
+  deleteEndpoint: db.prepare('DELETE FROM webhook_endpoints WHERE id = ?'),
+
+  insertDelivery: db.prepare(`
+    INSERT INTO webhook_deliveries (id, endpoint_id, event, event_id, payload_json, status, attempts, next_attempt_at, created_at, replay_of)
+    VALUES (?, ?, ?, ?, ?, 'PENDING', 0, NULL, ?, ?)
+  `),
+  getPendingDeliveries: db.prepare(`
+    SELECT d.*, e.url, e.secret_sealed
+    FROM webhook_deliveries d
+    JOIN webhook_endpoints e ON e.id = d.endpoint_id
+    WHERE d.status IN ('PENDING', 'FAILED')
+      AND e.enabled = 1
+      AND (d.next_attempt_at IS NULL OR d.next_attempt_at <= ?)
+    ORDER BY d.created_at ASC
+    LIMIT ?
+  `),
+  getDeliveryById: db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?'),
+  getRecentDeliveries: db.prepare(`
+    SELECT d.*, e.url
+    FROM webhook_deliveries d
+    JOIN webhook_endpoints e ON e.id = d.endpoint_id
+    ORDER BY d.created_at DESC
+    LIMIT ?
+  `),
+  markDeliverySent: db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = 'SENT', attempts = ?, delivered_at = ?, response_status = ?, last_error = NULL, next_attempt_at = NULL
+    WHERE id = ?
+  `),
+  markDeliveryFailed: db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, last_error = ?
+    WHERE id = ?
+  `)
+}));
+
+// Prepared statements for admin two-factor recovery codes
+const recoveryCodeQueries = tenantStatements(() => ({
+  create: db.prepare(`
+    INSERT INTO admin_recovery_codes (admin_user_id, code_hash, created_at) VALUES (?, ?, ?)
+  `),
+  deleteByUser: db.prepare('DELETE FROM admin_recovery_codes WHERE admin_user_id = ?'),
+  use: db.prepare(`
+    UPDATE admin_recovery_codes SET used_at = ?
+    WHERE admin_user_id = ? AND code_hash = ? AND used_at IS NULL
+  `),
+  countUnused: db.prepare(`
+    SELECT COUNT(*) AS count FROM admin_recovery_codes WHERE admin_user_id = ? AND used_at IS NULL
+  `)
+}));
+
+const appSettingsQueries = tenantStatements(() => ({
   get: db.prepare('SELECT value FROM app_settings WHERE key = ?'),
   upsert: db.prepare(`
-    INSERT INTO app_settings (key, value, updated_at)
-    VALUES (?, ?, ?)
+    INSERT INTO app_settings (key, value, updated_at, updated_by)
+    VALUES (?, ?, ?, ?)
     ON CONFLICT(key) DO UPDATE SET
       value = excluded.value,
-      updated_at = excluded.updated_at
+      updated_at = excluded.updated_at,
+      updated_by = excluded.updated_by
   `)
-};
+}));
 
-const motionNotificationQueries = {
+const motionNotificationQueries = tenantStatements(() => ({
   ensurePending: db.prepare(`
     INSERT INTO motion_notifications (
       id, motion_id, type, status, attempts, next_attempt_at, created_at
@@ -705,26 +1939,28 @@ const motionNotificationQueries = {
     SET status = 'FAILED', attempts = ?, next_attempt_at = ?, last_error = ?
     WHERE id = ?
   `)
-};
+}));
 
-const tokenEmailOutboxQueries = {
+const tokenEmailOutboxQueries = tenantStatements(() => ({
   insert: db.prepare(`
-    INSERT INTO token_email_outbox (id, token_id, status, attempts, next_attempt_at, created_at)
-    VALUES (?, ?, 'PENDING', 0, NULL, ?)
+    INSERT INTO token_email_outbox (id, token_id, group_token_id, status, attempts, next_attempt_at, created_at, held, sealed_token, sealed_code)
+    VALUES (?, ?, ?, 'PENDING', 0, NULL, ?, ?, ?, ?)
   `),
 
   getPending: db.prepare(`
     SELECT *
     FROM token_email_outbox
     WHERE status IN ('PENDING', 'FAILED')
+      AND held = 0
       AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
     ORDER BY created_at ASC
     LIMIT ?
   `),
 
+  // The sealed token and code are dropped as soon as the email no longer needs them
   markSent: db.prepare(`
     UPDATE token_email_outbox
-    SET status = 'SENT', sent_at = ?, last_error = NULL
+    SET status = 'SENT', sent_at = ?, last_error = NULL, sealed_token = NULL, sealed_code = NULL
     WHERE id = ?
   `),
 
@@ -732,23 +1968,224 @@ const tokenEmailOutboxQueries = {
     UPDATE token_email_outbox
     SET status = 'FAILED', attempts = ?, next_attempt_at = ?, last_error = ?
     WHERE id = ?
+  `),
+
+  // Closed without sending, e.g. the sealed link can no longer be opened
+  markSkipped: db.prepare(`
+    UPDATE token_email_outbox
+    SET status = 'SENT', last_error = ?, sealed_token = NULL, sealed_code = NULL
+    WHERE id = ?
+  `),
+
+  // Held emails for a motion's own links and for the ballot it belongs to
+  releaseByMotion: db.prepare(`
+    UPDATE token_email_outbox
+    SET held = 0
+    WHERE held = 1
+      AND (
+        token_id IN (SELECT id FROM voter_tokens WHERE motion_id = @motion_id)
+        OR group_token_id IN (
+          SELECT id FROM ballot_group_tokens
+          WHERE group_id = (SELECT group_id FROM motions WHERE id = @motion_id)
+        )
+      )
+  `),
+
+  // Unsent emails carrying a link that has just been replaced
+  deleteUnsentByToken: db.prepare("DELETE FROM token_email_outbox WHERE token_id = ? AND status != 'SENT'"),
+  deleteUnsentByGroupToken: db.prepare("DELETE FROM token_email_outbox WHERE group_token_id = ? AND status != 'SENT'"),
+
+  countHeldByMotion: db.prepare(`
+    SELECT COUNT(*) AS count
+    FROM token_email_outbox
+    WHERE held = 1 AND token_id IN (SELECT id FROM voter_tokens WHERE motion_id = ?)
+  `),
+
+  deleteByMotion: db.prepare(`
+    DELETE FROM token_email_outbox
+    WHERE token_id IN (SELECT id FROM voter_tokens WHERE motion_id = ?)
   `)
-};
+}));
+
+// Prepared statements for voting reminders
+const reminderQueries = tenantStatements(() => ({
+  getOpenMotionsWithSchedule: db.prepare(`
+    SELECT * FROM motions WHERE status = 'Open' AND reminder_hours IS NOT NULL
+  `),
+
+  // Links that can still vote and had been issued by the reminder mark
+  getRemindableTokens: db.prepare(`
+    SELECT id, group_token_id
+    FROM voter_tokens
+    WHERE motion_id = ?
+      AND status = 'Active'
+      AND recipient_email IS NOT NULL AND recipient_email != ''
+      AND created_at <= ?
+  `),
 
-// Transaction wrapper for vote submission
-function submitVote(motionId, tokenId, choice, userAgent, ipHash) {
+  // Ignored when the token, or the ballot link it belongs to, already has this reminder
+  enqueue: db.prepare(`
+    INSERT OR IGNORE INTO token_reminders (
+      id, motion_id, token_id, group_token_id, hours_before, status, attempts, next_attempt_at, created_at
+    ) VALUES (?, ?, ?, ?, ?, 'PENDING', 0, NULL, ?)
+  `),
+
+  getPending: db.prepare(`
+    SELECT *
+    FROM token_reminders
+    WHERE status IN ('PENDING', 'FAILED')
+      AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+    ORDER BY created_at ASC
+    LIMIT ?
+  `),
+
+  markSent: db.prepare(`
+    UPDATE token_reminders
+    SET status = 'SENT', sent_at = ?, last_error = NULL
+    WHERE id = ?
+  `),
+
+  markFailed: db.prepare(`
+    UPDATE token_reminders
+    SET status = 'FAILED', attempts = ?, next_attempt_at = ?, last_error = ?
+    WHERE id = ?
+  `),
+
+  markCancelled: db.prepare(`
+    UPDATE token_reminders
+    SET status = 'CANCELLED', last_error = ?
+    WHERE id = ?
+  `),
+
+  // History for a motion's tokens page, including ballot reminders queued by
+  // another question on the same ballot
+  getByMotion: db.prepare(`
+    SELECT tr.*, vt.recipient_name, vt.recipient_email, vt.unit_number
+    FROM token_reminders tr
+    JOIN voter_tokens vt ON vt.id = tr.token_id
+    WHERE tr.motion_id = @motion_id
+      OR tr.group_token_id IN (
+        SELECT group_token_id FROM voter_tokens
+        WHERE motion_id = @motion_id AND group_token_id IS NOT NULL
+      )
+    ORDER BY tr.created_at DESC, vt.recipient_name ASC
+  `),
+
+  deleteByMotion: db.prepare('DELETE FROM token_reminders WHERE motion_id = ?')
+}));
+
+// Prepared statements for ballot groups
+const ballotGroupQueries = tenantStatements(() => ({
+  create: db.prepare(`
+    INSERT INTO ballot_groups (id, title, description, created_at)
+    VALUES (?, ?, ?, ?)
+  `),
+
+  getById: db.prepare('SELECT * FROM ballot_groups WHERE id = ?'),
+
+  getAll: db.prepare(`
+    SELECT bg.*,
+      (SELECT COUNT(*) FROM motions m WHERE m.group_id = bg.id) AS motion_count,
+      (SELECT COUNT(*) FROM ballot_group_tokens t WHERE t.group_id = bg.id AND t.status != 'Revoked') AS voter_count
+    FROM ballot_groups bg
+    ORDER BY bg.created_at DESC
+  `),
+
+  update: db.prepare('UPDATE ballot_groups SET title = ?, description = ? WHERE id = ?'),
+
+  delete: db.prepare('DELETE FROM ballot_groups WHERE id = ?'),
+
+  createToken: db.prepare(`
+    INSERT INTO ballot_group_tokens (group_id, token_hash, recipient_name, recipient_email, unit_number, status, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, 'Active', ?, ?)
+  `),
+
+  getTokenByTokenHash: db.prepare('SELECT * FROM ballot_group_tokens WHERE token_hash = ?'),
+
+  updateTokenHash: db.prepare('UPDATE ballot_group_tokens SET token_hash = ? WHERE id = ?'),
+
+  getTokenById: db.prepare('SELECT * FROM ballot_group_tokens WHERE id = ?'),
+
+  getTokensByGroup: db.prepare('SELECT * FROM ballot_group_tokens WHERE group_id = ? ORDER BY created_at DESC'),
+
+  getActiveTokensByGroup: db.prepare(`
+    SELECT * FROM ballot_group_tokens WHERE group_id = ? AND status != 'Revoked'
+  `),
+
+  getActiveTokenByGroupEmail: db.prepare(`
+    SELECT *
+    FROM ballot_group_tokens
+    WHERE group_id = ?
+      AND recipient_email IS NOT NULL
+      AND lower(recipient_email) = lower(?)
+      AND status != 'Revoked'
+    LIMIT 1
+  `),
+
+  updateTokenStatus: db.prepare('UPDATE ballot_group_tokens SET status = ?, used_at = ? WHERE id = ?'),
+
+  updateTokenEmailStatus: db.prepare(`
+    UPDATE ballot_group_tokens
+    SET email_sent = ?, email_sent_at = ?, email_error = ?
+    WHERE id = ?
+  `),
+
+  revokeLinkedTokens: db.prepare(`
+    UPDATE voter_tokens SET status = 'Revoked'
+    WHERE group_token_id = ? AND status = 'Active'
+  `)
+}));
+
+// Transaction wrapper for vote submission.
+// Multi-option ballots pass either `ranking` (ranked motions: options, most preferred
+// first) or `selections` (approval motions). The ballot's `choice` then holds a
+// readable summary and the individual options go to ballot_choices.
+function submitVote(motionId, tokenId, choice, userAgent, ipHash, { ranking = null, selections = null, proxyId = null } = {}) {
   try {
     const transaction = db.transaction(() => {
       const now = new Date().toISOString();
+      const motion = motionQueries.getById.get(motionId);
 
-      // Verify token hasn't been used (race condition protection)
+      // Verify token hasn't been used (race condition protection). A used
+      // token may replace its ballot while a revisable motion is still open.
       const token = tokenQueries.getById.get(tokenId);
-      if (!token || token.status !== 'Active') {
+      const existing = token && token.status === 'Used' ? ballotQueries.getByToken.get(tokenId) : null;
+      const revising = !!existing && isRevisable(motion);
+      if (!token || (token.status !== 'Active' && !revising)) {
         throw new Error('Token is not active');
       }
 
-      ballotQueries.create.run(motionId, tokenId, choice, now, userAgent, ipHash);
-      tokenQueries.markUsed.run('Used', now, tokenId);
+      let ballotChoice = choice;
+      if (ranking) ballotChoice = formatRanking(ranking);
+      else if (selections) ballotChoice = selections.join(', ');
+
+      if (isSecret(motion)) {
+        recordSecretBallot(motion, ballotChoice, { ranking, selections });
+        tokenQueries.markUsed.run('Used', now, tokenId);
+        return { revised: false };
+      }
+
+      let ballotId;
+      if (revising) {
+        ballotQueries.archiveRevision.run(now, existing.id);
+        ballotQueries.deleteChoices.run(existing.id);
+        ballotQueries.revise.run(ballotChoice, now, userAgent, ipHash, proxyId, existing.id);
+        ballotId = existing.id;
+      } else {
+        ballotId = ballotQueries.create.run(motionId, tokenId, ballotChoice, now, userAgent, ipHash, proxyId).lastInsertRowid;
+      }
+
+      if (ranking) {
+        ranking.forEach((option, index) => {
+          ballotQueries.createChoice.run(ballotId, motionId, option, index + 1);
+        });
+      } else if (selections) {
+        selections.forEach(option => {
+          ballotQueries.createChoice.run(ballotId, motionId, option, null);
+        });
+      }
+      if (!revising) tokenQueries.markUsed.run('Used', now, tokenId);
+      return { revised: revising };
     });
 
     return transaction();
@@ -758,6 +2195,107 @@ function submitVote(motionId, tokenId, choice, userAgent, ipHash) {
   }
 }
 
+// Store a secret ballot's choice without anything that identifies the voter,
+// including the unit's entitlement (secret ballots are never weighted)
+function recordSecretBallot(motion, choice, { ranking = null, selections = null } = {}) {
+  const ballotId = generateUUID();
+  secretBallotQueries.create.run(ballotId, motion.id, choice);
+
+  if (ranking) {
+    ranking.forEach((option, index) => {
+      secretBallotQueries.createChoice.run(ballotId, motion.id, option, index + 1);
+    });
+  } else if (selections) {
+    selections.forEach(option => {
+      secretBallotQueries.createChoice.run(ballotId, motion.id, option, null);
+    });
+  }
+}
+
+// Submit every answer on a ballot group in one transaction. `votes` is a list
+// of { motionId, tokenId, choice, ranking, selections } built from the voter's
+// group token. The group token is marked Used once none of its linked motion
+// tokens are left active (motions that open later keep it usable). Returns
+// submitVote's { revised } for each vote, in order.
+function submitBallotGroup(groupTokenId, votes, userAgent, ipHash) {
+  const transaction = db.transaction(() => {
+    const results = votes.map(vote => submitVote(vote.motionId, vote.tokenId, vote.choice, userAgent, ipHash, {
+      ranking: vote.ranking,
+      selections: vote.selections
+    }));
+
+    markGroupTokenUsedIfComplete(groupTokenId);
+    return results;
+  });
+
+  return transaction();
+}
+
+function markGroupTokenUsedIfComplete(groupTokenId) {
+  const stillActive = tokenQueries.getByGroupToken.all(groupTokenId)
+    .some(token => token.status === 'Active');
+  if (!stillActive) {
+    ballotGroupQueries.updateTokenStatus.run('Used', new Date().toISOString(), groupTokenId);
+  }
+}
+
+// Submit every ballot on a proxy holder's page in one transaction. Each vote
+// also carries the proxyId it is cast under and, for ballot groups, the
+// grantor's groupTokenId, which is marked Used like on the grantor's own link.
+// Returns submitVote's { revised } for each vote, in order.
+function submitProxyBallots(votes, userAgent, ipHash) {
+  const transaction = db.transaction(() => {
+    const groupTokenIds = new Set();
+    const results = votes.map(vote => {
+      if (vote.groupTokenId) groupTokenIds.add(vote.groupTokenId);
+      return submitVote(vote.motionId, vote.tokenId, vote.choice, userAgent, ipHash, {
+        ranking: vote.ranking,
+        selections: vote.selections,
+        proxyId: vote.proxyId
+      });
+    });
+
+    for (const groupTokenId of groupTokenIds) {
+      markGroupTokenUsedIfComplete(groupTokenId);
+    }
+    return results;
+  });
+
+  return transaction();
+}
+
+// Entitlement-weighted motions give each registered unit exactly one vote.
+// Returns why a token for `unitNumber` cannot be issued on `motion`, or null.
+function checkUnitForMotion(motion, unitNumber) {
+  if (!isEntitlementWeighted(motion)) return null;
+  if (!unitNumber || !unitQueries.findByNumber.get(unitNumber)) return 'unregistered';
+  if (unitQueries.countActiveTokensForUnit.get(motion.id, unitNumber).count > 0) return 'duplicate';
+  return null;
+}
+
+// Issue a voter token on `motionId` for each active voter of its ballot group,
+// used when a motion joins a group that already has voters.
+function issueGroupTokensForMotion(groupId, motionId) {
+  const motion = motionQueries.getById.get(motionId);
+  let issued = 0;
+  for (const groupToken of ballotGroupQueries.getActiveTokensByGroup.all(groupId)) {
+    // Voters whose unit cannot vote on a weighted motion simply don't get this question
+    if (checkUnitForMotion(motion, groupToken.unit_number)) continue;
+    tokenQueries.createForGroupToken.run(
+      motionId,
+      hashToken(generateToken()),
+      groupToken.recipient_name,
+      groupToken.recipient_email,
+      groupToken.unit_number,
+      new Date().toISOString(),
+      groupToken.id,
+      groupToken.expires_at
+    );
+    issued++;
+  }
+  return issued;
+}
+
 // Get motion statistics
 function getMotionStats(motionId) {
   const tokenDistinctEmailCount = db.prepare(`
@@ -779,35 +2317,352 @@ function getMotionStats(motionId) {
 
   const eligibleCount = (tokenDistinctEmailCount?.count || 0) + (tokenNoEmailCount?.count || 0);
 
-  const ballotCount = ballotQueries.countByMotion.get(motionId);
-  const results = ballotQueries.getResultsByMotion.all(motionId);
+  const motion = motionQueries.getById.get(motionId);
+  // Secret ballots carry no entitlement, so they always count by headcount
+  const weighted = isEntitlementWeighted(motion) && !isSecret(motion);
+  // Secret ballots are tallied from their own table through the same query names
+  const ballotSource = isSecret(motion) ? secretBallotQueries : ballotQueries;
+  const ballotCount = ballotSource.countByMotion.get(motionId);
+
+  let results;
+  let runoff = null;
+  if (isRankedMotion(motion)) {
+    // Ranked ballots: results are first preferences, the full count is in `runoff`
+    const { rankings, weights } = getBallotRankings(motionId, weighted, ballotSource);
+    runoff = computeInstantRunoff(JSON.parse(motion.options_json), rankings, weighted ? weights : null);
+    results = runoff.rounds.length > 0
+      ? Object.entries(runoff.rounds[0].counts)
+        .map(([choice, count]) => ({ choice, count }))
+        .sort((a, b) => b.count - a.count)
+      : [];
+  } else if (isApprovalMotion(motion)) {
+    // Approval ballots: one count per option = number of ballots that selected it
+    results = buildApprovalResults(
+      JSON.parse(motion.options_json),
+      weighted
+        ? ballotSource.getWeightedChoiceCountsByMotion.all(motionId)
+        : ballotSource.getChoiceCountsByMotion.all(motionId)
+    );
+  } else {
+    results = weighted
+      ? ballotSource.getWeightedResultsByMotion.all(motionId)
+      : ballotSource.getResultsByMotion.all(motionId);
+  }
 
-  return {
+  // Voters, whatever the weighting; used for "everyone has voted". `proxy`
+  // counts the ballots among them cast by a proxy holder.
+  const headcount = {
     eligible: eligibleCount,
     voted: ballotCount.count,
     remaining: eligibleCount - ballotCount.count,
-    results
+    proxy: ballotQueries.countProxyByMotion.get(motionId).count
   };
+
+  if (!weighted) {
+    return { ...headcount, results, runoff, weighting: 'Headcount', headcount };
+  }
+
+  // Entitlement-weighted motions report eligible/voted/remaining as entitlement totals
+  const totals = ballotQueries.getEntitlementTotalsByMotion.get(motionId);
+  return {
+    eligible: roundWeight(totals.eligible),
+    voted: roundWeight(totals.voted),
+    remaining: roundWeight(totals.eligible - totals.voted),
+    results: results.map(row => ({ ...row, count: roundWeight(row.count) })),
+    runoff: runoff && {
+      ...runoff,
+      totalWeight: roundWeight(runoff.totalWeight),
+      rounds: runoff.rounds.map(round => ({
+        ...round,
+        counts: Object.fromEntries(Object.entries(round.counts).map(([option, count]) => [option, roundWeight(count)])),
+        exhausted: roundWeight(round.exhausted)
+      }))
+    },
+    weighting: 'Entitlement',
+    headcount
+  };
+}
+
+function isRevisable(motion) {
+  return !!motion && !!motion.revisable;
+}
+
+function isSecret(motion) {
+  return !!motion && !!motion.secret;
+}
+
+function isEntitlementWeighted(motion) {
+  return !!motion && motion.weighting === 'Entitlement';
+}
+
+// Entitlements may be fractional; keep sums free of floating-point noise
+function roundWeight(value) {
+  return Math.round(value * 1000) / 1000;
 }
 
-// Helper function to verify admin password
-function verifyAdminPassword(password) {
-  const admin = adminQueries.getPassword.get();
-  if (!admin) {
-    // Fallback to environment variable if no password in database
-    return password === process.env.ADMIN_PASSWORD;
+// Rankings per ballot (most preferred first), for instant-runoff counting,
+// with each ballot's entitlement when the motion is weighted. `source` is
+// ballotQueries or, for secret ballots, secretBallotQueries.
+function getBallotRankings(motionId, weighted = false, source = ballotQueries) {
+  const byBallot = new Map();
+  for (const row of source.getChoicesByMotion.all(motionId)) {
+    if (!byBallot.has(row.ballot_id)) byBallot.set(row.ballot_id, []);
+    byBallot.get(row.ballot_id).push(row.choice);
+  }
+
+  const ballotIds = Array.from(byBallot.keys());
+  let weights = ballotIds.map(() => 1);
+  if (weighted) {
+    const weightByBallot = new Map();
+    for (const row of source.getBallotWeightsByMotion.all(motionId)) {
+      weightByBallot.set(row.ballot_id, row.weight);
+    }
+    weights = ballotIds.map(id => weightByBallot.get(id) || 0);
   }
-  return verifyPassword(password, admin.password_hash);
+
+  return { rankings: Array.from(byBallot.values()), weights };
 }
 
-// Helper function to update admin password
-function updateAdminPassword(newPassword, updatedBy) {
-  const hashedPassword = hashPassword(newPassword);
-  return adminQueries.updatePassword.run(
-    hashedPassword,
+// Check a login. Returns the active admin user, or null. Unknown usernames
+// still pay for a password hash so they take as long as wrong passwords.
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function authenticateAdminUser(username, password) {
+  const user = adminUserQueries.getByUsername.get(String(username).trim());
+  if (!user) {
+    verifyPassword(password, DUMMY_PASSWORD_HASH);
+    return null;
+  }
+  if (!verifyPassword(password, user.password_hash) || user.disabled) return null;
+  return user;
+}
+
+function verifyAdminUserPassword(user, password) {
+  return verifyPassword(password, user.password_hash);
+}
+
+function createAdminUser({ username, displayName, password, role }, createdBy) {
+  const now = new Date().toISOString();
+  return adminUserQueries.create.run(
+    username.trim(),
+    displayName || null,
+    hashPassword(password),
+    role,
+    now,
+    now,
+    createdBy
+  );
+}
+
+function updateAdminUserPassword(userId, newPassword, updatedBy) {
+  return adminUserQueries.updatePassword.run(
+    hashPassword(newPassword),
     new Date().toISOString(),
-    updatedBy
+    updatedBy,
+    userId
+  );
+}
+
+// Create an API key. The key is returned once; only its hash is stored.
+function createApiKey({ name, role }, createdBy) {
+  const key = `s4v_${generateToken()}`;
+  const result = apiKeyQueries.create.run(
+    name.trim(),
+    key.slice(0, 12),
+    hashToken(`api:${key}`),
+    role,
+    new Date().toISOString(),
+    createdBy
+  );
+  return { id: result.lastInsertRowid, key };
+}
+
+// The active API key row for a presented key, or null
+function authenticateApiKey(key) {
+  if (typeof key !== 'string' || !key.startsWith('s4v_') || key.length > 100) return null;
+  const apiKey = apiKeyQueries.getActiveByHash.get(hashToken(`api:${key}`));
+  if (!apiKey) return null;
+  apiKeyQueries.recordUse.run(new Date().toISOString(), apiKey.id);
+  return apiKey;
+}
+
+function createWebhookEndpoint({ url, description, events, secret }, createdBy) {
+  const now = new Date().toISOString();
+  return webhookQueries.createEndpoint.run(url, description || null, events, sealToken(secret), now, createdBy, now);
+}
+
+function deleteWebhookEndpoint(endpointId) {
+  return db.transaction(() => {
+    webhookQueries.deleteDeliveriesByEndpoint.run(endpointId);
+    return webhookQueries.deleteEndpoint.run(endpointId);
+  })();
+}
+
+function webhookEndpointWants(endpoint, event) {
+  const events = String(endpoint.events || '*').split(',').map(name => name.trim());
+  return events.includes('*') || events.includes(event);
+}
+
+// Queue an event for every enabled endpoint that subscribes to it. `data` may
+// be a function, called only when some endpoint wants the event. Returns the
+// number of deliveries queued.
+function enqueueWebhookEvent(event, data) {
+  const endpoints = webhookQueries.getEnabledEndpoints.all().filter(endpoint => webhookEndpointWants(endpoint, event));
+  if (endpoints.length === 0) return 0;
+
+  const now = new Date().toISOString();
+  const eventId = generateUUID();
+  const payload = JSON.stringify({
+    id: eventId,
+    event,
+    created_at: now,
+    data: typeof data === 'function' ? data() : data
+  });
+
+  db.transaction(() => {
+    for (const endpoint of endpoints) {
+      webhookQueries.insertDelivery.run(generateUUID(), endpoint.id, event, eventId, payload, now, null);
+    }
+  })();
+  return endpoints.length;
+}
+
+// Queue a delivery again with the same payload, as a new log entry
+function replayWebhookDelivery(deliveryId) {
+  const delivery = webhookQueries.getDeliveryById.get(deliveryId);
+  if (!delivery || !webhookQueries.getEndpointById.get(delivery.endpoint_id)) return null;
+
+  const id = generateUUID();
+  webhookQueries.insertDelivery.run(
+    id, delivery.endpoint_id, delivery.event, delivery.event_id, delivery.payload_json, new Date().toISOString(), delivery.id
   );
+  return id;
+}
+
+function hashRecoveryCode(userId, code) {
+  return hashToken(`recovery:${userId}:${normalizeRecoveryCode(code)}`);
+}
+
+// Replace a user's recovery codes. Returns the new codes, which are shown once.
+function regenerateRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    recoveryCodeQueries.deleteByUser.run(userId);
+    for (const code of codes) {
+      recoveryCodeQueries.create.run(userId, hashRecoveryCode(userId, code), now);
+    }
+  })();
+  return codes;
+}
+
+// Turn on two-factor login once the user has confirmed a code from the new
+// secret (step is the step that code matched). Returns new recovery codes.
+function enableAdminUserTotp(userId, secret, step, updatedBy) {
+  return db.transaction(() => {
+    const now = new Date().toISOString();
+    adminUserQueries.enableTotp.run(sealToken(secret), now, step, now, updatedBy, userId);
+    return regenerateRecoveryCodes(userId);
+  })();
+}
+
+function disableAdminUserTotp(userId, updatedBy) {
+  db.transaction(() => {
+    adminUserQueries.disableTotp.run(new Date().toISOString(), updatedBy, userId);
+    recoveryCodeQueries.deleteByUser.run(userId);
+  })();
+}
+
+// Check the second login step: an authenticator code, or an unused recovery
+// code, which is then used up. Returns 'totp', 'recovery' or null.
+function verifyAdminUserSecondFactor(user, code) {
+  const secret = unsealToken(user.totp_secret_sealed);
+  if (secret) {
+    const step = verifyTotp(secret, code, { lastStep: user.totp_last_step });
+    if (step !== null && adminUserQueries.advanceTotpStep.run(step, user.id, step).changes === 1) {
+      return 'totp';
+    }
+  }
+
+  if (normalizeRecoveryCode(code).length === 10) {
+    const used = recoveryCodeQueries.use.run(new Date().toISOString(), user.id, hashRecoveryCode(user.id, code));
+    if (used.changes === 1) return 'recovery';
+  }
+
+  return null;
+}
+
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+function hashAuditRow(row) {
+  return hashAuditEntry(JSON.stringify([
+    row.prev_hash, row.id, row.created_at, row.actor, row.action, row.target_type,
+    row.target_id, row.motion_id, row.before_json, row.after_json, row.ip_hash
+  ]));
+}
+
+// Append an audit event. actor is an admin username, "voter", or "system";
+// before/after are plain objects (never ballot choices or secrets). Safe to
+// call inside another transaction: the event commits or rolls back with it.
+function recordAuditEvent({ actor, action, targetType = null, targetId = null, motionId = null, before = null, after = null, ipHash = null }) {
+  return db.transaction(() => {
+    const last = auditQueries.getLast.get();
+    const sequence = auditQueries.getSequence.get();
+    const row = {
+      id: (sequence ? sequence.seq : 0) + 1,
+      created_at: new Date().toISOString(),
+      actor,
+      action,
+      target_type: targetType,
+      target_id: targetId === null || targetId === undefined ? null : String(targetId),
+      motion_id: motionId,
+      before_json: before ? JSON.stringify(before) : null,
+      after_json: after ? JSON.stringify(after) : null,
+      ip_hash: ipHash,
+      prev_hash: last ? last.hash : AUDIT_GENESIS_HASH
+    };
+    row.hash = hashAuditRow(row);
+    auditQueries.insert.run(row);
+    return row;
+  })();
+}
+
+// Recompute the hash chain. Returns { ok, checked, problems: [{ id, problem }], head }.
+// Rows deleted from the end are caught by the AUTOINCREMENT sequence; head
+// (the newest id and hash) can be noted elsewhere to catch even that being reset.
+function verifyAuditLog() {
+  const problems = [];
+  let prevHash = AUDIT_GENESIS_HASH;
+  let prevId = 0;
+  let checked = 0;
+
+  for (const row of auditQueries.getAllInOrder.iterate()) {
+    checked++;
+    if (row.id !== prevId + 1) {
+      const missing = row.id - prevId - 1;
+      problems.push({ id: row.id, problem: `${missing} row(s) before this one were deleted` });
+    }
+    if (row.prev_hash !== prevHash) {
+      problems.push({ id: row.id, problem: 'does not follow on from the previous row' });
+    }
+    if (hashAuditRow(row) !== row.hash) {
+      problems.push({ id: row.id, problem: 'row was edited after it was written' });
+    }
+    prevHash = row.hash;
+    prevId = row.id;
+  }
+
+  const sequence = auditQueries.getSequence.get();
+  if (sequence && sequence.seq > prevId) {
+    problems.push({ id: prevId + 1, problem: `the last ${sequence.seq - prevId} row(s) were deleted` });
+  }
+
+  return {
+    ok: problems.length === 0,
+    checked,
+    problems,
+    head: checked > 0 ? { id: prevId, hash: prevHash } : null
+  };
 }
 
 function getSetting(key) {
@@ -815,12 +2670,89 @@ function getSetting(key) {
   return row ? row.value : null;
 }
 
-function setSetting(key, value) {
-  return appSettingsQueries.upsert.run(key, value, new Date().toISOString());
+function setSetting(key, value, updatedBy = null) {
+  return appSettingsQueries.upsert.run(key, value, new Date().toISOString(), updatedBy);
+}
+
+// The admin's template for an email kind, or null to use the built-in email
+function getEmailTemplate(kind) {
+  return emailTemplateQueries.get.get(kind) || null;
+}
+
+function saveEmailTemplate(kind, { subject, body_html }, updatedBy = null) {
+  return emailTemplateQueries.upsert.run(kind, subject, body_html, new Date().toISOString(), updatedBy);
+}
+
+// Pass held = true to keep the email in the outbox until the motion opens
+// `token` is the raw voting token and `code` its voting code, if any; both are
+// sealed into the outbox row until the email is sent
+function enqueueTokenEmail(tokenId, token, { held = false, code = null } = {}) {
+  tokenEmailOutboxQueries.insert.run(
+    generateUUID(), tokenId, null, new Date().toISOString(), held ? 1 : 0, sealToken(token), code ? sealToken(code) : null
+  );
+}
+
+function enqueueGroupTokenEmail(groupTokenId, token, { held = false } = {}) {
+  tokenEmailOutboxQueries.insert.run(
+    generateUUID(), null, groupTokenId, new Date().toISOString(), held ? 1 : 0, sealToken(token), null
+  );
+}
+
+// A voting code not yet used on the motion. Returns { code, codeHash }.
+function generateVoterCode(motionId) {
+  for (;;) {
+    const code = generateCode();
+    const codeHash = hashCode(motionId, code);
+    if (!tokenQueries.getByCodeHash.get(motionId, codeHash)) return { code, codeHash };
+  }
+}
+
+// Replace a voting link with `token` (a new one by default). The old link stops
+// working and unsent emails carrying it are dropped. Returns the raw token.
+function rotateVoterToken(tokenId, token = generateToken()) {
+  db.transaction(() => {
+    tokenQueries.updateTokenHash.run(hashToken(token), tokenId);
+    tokenEmailOutboxQueries.deleteUnsentByToken.run(tokenId);
+  })();
+  return token;
+}
+
+// Replace a voting code; returns the new code
+function rotateVoterCode(tokenId) {
+  const token = tokenQueries.getById.get(tokenId);
+  const { code, codeHash } = generateVoterCode(token.motion_id);
+  tokenQueries.updateCodeHash.run(codeHash, tokenId);
+  return code;
+}
+
+function rotateGroupToken(groupTokenId, token = generateToken()) {
+  db.transaction(() => {
+    ballotGroupQueries.updateTokenHash.run(hashToken(token), groupTokenId);
+    tokenEmailOutboxQueries.deleteUnsentByGroupToken.run(groupTokenId);
+  })();
+  return token;
+}
+
+function rotateProxyHolderToken(holderId) {
+  const token = generateToken();
+  proxyQueries.updateHolderTokenHash.run(hashToken(token), holderId);
+  return token;
+}
+
+// Voting link emails wait for the motion to open when it asks for that and
+// has not opened yet
+function shouldHoldLinkEmails(motion) {
+  return !!motion.send_links_on_open && (motion.status === 'Draft' || motion.status === 'Scheduled');
+}
+
+// A ballot's single email waits only if every question on it is held
+function shouldHoldGroupLinkEmails(groupId) {
+  const motions = motionQueries.getByGroup.all(groupId);
+  return motions.length > 0 && motions.every(shouldHoldLinkEmails);
 }
 
-function enqueueTokenEmail(tokenId) {
-  tokenEmailOutboxQueries.insert.run(generateUUID(), tokenId, new Date().toISOString());
+function releaseHeldTokenEmails(motionId) {
+  return tokenEmailOutboxQueries.releaseByMotion.run({ motion_id: motionId }).changes;
 }
 
 function getPendingTokenEmails(nowIso, limit) {
@@ -835,6 +2767,10 @@ function markTokenEmailFailed(outboxId, attempts, nextAttemptAtIso, lastError) {
   return tokenEmailOutboxQueries.markFailed.run(attempts, nextAttemptAtIso, lastError, outboxId);
 }
 
+function markTokenEmailSkipped(outboxId, reason) {
+  return tokenEmailOutboxQueries.markSkipped.run(reason, outboxId);
+}
+
 function ensureResultsEmailNotification(motionId) {
   const result = motionNotificationQueries.ensurePending.run(generateUUID(), motionId, new Date().toISOString());
   return result && typeof result.changes === 'number' ? result.changes : 0;
@@ -861,33 +2797,159 @@ function recordProcessedEmail(messageId, motionId) {
     .run(messageId, motionId, new Date().toISOString());
 }
 
+// A building's database connection, opened and migrated on first use
+function tenantConnection(tenant) {
+  if (tenant.is_default) return defaultConnection;
+
+  let connection = tenantConnections.get(tenant.id);
+  if (!connection) {
+    fs.mkdirSync(tenantsDir, { recursive: true });
+    connection = openConnection(path.join(tenantsDir, tenant.db_file));
+    tenantContext.run({ tenant, connection }, () => initDatabase({ seedAdmin: false }));
+    tenantConnections.set(tenant.id, connection);
+  }
+  return connection;
+}
+
+// Run `fn` against a building's database, including anything it awaits, and
+// return its result
+function runWithTenant(tenant, fn) {
+  return tenantContext.run({ tenant, connection: tenantConnection(tenant) }, fn);
+}
+
+function getCurrentTenant() {
+  const scope = tenantContext.getStore();
+  return scope ? scope.tenant : DEFAULT_TENANT;
+}
+
+// Every building, the default one first
+function listTenants() {
+  return [DEFAULT_TENANT, ...tenantQueries.getAll.all()];
+}
+
+function findTenantById(id) {
+  if (id === DEFAULT_TENANT.id) return DEFAULT_TENANT;
+  return id ? tenantQueries.getById.get(id) || null : null;
+}
+
+function findTenantBySlug(slug) {
+  if (slug === DEFAULT_TENANT.slug) return DEFAULT_TENANT;
+  return slug ? tenantQueries.getBySlug.get(slug) || null : null;
+}
+
+function findTenantByHostname(hostname) {
+  return hostname ? tenantQueries.getByHostname.get(hostname) || null : null;
+}
+
+// Add a building with its own database, corporation name and first owner
+function createTenant({ slug, hostname, name, ownerUsername, ownerPassword }, createdBy) {
+  const dbFile = `${slug}.sqlite`;
+  if (fs.existsSync(path.join(tenantsDir, dbFile))) {
+    throw new Error(`A database file for "${slug}" already exists in ${tenantsDir}`);
+  }
+
+  const tenant = {
+    id: generateUUID(),
+    slug,
+    hostname: hostname || null,
+    db_file: dbFile,
+    created_at: new Date().toISOString(),
+    created_by: createdBy
+  };
+  tenantQueries.create.run(tenant);
+
+  runWithTenant(tenant, () => {
+    setSetting('branding_name', name, createdBy);
+    createAdminUser({ username: ownerUsername, displayName: null, password: ownerPassword, role: 'owner' }, createdBy);
+  });
+  return tenant;
+}
+
+function updateTenantHostname(tenantId, hostname) {
+  return tenantQueries.updateHostname.run(hostname || null, tenantId);
+}
+
 module.exports = {
   db,
+  DEFAULT_TENANT,
+  runWithTenant,
+  getCurrentTenant,
+  listTenants,
+  findTenantById,
+  findTenantBySlug,
+  findTenantByHostname,
+  createTenant,
+  updateTenantHostname,
   motionQueries,
   tokenQueries,
   ballotQueries,
   councilQueries,
-  adminQueries,
+  adminUserQueries,
+  recoveryCodeQueries,
+  auditQueries,
+  apiKeyQueries,
+  webhookQueries,
+  emailTemplateQueries,
   appSettingsQueries,
   motionNotificationQueries,
+  tokenEmailOutboxQueries,
+  reminderQueries,
+  ballotGroupQueries,
+  unitQueries,
+  proxyQueries,
+  secretBallotQueries,
+  tieBreakQueries,
   submitVote,
+  submitBallotGroup,
+  submitProxyBallots,
+  issueGroupTokensForMotion,
   getMotionStats,
+  isEntitlementWeighted,
+  isRevisable,
+  isSecret,
+  checkUnitForMotion,
   generateUUID,
   generateMotionRef,
   hashPassword,
   verifyPassword,
-  verifyAdminPassword,
-  updateAdminPassword,
+  authenticateAdminUser,
+  verifyAdminUserPassword,
+  enableAdminUserTotp,
+  disableAdminUserTotp,
+  regenerateRecoveryCodes,
+  verifyAdminUserSecondFactor,
+  recordAuditEvent,
+  verifyAuditLog,
+  createAdminUser,
+  updateAdminUserPassword,
+  createApiKey,
+  authenticateApiKey,
+  createWebhookEndpoint,
+  deleteWebhookEndpoint,
+  enqueueWebhookEvent,
+  replayWebhookDelivery,
   getSetting,
   setSetting,
+  getEmailTemplate,
+  saveEmailTemplate,
   ensureResultsEmailNotification,
   getPendingNotifications,
   markNotificationSent,
   markNotificationFailed,
   enqueueTokenEmail,
+  shouldHoldLinkEmails,
+  shouldHoldGroupLinkEmails,
+  releaseHeldTokenEmails,
+  enqueueGroupTokenEmail,
+  generateVoterCode,
+  rotateVoterToken,
+  rotateVoterCode,
+  rotateGroupToken,
+  rotateProxyHolderToken,
   getPendingTokenEmails,
   markTokenEmailSent,
   markTokenEmailFailed,
+  markTokenEmailSkipped,
   isEmailAlreadyProcessed,
   recordProcessedEmail
 };
@@ -1,5 +1,8 @@
 const nodemailer = require('nodemailer');
 const logger = require('./logger');
+const { getEmailTemplate } = require('./db');
+const { renderEmailTemplate, multilineValue, escapeHtml } = require('./emailTemplates');
+const { BRANDING_DEFAULTS, getBranding, describeStrataPlan, absoluteLogoUrl, brandingEmailValues } = require('./branding');
 
 // Check if email is configured
 function isEmailConfigured() {
@@ -28,7 +31,7 @@ async function sendGenericEmail({ to, subject, text, html }) {
     throw new Error('No recipients provided');
   }
 
-  const fromName = process.env.SMTP_FROM_NAME || 'Strata Council';
+  const fromName = process.env.SMTP_FROM_NAME || getBranding().name;
   const fromEmail = process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER;
   const from = process.env.SMTP_FROM || `"${fromName}" <${fromEmail}>`;
 
@@ -65,9 +68,41 @@ function getTransporter() {
   return transporter;
 }
 
+// Opening line of the voting email; reminders say how long is left
+function describeInvitation(reminder) {
+  if (!reminder) return 'You have been invited to vote on the following motion:';
+  const hours = Math.max(1, Math.round(reminder.hoursLeft));
+  return `You have not voted yet on the following motion. Voting closes in about ${hours} hour${hours !== 1 ? 's' : ''}.`;
+}
+
+// Reminders carry a new link, since only a hash of the original is stored
+function describeLinkUse(reminder) {
+  const once = 'This voting link can only be used once. Once you submit your vote, the link will be deactivated.';
+  return reminder ? `${once} It replaces the link in earlier emails and printed invitations, which no longer works.` : once;
+}
+
+// Code entry alternative to the link, e.g. for voters reading the email on
+// another device. `code` is { url, code } with the code already formatted.
+function describeCodeEntry(motion, code) {
+  return `Or go to ${code.url} and enter motion ${motion.motion_ref} with voting code ${code.code}.`;
+}
+
+// Who the email is from, with the strata plan and footer text, for the bottom of each email
+function describeSender(branding) {
+  const plan = describeStrataPlan(branding);
+  return [`This is an automated message from the ${branding.name}${plan ? ` (${plan})` : ''} voting system.`, branding.footerText]
+    .filter(Boolean);
+}
+
 // Generate HTML email template
-function generateHtmlEmail(recipientName, votingLink, motion) {
+function generateHtmlEmail(recipientName, votingLink, motion, reminder = null, code = null, branding = getBranding()) {
   const name = recipientName || 'Strata Council Member';
+  const logoUrl = absoluteLogoUrl(branding, votingLink);
+  const [sender, ...footerLines] = describeSender(branding);
+  // The built-in email keeps its own blue until a primary colour is chosen
+  const customPrimary = branding.primaryColor !== BRANDING_DEFAULTS.primaryColor;
+  const primaryColor = customPrimary ? branding.primaryColor : '#007bff';
+  const primaryDarkColor = customPrimary ? branding.primaryDarkColor : '#0056b3';
 
   return `
 <!DOCTYPE html>
@@ -92,12 +127,12 @@ function generateHtmlEmail(recipientName, votingLink, motion) {
       box-shadow: 0 2px 4px rgba(0,0,0,0.1);
     }
     .header {
-      border-bottom: 3px solid #007bff;
+      border-bottom: 3px solid ${primaryColor};
       padding-bottom: 20px;
       margin-bottom: 30px;
     }
     h1 {
-      color: #007bff;
+      color: ${primaryColor};
       margin: 0;
       font-size: 24px;
     }
@@ -110,13 +145,13 @@ function generateHtmlEmail(recipientName, votingLink, motion) {
     .motion-description {
       background-color: #f8f9fa;
       padding: 15px;
-      border-left: 4px solid #007bff;
+      border-left: 4px solid ${primaryColor};
       margin: 15px 0;
       color: #555;
     }
     .button {
       display: inline-block;
-      background-color: #007bff;
+      background-color: ${primaryColor};
       color: #ffffff !important;
       text-decoration: none;
       padding: 14px 28px;
@@ -126,7 +161,7 @@ function generateHtmlEmail(recipientName, votingLink, motion) {
       text-align: center;
     }
     .button:hover {
-      background-color: #0056b3;
+      background-color: ${primaryDarkColor};
     }
     .link-box {
       background-color: #f8f9fa;
@@ -157,12 +192,13 @@ function generateHtmlEmail(recipientName, votingLink, motion) {
 <body>
   <div class="container">
     <div class="header">
-      <h1>🗳️ Your Voting Link</h1>
+${logoUrl ? `      <img src="${escapeHtml(logoUrl)}" alt="${escapeHtml(branding.name)}" style="max-height: 60px; max-width: 200px; margin-bottom: 12px;">
+` : ''}      <h1>${reminder ? '⏰ Reminder: Your Vote Is Still Needed' : '🗳️ Your Voting Link'}</h1>
     </div>
 
     <p>Hello ${name},</p>
 
-    <p>You have been invited to vote on the following motion:</p>
+    <p>${describeInvitation(reminder)}</p>
 
     <div class="motion-title">${motion.title}</div>
 
@@ -175,15 +211,18 @@ function generateHtmlEmail(recipientName, votingLink, motion) {
     <a href="${votingLink}" class="button">Vote Now</a>
 
     <div class="warning">
-      ⚠️ <strong>Important:</strong> This voting link can only be used once. Once you submit your vote, the link will be deactivated.
+      ⚠️ <strong>Important:</strong> ${describeLinkUse(reminder)}
     </div>
 
     <p>If the button doesn't work, copy and paste this link into your browser:</p>
     <div class="link-box">${votingLink}</div>
-
+${code ? `
+    <p>${describeCodeEntry(motion, code)}</p>
+` : ''}
     <div class="footer">
-      <p>This is an automated message from your Strata Council voting system. Please do not reply to this email.</p>
+      <p>${escapeHtml(sender)} Please do not reply to this email.</p>
       <p>If you have questions about this vote, please contact your strata council directly.</p>
+${footerLines.map(line => `      <p>${escapeHtml(line).replace(/\n/g, '<br>')}</p>`).join('\n')}
     </div>
   </div>
 </body>
@@ -192,13 +231,13 @@ function generateHtmlEmail(recipientName, votingLink, motion) {
 }
 
 // Generate plain text email template
-function generatePlainTextEmail(recipientName, votingLink, motion) {
+function generatePlainTextEmail(recipientName, votingLink, motion, reminder = null, code = null, branding = getBranding()) {
   const name = recipientName || 'Strata Council Member';
 
   return `
 Hello ${name},
 
-You have been invited to vote on the following motion:
+${describeInvitation(reminder)}
 
 MOTION: ${motion.title}
 
@@ -207,25 +246,70 @@ ${motion.description}
 ==========================================
 VOTE NOW: ${votingLink}
 ==========================================
-
-IMPORTANT: This voting link can only be used once. Once you submit your vote, the link will be deactivated.
+${code ? `
+${describeCodeEntry(motion, code)}
+` : ''}
+IMPORTANT: ${describeLinkUse(reminder)}
 
 If you have questions about this vote, please contact your strata council directly.
 
 ---
-This is an automated message from your Strata Council voting system.
+${describeSender(branding).join('\n')}
   `.trim();
 }
 
+// Placeholder values for the invitation and reminder templates
+function votingEmailValues(recipientName, votingLink, motion, reminder, code, branding) {
+  return {
+    ...brandingEmailValues(branding, votingLink),
+    recipient_name: recipientName || 'Strata Council Member',
+    motion_title: motion.title,
+    motion_ref: motion.motion_ref || '',
+    motion_description: multilineValue(motion.description),
+    voting_link: votingLink,
+    voting_code: code ? code.code : '',
+    code_instructions: code ? describeCodeEntry(motion, code) : '',
+    deadline: motion.close_at ? new Date(motion.close_at).toLocaleString() : '',
+    hours_left: reminder ? String(Math.max(1, Math.round(reminder.hoursLeft))) : '',
+    link_notice: describeLinkUse(reminder)
+  };
+}
+
+/**
+ * Build a voting link email: from the admin's invitation or reminder template
+ * if one is saved, else the built-in email
+ * @param {object} [options]
+ * @param {{hoursLeft: number}} [options.reminder]
+ * @param {{url: string, code: string}} [options.code]
+ * @param {{subject: string, body_html: string}|null} [options.template] - Use this template instead of the saved one (null for the built-in email)
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function buildVotingEmail(recipientName, votingLink, motion, { reminder = null, code = null, template } = {}) {
+  const custom = template === undefined ? getEmailTemplate(reminder ? 'reminder' : 'invitation') : template;
+  const branding = getBranding();
+  if (custom) {
+    return renderEmailTemplate(custom, votingEmailValues(recipientName, votingLink, motion, reminder, code, branding));
+  }
+
+  return {
+    subject: `${reminder ? 'Reminder: ' : ''}Vote Required: ${motion.title}`,
+    text: generatePlainTextEmail(recipientName, votingLink, motion, reminder, code, branding),
+    html: generateHtmlEmail(recipientName, votingLink, motion, reminder, code, branding)
+  };
+}
+
 /**
  * Send voting link email to a recipient
  * @param {string} recipientName - Name of the recipient
  * @param {string} recipientEmail - Email address of the recipient
  * @param {string} votingLink - Full URL to the voting page
  * @param {object} motion - Motion object with title and description
+ * @param {object} [options]
+ * @param {{hoursLeft: number}} [options.reminder] - Send as a reminder to someone who has not voted yet
+ * @param {{url: string, code: string}} [options.code] - Also offer the code entry page with this voting code
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function sendVotingLink(recipientName, recipientEmail, votingLink, motion) {
+async function sendVotingLink(recipientName, recipientEmail, votingLink, motion, { reminder = null, code = null } = {}) {
   // Check if email is configured
   if (!isEmailConfigured()) {
     logger.info('Email not configured, skipping email send');
@@ -244,15 +328,16 @@ async function sendVotingLink(recipientName, recipientEmail, votingLink, motion)
   }
 
   try {
-    const fromName = process.env.SMTP_FROM_NAME || 'Strata Council';
+    const fromName = process.env.SMTP_FROM_NAME || getBranding().name;
     const fromEmail = process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER;
+    const { subject, text, html } = buildVotingEmail(recipientName, votingLink, motion, { reminder, code });
 
     const mailOptions = {
       from: `"${fromName}" <${fromEmail}>`,
       to: recipientEmail,
-      subject: `Vote Required: ${motion.title}`,
-      text: generatePlainTextEmail(recipientName, votingLink, motion),
-      html: generateHtmlEmail(recipientName, votingLink, motion)
+      subject,
+      text,
+      html
     };
 
     await transporter.sendMail(mailOptions);
@@ -260,7 +345,8 @@ async function sendVotingLink(recipientName, recipientEmail, votingLink, motion)
     logger.info('Voting email sent successfully', {
       recipient: recipientEmail,
       motionId: motion.id,
-      motionTitle: motion.title
+      motionTitle: motion.title,
+      reminder: !!reminder
     });
 
     return { success: true };
@@ -309,6 +395,7 @@ async function testEmailConfig() {
 
 module.exports = {
   isEmailConfigured,
+  buildVotingEmail,
   sendVotingLink,
   testEmailConfig,
   sendGenericEmail
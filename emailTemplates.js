@@ -0,0 +1,239 @@
+// Admin-editable email templates. A template is a subject and an HTML body with
+// {{placeholders}}; the plain-text part of the email is derived from the body.
+// Values are HTML-escaped, except blocks such as the voter table, which are
+// given as { text, html } and inserted in the matching form.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_]+)\s*\}\}/g;
+
+// Building branding, available in every template
+const BRANDING_PLACEHOLDERS = {
+  building_name: 'Corporation name from Branding settings',
+  strata_plan: 'Strata plan, e.g. "Strata Plan EPS1234", if set',
+  logo_url: 'Address of the uploaded logo, for <img src="...">, if there is one',
+  footer_text: 'Footer text from Branding settings'
+};
+
+const VOTING_PLACEHOLDERS = {
+  recipient_name: "Voter's name",
+  motion_title: 'Motion title',
+  motion_ref: 'Motion reference, e.g. M-2026-000001',
+  motion_description: 'Motion description',
+  voting_link: "Voter's personal voting link",
+  voting_code: 'Voting code, if the voter has one',
+  code_instructions: 'How to vote with the code instead of the link, if the voter has one',
+  deadline: 'When voting closes',
+  link_notice: 'That the link works once, and on reminders that it replaces earlier and printed links',
+  ...BRANDING_PLACEHOLDERS
+};
+
+const EMAIL_TEMPLATE_KINDS = {
+  invitation: {
+    label: 'Voting invitation',
+    placeholders: VOTING_PLACEHOLDERS,
+    defaultSubject: 'Vote Required: {{motion_title}}',
+    defaultBody: [
+      '<p>Hello {{recipient_name}},</p>',
+      '<p>You have been invited to vote on the following motion:</p>',
+      '<h2>{{motion_title}}</h2>',
+      '<p>{{motion_description}}</p>',
+      '<p><a href="{{voting_link}}">Vote Now</a></p>',
+      '<p>Voting closes {{deadline}}.</p>',
+      '<p><strong>Important:</strong> {{link_notice}}</p>',
+      '<p>{{code_instructions}}</p>',
+      '<p>If you have questions about this vote, please contact your strata council directly.</p>'
+    ].join('\n')
+  },
+  reminder: {
+    label: 'Voting reminder',
+    placeholders: {
+      ...VOTING_PLACEHOLDERS,
+      hours_left: 'Hours until voting closes'
+    },
+    defaultSubject: 'Reminder: Vote Required: {{motion_title}}',
+    defaultBody: [
+      '<p>Hello {{recipient_name}},</p>',
+      '<p>You have not voted yet on the following motion. Voting closes in about {{hours_left}} hours.</p>',
+      '<h2>{{motion_title}}</h2>',
+      '<p>{{motion_description}}</p>',
+      '<p><a href="{{voting_link}}">Vote Now</a></p>',
+      '<p><strong>Important:</strong> {{link_notice}}</p>',
+      '<p>{{code_instructions}}</p>',
+      '<p>If you have questions about this vote, please contact your strata council directly.</p>'
+    ].join('\n')
+  },
+  results: {
+    label: 'Results',
+    placeholders: {
+      recipient_name: 'Property manager\'s name, or "there"',
+      motion_title: 'Motion title',
+      motion_ref: 'Motion reference',
+      motion_description: 'Motion description',
+      result: 'Result, e.g. Passed, or the winning option',
+      outcome: 'Outcome: Passed, Failed, Tie or No quorum',
+      close_reason: 'Why voting closed',
+      deadline: 'When voting closed',
+      stats: 'Turnout, quorum and vote counts, as a list',
+      voter_table: 'Votes heading and table of voters and their votes (nothing for secret ballots)',
+      results_link: 'Link to the results page',
+      ...BRANDING_PLACEHOLDERS
+    },
+    defaultSubject: 'Motion {{motion_ref}} results: {{result}}',
+    defaultBody: [
+      '<p>Hello {{recipient_name}},</p>',
+      '<p><strong>Motion:</strong> {{motion_ref}} - {{motion_title}}</p>',
+      '<p>{{motion_description}}</p>',
+      '<p><strong>Result:</strong> {{result}} ({{close_reason}})</p>',
+      '<h3>Summary</h3>',
+      '{{stats}}',
+      '{{voter_table}}',
+      '<p><a href="{{results_link}}">View results</a></p>'
+    ].join('\n')
+  }
+};
+
+// Made-up motion, voters and counts for previews and test emails
+const PREVIEW_SAMPLE = {
+  recipientName: 'Alex Chen',
+  motion: {
+    id: 'preview',
+    motion_ref: 'M-2026-000123',
+    title: 'Replace the lobby carpet',
+    description: 'Replace the lobby and corridor carpet with vinyl plank flooring.\nQuoted cost: $18,400 from the contingency reserve fund.',
+    open_at: null,
+    close_at: null,
+    required_majority: 'Simple',
+    threshold_numerator: 1,
+    threshold_denominator: 2,
+    threshold_basis: 'Cast',
+    quorum_type: 'None',
+    quorum_value: null,
+    voting_method: 'Single',
+    weighting: 'Headcount',
+    secret: 0,
+    tie_break: 'None',
+    outcome: null
+  },
+  code: '4821-0937',
+  stats: {
+    eligible: 12,
+    voted: 9,
+    weighting: 'Headcount',
+    headcount: { eligible: 12, voted: 9, proxy: 1 },
+    results: [
+      { choice: 'Yes', count: 6 },
+      { choice: 'No', count: 2 },
+      { choice: 'Abstain', count: 1 }
+    ]
+  },
+  voters: [
+    { recipient_name: 'Alex Chen', unit_number: '101', choice: 'Yes' },
+    { recipient_name: 'Sam Patel', unit_number: '204', choice: 'No' },
+    { recipient_name: 'Jordan Lee', unit_number: '305', choice: 'Yes', proxy_holder_name: 'Sam Patel' },
+    { recipient_name: 'Riley Park', unit_number: '402', choice: null }
+  ]
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Multi-line text as a block: line breaks become <br> in the HTML part
+function multilineValue(text) {
+  const value = text || '';
+  return { text: value, html: escapeHtml(value).replace(/\n/g, '<br>') };
+}
+
+function isBlock(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function placeholderNames(source) {
+  return [...String(source || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+}
+
+// Placeholders in a template that the kind does not provide
+function findUnknownPlaceholders(kind, { subject, body_html }) {
+  const known = EMAIL_TEMPLATE_KINDS[kind].placeholders;
+  const names = [...placeholderNames(subject), ...placeholderNames(body_html)];
+  return [...new Set(names.filter(name => !Object.prototype.hasOwnProperty.call(known, name)))];
+}
+
+// Plain text from an email body: paragraphs and rows become lines and links
+// show their address
+function htmlToText(html) {
+  return html
+    .replace(/<(head|style|script)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim();
+      return !text || text === href ? href : `${text}: ${href}`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<\/t[dh]>\s*(?=<t[dh]\b)/gi, ' | ')
+    .replace(/<\/(p|div|h[1-6]|li|tr|ul|ol|table|blockquote)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Render a template with placeholder values.
+ * @param {{subject: string, body_html: string}} template
+ * @param {Object<string, string|{text: string, html: string}>} values - Missing values render as nothing
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderEmailTemplate(template, values) {
+  const valueOf = name => (Object.prototype.hasOwnProperty.call(values, name) && values[name] != null ? values[name] : '');
+
+  const subject = template.subject
+    .replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const value = valueOf(name);
+      return isBlock(value) ? value.text : String(value);
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const html = template.body_html.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = valueOf(name);
+    return isBlock(value) ? value.html : escapeHtml(value);
+  });
+
+  // Blocks go into the text part as markers, so their text form survives the
+  // tag stripping
+  const blocks = [];
+  const marked = template.body_html.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = valueOf(name);
+    if (!isBlock(value)) return escapeHtml(value);
+    blocks.push(value.text);
+    return `\u0000${blocks.length - 1}\u0000`;
+  });
+  const text = htmlToText(marked)
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => (blocks[Number(index)] ? `\n${blocks[Number(index)]}\n` : ''))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { subject, text, html };
+}
+
+module.exports = {
+  EMAIL_TEMPLATE_KINDS,
+  PREVIEW_SAMPLE,
+  escapeHtml,
+  multilineValue,
+  findUnknownPlaceholders,
+  renderEmailTemplate
+};
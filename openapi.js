@@ -0,0 +1,359 @@
+// OpenAPI 3.0 description of the JSON API under /api/v1, served at
+// /api/v1/openapi.json. Request bodies take the same fields as the admin forms
+// and are checked by the same Joi schemas, so keep the two in step.
+
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  };
+}
+
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+const motionIdParam = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  description: 'Motion id (a UUID) or motion reference such as M-2026-000001',
+  schema: { type: 'string' }
+};
+
+function buildOpenApiDocument({ baseUrl, enums }) {
+  const standardErrors = {
+    401: errorResponse('Missing or invalid API key'),
+    429: errorResponse('Too many requests')
+  };
+  const writeErrors = {
+    ...standardErrors,
+    400: errorResponse('Validation error'),
+    403: errorResponse('The API key is read-only')
+  };
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Spectrum 4 Voting API',
+      version: '1.0.0',
+      description: 'Create and run motions, issue and revoke voting links, and read results. ' +
+        'Authenticate with an API key created under Admin → API Keys, sent as `Authorization: Bearer <key>`. ' +
+        'Read-only keys can only use GET requests. Errors are returned as `{ "error": { "code", "message" } }`.'
+    },
+    servers: [{ url: `${baseUrl}/api/v1` }],
+    security: [{ apiKey: [] }],
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'http', scheme: 'bearer', description: 'An API key beginning with s4v_' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: {
+                  type: 'string',
+                  enum: ['bad_request', 'validation_error', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'rate_limited', 'internal_error']
+                },
+                message: { type: 'string' },
+                details: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { field: { type: 'string' }, message: { type: 'string' } }
+                  }
+                }
+              }
+            }
+          }
+        },
+        Motion: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            motion_ref: { type: 'string', example: 'M-2026-000001' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            options: { type: 'array', items: { type: 'string' } },
+            open_at: { type: 'string', format: 'date-time' },
+            close_at: { type: 'string', format: 'date-time' },
+            status: { type: 'string', enum: enums.statuses },
+            required_majority: { type: 'string', enum: enums.majorityTypes },
+            threshold_numerator: { type: 'integer' },
+            threshold_denominator: { type: 'integer' },
+            threshold_basis: { type: 'string', enum: enums.thresholdBases },
+            voting_method: { type: 'string', enum: enums.votingMethods },
+            min_selections: { type: 'integer', nullable: true },
+            max_selections: { type: 'integer', nullable: true },
+            weighting: { type: 'string', enum: enums.weightingModes },
+            quorum_type: { type: 'string', enum: enums.quorumTypes },
+            quorum_value: { type: 'number', nullable: true },
+            revisable: { type: 'integer', enum: [0, 1] },
+            secret: { type: 'integer', enum: [0, 1] },
+            tie_break: { type: 'string', enum: enums.tieBreakPolicies },
+            send_links_on_open: { type: 'integer', enum: [0, 1] },
+            reminder_hours: { type: 'string', nullable: true, example: '48,2' },
+            outcome: { type: 'string', nullable: true },
+            outcome_notes: { type: 'string', nullable: true },
+            group_id: { type: 'string', nullable: true, description: 'The multi-question ballot this motion belongs to' },
+            created_at: { type: 'string', format: 'date-time' },
+            created_by: { type: 'string', nullable: true },
+            updated_by: { type: 'string', nullable: true },
+            vote_url: { type: 'string', description: 'Where voters enter their voting code' }
+          }
+        },
+        MotionInput: {
+          type: 'object',
+          required: ['title', 'description', 'open_at', 'close_at', 'required_majority'],
+          description: 'The fields of the admin motion form. Flags are the strings "0" or "1".',
+          properties: {
+            title: { type: 'string', minLength: 5, maxLength: 200 },
+            description: { type: 'string', minLength: 10, maxLength: 5000 },
+            options: { type: 'string', maxLength: 500, description: 'Comma-separated options; Yes, No, Abstain when empty' },
+            open_at: { type: 'string', format: 'date-time' },
+            close_at: { type: 'string', format: 'date-time' },
+            required_majority: { type: 'string', enum: enums.majorityTypes },
+            threshold_custom: { type: 'string', description: 'A fraction such as 3/5 when required_majority is Custom' },
+            threshold_basis: { type: 'string', enum: enums.thresholdBases },
+            quorum_type: { type: 'string', enum: enums.quorumTypes },
+            quorum_value: { type: 'number' },
+            voting_method: { type: 'string', enum: enums.votingMethods },
+            min_selections: { type: 'integer' },
+            max_selections: { type: 'integer' },
+            weighting: { type: 'string', enum: enums.weightingModes },
+            revisable: { type: 'string', enum: ['0', '1'] },
+            secret: { type: 'string', enum: ['0', '1'] },
+            tie_break: { type: 'string', enum: enums.tieBreakPolicies },
+            scheduled: { type: 'string', enum: ['0', '1'], description: 'New motions only: "1" creates the motion as Scheduled rather than Draft' },
+            send_links_on_open: { type: 'string', enum: ['0', '1'] },
+            reminder_hours: { type: 'string', description: 'Hours before closing to remind voters, e.g. "48, 2"' }
+          }
+        },
+        StatusInput: {
+          type: 'object',
+          required: ['status'],
+          properties: { status: { type: 'string', enum: enums.statuses } }
+        },
+        Token: {
+          type: 'object',
+          description: 'A voting link. The link itself is only returned when it is issued.',
+          properties: {
+            id: { type: 'integer' },
+            motion_id: { type: 'string' },
+            recipient_name: { type: 'string', nullable: true },
+            recipient_email: { type: 'string', nullable: true },
+            unit_number: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['Active', 'Used', 'Revoked'] },
+            expires_at: { type: 'string', format: 'date-time', nullable: true },
+            used_at: { type: 'string', format: 'date-time', nullable: true },
+            email_sent: { type: 'boolean' },
+            created_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        TokenInput: {
+          type: 'object',
+          description: 'Recipients as on the admin Voting Links page: one "Name, Email, Unit" per line, and/or council member ids.',
+          properties: {
+            recipients: { type: 'string', maxLength: 10000, example: 'Jo Brown, jo@example.com, 101\nSam Lee,, 102' },
+            selected_council_members: {
+              oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }]
+            },
+            expires_at: { type: 'string', format: 'date-time' }
+          }
+        },
+        IssuedTokens: {
+          type: 'object',
+          properties: {
+            created: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  token_id: { type: 'integer' },
+                  name: { type: 'string', nullable: true },
+                  email: { type: 'string', nullable: true },
+                  unit: { type: 'string', nullable: true },
+                  link: { type: 'string', description: 'The voting link. It is not stored and cannot be fetched again.' },
+                  code: { type: 'string', description: 'The voting code for the link' }
+                }
+              }
+            },
+            skipped_duplicates: { type: 'integer' },
+            skipped_units: { type: 'integer', description: 'Recipients whose unit is not registered or already has a link' },
+            emails_queued: { type: 'integer' },
+            emails_held: { type: 'boolean', description: 'Emails wait until the motion opens' }
+          }
+        },
+        Stats: {
+          type: 'object',
+          description: 'Turnout and tallies. On entitlement-weighted motions eligible, voted, remaining and counts are entitlement totals, and headcount holds the voter numbers.',
+          properties: {
+            weighting: { type: 'string', enum: enums.weightingModes },
+            eligible: { type: 'number' },
+            voted: { type: 'number' },
+            remaining: { type: 'number' },
+            results: {
+              type: 'array',
+              items: { type: 'object', properties: { choice: { type: 'string' }, count: { type: 'number' } } }
+            },
+            runoff: { type: 'object', nullable: true, description: 'Round-by-round instant-runoff count on ranked motions' },
+            headcount: {
+              type: 'object',
+              properties: {
+                eligible: { type: 'integer' },
+                voted: { type: 'integer' },
+                remaining: { type: 'integer' },
+                proxy: { type: 'integer' }
+              }
+            }
+          }
+        },
+        CouncilMember: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            email: { type: 'string', nullable: true },
+            unit_number: { type: 'string', nullable: true },
+            whatsapp: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    },
+    paths: {
+      '/motions': {
+        get: {
+          summary: 'List motions',
+          parameters: [{ name: 'status', in: 'query', schema: { type: 'string', enum: enums.statuses } }],
+          responses: {
+            200: jsonResponse('Motions, newest first', {
+              type: 'object',
+              properties: { motions: { type: 'array', items: { $ref: '#/components/schemas/Motion' } } }
+            }),
+            ...standardErrors,
+            400: errorResponse('Unknown status')
+          }
+        },
+        post: {
+          summary: 'Create a motion',
+          requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/MotionInput' } } } },
+          responses: {
+            201: jsonResponse('The new motion', { type: 'object', properties: { motion: { $ref: '#/components/schemas/Motion' } } }),
+            ...writeErrors
+          }
+        }
+      },
+      '/motions/{id}': {
+        parameters: [motionIdParam],
+        get: {
+          summary: 'Get a motion',
+          responses: {
+            200: jsonResponse('The motion', { type: 'object', properties: { motion: { $ref: '#/components/schemas/Motion' } } }),
+            ...standardErrors,
+            404: errorResponse('No such motion')
+          }
+        },
+        put: {
+          summary: 'Update a motion',
+          description: 'Replaces the motion\'s settings. Only possible before voting opens. Does not change its status.',
+          requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/MotionInput' } } } },
+          responses: {
+            200: jsonResponse('The updated motion', { type: 'object', properties: { motion: { $ref: '#/components/schemas/Motion' } } }),
+            ...writeErrors,
+            404: errorResponse('No such motion'),
+            409: errorResponse('Voting has opened')
+          }
+        }
+      },
+      '/motions/{id}/status': {
+        parameters: [motionIdParam],
+        post: {
+          summary: 'Change a motion\'s status',
+          description: 'Opening sends held voting link emails; closing applies the tie-break rule and queues the results email.',
+          requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/StatusInput' } } } },
+          responses: {
+            200: jsonResponse('The motion', { type: 'object', properties: { motion: { $ref: '#/components/schemas/Motion' } } }),
+            ...writeErrors,
+            404: errorResponse('No such motion')
+          }
+        }
+      },
+      '/motions/{id}/stats': {
+        parameters: [motionIdParam],
+        get: {
+          summary: 'Turnout and results',
+          responses: {
+            200: jsonResponse('Motion statistics', {
+              type: 'object',
+              properties: {
+                motion_id: { type: 'string' },
+                status: { type: 'string', enum: enums.statuses },
+                stats: { $ref: '#/components/schemas/Stats' },
+                quorum: { type: 'object', nullable: true, description: 'Whether quorum is met, when the motion has one' }
+              }
+            }),
+            ...standardErrors,
+            404: errorResponse('No such motion')
+          }
+        }
+      },
+      '/motions/{id}/tokens': {
+        parameters: [motionIdParam],
+        get: {
+          summary: 'List a motion\'s voting links',
+          responses: {
+            200: jsonResponse('Voting links, newest first', {
+              type: 'object',
+              properties: { tokens: { type: 'array', items: { $ref: '#/components/schemas/Token' } } }
+            }),
+            ...standardErrors,
+            404: errorResponse('No such motion')
+          }
+        },
+        post: {
+          summary: 'Issue voting links',
+          description: 'Recipients who already have an active link for the motion are skipped. Emails are queued for recipients with an email address when email is configured.',
+          requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/TokenInput' } } } },
+          responses: {
+            201: jsonResponse('The new links', { $ref: '#/components/schemas/IssuedTokens' }),
+            ...writeErrors,
+            404: errorResponse('No such motion'),
+            409: errorResponse('The motion is part of a multi-question ballot')
+          }
+        }
+      },
+      '/tokens/{tokenId}/revoke': {
+        parameters: [{ name: 'tokenId', in: 'path', required: true, schema: { type: 'integer' } }],
+        post: {
+          summary: 'Revoke a voting link',
+          responses: {
+            200: jsonResponse('The revoked link', { type: 'object', properties: { token: { $ref: '#/components/schemas/Token' } } }),
+            ...writeErrors,
+            404: errorResponse('No such voting link')
+          }
+        }
+      },
+      '/council-members': {
+        get: {
+          summary: 'List council members',
+          responses: {
+            200: jsonResponse('Council members by name', {
+              type: 'object',
+              properties: { council_members: { type: 'array', items: { $ref: '#/components/schemas/CouncilMember' } } }
+            }),
+            ...standardErrors
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,36 @@
+(function() {
+  var form = document.getElementById('ballotForm');
+  var submitBtn = document.getElementById('ballotSubmitBtn');
+
+  if (!form || !submitBtn) return;
+
+  // Approval questions: stop ticking once a question's maximum is reached
+  document.querySelectorAll('.ballot-approval').forEach(function(group) {
+    var max = parseInt(group.getAttribute('data-max-selections'), 10);
+    var boxes = group.querySelectorAll('input[type="checkbox"]');
+
+    boxes.forEach(function(box) {
+      box.addEventListener('change', function() {
+        var checked = 0;
+        boxes.forEach(function(other) {
+          if (other.checked) checked++;
+        });
+        boxes.forEach(function(other) {
+          other.disabled = checked >= max && !other.checked;
+        });
+      });
+    });
+  });
+
+  form.addEventListener('submit', function(event) {
+    // The proxy voting page supplies its own wording
+    var message = submitBtn.getAttribute('data-confirm-message') ||
+      'Submit your votes on ' + submitBtn.getAttribute('data-question-count') + ' question(s)? This cannot be undone.';
+    if (!window.confirm(message)) {
+      event.preventDefault();
+      return;
+    }
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Submitting...';
+  });
+})();
@@ -1,5 +1,6 @@
 function openEditModal(id, name, email, unit, whatsapp) {
-  document.getElementById('editForm').action = '/admin/council/' + id + '/edit';
+  var form = document.getElementById('editForm');
+  form.action = form.dataset.actionBase + id + '/edit';
   document.getElementById('edit_name').value = name;
   document.getElementById('edit_email').value = email;
   document.getElementById('edit_unit_number').value = unit;
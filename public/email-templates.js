@@ -0,0 +1,62 @@
+// Live preview for the email template editor: re-renders the sample email
+// on the server as the subject or body is edited
+(function() {
+  var form = document.getElementById('emailTemplateForm');
+  if (!form || !window.fetch) return;
+
+  var subject = document.getElementById('template_subject');
+  var body = document.getElementById('template_body');
+  var previewSubject = document.getElementById('templatePreviewSubject');
+  var previewHtml = document.getElementById('templatePreviewHtml');
+  var previewText = document.getElementById('templatePreviewText');
+  var previewError = document.getElementById('templatePreviewError');
+  var timer = null;
+  var latest = 0;
+
+  function showError(message) {
+    previewError.textContent = message;
+    previewError.style.display = message ? '' : 'none';
+  }
+
+  function refresh() {
+    var request = ++latest;
+    var params = new URLSearchParams();
+    params.append('subject', subject.value);
+    params.append('body_html', body.value);
+
+    fetch(form.getAttribute('data-preview-url'), {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'CSRF-Token': form.querySelector('input[name="_csrf"]').value
+      },
+      body: params.toString()
+    })
+      .then(function(response) {
+        return response.json();
+      })
+      .then(function(result) {
+        if (request !== latest) return;
+        if (result.error) {
+          showError(result.error);
+          return;
+        }
+        showError('');
+        previewSubject.textContent = result.subject;
+        previewHtml.srcdoc = result.html;
+        previewText.textContent = result.text;
+      })
+      .catch(function() {
+        if (request === latest) showError('Preview could not be updated.');
+      });
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(refresh, 400);
+  }
+
+  subject.addEventListener('input', schedule);
+  body.addEventListener('input', schedule);
+})();
@@ -6,24 +6,119 @@
   var voteOptions = document.getElementById('voteOptions');
   var choiceInput = document.getElementById('choiceInput');
   var voteForm = document.getElementById('voteForm');
+  var reviewRankingBtn = document.getElementById('reviewRankingBtn');
+  var reviewSelectionsBtn = document.getElementById('reviewSelectionsBtn');
+  var ballotError = null;
 
   if (!overlay) return;
 
+  function showConfirm(text) {
+    confirmChoice.textContent = text;
+    overlay.style.display = 'block';
+    voteOptions.style.display = 'none';
+    overlay.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  // Returns true when there was a message to show
+  function showBallotError(message) {
+    if (ballotError) {
+      ballotError.remove();
+      ballotError = null;
+    }
+    if (!message) return false;
+
+    ballotError = document.createElement('div');
+    ballotError.className = 'alert alert-error';
+    ballotError.textContent = message;
+    voteOptions.insertBefore(ballotError, voteOptions.firstChild);
+    return true;
+  }
+
   document.querySelectorAll('.vote-button').forEach(function(btn) {
     btn.addEventListener('click', function() {
       var choice = this.getAttribute('data-choice');
-      confirmChoice.textContent = choice;
       choiceInput.value = choice;
-      overlay.style.display = 'block';
-      voteOptions.style.display = 'none';
-      overlay.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      showConfirm(choice);
     });
   });
 
+  // Ranked ballots: check the preferences are filled in order with no repeats
+  if (reviewRankingBtn) {
+    reviewRankingBtn.addEventListener('click', function() {
+      var ranking = [];
+      var message = null;
+      var sawBlank = false;
+
+      document.querySelectorAll('.ranking-select').forEach(function(select) {
+        if (message) return;
+        if (!select.value) {
+          sawBlank = true;
+          return;
+        }
+        if (sawBlank) {
+          message = 'Please fill in your preferences in order without leaving gaps.';
+        } else if (ranking.indexOf(select.value) !== -1) {
+          message = 'Each option can only be ranked once.';
+        } else {
+          ranking.push(select.value);
+        }
+      });
+
+      if (!message && ranking.length === 0) {
+        message = 'Please rank at least one option.';
+      }
+
+      if (showBallotError(message)) return;
+
+      showConfirm(ranking.map(function(option, index) {
+        return (index + 1) + '. ' + option;
+      }).join(', '));
+    });
+  }
+
+  // Approval ballots: stop ticking once the maximum is reached, check the minimum on review
+  if (reviewSelectionsBtn) {
+    var minSelections = parseInt(voteOptions.getAttribute('data-min-selections'), 10) || 1;
+    var maxSelections = parseInt(voteOptions.getAttribute('data-max-selections'), 10);
+    var checkboxes = document.querySelectorAll('.selection-checkbox');
+
+    function selectedValues() {
+      var values = [];
+      checkboxes.forEach(function(box) {
+        if (box.checked) values.push(box.value);
+      });
+      return values;
+    }
+
+    checkboxes.forEach(function(box) {
+      box.addEventListener('change', function() {
+        var full = selectedValues().length >= maxSelections;
+        checkboxes.forEach(function(other) {
+          other.disabled = full && !other.checked;
+        });
+      });
+    });
+
+    reviewSelectionsBtn.addEventListener('click', function() {
+      var selections = selectedValues();
+      var message = null;
+
+      if (selections.length < minSelections) {
+        message = 'Please select at least ' + minSelections + ' option' + (minSelections !== 1 ? 's' : '') + '.';
+      } else if (selections.length > maxSelections) {
+        message = 'Please select no more than ' + maxSelections + ' option' + (maxSelections !== 1 ? 's' : '') + '.';
+      }
+
+      if (showBallotError(message)) return;
+
+      showConfirm(selections.join(', '));
+    });
+  }
+
   cancelBtn.addEventListener('click', function() {
     overlay.style.display = 'none';
-    voteOptions.style.display = 'flex';
-    choiceInput.value = '';
+    voteOptions.style.display = '';
+    if (choiceInput) choiceInput.value = '';
   });
 
   confirmBtn.addEventListener('click', function() {
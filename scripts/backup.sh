@@ -17,7 +17,17 @@ mkdir -p "$BACKUP_DIR"
 # SQLite backup command
 sqlite3 "$DB_FILE" ".backup '$BACKUP_DIR/data_$TIMESTAMP.sqlite'"
 
+# Other buildings' databases, next to the main one in tenants/
+TENANTS_DIR="$(dirname "$DB_FILE")/tenants"
+for TENANT_DB in "$TENANTS_DIR"/*.sqlite; do
+  [ -f "$TENANT_DB" ] || continue
+  TENANT=$(basename "$TENANT_DB" .sqlite)
+  sqlite3 "$TENANT_DB" ".backup '$BACKUP_DIR/tenant_${TENANT}_$TIMESTAMP.sqlite'"
+  echo "Backup created: $BACKUP_DIR/tenant_${TENANT}_$TIMESTAMP.sqlite"
+done
+
 # Keep only last 7 days of backups
 find "$BACKUP_DIR" -name "data_*.sqlite" -mtime +7 -delete
+find "$BACKUP_DIR" -name "tenant_*.sqlite" -mtime +7 -delete
 
 echo "Backup created: $BACKUP_DIR/data_$TIMESTAMP.sqlite"
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// Recompute the audit log hash chain of every building and report any entry
+// that was edited, deleted or inserted out of order. Exits with status 1 if
+// any log is not intact.
+// Usage: npm run audit:verify
+//
+// Needs the same TOKEN_SECRET (or SESSION_SECRET) as the running server.
+
+require('dotenv').config();
+
+const { verifyAuditLog, listTenants, runWithTenant } = require('../db');
+
+let intact = true;
+
+for (const tenant of listTenants()) {
+  const label = tenant.is_default ? 'Audit log' : `Audit log of ${tenant.slug}`;
+  const result = runWithTenant(tenant, verifyAuditLog);
+
+  if (result.ok) {
+    console.log(`${label} intact: ${result.checked} entries checked.`);
+    if (result.head) {
+      console.log(`Latest entry #${result.head.id}, hash ${result.head.hash}`);
+    }
+    continue;
+  }
+
+  intact = false;
+  console.error(`${label} has been tampered with: ${result.problems.length} problem(s) in ${result.checked} entries.`);
+  for (const problem of result.problems) {
+    console.error(`  Entry #${problem.id}: ${problem.problem}`);
+  }
+}
+
+process.exit(intact ? 0 : 1);
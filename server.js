@@ -16,29 +16,138 @@ const { parse: parseCSV } = require('csv-parse/sync');
 const logger = require('./logger');
 const {
   db,
+  DEFAULT_TENANT,
+  runWithTenant,
+  listTenants,
+  findTenantById,
+  findTenantBySlug,
+  findTenantByHostname,
+  createTenant,
+  updateTenantHostname,
   motionQueries,
   tokenQueries,
   ballotQueries,
   councilQueries,
-  adminQueries,
+  adminUserQueries,
+  ballotGroupQueries,
+  unitQueries,
+  proxyQueries,
+  secretBallotQueries,
+  tieBreakQueries,
   submitVote,
+  submitBallotGroup,
+  submitProxyBallots,
+  issueGroupTokensForMotion,
   getMotionStats,
+  checkUnitForMotion,
+  isEntitlementWeighted,
+  isRevisable,
+  isSecret,
   generateUUID,
   generateMotionRef,
-  verifyAdminPassword,
-  updateAdminPassword,
+  authenticateAdminUser,
+  verifyAdminUserPassword,
+  createAdminUser,
+  updateAdminUserPassword,
+  enableAdminUserTotp,
+  disableAdminUserTotp,
+  regenerateRecoveryCodes,
+  verifyAdminUserSecondFactor,
+  recoveryCodeQueries,
+  recordAuditEvent,
+  verifyAuditLog,
+  auditQueries,
   getSetting,
   setSetting,
+  emailTemplateQueries,
+  getEmailTemplate,
+  saveEmailTemplate,
   ensureResultsEmailNotification,
   getPendingNotifications,
   markNotificationSent,
   markNotificationFailed,
-  enqueueTokenEmail
+  enqueueTokenEmail,
+  enqueueGroupTokenEmail,
+  generateVoterCode,
+  rotateVoterToken,
+  rotateVoterCode,
+  rotateGroupToken,
+  rotateProxyHolderToken,
+  shouldHoldLinkEmails,
+  shouldHoldGroupLinkEmails,
+  releaseHeldTokenEmails,
+  tokenEmailOutboxQueries,
+  reminderQueries,
+  apiKeyQueries,
+  createApiKey,
+  webhookQueries,
+  createWebhookEndpoint,
+  deleteWebhookEndpoint,
+  replayWebhookDelivery,
+  authenticateApiKey
 } = require('./db');
-const { isEmailConfigured, sendVotingLink, testEmailConfig, sendGenericEmail } = require('./email');
-const { sendResultsEmailForMotion } = require('./services/resultsEmailService');
-const { sweepAndEnqueueCompletedMotions, processPendingResultsEmails, processPendingTokenEmails } = require('./services/notificationWorker');
+const { isEmailConfigured, buildVotingEmail, sendVotingLink, testEmailConfig, sendGenericEmail } = require('./email');
+const { EMAIL_TEMPLATE_KINDS, PREVIEW_SAMPLE, findUnknownPlaceholders } = require('./emailTemplates');
+const {
+  MAX_LOGO_BYTES,
+  COLOR_PATTERN,
+  getBranding,
+  describeStrataPlan,
+  saveBranding,
+  getBrandingLogo,
+  saveBrandingLogo,
+  removeBrandingLogo
+} = require('./branding');
+const {
+  TENANT_SLUG_PATTERN,
+  TENANT_PATH_PATTERN,
+  tenantPath,
+  tenantBaseUrl,
+  tenantEnv,
+  forEachTenant
+} = require('./tenants');
+const { generateToken, hashToken, normalizeCode, formatCode, hashCode } = require('./tokenCrypto');
+const { generateTotpSecret, verifyTotp, totpUri } = require('./totp');
+const { sendResultsEmailForMotion, buildResultsEmailContent } = require('./services/resultsEmailService');
+const {
+  openScheduledMotions,
+  sweepAndEnqueueCompletedMotions,
+  processPendingResultsEmails,
+  processPendingTokenEmails,
+  enqueueDueReminders,
+  processPendingReminders,
+  processPendingWebhooks
+} = require('./services/notificationWorker');
 const { startEmailTriggerPoller, pollOnce: emailTriggerPollOnce } = require('./services/emailTriggerPoller');
+const { parseMotionDateTime, toDatetimeLocalValue } = require('./services/motionTime');
+const { isWhatsAppConfigured, sendVotingLink: sendWhatsApp } = require('./services/whatsapp');
+const { applyTieBreak, recordCastingVote } = require('./services/tieBreak');
+const { buildOpenApiDocument } = require('./openapi');
+const { WEBHOOK_EVENTS, MAX_DELIVERY_ATTEMPTS, generateWebhookSecret, emitWebhook, motionEventData } = require('./services/webhooks');
+const {
+  VOTING_METHODS,
+  WEIGHTING_MODES,
+  MAJORITY_TYPES,
+  THRESHOLD_BASES,
+  parseThresholdInput,
+  describeThreshold,
+  QUORUM_TYPES,
+  describeQuorum,
+  getQuorumStatus,
+  describeQuorumProgress,
+  TIE_BREAK_POLICIES,
+  describeTieBreakPolicy,
+  describeTieBreak,
+  describeReminders,
+  isRankedMotion,
+  isApprovalMotion,
+  getSelectionLimits,
+  describeVotingMethod,
+  describeWeighting,
+  describeRunoffRounds,
+  describeRunoffResult,
+  describeApprovalResult
+} = require('./services/tally');
 
 // Log unexpected errors instead of letting Node crash the process silently.
 // Without these, a stray unhandled rejection or an EventEmitter 'error' with
@@ -72,6 +181,13 @@ if (!process.env.SESSION_SECRET || process.env.SESSION_SECRET.length < 32) {
   process.exit(1);
 }
 
+// Voting tokens are hashed with TOKEN_SECRET (or SESSION_SECRET without it)
+if (process.env.TOKEN_SECRET && process.env.TOKEN_SECRET.length < 32) {
+  logger.error('ERROR: TOKEN_SECRET must be at least 32 characters');
+  logger.error('Generate one with: openssl rand -base64 32');
+  process.exit(1);
+}
+
 if (process.env.SESSION_SECRET === 'super_secret_session_key_change_in_production') {
   logger.error('ERROR: You must change the default SESSION_SECRET');
   logger.error('Generate one with: openssl rand -base64 32');
@@ -111,6 +227,22 @@ const loginLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: 'Too many verification attempts. Please try again in 15 minutes.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 600,
+  message: { error: { code: 'rate_limited', message: 'Too many requests. Please try again later.' } },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 const voteLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 10,
@@ -119,6 +251,49 @@ const voteLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Voting codes are short enough to guess, so wrong codes are limited both per
+// IP and per motion. Only failures count: handlers set res.locals.codeAccepted
+// once the code matches a voter.
+function normalizeMotionRef(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+const codeLimiterDefaults = {
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  message: 'Too many incorrect voting codes. Please try again in 15 minutes.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.locals.codeAccepted === true,
+};
+
+const codeLimiter = rateLimit({
+  ...codeLimiterDefaults,
+  max: 10,
+});
+
+const codeMotionLimiter = rateLimit({
+  ...codeLimiterDefaults,
+  max: 30,
+  keyGenerator: req => {
+    if (req.params.motionId) return `motion:${req.params.motionId}`;
+    const motion = motionQueries.getByRef.get(normalizeMotionRef(req.body.motion_ref));
+    return `motion:${motion ? motion.id : 'unknown'}`;
+  },
+});
+
+// The vote form posts either a token (from a link) or a code (from /vote);
+// only code submissions go through the code limiters
+function limitCodeAttempts(req, res, next) {
+  if (!req.body.code) return next();
+  codeLimiter(req, res, err => {
+    if (err) return next(err);
+    codeMotionLimiter(req, res, next);
+  });
+}
+
+const MOTION_STATUSES = ['Draft', 'Scheduled', 'Open', 'Closed', 'Published'];
+
 // Input validation schemas
 const schemas = {
   motion: Joi.object({
@@ -127,11 +302,32 @@ const schemas = {
     options: Joi.string().max(500).allow(''),
     open_at: Joi.string().isoDate().required(),
     close_at: Joi.string().isoDate().required(),
-    required_majority: Joi.string().valid('Simple', 'TwoThirds').required()
+    required_majority: Joi.string().valid(...MAJORITY_TYPES).required(),
+    threshold_custom: Joi.string().max(20).allow('').optional(),
+    threshold_basis: Joi.string().valid(...THRESHOLD_BASES).optional(),
+    quorum_type: Joi.string().valid(...QUORUM_TYPES).optional(),
+    quorum_value: Joi.number().min(0).max(100000).allow('').optional(),
+    voting_method: Joi.string().valid(...VOTING_METHODS).optional(),
+    min_selections: Joi.number().integer().min(1).max(50).allow('').optional(),
+    max_selections: Joi.number().integer().min(1).max(50).allow('').optional(),
+    weighting: Joi.string().valid(...WEIGHTING_MODES).optional(),
+    revisable: Joi.string().valid('0', '1').optional(),
+    secret: Joi.string().valid('0', '1').optional(),
+    tie_break: Joi.string().valid(...TIE_BREAK_POLICIES).optional(),
+    scheduled: Joi.string().valid('0', '1').optional(),
+    send_links_on_open: Joi.string().valid('0', '1').optional(),
+    reminder_hours: Joi.string().max(50).allow('').optional()
+  }),
+
+  castingVote: Joi.object({
+    chair_name: Joi.string().trim().min(1).max(100).required(),
+    choice: Joi.string().max(200).required(),
+    notes: Joi.string().max(1000).allow('').optional()
   }),
 
   token: Joi.object({
     recipients: Joi.string().max(10000).allow('').optional(),
+    expires_at: Joi.string().isoDate().allow('').optional(),
     selected_council_members: Joi.alternatives().try(
       Joi.string(),
       Joi.array().items(Joi.string())
@@ -139,12 +335,144 @@ const schemas = {
   }),
 
   vote: Joi.object({
+    token: Joi.string().length(32),
+    code: Joi.string().max(20),
+    choice: Joi.string().min(1).max(100).optional(),
+    ranking: Joi.alternatives().try(
+      Joi.string().max(100).allow(''),
+      Joi.array().max(50).items(Joi.string().max(100).allow(''))
+    ).optional(),
+    selections: Joi.alternatives().try(
+      Joi.string().max(100),
+      Joi.array().max(50).items(Joi.string().max(100))
+    ).optional()
+  }).or('choice', 'ranking', 'selections').xor('token', 'code'),
+
+  tokenPrint: Joi.object({
+    scope: Joi.string().valid('no-email', 'all').required()
+  }),
+
+  voteCode: Joi.object({
+    motion_ref: Joi.string().trim().max(30).required(),
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  ballotGroup: Joi.object({
+    title: Joi.string().min(5).max(200).required(),
+    description: Joi.string().max(5000).allow('').optional(),
+    motion_ids: Joi.alternatives().try(
+      Joi.string(),
+      Joi.array().max(100).items(Joi.string())
+    ).optional()
+  }),
+
+  // Answers keyed by motion id, e.g. choice[<motionId>]=Yes
+  ballotVote: Joi.object({
+    token: Joi.string().length(32).required(),
+    choice: Joi.object().pattern(Joi.string(), Joi.string().min(1).max(100)).optional(),
+    ranking: Joi.object().pattern(Joi.string(), Joi.alternatives().try(
+      Joi.string().max(100).allow(''),
+      Joi.array().max(50).items(Joi.string().max(100).allow(''))
+    )).optional(),
+    selections: Joi.object().pattern(Joi.string(), Joi.alternatives().try(
+      Joi.string().max(100),
+      Joi.array().max(50).items(Joi.string().max(100))
+    )).optional()
+  }),
+
+  proxyVote: Joi.object({
     token: Joi.string().length(32).required(),
-    choice: Joi.string().min(1).max(100).required()
+    choice: Joi.object().pattern(Joi.string(), Joi.object().pattern(Joi.string(), Joi.string().min(1).max(100))).optional(),
+    ranking: Joi.object().pattern(Joi.string(), Joi.object().pattern(Joi.string(), Joi.alternatives().try(
+      Joi.string().max(100).allow(''),
+      Joi.array().max(50).items(Joi.string().max(100).allow(''))
+    ))).optional(),
+    selections: Joi.object().pattern(Joi.string(), Joi.object().pattern(Joi.string(), Joi.alternatives().try(
+      Joi.string().max(100),
+      Joi.array().max(50).items(Joi.string().max(100))
+    ))).optional()
+  }),
+
+  proxy: Joi.object({
+    grantor_id: Joi.number().integer().min(1).required(),
+    holder_name: Joi.string().trim().min(1).max(100).required(),
+    holder_email: Joi.string().trim().email().max(200).allow('').optional(),
+    instructions: Joi.string().trim().max(1000).allow('').optional()
   }),
 
   login: Joi.object({
-    password: Joi.string().min(1).max(200).required()
+    username: Joi.string().trim().min(1).max(50).required(),
+    password: Joi.string().min(1).max(200).required(),
+    building: Joi.string().max(40).allow('').optional()
+  }),
+
+  adminUser: Joi.object({
+    username: Joi.string().trim().min(3).max(50).pattern(/^[A-Za-z0-9._@-]+$/).required()
+      .messages({ 'string.pattern.base': 'Username may only contain letters, numbers and . _ @ -' }),
+    display_name: Joi.string().trim().max(100).allow('').optional(),
+    role: Joi.string().valid('owner', 'admin', 'observer').required(),
+    password: Joi.string().min(8).max(200).required()
+  }),
+
+  adminUserUpdate: Joi.object({
+    display_name: Joi.string().trim().max(100).allow('').optional(),
+    role: Joi.string().valid('owner', 'admin', 'observer').required(),
+    disabled: Joi.string().valid('1').optional()
+  }),
+
+  tenant: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    slug: Joi.string().trim().lowercase().pattern(TENANT_SLUG_PATTERN).invalid(DEFAULT_TENANT.slug).required()
+      .messages({
+        'string.pattern.base': 'The short name may only contain lowercase letters, numbers and hyphens (2 to 40 characters)',
+        'any.invalid': 'The short name "default" is reserved'
+      }),
+    hostname: Joi.string().trim().lowercase().hostname().max(253).allow('').optional(),
+    owner_username: Joi.string().trim().min(3).max(50).pattern(/^[A-Za-z0-9._@-]+$/).required()
+      .messages({ 'string.pattern.base': 'Username may only contain letters, numbers and . _ @ -' }),
+    owner_password: Joi.string().min(8).max(200).required()
+  }),
+
+  tenantHostname: Joi.object({
+    hostname: Joi.string().trim().lowercase().hostname().max(253).allow('').optional()
+  }),
+
+  apiKey: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    role: Joi.string().valid('admin', 'observer').required()
+  }),
+
+  branding: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    plan_number: Joi.string().trim().max(30).allow('').optional(),
+    primary_color: Joi.string().pattern(COLOR_PATTERN).required()
+      .messages({ 'string.pattern.base': 'Colours must be hex colours such as #3498db' }),
+    header_color: Joi.string().pattern(COLOR_PATTERN).required()
+      .messages({ 'string.pattern.base': 'Colours must be hex colours such as #3498db' }),
+    footer_text: Joi.string().trim().max(500).allow('').optional()
+  }),
+
+  emailTemplate: Joi.object({
+    subject: Joi.string().trim().min(1).max(300).required(),
+    body_html: Joi.string().trim().min(1).max(50000).required()
+  }),
+
+  webhookEndpoint: Joi.object({
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(500).required(),
+    description: Joi.string().trim().max(200).allow('').optional(),
+    events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).single().default([])
+  }),
+
+  motionStatus: Joi.object({
+    status: Joi.string().valid(...MOTION_STATUSES).required()
+  }),
+
+  adminUserPassword: Joi.object({
+    new_password: Joi.string().min(8).max(200).required()
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().min(6).max(20).required()
   }),
 
   export: Joi.object({
@@ -158,11 +486,24 @@ const schemas = {
     email: Joi.string().email().max(200).required(),
     unit_number: Joi.string().max(50).allow('').optional(),
     whatsapp: Joi.string().max(30).allow('').optional()
+  }),
+
+  units: Joi.object({
+    units: Joi.string().max(50000).required()
   })
 };
 
+// Multer calls back from the request stream, outside the building's database
+// context, so the callback is run in the request's building again
+function keepTenant(upload) {
+  return {
+    single: field => (req, res, callback) =>
+      upload.single(field)(req, res, err => runWithTenant(req.tenant, () => callback(err)))
+  };
+}
+
 // Multer: memory storage for CSV uploads (500 KB max, CSV only)
-const csvUpload = multer({
+const csvUpload = keepTenant(multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 500 * 1024 },
   fileFilter: (req, file, cb) => {
@@ -172,7 +513,13 @@ const csvUpload = multer({
       cb(new Error('Only CSV files are allowed'));
     }
   }
-});
+}));
+
+// Multer: memory storage for the branding logo
+const logoUpload = keepTenant(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_LOGO_BYTES }
+}));
 
 // Validation middleware
 function validate(schema) {
@@ -194,14 +541,50 @@ function generateCSVExport(res, exportData, start_date, end_date) {
   let csv = 'VOTE RESULTS EXPORT\n';
   csv += `Generated: ${now}\n`;
   csv += `Date Range: ${start_date} to ${end_date}\n\n`;
-  csv += 'Motion ID,Motion Title,Status,Outcome,Opens At,Closes At,Required Majority,Eligible Voters,Votes Cast,Turnout %,Choice,Vote Count,Vote %\n';
+  csv += 'Motion ID,Motion Title,Status,Outcome,Opens At,Closes At,Required Majority,Eligible Voters,Votes Cast,Turnout %,Choice,Vote Count,Vote %,Voting Method,Round,Round Result,Weighting,Eligible Weight,Weight Cast,Proxy Ballots\n';
 
   for (const { motion, stats, results } of exportData) {
+    // Turnout, counts and percentages follow the motion's weighting; the voter
+    // columns (and proxy ballots) are always headcount
     const turnout = stats.eligible > 0
       ? (stats.voted / stats.eligible * 100).toFixed(2)
       : '0.00';
-
-    if (results.length === 0) {
+    const trailingColumns = [stats.weighting, stats.eligible, stats.voted, stats.headcount.proxy];
+
+    if (stats.runoff && stats.runoff.rounds.length > 0) {
+      // Ranked motion: one row per option per elimination round
+      stats.runoff.rounds.forEach(round => {
+        const live = stats.runoff.totalWeight - round.exhausted;
+        Object.entries(round.counts).forEach(([choice, count]) => {
+          const percentage = live > 0
+            ? (count / live * 100).toFixed(2)
+            : '0.00';
+          let roundResult = '';
+          if (round.winner === choice) roundResult = 'Winner';
+          else if (round.eliminated.includes(choice)) roundResult = 'Eliminated';
+
+          csv += [
+            motion.id,
+            `"${motion.title.replace(/"/g, '""')}"`,
+            motion.status,
+            motion.outcome || '',
+            motion.open_at,
+            motion.close_at,
+            `"${describeThreshold(motion)}"`,
+            stats.headcount.eligible,
+            stats.headcount.voted,
+            turnout,
+            `"${choice.replace(/"/g, '""')}"`,
+            count,
+            percentage,
+            motion.voting_method,
+            round.round,
+            roundResult,
+            ...trailingColumns
+          ].join(',') + '\n';
+        });
+      });
+    } else if (results.length === 0) {
       // Motion with no votes
       csv += [
         motion.id,
@@ -210,13 +593,17 @@ function generateCSVExport(res, exportData, start_date, end_date) {
         motion.outcome || '',
         motion.open_at,
         motion.close_at,
-        motion.required_majority,
-        stats.eligible,
-        stats.voted,
+        `"${describeThreshold(motion)}"`,
+        stats.headcount.eligible,
+        stats.headcount.voted,
         turnout,
         '',
         '',
-        ''
+        '',
+        motion.voting_method,
+        '',
+        '',
+        ...trailingColumns
       ].join(',') + '\n';
     } else {
       // One row per vote choice
@@ -232,13 +619,17 @@ function generateCSVExport(res, exportData, start_date, end_date) {
           motion.outcome || '',
           motion.open_at,
           motion.close_at,
-          motion.required_majority,
-          stats.eligible,
-          stats.voted,
+          `"${describeThreshold(motion)}"`,
+          stats.headcount.eligible,
+          stats.headcount.voted,
           turnout,
           `"${result.choice.replace(/"/g, '""')}"`,
           result.count,
-          percentage
+          percentage,
+          motion.voting_method,
+          '',
+          isApprovalMotion(motion) ? 'Approvals' : '',
+          ...trailingColumns
         ].join(',') + '\n';
       });
     }
@@ -250,8 +641,35 @@ function generateCSVExport(res, exportData, start_date, end_date) {
   res.send(csv);
 }
 
+// Logo, corporation name and strata plan at the top of a PDF page. pdfkit can
+// only embed PNG and JPEG, so other logos are left out.
+function drawPDFBrandingHeader(doc, branding, logo) {
+  if (logo && (logo.type === 'image/png' || logo.type === 'image/jpeg')) {
+    const width = 150;
+    const height = 50;
+    try {
+      doc.image(logo.data, (doc.page.width - width) / 2, doc.y, { fit: [width, height], align: 'center', valign: 'center' });
+      doc.y += height + 5;
+    } catch (err) {
+      logger.warn('Branding logo could not be drawn in PDF', { error: err.message });
+    }
+  }
+
+  const plan = describeStrataPlan(branding);
+  doc.fontSize(11).fillColor('#555').text(`${branding.name}${plan ? ` - ${plan}` : ''}`, doc.page.margins.left, doc.y, { align: 'center' });
+  doc.fillColor('black').moveDown(1);
+}
+
+function drawPDFBrandingFooter(doc, branding) {
+  if (!branding.footerText) return;
+  doc.moveDown(1);
+  doc.fontSize(8).fillColor('#555').text(branding.footerText, doc.page.margins.left, doc.y, { align: 'center' });
+  doc.fillColor('black');
+}
+
 function generatePDFExport(res, exportData, start_date, end_date) {
   const PDFDocument = require('pdfkit');
+  const branding = getBranding();
   const doc = new PDFDocument({ margin: 50 });
 
   const startFormatted = start_date.substring(0, 10);
@@ -265,6 +683,7 @@ function generatePDFExport(res, exportData, start_date, end_date) {
   doc.pipe(res);
 
   // Title
+  drawPDFBrandingHeader(doc, branding, getBrandingLogo());
   doc.fontSize(20).text('Vote Results Export', { align: 'center' });
   doc.fontSize(10).text(`Generated: ${new Date().toLocaleString()}`, { align: 'center' });
   doc.text(`Date Range: ${start_date} to ${end_date}`, { align: 'center' });
@@ -272,7 +691,7 @@ function generatePDFExport(res, exportData, start_date, end_date) {
 
   // For each motion
   exportData.forEach((data, index) => {
-    const { motion, stats, results } = data;
+    const { motion, stats, results, tieBreak } = data;
 
     // Motion header
     doc.fontSize(14).text(`Motion ${index + 1}: ${motion.title}`, { underline: true });
@@ -284,18 +703,50 @@ function generatePDFExport(res, exportData, start_date, end_date) {
     doc.text(`    Outcome: ${motion.outcome || 'Not set'}`);
     doc.text(`Opens: ${new Date(motion.open_at).toLocaleString()}`);
     doc.text(`Closes: ${new Date(motion.close_at).toLocaleString()}`);
-    doc.text(`Required Majority: ${motion.required_majority === 'Simple' ? 'Simple (>50%)' : 'Two-Thirds (≥66.67%)'}`);
+    if (isRankedMotion(motion) || isApprovalMotion(motion)) {
+      doc.text(`Voting Method: ${describeVotingMethod(motion)}`);
+    } else {
+      doc.text(`Required Majority: ${describeThreshold(motion)}`);
+    }
     doc.moveDown(0.5);
 
     // Statistics
     const turnout = stats.eligible > 0
       ? (stats.voted / stats.eligible * 100).toFixed(1)
       : '0';
-    doc.text(`Eligible Voters: ${stats.eligible}    Votes Cast: ${stats.voted}    Turnout: ${turnout}%`);
+    if (stats.weighting === 'Entitlement') {
+      doc.text('Weighting: Unit entitlement');
+      doc.text(`Eligible Entitlement: ${stats.eligible}    Entitlement Cast: ${stats.voted}    Turnout: ${turnout}%`);
+      doc.text(`Voters: ${stats.headcount.voted} of ${stats.headcount.eligible}`);
+    } else {
+      doc.text(`Eligible Voters: ${stats.eligible}    Votes Cast: ${stats.voted}    Turnout: ${turnout}%`);
+    }
+    if (stats.headcount.proxy > 0) doc.text(`Cast by Proxy: ${stats.headcount.proxy} ballot${stats.headcount.proxy !== 1 ? 's' : ''}`);
+    const quorum = getQuorumStatus(motion, stats);
+    if (quorum) doc.text(`Quorum: ${describeQuorum(motion)} (${describeQuorumProgress(quorum)})`);
     doc.moveDown(0.5);
 
     // Results table
-    if (results.length > 0) {
+    if (stats.runoff && stats.runoff.rounds.length > 0) {
+      doc.text('Instant-Runoff Rounds:', { underline: true });
+      doc.moveDown(0.3);
+
+      describeRunoffRounds(stats.runoff).forEach(line => {
+        doc.text(`  ${line}`);
+      });
+      doc.moveDown(0.3);
+      doc.text(describeRunoffResult(stats.runoff));
+    } else if (isApprovalMotion(motion) && stats.voted > 0) {
+      doc.text('Approval Counts:', { underline: true });
+      doc.moveDown(0.3);
+
+      results.forEach(result => {
+        const percentage = (result.count / stats.voted * 100).toFixed(1);
+        doc.text(`  ${result.choice}: ${result.count} approval${result.count !== 1 ? 's' : ''} (${percentage}% of ballots)`);
+      });
+      doc.moveDown(0.3);
+      doc.text(describeApprovalResult(results));
+    } else if (results.length > 0) {
       doc.text('Vote Breakdown:', { underline: true });
       doc.moveDown(0.3);
 
@@ -303,12 +754,20 @@ function generatePDFExport(res, exportData, start_date, end_date) {
         const percentage = stats.voted > 0
           ? (result.count / stats.voted * 100).toFixed(1)
           : '0';
-        doc.text(`  ${result.choice}: ${result.count} votes (${percentage}%)`);
+        const unit = stats.weighting === 'Entitlement' ? 'entitlement' : 'votes';
+        doc.text(`  ${result.choice}: ${result.count} ${unit} (${percentage}%)`);
       });
     } else {
       doc.text('No votes cast');
     }
 
+    if (tieBreak) {
+      doc.moveDown(0.3);
+      doc.text(`Tie-Break Rule: ${describeTieBreakPolicy(motion)}`);
+      doc.text(`Tie-Break: ${describeTieBreak(tieBreak)}`);
+      if (tieBreak.notes) doc.text(`  Chair's notes: ${tieBreak.notes}`);
+    }
+
     doc.moveDown(2);
 
     // Page break if not last motion and near bottom of page
@@ -317,12 +776,112 @@ function generatePDFExport(res, exportData, start_date, end_date) {
     }
   });
 
+  drawPDFBrandingFooter(doc, branding);
+
   // Finalize PDF
   doc.end();
 }
 
+// Draw a QR code as filled squares, keeping it sharp at any print size.
+// `size` includes the four-module quiet zone scanners need around the code.
+function drawQRCode(doc, text, x, y, size) {
+  const QRCode = require('qrcode');
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const cell = size / (modules.size + 8);
+
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        doc.rect(x + (col + 4) * cell, y + (row + 4) * cell, cell, cell);
+      }
+    }
+  }
+  doc.fill('black');
+}
+
+// One printable invitation page per voter, for letterbox drops. Each entry in
+// invitations is { token, link, code } with the raw link and code just issued.
+function generateInvitationPDF(res, motion, invitations) {
+  const PDFDocument = require('pdfkit');
+  const doc = new PDFDocument({ margin: 50, autoFirstPage: false });
+  const options = JSON.parse(motion.options_json);
+  const branding = getBranding();
+  const logo = getBrandingLogo();
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="voting-invitations-${motion.motion_ref}.pdf"`);
+
+  doc.pipe(res);
+
+  invitations.forEach(({ token, link, code }) => {
+    doc.addPage();
+    drawPDFBrandingHeader(doc, branding, logo);
+
+    // Recipient
+    doc.fontSize(10).fillColor('#555').text(motion.motion_ref, { align: 'right' });
+    doc.fillColor('black').fontSize(12).text(token.recipient_name || 'Owner');
+    if (token.unit_number) doc.text(`Unit ${token.unit_number}`);
+    doc.moveDown(1.5);
+
+    // Motion
+    doc.fontSize(18).text('Voting Invitation', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(14).text(motion.title, { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(10).text(motion.description);
+    doc.moveDown(0.5);
+
+    doc.text(`Voting Method: ${describeVotingMethod(motion)}`);
+    doc.text('Options:');
+    options.forEach(option => {
+      doc.text(`  - ${option}`);
+    });
+    doc.moveDown(0.5);
+    doc.text(`Voting opens: ${new Date(motion.open_at).toLocaleString()}`);
+    doc.text(`Voting closes: ${new Date(motion.close_at).toLocaleString()}`);
+    if (token.expires_at) doc.text(`This invitation expires: ${new Date(token.expires_at).toLocaleString()}`);
+    doc.moveDown(1);
+
+    // QR code, centred below the text; long motions push it onto a second page
+    const qrSize = 180;
+    const qrX = (doc.page.width - qrSize) / 2;
+    if (doc.y + qrSize + 120 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    doc.fontSize(12).text('Scan to vote', { align: 'center' });
+    const qrY = doc.y + 5;
+    drawQRCode(doc, link, qrX, qrY, qrSize);
+    doc.y = qrY + qrSize + 5;
+    doc.x = doc.page.margins.left;
+
+    doc.fontSize(8).fillColor('#555').text(link, { align: 'center' });
+    doc.fillColor('black').moveDown(1);
+    doc.fontSize(10).text(
+      `Or go to ${tenantBaseUrl(BASE_URL)}/vote and enter motion ${motion.motion_ref} with voting code ${formatCode(code)}.`,
+      { align: 'center' }
+    );
+    doc.moveDown(1);
+    doc.fontSize(9).fillColor('#555').text(
+      motion.revisable
+        ? 'This invitation is personal to you. You can use it again to change your vote until voting closes.'
+        : 'This invitation is personal to you and can only be used once.',
+      { align: 'center' }
+    );
+    doc.fillColor('black');
+    drawPDFBrandingFooter(doc, branding);
+  });
+
+  doc.end();
+}
+
 // Middleware
 app.set('view engine', 'ejs');
+app.locals.describeVotingMethod = describeVotingMethod;
+app.locals.describeWeighting = describeWeighting;
+app.locals.describeThreshold = describeThreshold;
+app.locals.describeQuorum = describeQuorum;
+app.locals.describeQuorumProgress = describeQuorumProgress;
+app.locals.describeTieBreakPolicy = describeTieBreakPolicy;
+app.locals.describeTieBreak = describeTieBreak;
+app.locals.describeReminders = describeReminders;
 app.set('views', path.join(__dirname, 'views'));
 app.use(express.static('public'));
 app.use(express.urlencoded({ extended: true }));
@@ -387,15 +946,19 @@ const sqliteStore = new SqliteStore({
   }
 });
 
-// Background worker: close motions when time ends and send results/token emails via outbox
-setInterval(async () => {
-  try {
+// Background worker: open scheduled motions, close motions when time ends and
+// send results/token/reminder emails and webhooks via outbox, for each building
+setInterval(() => {
+  forEachTenant('notification worker tick', async () => {
+    const baseUrl = tenantBaseUrl(BASE_URL);
+    openScheduledMotions();
     sweepAndEnqueueCompletedMotions();
-    await processPendingResultsEmails({ baseUrl: BASE_URL, limit: 25 });
-    await processPendingTokenEmails({ baseUrl: BASE_URL, limit: 50 });
-  } catch (err) {
-    logger.error('notification worker tick failed', { error: err.message });
-  }
+    enqueueDueReminders();
+    await processPendingResultsEmails({ baseUrl, limit: 25 });
+    await processPendingTokenEmails({ baseUrl, limit: 50 });
+    await processPendingReminders({ baseUrl, limit: 50 });
+    await processPendingWebhooks({ limit: 50 });
+  });
 }, 60 * 1000);
 
 app.use(session({
@@ -542,6 +1105,46 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
+const ADMIN_PATH_PATTERN = /^\/admin(?=[/?]|$)/;
+
+// Building (tenant) for the request: from a /b/<slug> path prefix, which is
+// removed, then the building's own hostname, then (for admin pages) the
+// building the admin signed in to, then the default building. The rest of the request runs
+// against that building's database.
+app.use((req, res, next) => {
+  let tenant = null;
+  let basePath = '';
+
+  const prefix = req.url.match(TENANT_PATH_PATTERN);
+  if (prefix) {
+    tenant = findTenantBySlug(prefix[1]);
+    if (!tenant || tenant.is_default) {
+      return res.status(404).send('Building not found');
+    }
+    basePath = prefix[0];
+    req.url = req.url.slice(basePath.length) || '/';
+  }
+
+  if (!tenant) {
+    tenant = findTenantByHostname(req.hostname);
+  }
+  req.tenantFixed = !!tenant;
+
+  // Only admin pages follow the session: voting, ballot and proxy links must
+  // reach the building they were issued for whoever else is signed in
+  if (!tenant && req.session && req.session.tenantId && ADMIN_PATH_PATTERN.test(req.url)) {
+    tenant = findTenantById(req.session.tenantId);
+  }
+
+  req.tenant = tenant || DEFAULT_TENANT;
+  res.locals.basePath = basePath;
+  runWithTenant(req.tenant, () => {
+    // Building branding for every page
+    res.locals.branding = getBranding();
+    next();
+  });
+});
+
 // CSRF protection using COOKIES (not session) to avoid overwriting session cookie
 // cookie: true means CSRF tokens are stored in a separate cookie, not in the session
 const csrfProtection = csrf({
@@ -565,6 +1168,10 @@ app.use((req, res, next) => {
   if (req.path === '/admin/login' && req.method === 'POST') {
     return next();
   }
+  // Skip CSRF for the JSON API (authenticated by API key, not cookies)
+  if (req.path.startsWith('/api/')) {
+    return next();
+  }
   csrfProtection(req, res, next);
 });
 
@@ -585,31 +1192,112 @@ app.use((err, req, res, next) => {
 
   // For admin routes, redirect to login (session/CSRF likely stale after redeploy)
   if (req.path.startsWith('/admin/')) {
-    return res.redirect('/admin/login');
+    return res.redirect(`${res.locals.basePath}/admin/login`);
   }
 
   res.status(403).send('Form expired. Please go back and try again.');
 });
 
-// Helper: check isAdmin robustly (SQLite may deserialize true as 1 or "true")
+// Helper: check isAdmin robustly (SQLite may deserialize true as 1 or "true").
+// Sessions from before admin user accounts have no adminUserId and must log in again.
 function isAdminAuthenticated(session) {
-  if (!session) return false;
+  if (!session || !session.adminUserId) return false;
   const val = session.isAdmin;
   return val === true || val === 1 || val === 'true';
 }
 
-// Auth middleware
-function requireAuth(req, res, next) {
-  if (isAdminAuthenticated(req.session)) {
-    return next();
-  }
+// A session is only valid for the building it signed in to. Sessions from
+// before buildings existed belong to the default building.
+function isSignedInToTenant(req) {
+  return isAdminAuthenticated(req.session) && (req.session.tenantId || DEFAULT_TENANT.id) === req.tenant.id;
+}
 
-  logger.warn('Auth failed - redirecting to login', {
-    path: req.path,
-    sessionID: req.sessionID
+function isTwoFactorRequired() {
+  return getSetting('require_2fa') === '1';
+}
+
+// Admin roles, lowest first. Observers can view everything but change nothing;
+// admins run motions, ballots and voters; owners also manage admin users and settings.
+const ADMIN_ROLES = ['observer', 'admin', 'owner'];
+
+function hasRole(user, role) {
+  return !!user && ADMIN_ROLES.indexOf(user.role) >= ADMIN_ROLES.indexOf(role);
+}
+
+// Auth middleware for a minimum role. The user is loaded on every request, so
+// disabling an account or changing its role takes effect immediately.
+function requireRole(role) {
+  return (req, res, next) => {
+    const user = isSignedInToTenant(req)
+      ? adminUserQueries.getById.get(req.session.adminUserId)
+      : null;
+
+    if (!user || user.disabled) {
+      logger.warn('Auth failed - redirecting to login', {
+        path: req.path,
+        sessionID: req.sessionID
+      });
+      if (req.session) {
+        delete req.session.isAdmin;
+        delete req.session.adminUserId;
+      }
+      return res.redirect(`${res.locals.basePath}/admin/login`);
+    }
+
+    // Sessions that signed in without a second step end once 2FA is required
+    if (isTwoFactorRequired() && !req.session.twoFactorVerified) {
+      logger.warn('Two-factor authentication required - redirecting to login', {
+        path: req.path,
+        user: user.username
+      });
+      delete req.session.isAdmin;
+      delete req.session.adminUserId;
+      return res.redirect(`${res.locals.basePath}/admin/login`);
+    }
+
+    req.adminUser = user;
+    res.locals.currentUser = user;
+    res.locals.isSuperAdmin = isSuperAdmin(req, user);
+
+    if (!hasRole(user, role)) {
+      logger.warn('Permission denied', {
+        path: req.path,
+        method: req.method,
+        user: user.username,
+        role: user.role,
+        requiredRole: role
+      });
+      return res.status(403).send('You do not have permission to do that.');
+    }
+
+    next();
+  };
+}
+
+const requireObserver = requireRole('observer');
+const requireAdmin = requireRole('admin');
+const requireOwner = requireRole('owner');
+
+// Owners of the default building manage every building
+function isSuperAdmin(req, user) {
+  return req.tenant.is_default && hasRole(user, 'owner');
+}
+
+function requireSuperAdmin(req, res, next) {
+  requireOwner(req, res, () => {
+    if (!isSuperAdmin(req, req.adminUser)) {
+      return res.status(403).send('You do not have permission to do that.');
+    }
+    next();
   });
+}
 
-  res.redirect('/admin/login');
+// Any admin user may view admin pages; changing anything needs the admin role
+function requireAuth(req, res, next) {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return requireObserver(req, res, next);
+  }
+  return requireAdmin(req, res, next);
 }
 
 // Helper: hash IP address
@@ -620,37 +1308,51 @@ function hashIP(ip) {
     .digest('hex');
 }
 
-function parseMotionDateTime(value) {
-  if (!value) return new Date(NaN);
-  if (typeof value !== 'string') return new Date(value);
-
-  // Handle values from <input type="datetime-local"> which are typically like "YYYY-MM-DDTHH:mm"
-  // and therefore have no explicit timezone.
-  const m = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
-  if (m) {
-    const year = Number(m[1]);
-    const month = Number(m[2]);
-    const day = Number(m[3]);
-    const hour = Number(m[4]);
-    const minute = Number(m[5]);
-    const second = m[6] ? Number(m[6]) : 0;
-
-    // If APP_TIMEZONE_OFFSET_MINUTES is set (e.g. -480 for PST), interpret the input as that local
-    // time and convert to a UTC Date.
-    const offsetMinutesRaw = process.env.APP_TIMEZONE_OFFSET_MINUTES;
-    if (offsetMinutesRaw !== undefined && offsetMinutesRaw !== null && String(offsetMinutesRaw).trim() !== '') {
-      const offsetMinutes = Number(offsetMinutesRaw);
-      if (!Number.isNaN(offsetMinutes)) {
-        const utcMs = Date.UTC(year, month - 1, day, hour, minute, second) - (offsetMinutes * 60 * 1000);
-        return new Date(utcMs);
-      }
-    }
-
-    // Fallback: let JS interpret it in the server's local timezone.
-    return new Date(value);
+// Record an audit event for a request. The actor is the signed-in admin user,
+// or "voter" on the public voting pages. Snapshots must never include ballot
+// choices, passwords or other secrets. A failure is logged but does not undo
+// the action it describes.
+function audit(req, action, { actor, targetType = null, targetId = null, motionId = null, before = null, after = null } = {}) {
+  try {
+    recordAuditEvent({
+      actor: actor || (req.adminUser ? req.adminUser.username : 'voter'),
+      action,
+      targetType,
+      targetId,
+      motionId,
+      before,
+      after,
+      ipHash: hashIP(req.ip)
+    });
+  } catch (err) {
+    logger.error('Failed to record audit event', { action, error: err.message });
   }
+}
+
+// Webhook for a ballot cast or changed. It never carries the choice.
+function emitBallotCast(motionId, { tokenId, via, changed = false, proxyId = null }) {
+  emitWebhook('ballot.cast', () => {
+    const { headcount } = getMotionStats(motionId);
+    return motionEventData(motionQueries.getById.get(motionId), {
+      token_id: tokenId,
+      via,
+      changed,
+      by_proxy: !!proxyId,
+      turnout: { voted: headcount.voted, eligible: headcount.eligible }
+    });
+  });
+}
 
-  return new Date(value);
+// What the audit log keeps of a voting link: who it is for and its state, not its hashes
+function tokenSnapshot(token) {
+  if (!token) return null;
+  return {
+    recipient_name: token.recipient_name,
+    recipient_email: token.recipient_email,
+    unit_number: token.unit_number,
+    status: token.status,
+    expires_at: token.expires_at
+  };
 }
 
 // Helper: validate vote eligibility
@@ -663,7 +1365,12 @@ function validateVoteEligibility(motion, token) {
     return { valid: false, message: 'Invalid voting link.' };
   }
 
-  if (token.status === 'Used') {
+  // On revisable motions a used link may come back to replace its ballot
+  const currentBallot = token.status === 'Used' && isRevisable(motion)
+    ? ballotQueries.getByToken.get(token.id)
+    : null;
+
+  if (token.status === 'Used' && !currentBallot) {
     return { valid: false, message: 'This voting link has already been used.' };
   }
 
@@ -671,7 +1378,7 @@ function validateVoteEligibility(motion, token) {
     return { valid: false, message: 'This voting link has been revoked.' };
   }
 
-  if (token.status !== 'Active') {
+  if (token.status !== 'Active' && !currentBallot) {
     return { valid: false, message: 'This voting link is not active.' };
   }
 
@@ -679,6 +1386,15 @@ function validateVoteEligibility(motion, token) {
     return { valid: false, message: 'Invalid voting link for this motion.' };
   }
 
+  // A link's own expiry applies whatever the motion's voting period
+  if (token.expires_at && now >= new Date(token.expires_at)) {
+    return { valid: false, message: `This voting link has expired. (Expired at: ${token.expires_at})` };
+  }
+
+  if (motion.status === 'Scheduled') {
+    return { valid: false, message: `Voting has not yet opened. It opens at ${openAt.toISOString()}.` };
+  }
+
   if (motion.status !== 'Open') {
     return { valid: false, message: 'Voting is not currently open for this motion.' };
   }
@@ -697,40 +1413,385 @@ function validateVoteEligibility(motion, token) {
     };
   }
 
-  return { valid: true };
+  return { valid: true, currentBallot };
 }
 
-// PUBLIC ROUTES
+// Helper: the answer a revisable ballot currently holds, used to show it and
+// prefill the form when the voter comes back to change it
+function getCurrentAnswer(motion, ballot) {
+  if (!ballot) return null;
+  const choices = ballotQueries.getChoicesByBallot.all(ballot.id).map(row => row.choice);
+  return {
+    choice: ballot.choice,
+    submittedAt: ballot.submitted_at,
+    ranking: isRankedMotion(motion) ? choices : [],
+    selections: isApprovalMotion(motion) ? choices : []
+  };
+}
 
-// Home redirect
-app.get('/', (req, res) => {
-  res.redirect('/admin/login');
-});
+// Helper: read a ranked ballot from the vote form. The form has one select per
+// preference; trailing preferences may be left blank but gaps are not allowed.
+function parseRankingInput(raw, options) {
+  const values = (Array.isArray(raw) ? raw : [raw]).map(v => (v || '').trim());
+  const ranking = [];
+  let sawBlank = false;
+
+  for (const value of values) {
+    if (!value) {
+      sawBlank = true;
+      continue;
+    }
+    if (sawBlank) {
+      return { error: 'Please fill in your preferences in order without leaving gaps.' };
+    }
+    if (!options.includes(value)) {
+      return { error: 'Invalid choice.' };
+    }
+    if (ranking.includes(value)) {
+      return { error: 'Each option can only be ranked once.' };
+    }
+    ranking.push(value);
+  }
 
-// Vote page
-app.get('/vote/:motionId', (req, res) => {
-  const { motionId } = req.params;
-  const { token } = req.query;
+  if (ranking.length === 0) {
+    return { error: 'Please rank at least one option.' };
+  }
 
-  if (!token) {
-    return res.render('vote', {
-      error: 'No voting token provided.',
-      motion: null,
-      token: null
-    });
+  return { ranking };
+}
+
+// Helper: read an approval ballot (checkboxes) and enforce the motion's selection limits
+function parseSelectionInput(raw, options, motion) {
+  const values = raw === undefined ? [] : (Array.isArray(raw) ? raw : [raw]);
+  const selections = [];
+
+  for (const value of values) {
+    if (!options.includes(value)) {
+      return { error: 'Invalid choice.' };
+    }
+    if (!selections.includes(value)) selections.push(value);
   }
 
-  const motion = motionQueries.getById.get(motionId);
-  if (!motion) {
-    return res.render('vote', {
-      error: 'Motion not found.',
-      motion: null,
-      token: null
-    });
+  const { min, max } = getSelectionLimits(motion);
+  if (selections.length < min) {
+    return { error: `Please select at least ${min} option${min !== 1 ? 's' : ''}.` };
+  }
+  if (selections.length > max) {
+    return { error: `Please select no more than ${max} option${max !== 1 ? 's' : ''}.` };
   }
 
-  const tokenRecord = tokenQueries.getByToken.get(token);
-  const validation = validateVoteEligibility(motion, tokenRecord);
+  // Keep the motion's option order so ballots read consistently
+  return { selections: options.filter(option => selections.includes(option)) };
+}
+
+// Helper: voting method settings from the motion form or an import row.
+// Ranked and approval motions need real options rather than the Yes/No/Abstain default.
+function parseVotingMethodInput(input, optionsArray, optionsProvided) {
+  const votingMethod = input.voting_method || 'Single';
+
+  if (votingMethod !== 'Single' && !optionsProvided) {
+    return { error: 'Ranked and approval motions need their candidates, quotes or choices listed as options.' };
+  }
+
+  if (votingMethod !== 'Approval') {
+    return { voting_method: votingMethod, min_selections: null, max_selections: null };
+  }
+
+  const min = input.min_selections === undefined || input.min_selections === '' ? 1 : Number(input.min_selections);
+  const max = input.max_selections === undefined || input.max_selections === '' ? optionsArray.length : Number(input.max_selections);
+
+  if (!Number.isInteger(min) || min < 1) {
+    return { error: 'Minimum selections must be a whole number of at least 1.' };
+  }
+  if (!Number.isInteger(max) || max < min) {
+    return { error: 'Maximum selections must be a whole number no smaller than the minimum.' };
+  }
+  if (max > optionsArray.length) {
+    return { error: `Maximum selections cannot exceed the number of options (${optionsArray.length}).` };
+  }
+
+  return { voting_method: votingMethod, min_selections: min, max_selections: max };
+}
+
+// Helper: quorum rule from the motion form or an import row
+function parseQuorumInput(input) {
+  const type = input.quorum_type || 'None';
+  if (type === 'None') return { quorum_type: 'None', quorum_value: null };
+
+  const value = input.quorum_value === undefined || input.quorum_value === '' ? NaN : Number(input.quorum_value);
+  if (type === 'Ballots' && (!Number.isInteger(value) || value < 1)) {
+    return { error: 'Quorum must be a whole number of ballots, at least 1.' };
+  }
+  if (type === 'Percent' && !(value > 0 && value <= 100)) {
+    return { error: 'Quorum turnout must be a percentage above 0 and at most 100.' };
+  }
+
+  return { quorum_type: type, quorum_value: value };
+}
+
+// Helper: secret and revisable flags from the motion form ('0'/'1') or an
+// import row ('yes'/'no'). A secret ballot keeps no link back to its voter,
+// so there is no ballot for a returning voter to change. Nor can it carry
+// the unit's entitlement: an unusual entitlement would single out its vote.
+function parseBallotPrivacyInput(input) {
+  const flag = value => (/^(1|yes)$/i.test(String(value || '').trim()) ? 1 : 0);
+  const secret = flag(input.secret);
+  const revisable = flag(input.revisable);
+  if (secret && revisable) {
+    return { error: 'A secret ballot cannot let voters change their vote.' };
+  }
+  if (secret && input.weighting === 'Entitlement') {
+    return { error: 'A secret ballot cannot be weighted by unit entitlement, since a unit\'s entitlement could identify its vote.' };
+  }
+  return { secret, revisable };
+}
+
+// Helper: starting status and link email timing from the motion form ('0'/'1')
+// or an import row ('yes'/'no'). A scheduled motion opens itself at open_at.
+function parseSchedulingInput(input) {
+  const flag = value => (/^(1|yes)$/i.test(String(value || '').trim()) ? 1 : 0);
+  return {
+    status: flag(input.scheduled) ? 'Scheduled' : 'Draft',
+    send_links_on_open: flag(input.send_links_on_open)
+  };
+}
+
+// Helper: reminder schedule from the motion form or an import row, given as
+// hours before voting closes ("24, 2"). Returns { reminder_hours } or { error }.
+function parseReminderInput(input) {
+  const raw = String(input.reminder_hours || '').trim();
+  if (!raw) return { reminder_hours: null };
+
+  const hours = raw.split(',').map(value => value.trim()).filter(Boolean);
+  if (hours.some(value => !/^\d+$/.test(value) || Number(value) < 1 || Number(value) > 720)) {
+    return { error: 'Reminders must be whole numbers of hours between 1 and 720, separated by commas.' };
+  }
+  const unique = [...new Set(hours.map(Number))].sort((a, b) => b - a);
+  if (unique.length > 5) {
+    return { error: 'A motion can have at most 5 reminders.' };
+  }
+  return { reminder_hours: unique.join(',') };
+}
+
+// Helper: check one motion's answer from a vote form.
+// Returns { error } or the arguments submitVote needs ({ choice, ranking, selections }).
+function parseBallotAnswer(motion, { choice, ranking, selections }) {
+  const options = JSON.parse(motion.options_json);
+
+  if (isRankedMotion(motion)) {
+    const parsed = parseRankingInput(ranking, options);
+    if (parsed.error) return { error: parsed.error };
+    return { choice: null, ranking: parsed.ranking, selections: null };
+  }
+
+  if (isApprovalMotion(motion)) {
+    const parsed = parseSelectionInput(selections, options, motion);
+    if (parsed.error) return { error: parsed.error };
+    return { choice: null, ranking: null, selections: parsed.selections };
+  }
+
+  if (!options.includes(choice)) {
+    return { error: 'Invalid choice.' };
+  }
+  return { choice, ranking: null, selections: null };
+}
+
+// Helper: recipients from the "Name, Email, Unit" textarea plus any ticked
+// council members, de-duplicated by email (case-insensitive)
+function collectRecipients(recipients, selectedCouncilMembers) {
+  const recipientList = [];
+  const emailSet = new Set();
+
+  if (recipients && recipients.trim()) {
+    const lines = recipients.split('\n').map(line => line.trim()).filter(line => line);
+    for (const line of lines) {
+      const parts = line.split(',').map(p => p.trim());
+      const name = parts[0] || null;
+      const email = parts[1] || null;
+      const unit = parts[2] || null;
+
+      if (email && !emailSet.has(email.toLowerCase())) {
+        recipientList.push({ name, email, unit });
+        emailSet.add(email.toLowerCase());
+      } else if (!email && name) {
+        // No email: the link is handed over in person or on a printed invitation
+        recipientList.push({ name, email, unit });
+      }
+    }
+  }
+
+  if (selectedCouncilMembers) {
+    const memberIds = Array.isArray(selectedCouncilMembers)
+      ? selectedCouncilMembers
+      : [selectedCouncilMembers];
+
+    for (const memberId of memberIds) {
+      const member = councilQueries.getById.get(memberId);
+      if (member && !emailSet.has(member.email.toLowerCase())) {
+        recipientList.push({
+          name: member.name,
+          email: member.email,
+          unit: member.unit_number
+        });
+        emailSet.add(member.email.toLowerCase());
+      }
+    }
+  }
+
+  return recipientList;
+}
+
+// Helper: a proxy holder's link for the one-time copy view
+function describeProxyLink(holder, token) {
+  return {
+    name: `${holder.holder_name} (proxy holder)`,
+    email: holder.holder_email,
+    unit: null,
+    link: `${tenantBaseUrl(BASE_URL)}/proxy/${holder.id}?token=${token}`
+  };
+}
+
+// Helper: the optional "Link expires at" field on the voting link forms.
+// Returns { expiresAt } (an ISO string, or null for no expiry) or { error }.
+function parseLinkExpiry(value) {
+  if (!value || !value.trim()) return { expiresAt: null };
+
+  const expiresAt = parseMotionDateTime(value);
+  if (Number.isNaN(expiresAt.getTime())) {
+    return { error: 'Invalid link expiry date/time' };
+  }
+  if (expiresAt <= new Date()) {
+    return { error: 'Link expiry must be in the future' };
+  }
+  return { expiresAt: expiresAt.toISOString() };
+}
+
+// Helper: record a proxy from `grantor` (a motion token, or a ballot group
+// token when scope.groupId is set) to the holder named in the form. A holder
+// keeps one link per motion or ballot however many units they represent; the
+// raw token is returned only when this proxy created the holder's link.
+function recordProxy(scope, grantor, { holder_name, holder_email, instructions }) {
+  const holderName = holder_name.trim();
+  const holderEmail = holder_email && holder_email.trim() ? holder_email.trim() : null;
+
+  if (grantor.status !== 'Active') {
+    return { error: 'Only voters who have not voted yet can give a proxy.' };
+  }
+  const existing = scope.groupId
+    ? proxyQueries.getActiveForGroupToken.get(grantor.id)
+    : proxyQueries.getActiveForToken.get(grantor.id);
+  if (existing) {
+    return { error: 'This voter has already given a proxy. Revoke it first to name a different proxy holder.' };
+  }
+  if (holderEmail && grantor.recipient_email && holderEmail.toLowerCase() === grantor.recipient_email.toLowerCase()) {
+    return { error: 'A voter cannot hold their own proxy.' };
+  }
+
+  const now = new Date().toISOString();
+  return db.transaction(() => {
+    let holder = proxyQueries.findHolder.get({
+      motion_id: scope.motionId || null,
+      group_id: scope.groupId || null,
+      holder_email: holderEmail,
+      holder_name: holderName
+    });
+    let token = null;
+    if (!holder) {
+      token = generateToken();
+      const result = proxyQueries.createHolder.run(
+        hashToken(token),
+        scope.motionId || null,
+        scope.groupId || null,
+        holderName,
+        holderEmail,
+        now
+      );
+      holder = proxyQueries.getHolderById.get(result.lastInsertRowid);
+    }
+
+    proxyQueries.create.run(
+      holder.id,
+      scope.groupId ? null : grantor.id,
+      scope.groupId ? grantor.id : null,
+      instructions && instructions.trim() ? instructions.trim() : null,
+      now
+    );
+    return { holder, token };
+  })();
+}
+
+// PUBLIC ROUTES
+
+// Home redirect
+app.get('/', (req, res) => {
+  res.redirect(`${res.locals.basePath}/admin/login`);
+});
+
+// Code entry page, for voters who have a motion ref and voting code instead of a link
+app.get('/vote', (req, res) => {
+  res.render('vote_code', { error: null, motionRef: '' });
+});
+
+app.post('/vote', codeLimiter, codeMotionLimiter, validate(schemas.voteCode), (req, res) => {
+  const { motion_ref, code } = req.body;
+
+  // Refs are M-YYYY-NNNNNN; the motion is keyed by id from here on
+  const motion = motionQueries.getByRef.get(normalizeMotionRef(motion_ref));
+  const tokenRecord = motion ? tokenQueries.getByCodeHash.get(motion.id, hashCode(motion.id, code)) : null;
+
+  if (!tokenRecord) {
+    return res.render('vote_code', {
+      error: 'That motion reference and voting code do not match. Check both and try again.',
+      motionRef: motion_ref
+    });
+  }
+  res.locals.codeAccepted = true;
+
+  const validation = validateVoteEligibility(motion, tokenRecord);
+  if (!validation.valid) {
+    return res.render('vote', {
+      error: validation.message,
+      motion,
+      token: null
+    });
+  }
+
+  motion.options = JSON.parse(motion.options_json);
+
+  res.render('vote', {
+    error: null,
+    motion,
+    token: null,
+    code: normalizeCode(code),
+    selectionLimits: isApprovalMotion(motion) ? getSelectionLimits(motion) : null,
+    current: getCurrentAnswer(motion, validation.currentBallot)
+  });
+});
+
+// Vote page
+app.get('/vote/:motionId', (req, res) => {
+  const { motionId } = req.params;
+  const { token } = req.query;
+
+  if (!token) {
+    return res.render('vote', {
+      error: 'No voting token provided.',
+      motion: null,
+      token: null
+    });
+  }
+
+  const motion = motionQueries.getById.get(motionId);
+  if (!motion) {
+    return res.render('vote', {
+      error: 'Motion not found.',
+      motion: null,
+      token: null
+    });
+  }
+
+  const tokenRecord = tokenQueries.getByTokenHash.get(hashToken(token));
+  const validation = validateVoteEligibility(motion, tokenRecord);
 
   if (!validation.valid) {
     return res.render('vote', {
@@ -746,16 +1807,18 @@ app.get('/vote/:motionId', (req, res) => {
   res.render('vote', {
     error: null,
     motion,
-    token: tokenRecord
+    token,
+    selectionLimits: isApprovalMotion(motion) ? getSelectionLimits(motion) : null,
+    current: getCurrentAnswer(motion, validation.currentBallot)
   });
 });
 
 // Submit vote
-app.post('/vote/:motionId', voteLimiter, validate(schemas.vote), (req, res) => {
+app.post('/vote/:motionId', voteLimiter, limitCodeAttempts, validate(schemas.vote), (req, res) => {
   const { motionId } = req.params;
-  const { token, choice } = req.body;
+  const { token, code, choice, ranking, selections } = req.body;
 
-  if (!token || !choice) {
+  if ((!token && !code) || (!choice && !ranking && !selections)) {
     return res.render('vote_result', {
       success: false,
       message: 'Missing required fields.'
@@ -770,7 +1833,10 @@ app.post('/vote/:motionId', voteLimiter, validate(schemas.vote), (req, res) => {
     });
   }
 
-  const tokenRecord = tokenQueries.getByToken.get(token);
+  const tokenRecord = token
+    ? tokenQueries.getByTokenHash.get(hashToken(token))
+    : tokenQueries.getByCodeHash.get(motion.id, hashCode(motion.id, code));
+  if (code && tokenRecord) res.locals.codeAccepted = true;
   const validation = validateVoteEligibility(motion, tokenRecord);
 
   if (!validation.valid) {
@@ -781,11 +1847,11 @@ app.post('/vote/:motionId', voteLimiter, validate(schemas.vote), (req, res) => {
   }
 
   // Validate choice is in options
-  const options = JSON.parse(motion.options_json);
-  if (!options.includes(choice)) {
+  const answer = parseBallotAnswer(motion, { choice, ranking, selections });
+  if (answer.error) {
     return res.render('vote_result', {
       success: false,
-      message: 'Invalid choice.'
+      message: answer.error
     });
   }
 
@@ -793,7 +1859,17 @@ app.post('/vote/:motionId', voteLimiter, validate(schemas.vote), (req, res) => {
     const userAgent = req.get('user-agent') || null;
     const ipHash = hashIP(req.ip);
 
-    submitVote(motion.id, tokenRecord.id, choice, userAgent, ipHash);
+    const { revised } = submitVote(motion.id, tokenRecord.id, answer.choice, userAgent, ipHash, {
+      ranking: answer.ranking,
+      selections: answer.selections
+    });
+    audit(req, revised ? 'vote.change' : 'vote.cast', {
+      targetType: 'token',
+      targetId: tokenRecord.id,
+      motionId: motion.id,
+      after: { via: code ? 'code' : 'link' }
+    });
+    emitBallotCast(motion.id, { tokenId: tokenRecord.id, via: code ? 'code' : 'link', changed: !!revised });
 
     // Opportunistic completion check: the worker will apply end-time/all-voted/early-threshold rules.
     try {
@@ -804,7 +1880,9 @@ app.post('/vote/:motionId', voteLimiter, validate(schemas.vote), (req, res) => {
 
     res.render('vote_result', {
       success: true,
-      message: 'Your vote has been recorded successfully. Thank you for participating.'
+      message: revised
+        ? 'Your vote has been changed. Your previous vote has been replaced and kept on record.'
+        : 'Your vote has been recorded successfully. Thank you for participating.'
     });
   } catch (err) {
     logger.error('Vote submission error:', err);
@@ -815,92 +1893,586 @@ app.post('/vote/:motionId', voteLimiter, validate(schemas.vote), (req, res) => {
   }
 });
 
-// ADMIN ROUTES
+// Load a ballot group for a voter: every question with the voter's own
+// motion token and whether it can be answered right now.
+function loadBallotForToken(groupId, token) {
+  const group = ballotGroupQueries.getById.get(groupId);
+  if (!group) return { error: 'Ballot not found.' };
 
-// Login page
-app.get('/admin/login', (req, res) => {
-  // If already authenticated, redirect to dashboard
-  if (isAdminAuthenticated(req.session)) {
-    logger.info('Already logged in - redirecting to dashboard', { sessionID: req.sessionID });
-    return res.redirect('/admin/dashboard');
+  const groupToken = token ? ballotGroupQueries.getTokenByTokenHash.get(hashToken(token)) : null;
+  if (!groupToken || groupToken.group_id !== group.id) {
+    return { error: 'Invalid voting link.' };
   }
+  if (groupToken.status === 'Revoked') {
+    return { error: 'This voting link has been revoked.' };
+  }
+  if (groupToken.expires_at && new Date() >= new Date(groupToken.expires_at)) {
+    return { error: `This voting link has expired. (Expired at: ${groupToken.expires_at})` };
+  }
+
+  const linkedTokens = new Map();
+  for (const linked of tokenQueries.getByGroupToken.all(groupToken.id)) {
+    linkedTokens.set(linked.motion_id, linked);
+  }
+
+  const questions = motionQueries.getByGroup.all(group.id)
+    .filter(motion => linkedTokens.has(motion.id))
+    .map(motion => {
+      const motionToken = linkedTokens.get(motion.id);
+      const validation = validateVoteEligibility(motion, motionToken);
+      motion.options = JSON.parse(motion.options_json);
+
+      let message = validation.valid ? null : validation.message;
+      if (motionToken.status === 'Used' && !validation.valid) message = 'You have already voted on this question.';
+
+      return {
+        motion,
+        token: motionToken,
+        open: validation.valid,
+        message,
+        selectionLimits: isApprovalMotion(motion) ? getSelectionLimits(motion) : null,
+        current: validation.valid ? getCurrentAnswer(motion, validation.currentBallot) : null
+      };
+    });
+
+  return { group, groupToken, questions };
+}
 
-  res.render('admin_login', { error: null });
+// Ballot group voting page: all questions under one link
+app.get('/ballot/:groupId', (req, res) => {
+  const { groupId } = req.params;
+  const { token } = req.query;
+
+  const ballot = loadBallotForToken(groupId, token);
+  if (ballot.error) {
+    return res.render('ballot', { error: ballot.error, group: null, questions: [], token: null });
+  }
+
+  res.render('ballot', {
+    error: null,
+    group: ballot.group,
+    questions: ballot.questions,
+    token
+  });
 });
 
-// Login handler
-app.post('/admin/login', loginLimiter, validate(schemas.login), (req, res, next) => {
-  const { password } = req.body;
-  const passwordValid = verifyAdminPassword(password);
+// Submit every open question on a ballot group in one go
+app.post('/ballot/:groupId', voteLimiter, validate(schemas.ballotVote), (req, res) => {
+  const { groupId } = req.params;
+  const { token, choice = {}, ranking = {}, selections = {} } = req.body;
 
-  if (!passwordValid) {
-    logger.warn('Login failed - invalid password', { sessionID: req.sessionID });
-    return res.render('admin_login', { error: 'Invalid password.' });
+  const ballot = loadBallotForToken(groupId, token);
+  if (ballot.error) {
+    return res.render('vote_result', { success: false, message: ballot.error });
   }
 
-  // Set admin flag and save session
-  req.session.isAdmin = true;
-  req.session.save((err) => {
-    if (err) {
-      logger.error('Session save error on login', { error: err.message, sessionID: req.sessionID });
-      return next(err);
+  const openQuestions = ballot.questions.filter(question => question.open);
+  if (openQuestions.length === 0) {
+    return res.render('vote_result', {
+      success: false,
+      message: 'There are no questions on this ballot open for your vote.'
+    });
+  }
+
+  const votes = [];
+  for (const { motion, token: motionToken } of openQuestions) {
+    const answer = parseBallotAnswer(motion, {
+      choice: choice[motion.id],
+      ranking: ranking[motion.id],
+      selections: selections[motion.id]
+    });
+    if (answer.error) {
+      return res.render('vote_result', {
+        success: false,
+        message: `${motion.motion_ref} - ${motion.title}: ${answer.error}`
+      });
     }
+    votes.push({ motionId: motion.id, tokenId: motionToken.id, ...answer });
+  }
 
-    logger.info('Login success', { sessionID: req.sessionID });
-    return res.redirect('/admin/dashboard');
-  });
-});
+  try {
+    const userAgent = req.get('user-agent') || null;
+    const ipHash = hashIP(req.ip);
 
-// Logout
-app.post('/admin/logout', (req, res) => {
-  req.session.destroy();
-  res.redirect('/admin/login');
+    const results = submitBallotGroup(ballot.groupToken.id, votes, userAgent, ipHash);
+    votes.forEach((vote, index) => {
+      const { revised } = results[index];
+      audit(req, revised ? 'vote.change' : 'vote.cast', {
+        targetType: 'token',
+        targetId: vote.tokenId,
+        motionId: vote.motionId,
+        after: { via: 'ballot', group_id: groupId }
+      });
+      emitBallotCast(vote.motionId, { tokenId: vote.tokenId, via: 'ballot', changed: !!revised });
+    });
+    const changed = results.some(result => result.revised);
+
+    try {
+      sweepAndEnqueueCompletedMotions();
+    } catch (e) {
+      logger.error('post-vote completion check failed', { groupId, error: e.message });
+    }
+
+    res.render('vote_result', {
+      success: true,
+      message: `Your votes on ${votes.length} question${votes.length !== 1 ? 's' : ''} have been recorded successfully.${changed ? ' Changed answers replace your previous ones, which are kept on record.' : ''} Thank you for participating.`
+    });
+  } catch (err) {
+    logger.error('Ballot submission error:', err);
+    res.render('vote_result', {
+      success: false,
+      message: 'An error occurred while recording your votes. None of your answers were saved. Please try again or contact support.'
+    });
+  }
 });
 
-// Dashboard
-app.get('/admin/dashboard', requireAuth, (req, res) => {
-  const { start_date, end_date } = req.query;
+// Load a proxy holder's combined ballot: one section per unit they represent,
+// each with the grantor's own motion tokens and the grantor's instructions.
+function loadProxyBallot(holderId, token) {
+  const holder = proxyQueries.getHolderById.get(holderId);
+  if (!holder || !token || holder.token_hash !== hashToken(token)) {
+    return { error: 'Invalid proxy voting link.' };
+  }
 
-  let motions;
-  let isFiltered = false;
+  const proxies = proxyQueries.getActiveByHolder.all(holder.id);
+  if (proxies.length === 0) {
+    return { error: 'There are no proxies on this link. They may have been revoked.' };
+  }
 
-  if (start_date && end_date) {
-    // Filter by close_at date range
-    motions = db.prepare(`
-      SELECT * FROM motions
-      WHERE close_at >= ? AND close_at <= ?
-      ORDER BY created_at DESC
-    `).all(start_date, end_date);
-    isFiltered = true;
+  let title;
+  let description;
+  let motions;
+  if (holder.motion_id) {
+    const motion = motionQueries.getById.get(holder.motion_id);
+    if (!motion) return { error: 'Motion not found.' };
+    title = motion.title;
+    description = motion.description;
+    motions = [motion];
   } else {
-    // Default: Last 10 motions
-    motions = db.prepare(`
-      SELECT * FROM motions
-      ORDER BY created_at DESC
-      LIMIT 10
-    `).all();
+    const group = ballotGroupQueries.getById.get(holder.group_id);
+    if (!group) return { error: 'Ballot not found.' };
+    title = group.title;
+    description = group.description;
+    motions = motionQueries.getByGroup.all(group.id);
   }
+  motions.forEach(motion => {
+    motion.options = JSON.parse(motion.options_json);
+  });
 
-  const motionsWithStats = motions.map(motion => {
-    const stats = getMotionStats(motion.id);
-    return { ...motion, stats };
+  const units = proxies.map(proxy => {
+    let grantor;
+    const grantorTokens = new Map();
+    if (proxy.grantor_token_id) {
+      grantor = tokenQueries.getById.get(proxy.grantor_token_id);
+      grantorTokens.set(grantor.motion_id, grantor);
+    } else {
+      grantor = ballotGroupQueries.getTokenById.get(proxy.grantor_group_token_id);
+      for (const linked of tokenQueries.getByGroupToken.all(grantor.id)) {
+        grantorTokens.set(linked.motion_id, linked);
+      }
+    }
+
+    const questions = motions
+      .filter(motion => grantorTokens.has(motion.id))
+      .map(motion => {
+        const motionToken = grantorTokens.get(motion.id);
+        const validation = validateVoteEligibility(motion, motionToken);
+        // On revisable motions the holder may only change ballots they cast under this proxy
+        const open = validation.valid && (!validation.currentBallot || validation.currentBallot.proxy_id === proxy.id);
+
+        let message = open ? null : validation.message;
+        if (motionToken.status === 'Used' && !open) message = 'A vote has already been cast for this unit.';
+        if (motionToken.status === 'Revoked') message = "This owner's voting link has been revoked.";
+
+        return {
+          motion,
+          token: motionToken,
+          open,
+          message,
+          selectionLimits: isApprovalMotion(motion) ? getSelectionLimits(motion) : null,
+          current: open ? getCurrentAnswer(motion, validation.currentBallot) : null
+        };
+      });
+
+    return { proxy, grantor, questions };
   });
 
-  res.render('admin_dashboard', {
-    motions: motionsWithStats,
-    isFiltered,
-    startDate: start_date || null,
-    endDate: end_date || null
+  return { holder, title, description, units };
+}
+
+// Proxy holder voting page: every represented unit under one link
+app.get('/proxy/:holderId', (req, res) => {
+  const ballot = loadProxyBallot(req.params.holderId, req.query.token);
+  if (ballot.error) {
+    return res.render('proxy', { error: ballot.error, holder: null, units: [], token: null });
+  }
+
+  res.render('proxy', {
+    error: null,
+    holder: ballot.holder,
+    title: ballot.title,
+    description: ballot.description,
+    units: ballot.units,
+    token: req.query.token
   });
 });
 
-// New motion form
-// CSV template download
+// Submit one ballot per represented unit and open question, all or nothing
+app.post('/proxy/:holderId', voteLimiter, validate(schemas.proxyVote), (req, res) => {
+  const { holderId } = req.params;
+  const { token, choice = {}, ranking = {}, selections = {} } = req.body;
+
+  const ballot = loadProxyBallot(holderId, token);
+  if (ballot.error) {
+    return res.render('vote_result', { success: false, message: ballot.error });
+  }
+
+  const votes = [];
+  for (const { proxy, grantor, questions } of ballot.units) {
+    // Form fields are keyed "p<proxy id>" so qs does not read them as array indexes
+    const key = `p${proxy.id}`;
+    for (const { motion, token: motionToken } of questions.filter(question => question.open)) {
+      const answer = parseBallotAnswer(motion, {
+        choice: (choice[key] || {})[motion.id],
+        ranking: (ranking[key] || {})[motion.id],
+        selections: (selections[key] || {})[motion.id]
+      });
+      if (answer.error) {
+        const unit = grantor.unit_number ? `Unit ${grantor.unit_number}` : (grantor.recipient_name || 'Owner');
+        return res.render('vote_result', {
+          success: false,
+          message: `${unit}, ${motion.motion_ref} - ${motion.title}: ${answer.error}`
+        });
+      }
+      votes.push({
+        motionId: motion.id,
+        tokenId: motionToken.id,
+        proxyId: proxy.id,
+        groupTokenId: proxy.grantor_group_token_id,
+        ...answer
+      });
+    }
+  }
+
+  if (votes.length === 0) {
+    return res.render('vote_result', {
+      success: false,
+      message: 'There are no questions open for a proxy vote on this link.'
+    });
+  }
+
+  try {
+    const userAgent = req.get('user-agent') || null;
+    const ipHash = hashIP(req.ip);
+
+    const results = submitProxyBallots(votes, userAgent, ipHash);
+    logger.info('Proxy ballots submitted', { holderId: ballot.holder.id, count: votes.length });
+    votes.forEach((vote, index) => {
+      const { revised } = results[index];
+      audit(req, revised ? 'vote.change' : 'vote.cast', {
+        targetType: 'token',
+        targetId: vote.tokenId,
+        motionId: vote.motionId,
+        after: { via: 'proxy', proxy_id: vote.proxyId, holder_id: ballot.holder.id }
+      });
+      emitBallotCast(vote.motionId, { tokenId: vote.tokenId, via: 'proxy', proxyId: vote.proxyId, changed: !!revised });
+    });
+    const changed = results.some(result => result.revised);
+
+    try {
+      sweepAndEnqueueCompletedMotions();
+    } catch (e) {
+      logger.error('post-vote completion check failed', { holderId, error: e.message });
+    }
+
+    res.render('vote_result', {
+      success: true,
+      message: `${votes.length} proxy vote${votes.length !== 1 ? 's have' : ' has'} been recorded successfully.${changed ? ' Changed votes replace the earlier ones, which are kept on record.' : ''} Thank you for participating.`
+    });
+  } catch (err) {
+    logger.error('Proxy ballot submission error:', err);
+    res.render('vote_result', {
+      success: false,
+      message: 'An error occurred while recording the proxy votes. None of them were saved. Please try again or contact support.'
+    });
+  }
+});
+
+// ADMIN ROUTES
+
+// Every building with its corporation name, the default one first
+function describeTenants() {
+  return listTenants().map(tenant => ({
+    ...tenant,
+    name: runWithTenant(tenant, () => getBranding().name),
+    path: tenantPath(tenant)
+  }));
+}
+
+// The login page. Without a building hostname or /b/<slug> address, it asks
+// which building to sign in to when there is more than one.
+function renderAdminLogin(req, res, locals = {}) {
+  const buildings = req.tenantFixed ? [] : describeTenants();
+  res.render('admin_login', {
+    error: null,
+    buildings: buildings.length > 1 ? buildings : [],
+    building: req.tenant.slug,
+    ...locals
+  });
+}
+
+// Login page
+app.get('/admin/login', (req, res) => {
+  // If already authenticated, redirect to dashboard
+  if (isSignedInToTenant(req)) {
+    logger.info('Already logged in - redirecting to dashboard', { sessionID: req.sessionID });
+    return res.redirect(`${res.locals.basePath}/admin/dashboard`);
+  }
+
+  renderAdminLogin(req, res);
+});
+
+// Sign in to the building chosen on the login form, unless the address
+// already decided it
+function selectLoginTenant(req, res, next) {
+  if (req.tenantFixed || !req.body.building) return next();
+
+  const tenant = findTenantBySlug(req.body.building);
+  if (!tenant) {
+    return renderAdminLogin(req, res, { error: 'Choose a building to sign in to.', username: req.body.username });
+  }
+  req.tenant = tenant;
+  runWithTenant(tenant, () => {
+    res.locals.branding = getBranding();
+    next();
+  });
+}
+
+// Finish signing in: the password, and the second step if there is one, have been checked
+function completeAdminLogin(req, user, { twoFactor = false } = {}, callback) {
+  delete req.session.pendingLogin;
+  req.session.tenantId = req.tenant.id;
+  req.session.isAdmin = true;
+  req.session.adminUserId = user.id;
+  req.session.twoFactorVerified = twoFactor;
+  adminUserQueries.recordLogin.run(new Date().toISOString(), user.id);
+  req.session.save(callback);
+}
+
+// Login handler
+app.post('/admin/login', loginLimiter, validate(schemas.login), selectLoginTenant, (req, res, next) => {
+  const { username, password } = req.body;
+  const user = authenticateAdminUser(username, password);
+
+  if (!user) {
+    logger.warn('Login failed - invalid username or password', { username, sessionID: req.sessionID });
+    audit(req, 'admin.login_failed', { actor: 'anonymous', after: { username: String(username).slice(0, 50) } });
+    return renderAdminLogin(req, res, { error: 'Invalid username or password.', username });
+  }
+
+  // With 2FA on (or required), the password only starts the login; the session
+  // is not marked as admin until the second step succeeds
+  if (user.totp_enabled_at || isTwoFactorRequired()) {
+    req.session.tenantId = req.tenant.id;
+    req.session.pendingLogin = { tenantId: req.tenant.id, userId: user.id, startedAt: Date.now(), attempts: 0 };
+    return req.session.save((err) => {
+      if (err) {
+        logger.error('Session save error on login', { error: err.message, sessionID: req.sessionID });
+        return next(err);
+      }
+      logger.info('Login password accepted - second step required', { user: user.username, sessionID: req.sessionID });
+      return res.redirect(`${res.locals.basePath}/admin/login/2fa`);
+    });
+  }
+
+  completeAdminLogin(req, user, {}, (err) => {
+    if (err) {
+      logger.error('Session save error on login', { error: err.message, sessionID: req.sessionID });
+      return next(err);
+    }
+
+    logger.info('Login success', { user: user.username, role: user.role, sessionID: req.sessionID });
+    audit(req, 'admin.login', { actor: user.username, targetType: 'admin_user', targetId: user.id });
+    return res.redirect(`${res.locals.basePath}/admin/dashboard`);
+  });
+});
+
+// The second login step must follow the password within 10 minutes, and
+// allows 5 wrong codes before the password has to be entered again
+const PENDING_LOGIN_MS = 10 * 60 * 1000;
+const PENDING_LOGIN_MAX_ATTEMPTS = 5;
+
+function getPendingLoginUser(req) {
+  const pending = req.session && req.session.pendingLogin;
+  if (!pending || (pending.tenantId || DEFAULT_TENANT.id) !== req.tenant.id) return null;
+  if (Date.now() - pending.startedAt > PENDING_LOGIN_MS) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+  const user = adminUserQueries.getById.get(pending.userId);
+  if (!user || user.disabled) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+  return user;
+}
+
+// QR code for enrolling in an authenticator app, which shows the username as
+// the account name under the building's name
+async function totpQRCodeDataUrl(secret, username) {
+  const QRCode = require('qrcode');
+  const uri = totpUri({ secret, account: username, issuer: `${getBranding().name} Voting` });
+  return QRCode.toDataURL(uri, { errorCorrectionLevel: 'M', margin: 4, width: 220 });
+}
+
+// Render the second login step: a code prompt, or enrollment for users who
+// must use 2FA but have not set it up
+async function renderTwoFactorLogin(req, res, user, error = null) {
+  if (user.totp_enabled_at) {
+    return res.render('admin_login_2fa', { mode: 'verify', user, error });
+  }
+
+  if (!req.session.pendingLogin.secret) {
+    req.session.pendingLogin.secret = generateTotpSecret();
+  }
+  const secret = req.session.pendingLogin.secret;
+  return res.render('admin_login_2fa', {
+    mode: 'enroll',
+    user,
+    error,
+    secret,
+    qrDataUrl: await totpQRCodeDataUrl(secret, user.username)
+  });
+}
+
+app.get('/admin/login/2fa', async (req, res, next) => {
+  const user = getPendingLoginUser(req);
+  if (!user) return res.redirect(`${res.locals.basePath}/admin/login`);
+
+  try {
+    await renderTwoFactorLogin(req, res, user);
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/admin/login/2fa', twoFactorLimiter, validate(schemas.twoFactorCode), async (req, res, next) => {
+  const user = getPendingLoginUser(req);
+  if (!user) {
+    return renderAdminLogin(req, res, { error: 'Your sign-in expired. Please enter your password again.' });
+  }
+
+  try {
+    let recoveryCodes = null;
+    let method = null;
+
+    if (user.totp_enabled_at) {
+      method = verifyAdminUserSecondFactor(user, req.body.code);
+    } else if (req.session.pendingLogin.secret) {
+      const step = verifyTotp(req.session.pendingLogin.secret, req.body.code);
+      if (step !== null) {
+        recoveryCodes = enableAdminUserTotp(user.id, req.session.pendingLogin.secret, step, user.username);
+        method = 'enrolled';
+      }
+    }
+
+    if (!method) {
+      req.session.pendingLogin.attempts += 1;
+      logger.warn('Login failed - invalid two-factor code', {
+        user: user.username,
+        attempts: req.session.pendingLogin.attempts,
+        sessionID: req.sessionID
+      });
+      audit(req, 'admin.login_failed', { actor: user.username, targetType: 'admin_user', targetId: user.id, after: { step: 'two_factor' } });
+
+      if (req.session.pendingLogin.attempts >= PENDING_LOGIN_MAX_ATTEMPTS) {
+        delete req.session.pendingLogin;
+        return renderAdminLogin(req, res, { error: 'Too many incorrect codes. Please sign in again.', username: user.username });
+      }
+      return await renderTwoFactorLogin(req, res, user, 'That code is not valid. Please try again.');
+    }
+
+    completeAdminLogin(req, user, { twoFactor: true }, (err) => {
+      if (err) {
+        logger.error('Session save error on login', { error: err.message, sessionID: req.sessionID });
+        return next(err);
+      }
+
+      logger.info('Login success', { user: user.username, role: user.role, twoFactor: method, sessionID: req.sessionID });
+      audit(req, 'admin.login', { actor: user.username, targetType: 'admin_user', targetId: user.id, after: { two_factor: method } });
+
+      if (recoveryCodes) {
+        return res.render('admin_login_2fa', { mode: 'recovery-codes', user, error: null, recoveryCodes });
+      }
+      if (method === 'recovery') {
+        const remaining = recoveryCodeQueries.countUnused.get(user.id).count;
+        logger.warn('Recovery code used to sign in', { user: user.username, remaining });
+        return res.redirect(`${res.locals.basePath}/admin/settings?error=${encodeURIComponent(`You signed in with a recovery code. ${remaining} recovery code(s) left; generate new ones if you are running low.`)}`);
+      }
+      return res.redirect(`${res.locals.basePath}/admin/dashboard`);
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Logout
+app.post('/admin/logout', (req, res) => {
+  const user = isSignedInToTenant(req) ? adminUserQueries.getById.get(req.session.adminUserId) : null;
+  if (user) {
+    audit(req, 'admin.logout', { actor: user.username, targetType: 'admin_user', targetId: user.id });
+  }
+  req.session.destroy();
+  res.redirect(`${res.locals.basePath}/admin/login`);
+});
+
+// Dashboard
+app.get('/admin/dashboard', requireAuth, (req, res) => {
+  const { start_date, end_date } = req.query;
+
+  let motions;
+  let isFiltered = false;
+
+  if (start_date && end_date) {
+    // Filter by close_at date range
+    motions = db.prepare(`
+      SELECT * FROM motions
+      WHERE close_at >= ? AND close_at <= ?
+      ORDER BY created_at DESC
+    `).all(start_date, end_date);
+    isFiltered = true;
+  } else {
+    // Default: Last 10 motions
+    motions = db.prepare(`
+      SELECT * FROM motions
+      ORDER BY created_at DESC
+      LIMIT 10
+    `).all();
+  }
+
+  const motionsWithStats = motions.map(motion => {
+    const stats = getMotionStats(motion.id);
+    return { ...motion, stats };
+  });
+
+  res.render('admin_dashboard', {
+    motions: motionsWithStats,
+    isFiltered,
+    startDate: start_date || null,
+    endDate: end_date || null
+  });
+});
+
+// New motion form
+// CSV template download
 app.get('/admin/motions/import/template.csv', requireAuth, (req, res) => {
   const csv = [
-    'title,description,open_at,close_at,required_majority,options',
-    '"Approve 2024 Budget","Vote to approve the annual operating budget of $250,000","2026-03-01T09:00","2026-03-08T17:00","Simple","Yes,No,Abstain"',
-    '"Amend Bylaws Section 4","Proposal to amend noise restriction rules in section 4.2","2026-03-01T09:00","2026-03-08T17:00","TwoThirds",""'
+    'title,description,open_at,close_at,required_majority,threshold_custom,threshold_basis,options,voting_method,min_selections,max_selections,weighting,quorum_type,quorum_value,revisable,secret,tie_break,scheduled,send_links_on_open,reminder_hours',
+    '"Approve 2024 Budget","Vote to approve the annual operating budget of $250,000","2026-03-01T09:00","2026-03-08T17:00","Simple","","","Yes,No,Abstain","Single","","","Headcount","Ballots","5","no","no","CastingVote","yes","yes","24,2"',
+    '"Amend Bylaws Section 4","Proposal to amend noise restriction rules in section 4.2","2026-03-01T09:00","2026-03-08T17:00","ThreeQuarters","","","","","","","Entitlement","","","","","","","",""',
+    '"Install EV Chargers","Approve installing EV chargers in the parkade","2026-03-01T09:00","2026-03-08T17:00","Custom","60%","Eligible","","","","","","Percent","50","yes","","","yes","no","48"',
+    '"Select Roofing Contractor","Choose between the three roofing quotes received","2026-03-01T09:00","2026-03-08T17:00","Simple","","","Acme Roofing,Best Roofs,City Roofing","Ranked","","","","","","","","Runoff","","",""',
+    '"Elect Committee Members","Choose up to three of the five nominees for the committee","2026-03-01T09:00","2026-03-08T17:00","Simple","","","Alice,Bob,Carol,Dan,Erin","Approval","1","3","","","","","yes","","","",""'
   ].join('\n');
   res.setHeader('Content-Type', 'text/csv');
   res.setHeader('Content-Disposition', 'attachment; filename="motions-import-template.csv"');
@@ -948,8 +2520,22 @@ app.post('/admin/motions/import', requireAuth, (req, res, next) => {
       description: Joi.string().min(10).max(5000).required(),
       open_at: Joi.string().required(),
       close_at: Joi.string().required(),
-      required_majority: Joi.string().valid('Simple', 'TwoThirds').required(),
-      options: Joi.string().max(500).allow('').optional()
+      required_majority: Joi.string().valid(...MAJORITY_TYPES).required(),
+      threshold_custom: Joi.string().max(20).allow('').optional(),
+      threshold_basis: Joi.string().valid(...THRESHOLD_BASES).allow('').optional(),
+      quorum_type: Joi.string().valid(...QUORUM_TYPES).allow('').optional(),
+      quorum_value: Joi.number().min(0).max(100000).allow('').optional(),
+      options: Joi.string().max(500).allow('').optional(),
+      voting_method: Joi.string().valid(...VOTING_METHODS).allow('').optional(),
+      min_selections: Joi.number().integer().min(1).max(50).allow('').optional(),
+      max_selections: Joi.number().integer().min(1).max(50).allow('').optional(),
+      weighting: Joi.string().valid(...WEIGHTING_MODES).allow('').optional(),
+      revisable: Joi.string().lowercase().valid('yes', 'no').allow('').optional(),
+      secret: Joi.string().lowercase().valid('yes', 'no').allow('').optional(),
+      tie_break: Joi.string().valid(...TIE_BREAK_POLICIES).allow('').optional(),
+      scheduled: Joi.string().lowercase().valid('yes', 'no').allow('').optional(),
+      send_links_on_open: Joi.string().lowercase().valid('yes', 'no').allow('').optional(),
+      reminder_hours: Joi.string().max(50).allow('').optional()
     });
 
     const created = [];
@@ -983,7 +2569,8 @@ app.post('/admin/motions/import', requireAuth, (req, res, next) => {
         }
 
         let optionsArray = ['Yes', 'No', 'Abstain'];
-        if (row.options && row.options.trim()) {
+        const optionsProvided = !!(row.options && row.options.trim());
+        if (optionsProvided) {
           optionsArray = row.options.split(',').map(o => o.trim()).filter(o => o);
           if (optionsArray.length < 2) {
             failed.push({ row: rowNum, title: row.title, reason: 'options must contain at least 2 choices' });
@@ -991,22 +2578,67 @@ app.post('/admin/motions/import', requireAuth, (req, res, next) => {
           }
         }
 
+        const method = parseVotingMethodInput(row, optionsArray, optionsProvided);
+        if (method.error) {
+          failed.push({ row: rowNum, title: row.title, reason: method.error });
+          continue;
+        }
+
+        const threshold = parseThresholdInput(row);
+        if (threshold.error) {
+          failed.push({ row: rowNum, title: row.title, reason: threshold.error });
+          continue;
+        }
+
+        const quorum = parseQuorumInput(row);
+        if (quorum.error) {
+          failed.push({ row: rowNum, title: row.title, reason: quorum.error });
+          continue;
+        }
+
+        const privacy = parseBallotPrivacyInput(row);
+        if (privacy.error) {
+          failed.push({ row: rowNum, title: row.title, reason: privacy.error });
+          continue;
+        }
+
+        const reminders = parseReminderInput(row);
+        if (reminders.error) {
+          failed.push({ row: rowNum, title: row.title, reason: reminders.error });
+          continue;
+        }
+
         try {
           const motionId = generateUUID();
           const motionRef = generateMotionRef();
-          motionQueries.create.run(
-            motionId,
-            motionRef,
-            row.title.trim(),
-            row.description.trim(),
-            JSON.stringify(optionsArray),
-            openAt.toISOString(),
-            closeAt.toISOString(),
-            'Draft',
-            row.required_majority,
-            new Date().toISOString()
-          );
+          motionQueries.create.run({
+            id: motionId,
+            motion_ref: motionRef,
+            title: row.title.trim(),
+            description: row.description.trim(),
+            options_json: JSON.stringify(optionsArray),
+            open_at: openAt.toISOString(),
+            close_at: closeAt.toISOString(),
+            ...parseSchedulingInput(row),
+            ...threshold,
+            ...quorum,
+            voting_method: method.voting_method,
+            min_selections: method.min_selections,
+            max_selections: method.max_selections,
+            weighting: row.weighting || 'Headcount',
+            ...privacy,
+            ...reminders,
+            tie_break: row.tie_break || 'None',
+            created_at: new Date().toISOString(),
+            created_by: req.adminUser.username
+          });
           created.push({ row: rowNum, title: row.title, motionId, motionRef });
+          audit(req, 'motion.create', {
+            targetType: 'motion',
+            targetId: motionId,
+            motionId,
+            after: { ...motionQueries.getById.get(motionId), via: 'csv_import' }
+          });
         } catch (dbErr) {
           failed.push({ row: rowNum, title: row.title, reason: dbErr.message });
         }
@@ -1029,9 +2661,102 @@ app.get('/admin/motions/new', requireAuth, (req, res) => {
   res.render('motion_new', { error: null });
 });
 
+// Helper: the motion columns from the motion form, the edit form or the API,
+// other than its id, reference and who created it. `status` comes from the
+// "scheduled" flag and only applies to new motions. Pass the existing motion
+// when editing. Returns the columns or { error }.
+function parseMotionInput(body, existing = null) {
+  let optionsArray = ['Yes', 'No', 'Abstain'];
+  const optionsProvided = !!(body.options && body.options.trim());
+  if (optionsProvided) {
+    optionsArray = body.options.split(',').map(opt => opt.trim()).filter(opt => opt);
+  }
+
+  const method = parseVotingMethodInput(body, optionsArray, optionsProvided);
+  if (method.error) return { error: method.error };
+
+  const threshold = parseThresholdInput(body);
+  if (threshold.error) return { error: threshold.error };
+
+  const quorum = parseQuorumInput(body);
+  if (quorum.error) return { error: quorum.error };
+
+  const privacy = parseBallotPrivacyInput(body);
+  if (privacy.error) return { error: privacy.error };
+  // Existing ballots are stored one way or the other, so secrecy is fixed once anyone has voted
+  if (existing && privacy.secret !== (existing.secret ? 1 : 0) && getMotionStats(existing.id).headcount.voted > 0) {
+    return { error: 'Ballot secrecy cannot be changed after votes have been cast.' };
+  }
+
+  const reminders = parseReminderInput(body);
+  if (reminders.error) return { error: reminders.error };
+
+  return {
+    title: body.title,
+    description: body.description,
+    options_json: JSON.stringify(optionsArray),
+    // Normalize motion times to ISO (UTC) so comparisons are consistent across server restarts.
+    open_at: parseMotionDateTime(body.open_at).toISOString(),
+    close_at: parseMotionDateTime(body.close_at).toISOString(),
+    ...parseSchedulingInput(body),
+    ...threshold,
+    ...quorum,
+    voting_method: method.voting_method,
+    min_selections: method.min_selections,
+    max_selections: method.max_selections,
+    weighting: body.weighting || 'Headcount',
+    ...privacy,
+    ...reminders,
+    tie_break: body.tie_break || 'None'
+  };
+}
+
+// Helper: insert a motion from parseMotionInput() columns. Returns its id.
+function createMotion(req, fields) {
+  const motionId = generateUUID();
+  motionQueries.create.run({
+    ...fields,
+    id: motionId,
+    motion_ref: generateMotionRef(),
+    created_at: new Date().toISOString(),
+    created_by: req.adminUser.username
+  });
+  audit(req, 'motion.create', {
+    targetType: 'motion',
+    targetId: motionId,
+    motionId,
+    after: motionQueries.getById.get(motionId)
+  });
+  return motionId;
+}
+
+// Helper: save an edit from parseMotionInput() columns. A motion's status is
+// not changed by editing it.
+function updateMotion(req, motion, fields) {
+  const { status, ...columns } = fields;
+  motionQueries.update.run({
+    ...columns,
+    updated_by: req.adminUser.username,
+    id: motion.id
+  });
+  const updated = motionQueries.getById.get(motion.id);
+  audit(req, 'motion.update', {
+    targetType: 'motion',
+    targetId: motion.id,
+    motionId: motion.id,
+    before: motion,
+    after: updated
+  });
+  // Emails held for this motion go out now if it no longer waits to open
+  if (!shouldHoldLinkEmails(updated)) {
+    releaseHeldTokenEmails(motion.id);
+  }
+  return updated;
+}
+
 // Create motion
 app.post('/admin/motions', requireAuth, validate(schemas.motion), (req, res) => {
-  const { title, description, options, open_at, close_at, required_majority } = req.body;
+  const { title, description, open_at, close_at } = req.body;
 
   if (!title || !description || !open_at || !close_at) {
     return res.render('motion_new', {
@@ -1039,38 +2764,14 @@ app.post('/admin/motions', requireAuth, validate(schemas.motion), (req, res) =>
     });
   }
 
-  // Parse options
-  let optionsArray = ['Yes', 'No', 'Abstain'];
-  if (options && options.trim()) {
-    optionsArray = options.split(',').map(opt => opt.trim()).filter(opt => opt);
+  const fields = parseMotionInput(req.body);
+  if (fields.error) {
+    return res.render('motion_new', { error: fields.error });
   }
 
-  const optionsJson = JSON.stringify(optionsArray);
-  const majority = required_majority || 'Simple';
-  const created_at = new Date().toISOString();
-
-  // Normalize motion times to ISO (UTC) so comparisons are consistent across server restarts.
-  const normalizedOpenAt = parseMotionDateTime(open_at).toISOString();
-  const normalizedCloseAt = parseMotionDateTime(close_at).toISOString();
-
   try {
-    const motionId = generateUUID();
-    const motionRef = generateMotionRef();
-    
-    motionQueries.create.run(
-      motionId,
-      motionRef,
-      title,
-      description,
-      optionsJson,
-      normalizedOpenAt,
-      normalizedCloseAt,
-      'Draft',
-      majority,
-      created_at
-    );
-
-    res.redirect(`/admin/motions/${motionId}`);
+    const motionId = createMotion(req, fields);
+    res.redirect(`${res.locals.basePath}/admin/motions/${motionId}`);
   } catch (err) {
     logger.error('Motion creation error:', err);
     res.render('motion_new', {
@@ -1079,32 +2780,6 @@ app.post('/admin/motions', requireAuth, validate(schemas.motion), (req, res) =>
   }
 });
 
-// Helper: convert stored UTC ISO string back to local datetime-local value
-function toDatetimeLocalValue(isoString) {
-  if (!isoString) return '';
-  const date = new Date(isoString);
-  const offsetMinutesRaw = process.env.APP_TIMEZONE_OFFSET_MINUTES;
-  if (offsetMinutesRaw !== undefined && String(offsetMinutesRaw).trim() !== '') {
-    const offsetMinutes = Number(offsetMinutesRaw);
-    if (!Number.isNaN(offsetMinutes)) {
-      const localMs = date.getTime() + (offsetMinutes * 60 * 1000);
-      const d = new Date(localMs);
-      const yyyy = d.getUTCFullYear();
-      const mm = String(d.getUTCMonth() + 1).padStart(2, '0');
-      const dd = String(d.getUTCDate()).padStart(2, '0');
-      const hh = String(d.getUTCHours()).padStart(2, '0');
-      const mi = String(d.getUTCMinutes()).padStart(2, '0');
-      return `${yyyy}-${mm}-${dd}T${hh}:${mi}`;
-    }
-  }
-  const yyyy = date.getFullYear();
-  const mm = String(date.getMonth() + 1).padStart(2, '0');
-  const dd = String(date.getDate()).padStart(2, '0');
-  const hh = String(date.getHours()).padStart(2, '0');
-  const mi = String(date.getMinutes()).padStart(2, '0');
-  return `${yyyy}-${mm}-${dd}T${hh}:${mi}`;
-}
-
 // Helper: can the motion still be edited (before voting opens)
 function canEditMotion(motion) {
   return motion.status === 'Draft' || new Date() < parseMotionDateTime(motion.open_at);
@@ -1116,7 +2791,7 @@ app.get('/admin/motions/:id/edit', requireAuth, (req, res) => {
   const motion = motionQueries.getById.get(id);
   if (!motion) return res.status(404).send('Motion not found');
   if (!canEditMotion(motion)) {
-    return res.redirect(`/admin/motions/${id}?error=Motion+cannot+be+edited+after+voting+opens`);
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Motion+cannot+be+edited+after+voting+opens`);
   }
   motion.options = JSON.parse(motion.options_json);
   res.render('motion_edit', {
@@ -1130,33 +2805,27 @@ app.get('/admin/motions/:id/edit', requireAuth, (req, res) => {
 // Edit motion submit
 app.post('/admin/motions/:id/edit', requireAuth, validate(schemas.motion), (req, res) => {
   const { id } = req.params;
-  const { title, description, options, open_at, close_at, required_majority } = req.body;
 
   const motion = motionQueries.getById.get(id);
   if (!motion) return res.status(404).send('Motion not found');
   if (!canEditMotion(motion)) {
-    return res.redirect(`/admin/motions/${id}?error=Motion+cannot+be+edited+after+voting+opens`);
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Motion+cannot+be+edited+after+voting+opens`);
   }
 
-  let optionsArray = ['Yes', 'No', 'Abstain'];
-  if (options && options.trim()) {
-    optionsArray = options.split(',').map(opt => opt.trim()).filter(opt => opt);
+  const fields = parseMotionInput(req.body, motion);
+  if (fields.error) {
+    motion.options = JSON.parse(motion.options_json);
+    return res.render('motion_edit', {
+      motion,
+      openAtValue: toDatetimeLocalValue(motion.open_at),
+      closeAtValue: toDatetimeLocalValue(motion.close_at),
+      error: fields.error
+    });
   }
 
-  const normalizedOpenAt = parseMotionDateTime(open_at).toISOString();
-  const normalizedCloseAt = parseMotionDateTime(close_at).toISOString();
-
   try {
-    motionQueries.update.run(
-      title,
-      description,
-      JSON.stringify(optionsArray),
-      normalizedOpenAt,
-      normalizedCloseAt,
-      required_majority || 'Simple',
-      id
-    );
-    res.redirect(`/admin/motions/${id}?success=Motion+updated+successfully`);
+    updateMotion(req, motion, fields);
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}?success=Motion+updated+successfully`);
   } catch (err) {
     logger.error('Motion update error:', err);
     motion.options = JSON.parse(motion.options_json);
@@ -1181,10 +2850,16 @@ app.get('/admin/motions/:id', requireAuth, (req, res) => {
   motion.options = JSON.parse(motion.options_json);
   const stats = getMotionStats(id);
   const voterStatus = ballotQueries.getVoterStatusByMotion.all(id);
+  const group = motion.group_id ? ballotGroupQueries.getById.get(motion.group_id) : null;
 
   res.render('motion_detail', {
     motion,
+    group,
     stats,
+    quorum: getQuorumStatus(motion, stats),
+    tieBreak: tieBreakQueries.getByMotion.get(id) || null,
+    runoffOf: tieBreakQueries.getByRunoffMotion.get(id) || null,
+    heldEmails: tokenEmailOutboxQueries.countHeldByMotion.get(id).count,
     voterStatus,
     canEdit: canEditMotion(motion),
     success: req.query.success || null,
@@ -1192,40 +2867,72 @@ app.get('/admin/motions/:id', requireAuth, (req, res) => {
   });
 });
 
+// Helper: set a motion's status and start what follows from it: held voting
+// link emails go out on opening, and closing applies the tie-break and queues
+// the results email.
+function changeMotionStatus(req, id, status) {
+  const before = motionQueries.getById.get(id);
+  motionQueries.updateStatus.run(status, req.adminUser.username, id);
+  audit(req, 'motion.status', {
+    targetType: 'motion',
+    targetId: id,
+    motionId: id,
+    before: before ? { status: before.status } : null,
+    after: { status }
+  });
+
+  if (status === 'Open') {
+    const released = releaseHeldTokenEmails(id);
+    if (released > 0) {
+      logger.info('held voting link emails released', { motionId: id, count: released, trigger: 'manual_status_change' });
+      processPendingTokenEmails({ baseUrl: tenantBaseUrl(BASE_URL), limit: 50 }).catch(err => {
+        logger.error('immediate token email processing failed', { motionId: id, error: err.message });
+      });
+    }
+  }
+
+  if (status === 'Closed' || status === 'Published') {
+    applyTieBreak(id);
+    const motion = motionQueries.getById.get(id);
+    const queuedChanges = ensureResultsEmailNotification(id);
+    logger.info('notification queued', {
+      motionId: id,
+      motionRef: motion ? motion.motion_ref : null,
+      inserted: queuedChanges > 0,
+      trigger: 'manual_status_change',
+      status
+    });
+
+    // Best-effort: process immediately so admins see it happen without waiting for the 1-min tick
+    processPendingResultsEmails({ baseUrl: tenantBaseUrl(BASE_URL), limit: 25 }).catch(err => {
+      logger.error('immediate results email processing failed', { motionId: id, error: err.message });
+    });
+  }
+
+  const webhookEvent = { Open: 'motion.opened', Closed: 'motion.closed', Published: 'motion.published' }[status];
+  if (webhookEvent && before && before.status !== status) {
+    emitWebhook(webhookEvent, () => motionEventData(
+      motionQueries.getById.get(id),
+      status === 'Published' ? {} : { reason: 'manual' }
+    ));
+  }
+}
+
 // Update motion status
 app.post('/admin/motions/:id/status', requireAuth, (req, res) => {
   const { id } = req.params;
   const { status } = req.body;
 
-  const validStatuses = ['Draft', 'Open', 'Closed', 'Published'];
-  if (!validStatuses.includes(status)) {
-    return res.redirect(`/admin/motions/${id}?error=Invalid+status`);
+  if (!MOTION_STATUSES.includes(status)) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Invalid+status`);
   }
 
   try {
-    motionQueries.updateStatus.run(status, id);
-
-    if (status === 'Closed' || status === 'Published') {
-      const motion = motionQueries.getById.get(id);
-      const queuedChanges = ensureResultsEmailNotification(id);
-      logger.info('notification queued', {
-        motionId: id,
-        motionRef: motion ? motion.motion_ref : null,
-        inserted: queuedChanges > 0,
-        trigger: 'manual_status_change',
-        status
-      });
-
-      // Best-effort: process immediately so admins see it happen without waiting for the 1-min tick
-      processPendingResultsEmails({ baseUrl: BASE_URL, limit: 25 }).catch(err => {
-        logger.error('immediate results email processing failed', { motionId: id, error: err.message });
-      });
-    }
-
-    res.redirect(`/admin/motions/${id}?success=Status+updated`);
+    changeMotionStatus(req, id, status);
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}?success=Status+updated`);
   } catch (err) {
     logger.error('Status update error:', err);
-    res.redirect(`/admin/motions/${id}?error=Failed+to+update+status`);
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Failed+to+update+status`);
   }
 });
 
@@ -1234,54 +2941,108 @@ app.post('/admin/motions/:id/outcome', requireAuth, (req, res) => {
   const { id } = req.params;
   const { outcome, outcome_notes } = req.body;
 
-  const validOutcomes = ['Passed', 'Failed', 'Tie', 'Cancelled', null];
+  const validOutcomes = ['Passed', 'Failed', 'Tie', 'Cancelled', 'No quorum', null];
   if (outcome && !validOutcomes.includes(outcome)) {
-    return res.redirect(`/admin/motions/${id}?error=Invalid+outcome`);
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Invalid+outcome`);
   }
 
   try {
-    motionQueries.updateOutcome.run(outcome || null, outcome_notes || null, id);
-    res.redirect(`/admin/motions/${id}?success=Outcome+updated`);
+    const before = motionQueries.getById.get(id);
+    motionQueries.updateOutcome.run(outcome || null, outcome_notes || null, req.adminUser.username, id);
+    audit(req, 'motion.outcome', {
+      targetType: 'motion',
+      targetId: id,
+      motionId: id,
+      before: before ? { outcome: before.outcome, outcome_notes: before.outcome_notes } : null,
+      after: { outcome: outcome || null, outcome_notes: outcome_notes || null }
+    });
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}?success=Outcome+updated`);
   } catch (err) {
     logger.error('Outcome update error:', err);
-    res.redirect(`/admin/motions/${id}?error=Failed+to+update+outcome`);
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Failed+to+update+outcome`);
   }
 });
 
-// Manually send the results email to everyone who voted plus the property manager
-app.post('/admin/motions/:id/send-results-email', requireAuth, async (req, res) => {
+// Record the chair's casting vote on a tied motion
+app.post('/admin/motions/:id/casting-vote', requireAuth, validate(schemas.castingVote), (req, res) => {
   const { id } = req.params;
   const motion = motionQueries.getById.get(id);
+  if (!motion) return res.status(404).send('Motion not found');
 
-  if (!motion) {
-    return res.status(404).send('Motion not found');
-  }
+  const chairName = req.body.chair_name.trim();
+  const notes = (req.body.notes || '').trim();
 
-  if (!['Closed', 'Published'].includes(motion.status)) {
-    return res.redirect(`/admin/motions/${id}?error=Motion+must+be+Closed+or+Published+before+sending+results`);
-  }
+  try {
+    const result = recordCastingVote(id, { chairName, choice: req.body.choice, notes, recordedBy: req.adminUser.username });
+    if (result.error) {
+      return res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=` + encodeURIComponent(result.error));
+    }
+
+    // Audit log: the casting vote decides the motion
+    audit(req, 'motion.casting_vote', {
+      targetType: 'motion',
+      targetId: id,
+      motionId: id,
+      before: { outcome: motion.outcome },
+      after: { chair_name: chairName, choice: req.body.choice, notes: notes || null, outcome: result.outcome }
+    });
+    logger.info("Chair's casting vote recorded", {
+      motionId: id,
+      motionRef: motion.motion_ref,
+      chairName,
+      choice: req.body.choice,
+      outcome: result.outcome,
+      sessionId: req.session.id,
+      ip: req.ip
+    });
+
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}?success=` + encodeURIComponent(`Casting vote recorded. Outcome: ${result.outcome}.`));
+  } catch (err) {
+    logger.error('Casting vote error:', err);
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Failed+to+record+casting+vote`);
+  }
+});
+
+// Manually send the results email to everyone who voted plus the property manager
+app.post('/admin/motions/:id/send-results-email', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const motion = motionQueries.getById.get(id);
+
+  if (!motion) {
+    return res.status(404).send('Motion not found');
+  }
+
+  if (!['Closed', 'Published'].includes(motion.status)) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Motion+must+be+Closed+or+Published+before+sending+results`);
+  }
 
   try {
     const result = await sendResultsEmailForMotion({
       motionId: id,
-      baseUrl: BASE_URL,
+      baseUrl: tenantBaseUrl(BASE_URL),
       sendMailFn: sendGenericEmail,
       force: true
     });
 
     if (result.sent) {
-      res.redirect(`/admin/motions/${id}?success=Results+email+sent+to+${result.recipientCount}+recipient(s)`);
+      audit(req, 'motion.results_email', {
+        targetType: 'motion',
+        targetId: id,
+        motionId: id,
+        after: { recipient_count: result.recipientCount }
+      });
+      res.redirect(`${res.locals.basePath}/admin/motions/${id}?success=Results+email+sent+to+${result.recipientCount}+recipient(s)`);
     } else {
       logger.warn('manual results email not sent', { motionId: id, reason: result.reason });
-      res.redirect(`/admin/motions/${id}?error=Results+email+not+sent:+${encodeURIComponent(result.reason || 'unknown error')}`);
+      res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Results+email+not+sent:+${encodeURIComponent(result.reason || 'unknown error')}`);
     }
   } catch (err) {
     logger.error('Manual results email send failed', { motionId: id, error: err.message });
-    res.redirect(`/admin/motions/${id}?error=Failed+to+send+results+email`);
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Failed+to+send+results+email`);
   }
 });
 
-// Delete motion (Draft or Open)
+// Delete motion (Draft, Scheduled or Open)
 app.post('/admin/motions/:id/delete', requireAuth, (req, res) => {
   const { id } = req.params;
   
@@ -1291,8 +3052,8 @@ app.post('/admin/motions/:id/delete', requireAuth, (req, res) => {
   }
   
   // Check if motion can be deleted
-  if (motion.status !== 'Draft' && motion.status !== 'Open') {
-    return res.redirect(`/admin/motions/${id}?error=Only+draft+or+open+motions+can+be+deleted`);
+  if (!['Draft', 'Scheduled', 'Open'].includes(motion.status)) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Only+draft,+scheduled+or+open+motions+can+be+deleted`);
   }
   
   try {
@@ -1301,12 +3062,23 @@ app.post('/admin/motions/:id/delete', requireAuth, (req, res) => {
     // Disable foreign key constraints for this operation
     db.pragma('foreign_keys = OFF');
     
-    // Delete voter tokens first using raw SQL to avoid prepared statement issues
+    // Delete proxies given on the motion and their holders
+    db.prepare('DELETE FROM proxies WHERE holder_id IN (SELECT id FROM proxy_holders WHERE motion_id = ?)').run(id);
+    db.prepare('DELETE FROM proxy_holders WHERE motion_id = ?').run(id);
+
+    // Drop unsent voting link emails and reminders, then the voter tokens using raw SQL to avoid prepared statement issues
+    tokenEmailOutboxQueries.deleteByMotion.run(id);
+    reminderQueries.deleteByMotion.run(id);
     logger.info('Deleting voter tokens for motion', { motionId: id });
     const tokenDeleteResult = db.prepare('DELETE FROM voter_tokens WHERE motion_id = ?').run(id);
     logger.info('Voter tokens deleted', { motionId: id, deletedCount: tokenDeleteResult.changes });
     
-    // Delete any ballots associated with the motion
+    // Delete the ballot history, secret ballots and any ballots associated with the motion
+    db.prepare('DELETE FROM ballot_revisions WHERE motion_id = ?').run(id);
+    secretBallotQueries.deleteChoicesByMotion.run(id);
+    secretBallotQueries.deleteByMotion.run(id);
+    tieBreakQueries.deleteByMotion.run(id);
+    tieBreakQueries.clearRunoffMotion.run(id);
     logger.info('Deleting ballots for motion', { motionId: id });
     const ballotDeleteResult = db.prepare('DELETE FROM ballots WHERE motion_id = ?').run(id);
     logger.info('Ballots deleted', { motionId: id, deletedCount: ballotDeleteResult.changes });
@@ -1320,7 +3092,13 @@ app.post('/admin/motions/:id/delete', requireAuth, (req, res) => {
     db.pragma('foreign_keys = ON');
     
     logger.info('Motion deletion completed successfully', { motionId: id, title: motion.title });
-    res.redirect('/admin/dashboard?success=Motion+deleted+successfully');
+    audit(req, 'motion.delete', {
+      targetType: 'motion',
+      targetId: id,
+      motionId: id,
+      before: { ...motion, tokens_deleted: tokenDeleteResult.changes, ballots_deleted: ballotDeleteResult.changes }
+    });
+    res.redirect(`${res.locals.basePath}/admin/dashboard?success=Motion+deleted+successfully`);
   } catch (err) {
     // Ensure foreign keys are re-enabled even on error
     try {
@@ -1336,34 +3114,133 @@ app.post('/admin/motions/:id/delete', requireAuth, (req, res) => {
       stack: err.stack,
       code: err.code
     });
-    res.redirect(`/admin/motions/${id}?error=Failed+to+delete+motion`);
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}?error=Failed+to+delete+motion`);
   }
 });
 
+// Helper: render the token management page. Links that were just issued are
+// passed in as newLinks, since only their hashes are stored.
+function renderTokensPage(res, motion, { newLinks = [], success = null, error = null } = {}) {
+  motion.options = JSON.parse(motion.options_json);
+
+  res.render('tokens', {
+    motion,
+    group: motion.group_id ? ballotGroupQueries.getById.get(motion.group_id) : null,
+    tokens: tokenQueries.getByMotion.all(motion.id),
+    reminders: reminderQueries.getByMotion.all({ motion_id: motion.id }),
+    proxies: proxyQueries.getByMotion.all(motion.id),
+    councilMembers: councilQueries.getAll.all(),
+    newLinks,
+    codeEntryUrl: `${tenantBaseUrl(BASE_URL)}/vote`,
+    success,
+    error
+  });
+}
+
+// Helper: issue a voting link and code on a standalone motion. Returns
+// { tokenId, token, code }, or null if the recipient already has a link.
+function createVoterLink(motionId, { name, email, unit }, expiresAt) {
+  const token = generateToken();
+  const { code, codeHash } = generateVoterCode(motionId);
+
+  try {
+    // Create token with email status fields
+    const result = tokenQueries.create.run(
+      motionId,
+      hashToken(token),
+      name,
+      email,
+      unit,
+      'Active',
+      new Date().toISOString(),
+      0, // email_sent
+      null, // email_sent_at
+      null, // email_error
+      expiresAt,
+      codeHash
+    );
+    return { tokenId: result.lastInsertRowid, token, code };
+  } catch (e) {
+    if (e && e.code === 'SQLITE_CONSTRAINT_UNIQUE') return null;
+    throw e;
+  }
+}
+
 // Token management page
 app.get('/admin/motions/:id/tokens', requireAuth, (req, res) => {
-  const { id } = req.params;
-  const motion = motionQueries.getById.get(id);
+  const motion = motionQueries.getById.get(req.params.id);
 
   if (!motion) {
     return res.status(404).send('Motion not found');
   }
 
-  const tokens = tokenQueries.getByMotion.all(id);
-  const councilMembers = councilQueries.getAll.all();
-
-  motion.options = JSON.parse(motion.options_json);
-
-  res.render('tokens', {
-    motion,
-    tokens,
-    councilMembers,
-    baseUrl: BASE_URL,
+  renderTokensPage(res, motion, {
     success: req.query.success || null,
     error: req.query.error || null
   });
 });
 
+// Helper: issue a voting link to each recipient who does not already have one,
+// and queue their emails. Returns the new links (shown once) and counts.
+function issueMotionTokens(req, motion, recipientList, expiresAt) {
+  const newLinks = [];
+  let created = 0;
+  let skippedDuplicates = 0;
+  let skippedUnits = 0;
+  let emailsSent = 0;
+
+  const emailConfigured = isEmailConfigured();
+  const holdEmails = shouldHoldLinkEmails(motion);
+
+  for (const recipient of recipientList) {
+    const { name, email, unit } = recipient;
+
+    // Prevent duplicate tokens for the same motion + email (case-insensitive)
+    if (email) {
+      const existing = tokenQueries.getActiveByMotionEmail.get(motion.id, email);
+      if (existing) {
+        skippedDuplicates++;
+        continue;
+      }
+    }
+
+    // Entitlement-weighted motions: one token per registered unit
+    if (checkUnitForMotion(motion, unit)) {
+      skippedUnits++;
+      continue;
+    }
+
+    const issued = createVoterLink(motion.id, recipient, expiresAt);
+    if (!issued) {
+      skippedDuplicates++;
+      continue;
+    }
+    created++;
+    newLinks.push({ tokenId: issued.tokenId, name, email, unit, link: `${tenantBaseUrl(BASE_URL)}/vote/${motion.id}?token=${issued.token}`, code: formatCode(issued.code) });
+    audit(req, 'token.issue', {
+      targetType: 'token',
+      targetId: issued.tokenId,
+      motionId: motion.id,
+      after: tokenSnapshot(tokenQueries.getById.get(issued.tokenId))
+    });
+
+    // Queue email for background delivery if configured and email address is provided
+    if (emailConfigured && email) {
+      enqueueTokenEmail(issued.tokenId, issued.token, { held: holdEmails, code: issued.code });
+      emailsSent++;
+    }
+  }
+
+  // Best-effort: kick off email processing immediately so messages go out without waiting for the next tick
+  if (emailsSent > 0 && !holdEmails) {
+    processPendingTokenEmails({ baseUrl: tenantBaseUrl(BASE_URL), limit: 50 }).catch(err => {
+      logger.error('immediate token email processing failed', { motionId: motion.id, error: err.message });
+    });
+  }
+
+  return { newLinks, created, skippedDuplicates, skippedUnits, emailsSent, emailConfigured, holdEmails };
+}
+
 // Generate tokens
 app.post('/admin/motions/:id/tokens', requireAuth, validate(schemas.token), (req, res) => {
   const { id } = req.params;
@@ -1371,130 +3248,340 @@ app.post('/admin/motions/:id/tokens', requireAuth, validate(schemas.token), (req
 
   const motion = motionQueries.getById.get(id);
   if (!motion) {
-    return res.redirect(`/admin/motions/${id}/tokens?error=Motion+not+found`);
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=Motion+not+found`);
+  }
+
+  if (motion.group_id) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${motion.group_id}?error=${encodeURIComponent('This motion is part of a ballot. Issue voting links from the ballot page.')}`);
   }
 
   // Collect recipients from both sources
-  const recipientList = [];
-  const emailSet = new Set();
+  const recipientList = collectRecipients(recipients, selected_council_members);
 
-  // Parse textarea recipients (existing logic)
-  if (recipients && recipients.trim()) {
-    const lines = recipients.split('\n').map(line => line.trim()).filter(line => line);
-    for (const line of lines) {
-      const parts = line.split(',').map(p => p.trim());
-      const name = parts[0] || null;
-      const email = parts[1] || null;
-      const unit = parts[2] || null;
+  if (recipientList.length === 0) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=No+recipients+provided`);
+  }
 
-      if (email && !emailSet.has(email.toLowerCase())) {
-        recipientList.push({ name, email, unit });
-        emailSet.add(email.toLowerCase());
-      }
+  const expiry = parseLinkExpiry(req.body.expires_at);
+  if (expiry.error) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=${encodeURIComponent(expiry.error)}`);
+  }
+
+  try {
+    const { newLinks, created, skippedDuplicates, skippedUnits, emailsSent, emailConfigured, holdEmails } =
+      issueMotionTokens(req, motion, recipientList, expiry.expiresAt);
+
+    // Build success message
+    let message = `Created ${created} token(s)`;
+    if (skippedDuplicates > 0) {
+      message += `. Skipped ${skippedDuplicates} duplicate(s)`;
+    }
+    if (skippedUnits > 0) {
+      message += `. Skipped ${skippedUnits} recipient(s) whose unit is not registered or already has a voting link`;
+    }
+    if (emailConfigured && holdEmails) {
+      message += `. ${emailsSent} email(s) will be sent when voting opens`;
+    } else if (emailConfigured) {
+      message += `. ${emailsSent} email(s) queued for delivery`;
+    } else {
+      message += `. Email not configured - please copy the links below`;
     }
+
+    // Rendered rather than redirected: this is the only time the links can be shown
+    renderTokensPage(res, motion, { newLinks, success: message });
+  } catch (err) {
+    logger.error('Token creation error:', err);
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=Failed+to+create+tokens`);
+  }
+});
+
+// Recipient CSV template download
+app.get('/admin/motions/:id/tokens/import/template.csv', requireAuth, (req, res) => {
+  const csv = [
+    'name,email,unit,whatsapp,entitlement',
+    '"Doe, John",john@example.com,Unit 101,+1 604 555 0100,12.5',
+    'Jane Smith,jane@example.com,Unit 102,,',
+    'Mary Lee,,Unit 103,+1 604 555 0199,'
+  ].join('\n');
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', 'attachment; filename="recipients-import-template.csv"');
+  res.send(csv);
+});
+
+// Helper: dry run of a recipient CSV against a motion. Every row comes back
+// with a status of 'new', 'duplicate' or 'invalid' and the reason, so the same
+// plan drives both the preview and the import. Returns { rows, counts } or { error }.
+function planRecipientImport(motion, csvText) {
+  let records;
+  try {
+    records = parseCSV(csvText, {
+      columns: header => header.map(column => column.trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true,
+      bom: true
+    });
+  } catch (parseErr) {
+    return { error: `CSV parse error: ${parseErr.message}` };
   }
 
-  // Add selected council members
-  if (selected_council_members) {
-    const memberIds = Array.isArray(selected_council_members)
-      ? selected_council_members
-      : [selected_council_members];
+  if (records.length === 0) {
+    return { error: 'The CSV file contains no data rows.' };
+  }
 
-    for (const memberId of memberIds) {
-      const member = councilQueries.getById.get(memberId);
-      if (member && !emailSet.has(member.email.toLowerCase())) {
-        recipientList.push({
-          name: member.name,
-          email: member.email,
-          unit: member.unit_number
-        });
-        emailSet.add(member.email.toLowerCase());
+  if (records.length > 1000) {
+    return { error: 'Maximum 1000 recipients per import. Please split into smaller files.' };
+  }
+
+  if (!('name' in records[0]) && !('email' in records[0])) {
+    return { error: 'The first row must be a header row with at least a name or email column.' };
+  }
+
+  const rowSchema = Joi.object({
+    name: Joi.string().max(100).allow('').optional(),
+    email: Joi.string().email().max(200).allow('').optional(),
+    unit: Joi.string().max(50).allow('').optional(),
+    whatsapp: Joi.string().max(30).pattern(/^\+?[\d\s().-]+$/).allow('').optional()
+      .messages({ 'string.pattern.base': '"whatsapp" must be a phone number with country code, e.g. +1 604 555 0100' }),
+    entitlement: Joi.number().positive().max(1000000).allow('').optional()
+  });
+
+  const weighted = isEntitlementWeighted(motion);
+  const emailRows = new Map();
+  const unitRows = new Map();
+  const unitsWithEntitlement = new Set();
+
+  const rows = records.map((record, i) => {
+    const entry = {
+      row: i + 2, // +2: 1-based + header row
+      name: record.name || null,
+      email: record.email || null,
+      unit: record.unit || null,
+      whatsapp: record.whatsapp || null,
+      entitlement: record.entitlement ? Number(record.entitlement) : null
+    };
+    const invalid = reason => ({ ...entry, status: 'invalid', reason });
+    const duplicate = reason => ({ ...entry, status: 'duplicate', reason });
+
+    const { error: valErr } = rowSchema.validate(record, { allowUnknown: true });
+    if (valErr) return invalid(valErr.details[0].message);
+
+    if (!entry.name && !entry.email) return invalid('Each row needs a name or an email');
+
+    if (entry.whatsapp) {
+      const digits = entry.whatsapp.replace(/\D/g, '').length;
+      if (digits < 8 || digits > 15) return invalid('"whatsapp" must have 8 to 15 digits including the country code');
+    }
+
+    if (entry.entitlement !== null && !entry.unit) return invalid('An entitlement needs a unit');
+
+    const unitKey = entry.unit ? entry.unit.trim().toLowerCase() : null;
+    if (entry.entitlement !== null) unitsWithEntitlement.add(unitKey);
+
+    if (weighted) {
+      if (!unitKey) return invalid('This motion is weighted by unit entitlement, so every row needs a unit');
+      if (!unitsWithEntitlement.has(unitKey) && !unitQueries.findByNumber.get(entry.unit)) {
+        return invalid(`"${entry.unit}" is not a registered unit. Add an entitlement or register it on the Units page`);
       }
     }
+
+    const emailKey = entry.email ? entry.email.toLowerCase() : null;
+    if (emailKey && emailRows.has(emailKey)) return duplicate(`Same email as row ${emailRows.get(emailKey)}`);
+    if (emailKey && tokenQueries.getActiveByMotionEmail.get(motion.id, entry.email)) return duplicate('Already has a voting link');
+
+    // Entitlement-weighted motions: one token per registered unit
+    if (weighted) {
+      if (unitRows.has(unitKey)) return duplicate(`Same unit as row ${unitRows.get(unitKey)}`);
+      if (unitQueries.countActiveTokensForUnit.get(motion.id, entry.unit).count > 0) return duplicate('Unit already has a voting link');
+    }
+
+    if (emailKey) emailRows.set(emailKey, entry.row);
+    if (unitKey) unitRows.set(unitKey, entry.row);
+    return { ...entry, status: 'new', reason: null };
+  });
+
+  const counts = { new: 0, duplicate: 0, invalid: 0 };
+  rows.forEach(row => { counts[row.status]++; });
+  counts.entitlements = rows.filter(row => row.status !== 'invalid' && row.entitlement !== null).length;
+  counts.whatsapp = rows.filter(row => row.status === 'new' && row.whatsapp).length;
+
+  return { rows, counts };
+}
+
+// Import recipients via CSV — form
+app.get('/admin/motions/:id/tokens/import', requireAuth, (req, res) => {
+  const motion = motionQueries.getById.get(req.params.id);
+  if (!motion) {
+    return res.status(404).send('Motion not found');
   }
 
-  if (recipientList.length === 0) {
-    return res.redirect(`/admin/motions/${id}/tokens?error=No+recipients+provided`);
+  if (motion.group_id) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${motion.group_id}?error=${encodeURIComponent('This motion is part of a ballot. Issue voting links from the ballot page.')}`);
   }
 
-  let created = 0;
-  let skippedDuplicates = 0;
-  let emailsSent = 0;
+  res.render('token_import', {
+    motion,
+    plan: null,
+    csvText: null,
+    expiresAt: '',
+    whatsAppConfigured: isWhatsAppConfigured(),
+    error: null
+  });
+});
 
-  const emailConfigured = isEmailConfigured();
+// Import recipients via CSV. The upload shows a dry run; the preview form
+// posts the same CSV back with confirm=1 to create the tokens.
+app.post('/admin/motions/:id/tokens/import', requireAuth, (req, res) => {
+  csvUpload.single('csv_file')(req, res, (uploadErr) => {
+    const { id } = req.params;
+    const motion = motionQueries.getById.get(id);
+    if (!motion) {
+      return res.status(404).send('Motion not found');
+    }
 
-  try {
-    for (const recipient of recipientList) {
-      const { name, email, unit } = recipient;
+    if (motion.group_id) {
+      return res.redirect(`${res.locals.basePath}/admin/ballots/${motion.group_id}?error=${encodeURIComponent('This motion is part of a ballot. Issue voting links from the ballot page.')}`);
+    }
 
-      // Prevent duplicate tokens for the same motion + email (case-insensitive)
-      if (email) {
-        const existing = tokenQueries.getActiveByMotionEmail.get(id, email);
-        if (existing) {
-          skippedDuplicates++;
-          continue;
-        }
-      }
+    const renderImport = (locals) => res.render('token_import', {
+      motion,
+      plan: null,
+      csvText: null,
+      expiresAt: req.body.expires_at || '',
+      whatsAppConfigured: isWhatsAppConfigured(),
+      error: null,
+      ...locals
+    });
 
-      const token = crypto.randomBytes(24).toString('base64url');
-      const created_at = new Date().toISOString();
+    if (uploadErr) {
+      return renderImport({ error: uploadErr.message });
+    }
 
-      // Create token with email status fields
-      let result;
-      try {
-        result = tokenQueries.create.run(
-          id,
-          token,
-          name,
-          email,
-          unit,
-          'Active',
-          created_at,
-          0, // email_sent
-          null, // email_sent_at
-          null // email_error
-        );
-      } catch (e) {
-        if (e && e.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-          skippedDuplicates++;
-          continue;
-        }
-        throw e;
-      }
-      created++;
+    const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv_text;
+    if (!csvText) {
+      return renderImport({ error: 'No file uploaded.' });
+    }
 
-      // Queue email for background delivery if configured and email address is provided
-      if (emailConfigured && email) {
-        enqueueTokenEmail(result.lastInsertRowid);
-        emailsSent++;
-      }
+    const expiry = parseLinkExpiry(req.body.expires_at);
+    if (expiry.error) {
+      return renderImport({ error: expiry.error });
     }
 
-    // Build success message
-    let message = `Created ${created} token(s)`;
-    if (skippedDuplicates > 0) {
-      message += `. Skipped ${skippedDuplicates} duplicate(s)`;
+    const plan = planRecipientImport(motion, csvText);
+    if (plan.error) {
+      return renderImport({ error: plan.error });
     }
-    if (emailConfigured) {
-      message += `. ${emailsSent} email(s) queued for delivery`;
-    } else {
-      message += `. Email not configured - please copy links manually`;
+
+    if (req.body.confirm !== '1') {
+      return renderImport({ plan, csvText });
     }
 
-    res.redirect(`/admin/motions/${id}/tokens?success=${encodeURIComponent(message)}`);
+    if (plan.counts.new === 0) {
+      return renderImport({ plan, csvText, error: 'There are no new recipients to import.' });
+    }
 
-    // Best-effort: kick off email processing immediately so messages go out without waiting for the next tick
-    if (emailsSent > 0) {
-      processPendingTokenEmails({ baseUrl: BASE_URL, limit: 50 }).catch(err => {
-        logger.error('immediate token email processing failed', { motionId: id, error: err.message });
-      });
+    const emailConfigured = isEmailConfigured();
+    const holdEmails = shouldHoldLinkEmails(motion);
+    const sendWhatsAppLinks = isWhatsAppConfigured() && !holdEmails;
+
+    try {
+      const now = new Date().toISOString();
+      const imported = db.transaction(() => {
+        for (const row of plan.rows) {
+          if (row.status !== 'invalid' && row.entitlement !== null) {
+            const before = unitQueries.findByNumber.get(row.unit);
+            unitQueries.upsert.run(row.unit, row.entitlement, now, now);
+            audit(req, 'unit.save', {
+              targetType: 'unit',
+              targetId: row.unit,
+              before: before ? { entitlement: before.entitlement } : null,
+              after: { entitlement: row.entitlement, via: 'recipient_import' }
+            });
+          }
+        }
+
+        const issuedRows = [];
+        for (const row of plan.rows.filter(entry => entry.status === 'new')) {
+          const issued = createVoterLink(id, row, expiry.expiresAt);
+          if (!issued) continue;
+          if (emailConfigured && row.email) {
+            enqueueTokenEmail(issued.tokenId, issued.token, { held: holdEmails, code: issued.code });
+          }
+          audit(req, 'token.issue', {
+            targetType: 'token',
+            targetId: issued.tokenId,
+            motionId: id,
+            after: { ...tokenSnapshot(tokenQueries.getById.get(issued.tokenId)), via: 'recipient_import' }
+          });
+          issuedRows.push({ row, ...issued });
+        }
+        return issuedRows;
+      })();
+
+      const newLinks = imported.map(({ row, token, code }) => ({
+        name: row.name,
+        email: row.email,
+        unit: row.unit,
+        link: `${tenantBaseUrl(BASE_URL)}/vote/${id}?token=${token}`,
+        code: formatCode(code)
+      }));
+
+      let whatsAppSent = 0;
+      if (sendWhatsAppLinks) {
+        for (const { row, token } of imported.filter(entry => entry.row.whatsapp)) {
+          sendWhatsApp({ to: row.whatsapp, link: `${tenantBaseUrl(BASE_URL)}/vote/${id}?token=${token}`, motionTitle: motion.title }).catch(err => {
+            logger.warn('Recipient import: WhatsApp send failed', { motionId: id, row: row.row, error: err.message });
+          });
+          whatsAppSent++;
+        }
+      }
+
+      const emailsQueued = emailConfigured ? imported.filter(entry => entry.row.email).length : 0;
+      logger.info('Recipients imported', { motionId: id, created: imported.length, emailsQueued, whatsAppSent });
+
+      let message = `Imported ${imported.length} recipient(s)`;
+      if (plan.counts.duplicate > 0) message += `. Skipped ${plan.counts.duplicate} duplicate(s)`;
+      if (plan.counts.invalid > 0) message += `. Skipped ${plan.counts.invalid} invalid row(s)`;
+      if (plan.counts.entitlements > 0) message += `. Saved ${plan.counts.entitlements} unit entitlement(s)`;
+      if (emailConfigured && holdEmails) {
+        message += `. ${emailsQueued} email(s) will be sent when voting opens`;
+      } else if (emailConfigured) {
+        message += `. ${emailsQueued} email(s) queued for delivery`;
+      }
+      if (whatsAppSent > 0) message += `. ${whatsAppSent} WhatsApp message(s) sent`;
+      if (!sendWhatsAppLinks && plan.counts.whatsapp > 0) message += '. WhatsApp links were not sent - please copy the links below';
+
+      // Rendered rather than redirected: this is the only time the links can be shown
+      renderTokensPage(res, motion, { newLinks, success: message });
+
+      // Best-effort: kick off email processing immediately
+      if (emailsQueued > 0 && !holdEmails) {
+        processPendingTokenEmails({ baseUrl: tenantBaseUrl(BASE_URL), limit: 50 }).catch(err => {
+          logger.error('immediate token email processing failed', { motionId: id, error: err.message });
+        });
+      }
+    } catch (err) {
+      logger.error('Recipient import error:', err);
+      renderImport({ plan, csvText, error: 'Failed to import recipients.' });
     }
-  } catch (err) {
-    logger.error('Token creation error:', err);
-    res.redirect(`/admin/motions/${id}/tokens?error=Failed+to+create+tokens`);
-  }
+  });
 });
 
+// Helper: revoke a voting link so it can no longer be used
+function revokeVoterToken(req, token) {
+  tokenQueries.revoke.run('Revoked', token.id);
+  audit(req, 'token.revoke', {
+    targetType: 'token',
+    targetId: token.id,
+    motionId: token.motion_id,
+    before: tokenSnapshot(token),
+    after: { status: 'Revoked' }
+  });
+  emitWebhook('token.revoked', () => ({
+    token: { id: token.id, kind: 'motion', ...tokenSnapshot(token), status: 'Revoked' },
+    motion: motionEventData(motionQueries.getById.get(token.motion_id)).motion
+  }));
+}
+
 // Revoke token
 app.post('/admin/tokens/:tokenId/revoke', requireAuth, (req, res) => {
   const { tokenId } = req.params;
@@ -1505,15 +3592,53 @@ app.post('/admin/tokens/:tokenId/revoke', requireAuth, (req, res) => {
       return res.status(404).send('Token not found');
     }
 
-    tokenQueries.revoke.run('Revoked', tokenId);
-    res.redirect(`/admin/motions/${token.motion_id}/tokens?success=Token+revoked`);
+    revokeVoterToken(req, token);
+    res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?success=Token+revoked`);
   } catch (err) {
     logger.error('Token revoke error:', err);
     res.status(500).send('Failed to revoke token');
   }
 });
 
-// Resend email for a token
+// Replace a voting link and show the new one once, e.g. for a voter without
+// email or whose link was lost. The old link stops working.
+app.post('/admin/tokens/:tokenId/new-link', requireAuth, (req, res) => {
+  const token = tokenQueries.getById.get(req.params.tokenId);
+  if (!token) {
+    return res.status(404).send('Token not found');
+  }
+
+  if (token.status !== 'Active') {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?error=${encodeURIComponent('Only active voting links can be replaced')}`);
+  }
+
+  if (token.group_token_id) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?error=${encodeURIComponent('This voter was invited through a ballot. Replace the link from the ballot page.')}`);
+  }
+
+  try {
+    const rawToken = rotateVoterToken(token.id);
+    const code = rotateVoterCode(token.id);
+    logger.info('Voting link replaced', { motionId: token.motion_id, tokenId: token.id });
+    audit(req, 'token.new_link', { targetType: 'token', targetId: token.id, motionId: token.motion_id, before: tokenSnapshot(token) });
+    renderTokensPage(res, motionQueries.getById.get(token.motion_id), {
+      newLinks: [{
+        name: token.recipient_name,
+        email: token.recipient_email,
+        unit: token.unit_number,
+        link: `${tenantBaseUrl(BASE_URL)}/vote/${token.motion_id}?token=${rawToken}`,
+        code: formatCode(code)
+      }],
+      success: 'New voting link and code created. The previous link and code no longer work.'
+    });
+  } catch (err) {
+    logger.error('Voting link replace error:', err);
+    res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?error=Failed+to+replace+voting+link`);
+  }
+});
+
+// Resend email for a token. Only a hash of the original link is stored, so the
+// email carries a new link and the old one stops working.
 app.post('/admin/tokens/:tokenId/resend-email', requireAuth, (req, res) => {
   const { tokenId } = req.params;
 
@@ -1524,62 +3649,687 @@ app.post('/admin/tokens/:tokenId/resend-email', requireAuth, (req, res) => {
     }
 
     if (token.status !== 'Active') {
-      return res.redirect(`/admin/motions/${token.motion_id}/tokens?error=Can+only+resend+for+active+tokens`);
+      return res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?error=Can+only+resend+for+active+tokens`);
     }
 
     if (!token.recipient_email) {
-      return res.redirect(`/admin/motions/${token.motion_id}/tokens?error=No+email+address+for+this+token`);
+      return res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?error=No+email+address+for+this+token`);
+    }
+
+    if (token.group_token_id) {
+      return res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?error=${encodeURIComponent('This voter was invited through a ballot. Resend from the ballot page.')}`);
     }
 
     if (!isEmailConfigured()) {
-      return res.redirect(`/admin/motions/${token.motion_id}/tokens?error=Email+not+configured`);
+      return res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?error=Email+not+configured`);
+    }
+
+    const motion = motionQueries.getById.get(token.motion_id);
+    const rawToken = rotateVoterToken(token.id);
+    const code = rotateVoterCode(token.id);
+    audit(req, 'token.resend_email', { targetType: 'token', targetId: token.id, motionId: token.motion_id, before: tokenSnapshot(token) });
+    if (shouldHoldLinkEmails(motion)) {
+      enqueueTokenEmail(token.id, rawToken, { held: true, code });
+      return res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?success=Email+will+be+sent+when+voting+opens`);
     }
 
-    enqueueTokenEmail(tokenId);
-    res.redirect(`/admin/motions/${token.motion_id}/tokens?success=Email+queued+for+delivery`);
+    enqueueTokenEmail(token.id, rawToken, { code });
+    res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?success=Email+queued+for+delivery`);
 
     // Best-effort: kick off processing immediately
-    processPendingTokenEmails({ baseUrl: BASE_URL, limit: 50 }).catch(err => {
+    processPendingTokenEmails({ baseUrl: tenantBaseUrl(BASE_URL), limit: 50 }).catch(err => {
       logger.error('immediate token email processing failed', { tokenId, error: err.message });
     });
   } catch (err) {
     logger.error('Email resend error:', err);
     const token = tokenQueries.getById.get(tokenId);
     if (token) {
-      res.redirect(`/admin/motions/${token.motion_id}/tokens?error=Failed+to+queue+email`);
+      res.redirect(`${res.locals.basePath}/admin/motions/${token.motion_id}/tokens?error=Failed+to+queue+email`);
     } else {
       res.status(500).send('Failed to resend email');
     }
   }
 });
 
-// Council Members Management
-app.get('/admin/council', requireAuth, (req, res) => {
-  const members = councilQueries.getAll.all();
-  res.render('council', {
-    members,
-    success: req.query.success || null,
-    error: req.query.error || null
-  });
-});
+// Printable invitations for paper distribution. Links are only stored as
+// hashes, so printing issues a new link and code for each voter printed; any
+// earlier link for them stops working, including one they were emailed (the
+// token page warns about this before printing everyone).
+app.post('/admin/motions/:id/tokens/print', requireAuth, validate(schemas.tokenPrint), (req, res) => {
+  const { id } = req.params;
+  const { scope } = req.body;
 
-app.post('/admin/council', requireAuth, validate(schemas.councilMember), (req, res) => {
-  const { name, email, unit_number, whatsapp } = req.body;
+  const motion = motionQueries.getById.get(id);
+  if (!motion) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=Motion+not+found`);
+  }
 
-  try {
-    const existing = councilQueries.findByEmail.get(email);
-    if (existing) {
-      return res.redirect('/admin/council?error=' + encodeURIComponent('Email already exists'));
-    }
+  if (motion.group_id) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=${encodeURIComponent('This motion is part of a ballot. Voting links are issued from the ballot page.')}`);
+  }
+
+  if (!['Draft', 'Scheduled', 'Open'].includes(motion.status)) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=${encodeURIComponent('Voting on this motion has closed')}`);
+  }
+
+  const tokens = tokenQueries.getByMotion.all(id).filter(token =>
+    token.status === 'Active' && !token.group_token_id && (scope === 'all' || !token.recipient_email)
+  );
+  if (tokens.length === 0) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=${encodeURIComponent('No active voting links to print')}`);
+  }
+
+  try {
+    const invitations = db.transaction(() => tokens.map(token => {
+      const rawToken = rotateVoterToken(token.id);
+      return {
+        token,
+        link: `${tenantBaseUrl(BASE_URL)}/vote/${id}?token=${rawToken}`,
+        code: rotateVoterCode(token.id)
+      };
+    }))();
+
+    logger.info('Voting invitations printed', { motionId: id, scope, count: invitations.length });
+    audit(req, 'token.print', {
+      targetType: 'motion',
+      targetId: id,
+      motionId: id,
+      after: { scope, count: invitations.length, token_ids: invitations.map(({ token }) => token.id) }
+    });
+    generateInvitationPDF(res, motion, invitations);
+  } catch (err) {
+    logger.error('Invitation print error:', err);
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=Failed+to+print+invitations`);
+  }
+});
+
+// Record a proxy on a standalone motion
+app.post('/admin/motions/:id/proxies', requireAuth, validate(schemas.proxy), (req, res) => {
+  const { id } = req.params;
+  const motion = motionQueries.getById.get(id);
+  if (!motion) {
+    return res.status(404).send('Motion not found');
+  }
+
+  if (motion.group_id) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${motion.group_id}?error=${encodeURIComponent('This motion is part of a ballot. Record proxies from the ballot page.')}`);
+  }
+
+  const grantor = tokenQueries.getById.get(req.body.grantor_id);
+  if (!grantor || grantor.motion_id !== motion.id) {
+    return res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=Voter+not+found`);
+  }
+
+  try {
+    const result = recordProxy({ motionId: motion.id }, grantor, req.body);
+    if (result.error) {
+      return res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=${encodeURIComponent(result.error)}`);
+    }
+    logger.info('Proxy recorded', { motionId: id, grantorTokenId: grantor.id, holderId: result.holder.id });
+    audit(req, 'proxy.grant', {
+      targetType: 'proxy_holder',
+      targetId: result.holder.id,
+      motionId: id,
+      after: { grantor: tokenSnapshot(grantor), holder_name: result.holder.holder_name, holder_email: result.holder.holder_email, instructions: req.body.instructions || null }
+    });
+    const success = `Proxy recorded for ${result.holder.holder_name}`;
+    if (result.token) {
+      return renderTokensPage(res, motion, { newLinks: [describeProxyLink(result.holder, result.token)], success });
+    }
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?success=${encodeURIComponent(success)}`);
+  } catch (err) {
+    logger.error('Proxy creation error:', err);
+    res.redirect(`${res.locals.basePath}/admin/motions/${id}/tokens?error=Failed+to+record+proxy`);
+  }
+});
+
+// Ballot groups: several motions voted on through one link
+app.get('/admin/ballots', requireAuth, (req, res) => {
+  res.render('ballots', {
+    groups: ballotGroupQueries.getAll.all(),
+    availableMotions: motionQueries.getUngrouped.all()
+      .filter(motion => tokenQueries.countStandaloneByMotion.get(motion.id).count === 0),
+    success: req.query.success || null,
+    error: req.query.error || null
+  });
+});
+
+// A motion can join a ballot while it has no voters of its own and voting has not finished
+function canAddMotionToBallot(motion) {
+  return !!motion
+    && !motion.group_id
+    && ['Draft', 'Scheduled', 'Open'].includes(motion.status)
+    && tokenQueries.countStandaloneByMotion.get(motion.id).count === 0;
+}
+
+app.post('/admin/ballots', requireAuth, validate(schemas.ballotGroup), (req, res) => {
+  const { title, description, motion_ids } = req.body;
+  const motionIds = motion_ids ? (Array.isArray(motion_ids) ? motion_ids : [motion_ids]) : [];
+
+  const motions = motionIds.map(motionId => motionQueries.getById.get(motionId));
+  if (motions.some(motion => !canAddMotionToBallot(motion))) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots?error=${encodeURIComponent('Only draft or open motions without their own voting links can be added to a ballot.')}`);
+  }
+
+  try {
+    const id = generateUUID();
+    db.transaction(() => {
+      ballotGroupQueries.create.run(id, title, description || null, new Date().toISOString());
+      for (const motion of motions) {
+        motionQueries.setGroup.run(id, motion.id);
+      }
+    })();
+
+    logger.info('Ballot group created', { groupId: id, motionCount: motions.length });
+    audit(req, 'ballot.create', {
+      targetType: 'ballot',
+      targetId: id,
+      after: { title, description: description || null, motion_ids: motions.map(motion => motion.id) }
+    });
+    res.redirect(`${res.locals.basePath}/admin/ballots/${id}?success=Ballot+created`);
+  } catch (err) {
+    logger.error('Ballot group creation error:', err);
+    res.redirect(`${res.locals.basePath}/admin/ballots?error=Failed+to+create+ballot`);
+  }
+});
+
+// Helper: render a ballot's page, with any links just issued as newLinks
+function renderBallotPage(res, group, { newLinks = [], success = null, error = null } = {}) {
+  const motions = motionQueries.getByGroup.all(group.id).map(motion => ({
+    ...motion,
+    stats: getMotionStats(motion.id)
+  }));
+
+  res.render('ballot_detail', {
+    group,
+    motions,
+    tokens: ballotGroupQueries.getTokensByGroup.all(group.id),
+    proxies: proxyQueries.getByGroup.all(group.id),
+    availableMotions: motionQueries.getUngrouped.all().filter(canAddMotionToBallot),
+    councilMembers: councilQueries.getAll.all(),
+    newLinks,
+    success,
+    error
+  });
+}
+
+app.get('/admin/ballots/:id', requireAuth, (req, res) => {
+  const group = ballotGroupQueries.getById.get(req.params.id);
+  if (!group) return res.status(404).send('Ballot not found');
+
+  renderBallotPage(res, group, {
+    success: req.query.success || null,
+    error: req.query.error || null
+  });
+});
+
+app.post('/admin/ballots/:id/motions', requireAuth, (req, res) => {
+  const { id } = req.params;
+  const group = ballotGroupQueries.getById.get(id);
+  if (!group) return res.status(404).send('Ballot not found');
+
+  const motion = motionQueries.getById.get(req.body.motion_id);
+  if (!canAddMotionToBallot(motion)) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=${encodeURIComponent('Only draft or open motions without their own voting links can be added to a ballot.')}`);
+  }
+
+  try {
+    let issued = 0;
+    db.transaction(() => {
+      motionQueries.setGroup.run(id, motion.id);
+      // Voters already on the ballot get this question too
+      issued = issueGroupTokensForMotion(id, motion.id);
+    })();
+
+    audit(req, 'ballot.add_motion', { targetType: 'ballot', targetId: id, motionId: motion.id, after: { voters: issued } });
+    res.redirect(`${res.locals.basePath}/admin/ballots/${id}?success=${encodeURIComponent(`Added ${motion.motion_ref} to the ballot for ${issued} voter(s)`)}`);
+  } catch (err) {
+    logger.error('Ballot add motion error:', err);
+    res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=Failed+to+add+motion`);
+  }
+});
+
+app.post('/admin/ballots/:id/motions/:motionId/remove', requireAuth, (req, res) => {
+  const { id, motionId } = req.params;
+  const motion = motionQueries.getById.get(motionId);
+  if (!motion || motion.group_id !== id) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=Motion+is+not+on+this+ballot`);
+  }
+  if (motion.status !== 'Draft' && motion.status !== 'Scheduled') {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=${encodeURIComponent('Only draft or scheduled motions can be removed from a ballot.')}`);
+  }
+
+  try {
+    db.transaction(() => {
+      tokenQueries.deleteUnusedByMotionGroup.run(motion.id, motion.id);
+      motionQueries.setGroup.run(null, motion.id);
+    })();
+
+    audit(req, 'ballot.remove_motion', { targetType: 'ballot', targetId: id, motionId: motion.id });
+    res.redirect(`${res.locals.basePath}/admin/ballots/${id}?success=${encodeURIComponent(`Removed ${motion.motion_ref} from the ballot`)}`);
+  } catch (err) {
+    logger.error('Ballot remove motion error:', err);
+    res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=Failed+to+remove+motion`);
+  }
+});
+
+// Issue one voting link per voter for the whole ballot
+app.post('/admin/ballots/:id/tokens', requireAuth, validate(schemas.token), (req, res) => {
+  const { id } = req.params;
+  const { recipients, selected_council_members } = req.body;
+
+  const group = ballotGroupQueries.getById.get(id);
+  if (!group) return res.status(404).send('Ballot not found');
+
+  const motions = motionQueries.getByGroup.all(id);
+  if (motions.length === 0) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=${encodeURIComponent('Add at least one motion before issuing voting links.')}`);
+  }
+
+  const recipientList = collectRecipients(recipients, selected_council_members);
+  if (recipientList.length === 0) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=No+recipients+provided`);
+  }
+
+  const expiry = parseLinkExpiry(req.body.expires_at);
+  if (expiry.error) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=${encodeURIComponent(expiry.error)}`);
+  }
+
+  const newLinks = [];
+  let created = 0;
+  let skippedDuplicates = 0;
+  let skippedUnits = 0;
+  let emailsSent = 0;
+
+  const emailConfigured = isEmailConfigured();
+  const holdEmails = shouldHoldGroupLinkEmails(id);
+
+  try {
+    for (const { name, email, unit } of recipientList) {
+      if (email && ballotGroupQueries.getActiveTokenByGroupEmail.get(id, email)) {
+        skippedDuplicates++;
+        continue;
+      }
+
+      // Entitlement-weighted questions need a registered unit, one voter per unit
+      if (motions.some(motion => checkUnitForMotion(motion, unit))) {
+        skippedUnits++;
+        continue;
+      }
+
+      const createdAt = new Date().toISOString();
+      const token = generateToken();
+      try {
+        db.transaction(() => {
+          const result = ballotGroupQueries.createToken.run(
+            id,
+            hashToken(token),
+            name,
+            email,
+            unit,
+            createdAt,
+            expiry.expiresAt
+          );
+          // Voters only ever use the ballot link, so the per-question tokens
+          // are random values nobody is given
+          for (const motion of motions) {
+            tokenQueries.createForGroupToken.run(
+              motion.id,
+              hashToken(generateToken()),
+              name,
+              email,
+              unit,
+              createdAt,
+              result.lastInsertRowid,
+              expiry.expiresAt
+            );
+          }
+
+          if (emailConfigured && email) {
+            enqueueGroupTokenEmail(result.lastInsertRowid, token, { held: holdEmails });
+            emailsSent++;
+          }
+        })();
+      } catch (e) {
+        if (e && e.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+          // Already has a voting link on one of the motions
+          skippedDuplicates++;
+          continue;
+        }
+        throw e;
+      }
+      created++;
+      newLinks.push({ name, email, unit, link: `${tenantBaseUrl(BASE_URL)}/ballot/${id}?token=${token}` });
+      audit(req, 'ballot_token.issue', {
+        targetType: 'ballot',
+        targetId: id,
+        after: { recipient_name: name, recipient_email: email, unit_number: unit, expires_at: expiry.expiresAt }
+      });
+    }
+
+    let message = `Created ${created} voting link(s)`;
+    if (skippedDuplicates > 0) {
+      message += `. Skipped ${skippedDuplicates} duplicate(s)`;
+    }
+    if (skippedUnits > 0) {
+      message += `. Skipped ${skippedUnits} recipient(s) whose unit is not registered or already has a voting link`;
+    }
+    if (emailConfigured && holdEmails) {
+      message += `. ${emailsSent} email(s) will be sent when voting opens`;
+    } else if (emailConfigured) {
+      message += `. ${emailsSent} email(s) queued for delivery`;
+    } else {
+      message += `. Email not configured - please copy the links below`;
+    }
+
+    renderBallotPage(res, group, { newLinks, success: message });
+
+    if (emailsSent > 0 && !holdEmails) {
+      processPendingTokenEmails({ baseUrl: tenantBaseUrl(BASE_URL), limit: 50 }).catch(err => {
+        logger.error('immediate ballot email processing failed', { groupId: id, error: err.message });
+      });
+    }
+  } catch (err) {
+    logger.error('Ballot token creation error:', err);
+    res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=Failed+to+create+voting+links`);
+  }
+});
+
+// Revoking a ballot link revokes the voter's unused token on every question
+app.post('/admin/ballot-tokens/:tokenId/revoke', requireAuth, (req, res) => {
+  const groupToken = ballotGroupQueries.getTokenById.get(req.params.tokenId);
+  if (!groupToken) return res.status(404).send('Token not found');
+
+  try {
+    db.transaction(() => {
+      ballotGroupQueries.updateTokenStatus.run('Revoked', groupToken.used_at, groupToken.id);
+      ballotGroupQueries.revokeLinkedTokens.run(groupToken.id);
+    })();
+    audit(req, 'ballot_token.revoke', {
+      targetType: 'ballot_token',
+      targetId: groupToken.id,
+      before: tokenSnapshot(groupToken),
+      after: { status: 'Revoked' }
+    });
+    emitWebhook('token.revoked', () => ({
+      token: { id: groupToken.id, kind: 'ballot', ...tokenSnapshot(groupToken), status: 'Revoked' },
+      ballot: { id: groupToken.group_id }
+    }));
+    res.redirect(`${res.locals.basePath}/admin/ballots/${groupToken.group_id}?success=Voting+link+revoked`);
+  } catch (err) {
+    logger.error('Ballot token revoke error:', err);
+    res.redirect(`${res.locals.basePath}/admin/ballots/${groupToken.group_id}?error=Failed+to+revoke+voting+link`);
+  }
+});
+
+// Replace a ballot link and show the new one once; the old link stops working
+app.post('/admin/ballot-tokens/:tokenId/new-link', requireAuth, (req, res) => {
+  const groupToken = ballotGroupQueries.getTokenById.get(req.params.tokenId);
+  if (!groupToken) return res.status(404).send('Token not found');
+
+  const backUrl = `${res.locals.basePath}/admin/ballots/${groupToken.group_id}`;
+  if (groupToken.status !== 'Active') {
+    return res.redirect(`${backUrl}?error=${encodeURIComponent('Only active voting links can be replaced')}`);
+  }
+
+  try {
+    const rawToken = rotateGroupToken(groupToken.id);
+    logger.info('Ballot voting link replaced', { groupId: groupToken.group_id, groupTokenId: groupToken.id });
+    audit(req, 'ballot_token.new_link', { targetType: 'ballot_token', targetId: groupToken.id, before: tokenSnapshot(groupToken) });
+    renderBallotPage(res, ballotGroupQueries.getById.get(groupToken.group_id), {
+      newLinks: [{
+        name: groupToken.recipient_name,
+        email: groupToken.recipient_email,
+        unit: groupToken.unit_number,
+        link: `${tenantBaseUrl(BASE_URL)}/ballot/${groupToken.group_id}?token=${rawToken}`
+      }],
+      success: 'New voting link created. The previous link no longer works.'
+    });
+  } catch (err) {
+    logger.error('Ballot voting link replace error:', err);
+    res.redirect(`${backUrl}?error=Failed+to+replace+voting+link`);
+  }
+});
+
+// Resend a ballot email with a new link, as the original is not stored
+app.post('/admin/ballot-tokens/:tokenId/resend-email', requireAuth, (req, res) => {
+  const groupToken = ballotGroupQueries.getTokenById.get(req.params.tokenId);
+  if (!groupToken) return res.status(404).send('Token not found');
+
+  const backUrl = `${res.locals.basePath}/admin/ballots/${groupToken.group_id}`;
+  if (groupToken.status !== 'Active') {
+    return res.redirect(`${backUrl}?error=Can+only+resend+for+active+voting+links`);
+  }
+  if (!groupToken.recipient_email) {
+    return res.redirect(`${backUrl}?error=No+email+address+for+this+voter`);
+  }
+  if (!isEmailConfigured()) {
+    return res.redirect(`${backUrl}?error=Email+not+configured`);
+  }
+
+  try {
+    const rawToken = rotateGroupToken(groupToken.id);
+    audit(req, 'ballot_token.resend_email', { targetType: 'ballot_token', targetId: groupToken.id, before: tokenSnapshot(groupToken) });
+    if (shouldHoldGroupLinkEmails(groupToken.group_id)) {
+      enqueueGroupTokenEmail(groupToken.id, rawToken, { held: true });
+      return res.redirect(`${backUrl}?success=Email+will+be+sent+when+voting+opens`);
+    }
+
+    enqueueGroupTokenEmail(groupToken.id, rawToken);
+    res.redirect(`${backUrl}?success=Email+queued+for+delivery`);
+
+    processPendingTokenEmails({ baseUrl: tenantBaseUrl(BASE_URL), limit: 50 }).catch(err => {
+      logger.error('immediate ballot email processing failed', { groupTokenId: groupToken.id, error: err.message });
+    });
+  } catch (err) {
+    logger.error('Ballot email resend error:', err);
+    res.redirect(`${backUrl}?error=Failed+to+queue+email`);
+  }
+});
+
+// A ballot can be deleted until voting links have been issued; its motions stay as ordinary motions
+// Record a proxy covering every question on a ballot
+app.post('/admin/ballots/:id/proxies', requireAuth, validate(schemas.proxy), (req, res) => {
+  const group = ballotGroupQueries.getById.get(req.params.id);
+  if (!group) return res.status(404).send('Ballot not found');
+
+  const grantor = ballotGroupQueries.getTokenById.get(req.body.grantor_id);
+  if (!grantor || grantor.group_id !== group.id) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${group.id}?error=Voter+not+found`);
+  }
+
+  try {
+    const result = recordProxy({ groupId: group.id }, grantor, req.body);
+    if (result.error) {
+      return res.redirect(`${res.locals.basePath}/admin/ballots/${group.id}?error=${encodeURIComponent(result.error)}`);
+    }
+    logger.info('Proxy recorded', { groupId: group.id, grantorGroupTokenId: grantor.id, holderId: result.holder.id });
+    audit(req, 'proxy.grant', {
+      targetType: 'proxy_holder',
+      targetId: result.holder.id,
+      after: { group_id: group.id, grantor: tokenSnapshot(grantor), holder_name: result.holder.holder_name, holder_email: result.holder.holder_email, instructions: req.body.instructions || null }
+    });
+    const success = `Proxy recorded for ${result.holder.holder_name}`;
+    if (result.token) {
+      return renderBallotPage(res, group, { newLinks: [describeProxyLink(result.holder, result.token)], success });
+    }
+    res.redirect(`${res.locals.basePath}/admin/ballots/${group.id}?success=${encodeURIComponent(success)}`);
+  } catch (err) {
+    logger.error('Proxy creation error:', err);
+    res.redirect(`${res.locals.basePath}/admin/ballots/${group.id}?error=Failed+to+record+proxy`);
+  }
+});
+
+// Replace a proxy holder's link and show the new one once
+app.post('/admin/proxy-holders/:holderId/new-link', requireAuth, (req, res) => {
+  const holder = proxyQueries.getHolderById.get(req.params.holderId);
+  if (!holder) return res.status(404).send('Proxy holder not found');
+
+  const back = holder.group_id
+    ? `${res.locals.basePath}/admin/ballots/${holder.group_id}`
+    : `${res.locals.basePath}/admin/motions/${holder.motion_id}/tokens`;
+
+  try {
+    const newLinks = [describeProxyLink(holder, rotateProxyHolderToken(holder.id))];
+    const success = 'New proxy voting link created. The previous link no longer works.';
+    logger.info('Proxy voting link replaced', { holderId: holder.id });
+    audit(req, 'proxy.new_link', { targetType: 'proxy_holder', targetId: holder.id, motionId: holder.motion_id });
+    if (holder.group_id) {
+      return renderBallotPage(res, ballotGroupQueries.getById.get(holder.group_id), { newLinks, success });
+    }
+    renderTokensPage(res, motionQueries.getById.get(holder.motion_id), { newLinks, success });
+  } catch (err) {
+    logger.error('Proxy voting link replace error:', err);
+    res.redirect(`${back}?error=Failed+to+replace+proxy+voting+link`);
+  }
+});
+
+// Revoke a proxy; ballots already cast under it are kept
+app.post('/admin/proxies/:proxyId/revoke', requireAuth, (req, res) => {
+  const proxy = proxyQueries.getById.get(req.params.proxyId);
+  if (!proxy) return res.status(404).send('Proxy not found');
+
+  const holder = proxyQueries.getHolderById.get(proxy.holder_id);
+  const back = holder.group_id
+    ? `${res.locals.basePath}/admin/ballots/${holder.group_id}`
+    : `${res.locals.basePath}/admin/motions/${holder.motion_id}/tokens`;
+
+  try {
+    proxyQueries.revoke.run(new Date().toISOString(), proxy.id);
+    audit(req, 'proxy.revoke', {
+      targetType: 'proxy',
+      targetId: proxy.id,
+      motionId: holder.motion_id,
+      before: { holder_name: holder.holder_name, revoked_at: proxy.revoked_at }
+    });
+    res.redirect(`${back}?success=Proxy+revoked`);
+  } catch (err) {
+    logger.error('Proxy revoke error:', err);
+    res.redirect(`${back}?error=Failed+to+revoke+proxy`);
+  }
+});
+
+app.post('/admin/ballots/:id/delete', requireAuth, (req, res) => {
+  const { id } = req.params;
+  const group = ballotGroupQueries.getById.get(id);
+  if (!group) return res.status(404).send('Ballot not found');
+
+  if (ballotGroupQueries.getTokensByGroup.all(id).length > 0) {
+    return res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=${encodeURIComponent('Voting links have been issued for this ballot, so it cannot be deleted.')}`);
+  }
+
+  try {
+    db.transaction(() => {
+      for (const motion of motionQueries.getByGroup.all(id)) {
+        motionQueries.setGroup.run(null, motion.id);
+      }
+      ballotGroupQueries.delete.run(id);
+    })();
+    audit(req, 'ballot.delete', { targetType: 'ballot', targetId: id, before: group });
+    res.redirect(`${res.locals.basePath}/admin/ballots?success=Ballot+deleted`);
+  } catch (err) {
+    logger.error('Ballot delete error:', err);
+    res.redirect(`${res.locals.basePath}/admin/ballots/${id}?error=Failed+to+delete+ballot`);
+  }
+});
+
+// Unit Entitlement Registry
+app.get('/admin/units', requireAuth, (req, res) => {
+  res.render('units', {
+    units: unitQueries.getAll.all(),
+    totals: unitQueries.getTotalEntitlement.get(),
+    success: req.query.success || null,
+    error: req.query.error || null
+  });
+});
+
+// Bulk add/update: one "unit, entitlement" pair per line
+app.post('/admin/units', requireAuth, validate(schemas.units), (req, res) => {
+  const lines = req.body.units.split('\n').map(line => line.trim()).filter(line => line);
+  const entries = [];
+
+  for (const line of lines) {
+    const [unitNumber, entitlementText] = line.split(',').map(part => (part || '').trim());
+    const entitlement = Number(entitlementText);
+    if (!unitNumber || unitNumber.length > 50 || !entitlementText || !Number.isFinite(entitlement) || entitlement <= 0) {
+      return res.redirect(`${res.locals.basePath}/admin/units?error=` + encodeURIComponent(`Invalid line "${line.substring(0, 60)}". Use: Unit, Entitlement (a positive number).`));
+    }
+    entries.push({ unitNumber, entitlement });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    db.transaction(() => {
+      for (const { unitNumber, entitlement } of entries) {
+        const before = unitQueries.findByNumber.get(unitNumber);
+        unitQueries.upsert.run(unitNumber, entitlement, now, now);
+        audit(req, 'unit.save', {
+          targetType: 'unit',
+          targetId: unitNumber,
+          before: before ? { entitlement: before.entitlement } : null,
+          after: { entitlement }
+        });
+      }
+    })();
+
+    logger.info(`Unit entitlements saved: ${entries.length}`);
+    res.redirect(`${res.locals.basePath}/admin/units?success=` + encodeURIComponent(`Saved ${entries.length} unit(s)`));
+  } catch (err) {
+    logger.error('Unit entitlement save error:', err);
+    res.redirect(`${res.locals.basePath}/admin/units?error=` + encodeURIComponent('Failed to save units'));
+  }
+});
+
+app.post('/admin/units/:id/delete', requireAuth, (req, res) => {
+  const unit = unitQueries.getById.get(req.params.id);
+  if (!unit) {
+    return res.redirect(`${res.locals.basePath}/admin/units?error=` + encodeURIComponent('Unit not found'));
+  }
+
+  try {
+    unitQueries.delete.run(unit.id);
+    logger.info(`Unit deleted: ${unit.unit_number}`);
+    audit(req, 'unit.delete', { targetType: 'unit', targetId: unit.unit_number, before: { entitlement: unit.entitlement } });
+    res.redirect(`${res.locals.basePath}/admin/units?success=` + encodeURIComponent(`Unit ${unit.unit_number} deleted`));
+  } catch (err) {
+    logger.error('Unit delete error:', err);
+    res.redirect(`${res.locals.basePath}/admin/units?error=` + encodeURIComponent('Failed to delete unit'));
+  }
+});
+
+// Council Members Management
+app.get('/admin/council', requireAuth, (req, res) => {
+  const members = councilQueries.getAll.all();
+  res.render('council', {
+    members,
+    success: req.query.success || null,
+    error: req.query.error || null
+  });
+});
+
+app.post('/admin/council', requireAuth, validate(schemas.councilMember), (req, res) => {
+  const { name, email, unit_number, whatsapp } = req.body;
+
+  try {
+    const existing = councilQueries.findByEmail.get(email);
+    if (existing) {
+      return res.redirect(`${res.locals.basePath}/admin/council?error=` + encodeURIComponent('Email already exists'));
+    }
 
     const now = new Date().toISOString();
-    councilQueries.create.run(name, email, unit_number || null, whatsapp || null, now, now);
+    const result = councilQueries.create.run(name, email, unit_number || null, whatsapp || null, now, now);
 
     logger.info(`Council member created: ${email}`);
-    res.redirect('/admin/council?success=' + encodeURIComponent('Council member added successfully'));
+    audit(req, 'council.create', {
+      targetType: 'council_member',
+      targetId: result.lastInsertRowid,
+      after: { name, email, unit_number: unit_number || null, whatsapp: whatsapp || null }
+    });
+    res.redirect(`${res.locals.basePath}/admin/council?success=` + encodeURIComponent('Council member added successfully'));
   } catch (err) {
     logger.error('Council member creation error:', err);
-    res.redirect('/admin/council?error=' + encodeURIComponent('Failed to add council member'));
+    res.redirect(`${res.locals.basePath}/admin/council?error=` + encodeURIComponent('Failed to add council member'));
   }
 });
 
@@ -1590,22 +4340,28 @@ app.post('/admin/council/:id/edit', requireAuth, validate(schemas.councilMember)
   try {
     const existing = councilQueries.getById.get(id);
     if (!existing) {
-      return res.redirect('/admin/council?error=' + encodeURIComponent('Council member not found'));
+      return res.redirect(`${res.locals.basePath}/admin/council?error=` + encodeURIComponent('Council member not found'));
     }
 
     const duplicate = db.prepare('SELECT * FROM council_members WHERE email = ? AND id != ?').get(email, id);
     if (duplicate) {
-      return res.redirect('/admin/council?error=' + encodeURIComponent('Email already exists'));
+      return res.redirect(`${res.locals.basePath}/admin/council?error=` + encodeURIComponent('Email already exists'));
     }
 
     const now = new Date().toISOString();
     councilQueries.update.run(name, email, unit_number || null, whatsapp || null, now, id);
 
     logger.info(`Council member updated: ${id}`);
-    res.redirect('/admin/council?success=' + encodeURIComponent('Council member updated successfully'));
+    audit(req, 'council.update', {
+      targetType: 'council_member',
+      targetId: id,
+      before: { name: existing.name, email: existing.email, unit_number: existing.unit_number, whatsapp: existing.whatsapp },
+      after: { name, email, unit_number: unit_number || null, whatsapp: whatsapp || null }
+    });
+    res.redirect(`${res.locals.basePath}/admin/council?success=` + encodeURIComponent('Council member updated successfully'));
   } catch (err) {
     logger.error('Council member update error:', err);
-    res.redirect('/admin/council?error=' + encodeURIComponent('Failed to update council member'));
+    res.redirect(`${res.locals.basePath}/admin/council?error=` + encodeURIComponent('Failed to update council member'));
   }
 });
 
@@ -1615,16 +4371,21 @@ app.post('/admin/council/:id/delete', requireAuth, (req, res) => {
   try {
     const existing = councilQueries.getById.get(id);
     if (!existing) {
-      return res.redirect('/admin/council?error=' + encodeURIComponent('Council member not found'));
+      return res.redirect(`${res.locals.basePath}/admin/council?error=` + encodeURIComponent('Council member not found'));
     }
 
     councilQueries.delete.run(id);
 
     logger.info(`Council member deleted: ${id}`);
-    res.redirect('/admin/council?success=' + encodeURIComponent('Council member deleted successfully'));
+    audit(req, 'council.delete', {
+      targetType: 'council_member',
+      targetId: id,
+      before: { name: existing.name, email: existing.email, unit_number: existing.unit_number, whatsapp: existing.whatsapp }
+    });
+    res.redirect(`${res.locals.basePath}/admin/council?success=` + encodeURIComponent('Council member deleted successfully'));
   } catch (err) {
     logger.error('Council member deletion error:', err);
-    res.redirect('/admin/council?error=' + encodeURIComponent('Failed to delete council member'));
+    res.redirect(`${res.locals.basePath}/admin/council?error=` + encodeURIComponent('Failed to delete council member'));
   }
 });
 
@@ -1639,10 +4400,29 @@ app.get('/admin/motions/:id/export.csv', requireAuth, (req, res) => {
     ip: req.ip,
     userAgent: req.get('user-agent')
   });
+  audit(req, 'motion.export_ballots', { targetType: 'motion', targetId: id, motionId: id });
+
+  // Secret ballots: who voted and when, never what they chose
+  if (isSecret(motionQueries.getById.get(id))) {
+    let csv = 'recipient_name,recipient_email,unit_number,token_status,used_at\n';
+    for (const voter of ballotQueries.getVoterStatusByMotion.all(id)) {
+      csv += [
+        voter.recipient_name || '',
+        voter.recipient_email || '',
+        voter.unit_number || '',
+        voter.token_status,
+        voter.used_at || ''
+      ].map(field => `"${field}"`).join(',') + '\n';
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="motion-${id}-turnout.csv"`);
+    return res.send(csv);
+  }
 
   const ballots = ballotQueries.getByMotion.all(id);
 
-  let csv = 'submitted_at,choice,recipient_name,recipient_email,unit_number,token_status,used_at\n';
+  let csv = 'submitted_at,choice,recipient_name,recipient_email,unit_number,token_status,used_at,cast_by_proxy,proxy_holder,revisions\n';
 
   for (const ballot of ballots) {
     csv += [
@@ -1652,7 +4432,10 @@ app.get('/admin/motions/:id/export.csv', requireAuth, (req, res) => {
       ballot.recipient_email || '',
       ballot.unit_number || '',
       ballot.token_status,
-      ballot.used_at || ''
+      ballot.used_at || '',
+      ballot.proxy_id ? 'yes' : 'no',
+      ballot.proxy_holder_name || '',
+      ballot.revision_count
     ].map(field => `"${field}"`).join(',') + '\n';
   }
 
@@ -1661,14 +4444,61 @@ app.get('/admin/motions/:id/export.csv', requireAuth, (req, res) => {
   res.send(csv);
 });
 
-// Export Results - Display form
-app.get('/admin/export', requireAuth, (req, res) => {
-  res.render('export', { error: null, success: null });
-});
+// Every replaced version of each ballot on a revisable motion, followed by
+// the ballot as it stands now
+app.get('/admin/motions/:id/revisions.csv', requireAuth, (req, res) => {
+  const { id } = req.params;
 
-// Export Results - Generate export
-app.post('/admin/export', requireAuth, validate(schemas.export), (req, res) => {
-  const { start_date, end_date, format } = req.body;
+  logger.info('Ballot history export requested', {
+    motionId: id,
+    sessionId: req.session.id,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  audit(req, 'motion.export_revisions', { targetType: 'motion', targetId: id, motionId: id });
+
+  const current = ballotQueries.getByMotion.all(id);
+  const revisionsByBallot = new Map();
+  for (const revision of ballotQueries.getRevisionsByMotion.all(id)) {
+    if (!revisionsByBallot.has(revision.ballot_id)) revisionsByBallot.set(revision.ballot_id, []);
+    revisionsByBallot.get(revision.ballot_id).push(revision);
+  }
+
+  let csv = 'ballot_id,version,submitted_at,replaced_at,choice,cast_by_proxy,recipient_name,recipient_email,unit_number\n';
+
+  for (const ballot of [...current].reverse()) {
+    const versions = [
+      ...(revisionsByBallot.get(ballot.id) || []),
+      { ...ballot, replaced_at: null }
+    ];
+    versions.forEach((version, index) => {
+      csv += [
+        ballot.id,
+        index + 1,
+        version.submitted_at,
+        version.replaced_at || '',
+        String(version.choice).replace(/"/g, '""'),
+        version.proxy_id ? 'yes' : 'no',
+        ballot.recipient_name || '',
+        ballot.recipient_email || '',
+        ballot.unit_number || ''
+      ].map(field => `"${field}"`).join(',') + '\n';
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="motion-${id}-ballot-history.csv"`);
+  res.send(csv);
+});
+
+// Export Results - Display form
+app.get('/admin/export', requireAuth, (req, res) => {
+  res.render('export', { error: null, success: null });
+});
+
+// Export Results - Generate export
+app.post('/admin/export', requireObserver, validate(schemas.export), (req, res) => {
+  const { start_date, end_date, format } = req.body;
 
   // Validate date range
   if (new Date(end_date) < new Date(start_date)) {
@@ -1686,6 +4516,7 @@ app.post('/admin/export', requireAuth, validate(schemas.export), (req, res) => {
     sessionId: req.session.id,
     ip: req.ip
   });
+  audit(req, 'export.results', { after: { start_date, end_date, format } });
 
   // Query motions in date range
   const motions = db.prepare(`
@@ -1695,189 +4526,1009 @@ app.post('/admin/export', requireAuth, validate(schemas.export), (req, res) => {
     ORDER BY close_at DESC
   `).all(start_date, end_date);
 
-  if (motions.length === 0) {
-    return res.render('export', {
-      error: 'No closed or published motions found in this date range',
-      success: null
-    });
+  if (motions.length === 0) {
+    return res.render('export', {
+      error: 'No closed or published motions found in this date range',
+      success: null
+    });
+  }
+
+  // Aggregate data for each motion
+  const exportData = motions.map(motion => {
+    const stats = getMotionStats(motion.id);
+    return { motion, stats, results: stats.results, tieBreak: tieBreakQueries.getByMotion.get(motion.id) || null };
+  });
+
+  // Generate export based on format
+  try {
+    if (format === 'csv') {
+      generateCSVExport(res, exportData, start_date, end_date);
+    } else {
+      generatePDFExport(res, exportData, start_date, end_date);
+    }
+  } catch (error) {
+    logger.error('Export generation failed', { error: error.message, stack: error.stack });
+    res.status(500).render('export', {
+      error: 'Failed to generate export. Please try again.',
+      success: null
+    });
+  }
+});
+
+// Buildings (tenants). Each has its own database, admin users and settings;
+// owners of the default building can add buildings and see every open motion.
+function describeBuilding(tenant) {
+  return runWithTenant(tenant, () => ({
+    ...tenant,
+    url: tenantBaseUrl(BASE_URL),
+    openMotions: motionQueries.getAll.all()
+      .filter(motion => motion.status === 'Open')
+      .map(motion => ({ ...motion, stats: getMotionStats(motion.id) }))
+  }));
+}
+
+app.get('/admin/buildings', requireSuperAdmin, (req, res) => {
+  res.render('buildings', {
+    buildings: describeTenants().map(describeBuilding),
+    success: req.query.success || null,
+    error: req.query.error || null
+  });
+});
+
+app.post('/admin/buildings', requireSuperAdmin, (req, res) => {
+  const { error, value } = schemas.tenant.validate(req.body, { stripUnknown: true });
+  if (error) {
+    return res.redirect(`${res.locals.basePath}/admin/buildings?error=` + encodeURIComponent(error.details[0].message));
+  }
+  if (findTenantBySlug(value.slug)) {
+    return res.redirect(`${res.locals.basePath}/admin/buildings?error=` + encodeURIComponent(`A building with the short name "${value.slug}" already exists`));
+  }
+  if (value.hostname && findTenantByHostname(value.hostname)) {
+    return res.redirect(`${res.locals.basePath}/admin/buildings?error=` + encodeURIComponent(`${value.hostname} is already used by another building`));
+  }
+
+  try {
+    const tenant = createTenant({
+      slug: value.slug,
+      hostname: value.hostname,
+      name: value.name,
+      ownerUsername: value.owner_username,
+      ownerPassword: value.owner_password
+    }, req.adminUser.username);
+
+    logger.info('Building added', { slug: tenant.slug, by: req.adminUser.username });
+    audit(req, 'tenant.create', {
+      targetType: 'tenant',
+      targetId: tenant.slug,
+      after: { name: value.name, hostname: tenant.hostname, owner: value.owner_username }
+    });
+    res.redirect(`${res.locals.basePath}/admin/buildings?success=` + encodeURIComponent(`${value.name} added. ${value.owner_username} can now sign in to it.`));
+  } catch (err) {
+    logger.error('Building create error', { slug: value.slug, error: err.message });
+    res.redirect(`${res.locals.basePath}/admin/buildings?error=` + encodeURIComponent(`Failed to add the building: ${err.message}`));
+  }
+});
+
+app.post('/admin/buildings/:id/hostname', requireSuperAdmin, (req, res) => {
+  const tenant = findTenantById(req.params.id);
+  if (!tenant || tenant.is_default) {
+    return res.redirect(`${res.locals.basePath}/admin/buildings?error=` + encodeURIComponent('Building not found'));
+  }
+
+  const { error, value } = schemas.tenantHostname.validate(req.body, { stripUnknown: true });
+  if (error) {
+    return res.redirect(`${res.locals.basePath}/admin/buildings?error=` + encodeURIComponent(error.details[0].message));
+  }
+  const hostname = value.hostname || null;
+  const existing = hostname && findTenantByHostname(hostname);
+  if (existing && existing.id !== tenant.id) {
+    return res.redirect(`${res.locals.basePath}/admin/buildings?error=` + encodeURIComponent(`${hostname} is already used by another building`));
+  }
+
+  updateTenantHostname(tenant.id, hostname);
+  audit(req, 'tenant.update', {
+    targetType: 'tenant',
+    targetId: tenant.slug,
+    before: { hostname: tenant.hostname },
+    after: { hostname }
+  });
+  res.redirect(`${res.locals.basePath}/admin/buildings?success=` + encodeURIComponent(hostname ? `${tenant.slug} is now also at ${hostname}` : `Hostname removed from ${tenant.slug}`));
+});
+
+// Audit log filters from the query string. Dates are whole days in server
+// local time; "motion" takes a motion reference or id.
+const AUDIT_PAGE_SIZE = 50;
+
+function auditFilters(query) {
+  const text = value => (typeof value === 'string' ? value.trim().slice(0, 200) : '');
+  const day = value => (/^\d{4}-\d{2}-\d{2}$/.test(text(value)) && !isNaN(new Date(`${text(value)}T00:00:00`)) ? text(value) : '');
+  return {
+    actor: text(query.actor),
+    action: text(query.action),
+    motion: text(query.motion),
+    from: day(query.from),
+    to: day(query.to)
+  };
+}
+
+function auditSearchParams(filters) {
+  const motion = filters.motion ? motionQueries.getByRef.get(filters.motion) : null;
+  let to = '';
+  if (filters.to) {
+    const end = new Date(`${filters.to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    to = end.toISOString();
+  }
+  return {
+    actor: filters.actor,
+    action: filters.action,
+    motion_id: motion ? motion.id : filters.motion,
+    from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+    to
+  };
+}
+
+function renderAuditLog(req, res, { verification = null } = {}) {
+  const filters = auditFilters(req.query);
+  const params = auditSearchParams(filters);
+  const total = auditQueries.count.get(params).count;
+  const pages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+  const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), pages);
+
+  const events = auditQueries.search.all({ ...params, limit: AUDIT_PAGE_SIZE, offset: (page - 1) * AUDIT_PAGE_SIZE });
+  const motionRefs = new Map();
+  for (const event of events) {
+    if (event.motion_id && !motionRefs.has(event.motion_id)) {
+      const motion = motionQueries.getById.get(event.motion_id);
+      motionRefs.set(event.motion_id, motion ? motion.motion_ref : null);
+    }
+  }
+
+  const queryString = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+
+  res.render('audit', {
+    events,
+    motionRefs,
+    filters,
+    queryString,
+    total,
+    page,
+    pages,
+    actors: auditQueries.getActors.all().map(row => row.actor),
+    actions: auditQueries.getActions.all().map(row => row.action),
+    verification,
+    error: req.query.error || null
+  });
+}
+
+// Audit log viewer. Observers can read it; nobody can change it.
+app.get('/admin/audit', requireAuth, (req, res) => {
+  renderAuditLog(req, res);
+});
+
+// Recompute the hash chain and show the result above the log
+app.get('/admin/audit/verify', requireAuth, (req, res) => {
+  const verification = verifyAuditLog();
+  logger.info('Audit log verified', {
+    user: req.adminUser.username,
+    ok: verification.ok,
+    checked: verification.checked,
+    problems: verification.problems.length
+  });
+  renderAuditLog(req, res, { verification });
+});
+
+// Matching events as CSV, hashes included so the chain can be checked offline
+app.get('/admin/audit/export.csv', requireAuth, (req, res) => {
+  const filters = auditFilters(req.query);
+  const params = auditSearchParams(filters);
+  audit(req, 'audit.export', { targetType: 'audit', after: filters });
+
+  const events = auditQueries.search.all({ ...params, limit: -1, offset: 0 });
+  let csv = 'id,created_at,actor,action,target_type,target_id,motion_id,before_json,after_json,ip_hash,prev_hash,hash\n';
+  for (const event of events.reverse()) {
+    csv += [
+      event.id,
+      event.created_at,
+      event.actor,
+      event.action,
+      event.target_type || '',
+      event.target_id || '',
+      event.motion_id || '',
+      event.before_json || '',
+      event.after_json || '',
+      event.ip_hash || '',
+      event.prev_hash,
+      event.hash
+    ].map(field => `"${String(field).replace(/"/g, '""')}"`).join(',') + '\n';
+  }
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().substring(0, 10)}.csv"`);
+  res.send(csv);
+});
+
+// Admin Settings page
+app.get('/admin/settings', requireAuth, (req, res) => {
+  renderAdminSettings(req, res, {
+    error: req.query.error || null,
+    success: req.query.success || null
+  });
+});
+
+function getSettingsData() {
+  return {
+    property_manager_name: getSetting('property_manager_name') || '',
+    property_manager_email: getSetting('property_manager_email') || '',
+    dbPath: db.filename ? db.filename.split('/').pop() : 'SQLite',
+    imap_host: getSetting('imap_host') || tenantEnv('IMAP_HOST') || '',
+    imap_port: getSetting('imap_port') || tenantEnv('IMAP_PORT') || '993',
+    imap_security: getSetting('imap_security') || tenantEnv('IMAP_SECURITY') || 'ssl',
+    imap_user: getSetting('imap_user') || tenantEnv('IMAP_USER') || '',
+    imap_password_set: !!(getSetting('imap_password') || tenantEnv('IMAP_PASSWORD')),
+    imap_authorized_senders: getSetting('imap_authorized_senders') || tenantEnv('IMAP_AUTHORIZED_SENDERS') || '',
+    imap_poll_interval_ms: getSetting('imap_poll_interval_ms') || tenantEnv('IMAP_POLL_INTERVAL_MS') || '60000',
+    imap_default_deadline_hours: getSetting('imap_default_deadline_hours') || tenantEnv('IMAP_DEFAULT_DEADLINE_HOURS') || '48',
+    openwa_url: getSetting('openwa_url') || tenantEnv('OPENWA_URL') || '',
+    openwa_api_key_set: !!(getSetting('openwa_api_key') || tenantEnv('OPENWA_API_KEY')),
+    openwa_session_id: getSetting('openwa_session_id') || tenantEnv('OPENWA_SESSION_ID') || ''
+  };
+}
+
+function getTwoFactorStatus(user) {
+  return {
+    enabled: !!user.totp_enabled_at,
+    enabledAt: user.totp_enabled_at,
+    recoveryCodesLeft: user.totp_enabled_at ? recoveryCodeQueries.countUnused.get(user.id).count : 0,
+    required: isTwoFactorRequired(),
+    usersWithout: adminUserQueries.countWithoutTotp.get().count
+  };
+}
+
+// twoFactorSetup ({ secret, qrDataUrl }) shows the enrollment step;
+// recoveryCodes, newApiKey and newWebhookSecret are shown once
+function renderAdminSettings(req, res, { error = null, success = null, property_manager_name, property_manager_email, twoFactorSetup = null, recoveryCodes = null, newApiKey = null, newWebhookSecret = null } = {}) {
+  const isOwner = hasRole(req.adminUser, 'owner');
+  const pmName = typeof property_manager_name === 'string' ? property_manager_name : (getSetting('property_manager_name') || '');
+  const pmEmail = typeof property_manager_email === 'string' ? property_manager_email : (getSetting('property_manager_email') || '');
+
+  return res.render('admin_settings', {
+    error,
+    success,
+    ...getSettingsData(),
+    property_manager_name: pmName,
+    property_manager_email: pmEmail,
+    isOwner,
+    adminUsers: isOwner ? adminUserQueries.getAll.all() : [],
+    twoFactor: getTwoFactorStatus(adminUserQueries.getById.get(req.adminUser.id)),
+    twoFactorSetup,
+    recoveryCodes,
+    apiKeys: isOwner ? apiKeyQueries.getAll.all() : [],
+    newApiKey,
+    webhookEvents: WEBHOOK_EVENTS,
+    webhookMaxAttempts: MAX_DELIVERY_ATTEMPTS,
+    webhookEndpoints: isOwner ? webhookQueries.getEndpoints.all() : [],
+    webhookDeliveries: isOwner ? webhookQueries.getRecentDeliveries.all(WEBHOOK_LOG_SIZE) : [],
+    newWebhookSecret,
+    customEmailTemplates: isOwner ? emailTemplateQueries.getAll.all().map(template => template.kind) : [],
+    emailTemplateKinds: EMAIL_TEMPLATE_KINDS
+  });
+}
+
+app.post('/admin/settings/property-manager', requireOwner, (req, res) => {
+  const { property_manager_name, property_manager_email } = req.body;
+
+  const name = (property_manager_name || '').trim();
+  const email = (property_manager_email || '').trim();
+
+  if (!email) {
+    return renderAdminSettings(req, res, {
+      error: 'Property Manager email is required',
+      property_manager_name: name,
+      property_manager_email: email
+    });
+  }
+
+  const emailSchema = Joi.string().email().max(200);
+  const { error } = emailSchema.validate(email);
+  if (error) {
+    return renderAdminSettings(req, res, {
+      error: 'Property Manager email must be a valid email address',
+      property_manager_name: name,
+      property_manager_email: email
+    });
+  }
+
+  try {
+    const before = {
+      property_manager_name: getSetting('property_manager_name'),
+      property_manager_email: getSetting('property_manager_email')
+    };
+    setSetting('property_manager_name', name, req.adminUser.username);
+    setSetting('property_manager_email', email, req.adminUser.username);
+    audit(req, 'settings.property_manager', {
+      targetType: 'settings',
+      before,
+      after: { property_manager_name: name, property_manager_email: email }
+    });
+    logger.info('Property Manager settings updated', {
+      user: req.adminUser.username,
+      sessionId: req.session.id,
+      ip: req.ip
+    });
+
+    return renderAdminSettings(req, res, {
+      success: 'Property Manager settings updated successfully!',
+      property_manager_name: name,
+      property_manager_email: email
+    });
+  } catch (err) {
+    logger.error('Failed to update Property Manager settings', err);
+    return renderAdminSettings(req, res, {
+      error: 'Failed to update Property Manager settings. Please try again.',
+      property_manager_name: name,
+      property_manager_email: email
+    });
+  }
+});
+
+// Change your own password. Any admin user may do this, observers included.
+app.post('/admin/settings/password', requireObserver, (req, res) => {
+  const { current_password, new_password, confirm_password } = req.body;
+  
+  // Validate input
+  if (!current_password || !new_password || !confirm_password) {
+    return renderAdminSettings(req, res, { error: 'All fields are required' });
+  }
+  
+  if (new_password.length < 8) {
+    return renderAdminSettings(req, res, { error: 'New password must be at least 8 characters long' });
+  }
+  
+  if (new_password !== confirm_password) {
+    return renderAdminSettings(req, res, { error: 'New passwords do not match' });
+  }
+  
+  // Verify current password
+  if (!verifyAdminUserPassword(req.adminUser, current_password)) {
+    logger.warn('Admin password change failed - incorrect current password', {
+      user: req.adminUser.username,
+      sessionId: req.session.id,
+      ip: req.ip
+    });
+    return renderAdminSettings(req, res, { error: 'Current password is incorrect' });
+  }
+  
+  // Check if new password is the same as current
+  if (verifyAdminUserPassword(req.adminUser, new_password)) {
+    return renderAdminSettings(req, res, { error: 'New password must be different from current password' });
+  }
+  
+  // Update the password in real-time
+  try {
+    updateAdminUserPassword(req.adminUser.id, new_password, req.adminUser.username);
+    audit(req, 'admin.password_change', { targetType: 'admin_user', targetId: req.adminUser.id });
+    
+    logger.info('Admin password changed successfully', {
+      user: req.adminUser.username,
+      sessionId: req.session.id,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+
+    return renderAdminSettings(req, res, { success: 'Password updated successfully!' });
+  } catch (err) {
+    logger.error('Failed to update admin password:', err);
+    return renderAdminSettings(req, res, { error: 'Failed to update password. Please try again.' });
+  }
+});
+
+// Two-factor authentication for your own account. Setup keeps the new secret
+// in the session until a code from it is confirmed.
+app.post('/admin/settings/2fa/setup', requireObserver, async (req, res, next) => {
+  if (req.adminUser.totp_enabled_at) {
+    return renderAdminSettings(req, res, { error: 'Two-factor authentication is already on.' });
+  }
+
+  try {
+    const secret = generateTotpSecret();
+    req.session.totpSetupSecret = secret;
+    return renderAdminSettings(req, res, {
+      twoFactorSetup: { secret, qrDataUrl: await totpQRCodeDataUrl(secret, req.adminUser.username) }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+app.post('/admin/settings/2fa/enable', requireObserver, async (req, res, next) => {
+  const secret = req.session.totpSetupSecret;
+  if (!secret || req.adminUser.totp_enabled_at) {
+    return renderAdminSettings(req, res, { error: 'Start the two-factor setup again.' });
+  }
+
+  try {
+    const step = verifyTotp(secret, req.body.code);
+    if (step === null) {
+      return renderAdminSettings(req, res, {
+        error: 'That code is not valid. Check the time on your phone and try again.',
+        twoFactorSetup: { secret, qrDataUrl: await totpQRCodeDataUrl(secret, req.adminUser.username) }
+      });
+    }
+
+    const recoveryCodes = enableAdminUserTotp(req.adminUser.id, secret, step, req.adminUser.username);
+    delete req.session.totpSetupSecret;
+    req.session.twoFactorVerified = true;
+
+    logger.info('Two-factor authentication enabled', { user: req.adminUser.username });
+    audit(req, 'admin.2fa_enable', { targetType: 'admin_user', targetId: req.adminUser.id });
+    return renderAdminSettings(req, res, {
+      success: 'Two-factor authentication is on. Save your recovery codes now.',
+      recoveryCodes
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Turning 2FA off or replacing recovery codes needs the current password
+app.post('/admin/settings/2fa/disable', requireObserver, (req, res) => {
+  if (!req.adminUser.totp_enabled_at) {
+    return renderAdminSettings(req, res, { error: 'Two-factor authentication is not on.' });
+  }
+  if (isTwoFactorRequired()) {
+    return renderAdminSettings(req, res, { error: 'Two-factor authentication is required for all admin users, so it cannot be turned off.' });
+  }
+  if (!verifyAdminUserPassword(req.adminUser, req.body.current_password || '')) {
+    return renderAdminSettings(req, res, { error: 'Current password is incorrect' });
+  }
+
+  disableAdminUserTotp(req.adminUser.id, req.adminUser.username);
+  req.session.twoFactorVerified = false;
+  logger.info('Two-factor authentication disabled', { user: req.adminUser.username });
+  audit(req, 'admin.2fa_disable', { targetType: 'admin_user', targetId: req.adminUser.id });
+  return renderAdminSettings(req, res, { success: 'Two-factor authentication is off.' });
+});
+
+app.post('/admin/settings/2fa/recovery-codes', requireObserver, (req, res) => {
+  if (!req.adminUser.totp_enabled_at) {
+    return renderAdminSettings(req, res, { error: 'Two-factor authentication is not on.' });
+  }
+  if (!verifyAdminUserPassword(req.adminUser, req.body.current_password || '')) {
+    return renderAdminSettings(req, res, { error: 'Current password is incorrect' });
+  }
+
+  const recoveryCodes = regenerateRecoveryCodes(req.adminUser.id);
+  logger.info('Two-factor recovery codes regenerated', { user: req.adminUser.username });
+  audit(req, 'admin.2fa_recovery_codes', { targetType: 'admin_user', targetId: req.adminUser.id });
+  return renderAdminSettings(req, res, {
+    success: 'New recovery codes issued. The old codes no longer work.',
+    recoveryCodes
+  });
+});
+
+// Require 2FA for every admin user (owners only). Users without it set it up
+// at their next sign-in; sessions that signed in without it end.
+app.post('/admin/settings/2fa/require', requireOwner, (req, res) => {
+  const required = req.body.require_2fa === '1';
+
+  if (required && !req.adminUser.totp_enabled_at) {
+    return renderAdminSettings(req, res, { error: 'Turn on two-factor authentication for your own account first.' });
+  }
+
+  audit(req, 'settings.require_2fa', {
+    targetType: 'settings',
+    before: { require_2fa: isTwoFactorRequired() },
+    after: { require_2fa: required }
+  });
+  setSetting('require_2fa', required ? '1' : '0', req.adminUser.username);
+  logger.info('Two-factor requirement updated', { user: req.adminUser.username, required });
+  return renderAdminSettings(req, res, {
+    success: required
+      ? 'Two-factor authentication is now required for all admin users.'
+      : 'Two-factor authentication is now optional.'
+  });
+});
+
+// Add an admin user (owners only)
+app.post('/admin/settings/users', requireOwner, (req, res) => {
+  const { error, value } = schemas.adminUser.validate(req.body, { stripUnknown: true });
+  if (error) {
+    return renderAdminSettings(req, res, { error: error.details[0].message });
+  }
+
+  if (adminUserQueries.getByUsername.get(value.username)) {
+    return renderAdminSettings(req, res, { error: `The username "${value.username}" is already taken.` });
+  }
+
+  try {
+    const result = createAdminUser({
+      username: value.username,
+      displayName: value.display_name,
+      password: value.password,
+      role: value.role
+    }, req.adminUser.username);
+    audit(req, 'admin_user.create', {
+      targetType: 'admin_user',
+      targetId: result.lastInsertRowid,
+      after: { username: value.username, display_name: value.display_name || null, role: value.role }
+    });
+
+    logger.info('Admin user created', { user: req.adminUser.username, username: value.username, role: value.role });
+    return renderAdminSettings(req, res, { success: `Admin user "${value.username}" added.` });
+  } catch (err) {
+    logger.error('Failed to create admin user:', err);
+    return renderAdminSettings(req, res, { error: 'Failed to add admin user. Please try again.' });
+  }
+});
+
+// Change an admin user's display name, role or disabled flag (owners only).
+// Owners cannot change their own role or disable themselves, and there must
+// always be at least one active owner.
+app.post('/admin/settings/users/:id', requireOwner, (req, res) => {
+  const user = adminUserQueries.getById.get(req.params.id);
+  if (!user) {
+    return renderAdminSettings(req, res, { error: 'Admin user not found.' });
+  }
+
+  const { error, value } = schemas.adminUserUpdate.validate(req.body, { stripUnknown: true });
+  if (error) {
+    return renderAdminSettings(req, res, { error: error.details[0].message });
+  }
+
+  const disabled = value.disabled === '1' ? 1 : 0;
+  const losesOwner = user.role === 'owner' && !user.disabled && (value.role !== 'owner' || disabled);
+
+  if (user.id === req.adminUser.id && (value.role !== user.role || disabled)) {
+    return renderAdminSettings(req, res, { error: 'You cannot change your own role or disable your own account.' });
+  }
+
+  try {
+    const updated = db.transaction(() => {
+      if (losesOwner && adminUserQueries.countActiveOwners.get().count <= 1) return false;
+      adminUserQueries.update.run(
+        value.display_name || null,
+        value.role,
+        disabled,
+        new Date().toISOString(),
+        req.adminUser.username,
+        user.id
+      );
+      return true;
+    })();
+
+    if (!updated) {
+      return renderAdminSettings(req, res, { error: 'There must always be at least one active owner.' });
+    }
+
+    audit(req, 'admin_user.update', {
+      targetType: 'admin_user',
+      targetId: user.id,
+      before: { username: user.username, display_name: user.display_name, role: user.role, disabled: !!user.disabled },
+      after: { username: user.username, display_name: value.display_name || null, role: value.role, disabled: !!disabled }
+    });
+    logger.info('Admin user updated', {
+      user: req.adminUser.username,
+      username: user.username,
+      role: value.role,
+      disabled: !!disabled
+    });
+    return renderAdminSettings(req, res, { success: `Admin user "${user.username}" updated.` });
+  } catch (err) {
+    logger.error('Failed to update admin user:', err);
+    return renderAdminSettings(req, res, { error: 'Failed to update admin user. Please try again.' });
+  }
+});
+
+// Turn off another admin user's 2FA, e.g. after a lost phone (owners only).
+// If 2FA is required they set it up again at their next sign-in.
+app.post('/admin/settings/users/:id/2fa/reset', requireOwner, (req, res) => {
+  const user = adminUserQueries.getById.get(req.params.id);
+  if (!user) {
+    return renderAdminSettings(req, res, { error: 'Admin user not found.' });
+  }
+  if (user.id === req.adminUser.id) {
+    return renderAdminSettings(req, res, { error: 'Use the Two-Factor Authentication section to change your own.' });
+  }
+
+  disableAdminUserTotp(user.id, req.adminUser.username);
+  logger.info('Admin user two-factor reset', { user: req.adminUser.username, username: user.username });
+  audit(req, 'admin_user.2fa_reset', { targetType: 'admin_user', targetId: user.id, before: { username: user.username } });
+  return renderAdminSettings(req, res, { success: `Two-factor authentication reset for "${user.username}".` });
+});
+
+// Set another admin user's password (owners only)
+app.post('/admin/settings/users/:id/password', requireOwner, (req, res) => {
+  const user = adminUserQueries.getById.get(req.params.id);
+  if (!user) {
+    return renderAdminSettings(req, res, { error: 'Admin user not found.' });
+  }
+
+  const { error, value } = schemas.adminUserPassword.validate(req.body, { stripUnknown: true });
+  if (error) {
+    return renderAdminSettings(req, res, { error: 'New password must be at least 8 characters long' });
+  }
+
+  try {
+    updateAdminUserPassword(user.id, value.new_password, req.adminUser.username);
+    logger.info('Admin user password reset', { user: req.adminUser.username, username: user.username });
+    audit(req, 'admin_user.password_reset', { targetType: 'admin_user', targetId: user.id, before: { username: user.username } });
+    return renderAdminSettings(req, res, { success: `Password for "${user.username}" updated.` });
+  } catch (err) {
+    logger.error('Failed to reset admin user password:', err);
+    return renderAdminSettings(req, res, { error: 'Failed to update password. Please try again.' });
+  }
+});
+
+// Create an API key and show it once
+app.post('/admin/settings/api-keys', requireOwner, (req, res) => {
+  const { error, value } = schemas.apiKey.validate(req.body, { stripUnknown: true });
+  if (error) {
+    return renderAdminSettings(req, res, { error: error.details[0].message });
+  }
+
+  try {
+    const { id, key } = createApiKey(value, req.adminUser.username);
+    audit(req, 'api_key.create', {
+      targetType: 'api_key',
+      targetId: id,
+      after: { name: value.name, role: value.role, key_prefix: key.slice(0, 12) }
+    });
+
+    logger.info('API key created', { user: req.adminUser.username, apiKeyId: id, role: value.role });
+    return renderAdminSettings(req, res, {
+      success: `API key "${value.name}" created.`,
+      newApiKey: { name: value.name, key }
+    });
+  } catch (err) {
+    logger.error('Failed to create API key:', err);
+    return renderAdminSettings(req, res, { error: 'Failed to create API key. Please try again.' });
+  }
+});
+
+app.post('/admin/settings/api-keys/:id/revoke', requireOwner, (req, res) => {
+  const apiKey = apiKeyQueries.getById.get(req.params.id);
+  if (!apiKey) {
+    return renderAdminSettings(req, res, { error: 'API key not found.' });
+  }
+
+  apiKeyQueries.revoke.run(new Date().toISOString(), req.adminUser.username, apiKey.id);
+  audit(req, 'api_key.revoke', {
+    targetType: 'api_key',
+    targetId: apiKey.id,
+    before: { name: apiKey.name, role: apiKey.role, revoked_at: apiKey.revoked_at }
+  });
+
+  logger.info('API key revoked', { user: req.adminUser.username, apiKeyId: apiKey.id });
+  res.redirect(`${res.locals.basePath}/admin/settings?success=` + encodeURIComponent(`API key "${apiKey.name}" revoked.`));
+});
+
+const WEBHOOK_LOG_SIZE = 50;
+
+// Process queued webhooks now rather than on the next worker tick
+function kickWebhookDeliveries() {
+  processPendingWebhooks({ limit: 25 }).catch(err => {
+    logger.error('immediate webhook processing failed', { error: err.message });
+  });
+}
+
+// Add a webhook endpoint and show its signing secret once
+app.post('/admin/settings/webhooks', requireOwner, (req, res) => {
+  const { error, value } = schemas.webhookEndpoint.validate(req.body, { stripUnknown: true });
+  if (error) {
+    return renderAdminSettings(req, res, { error: error.details[0].message });
+  }
+
+  try {
+    const events = value.events.length === 0 || value.events.length === WEBHOOK_EVENTS.length
+      ? '*'
+      : [...new Set(value.events)].join(',');
+    const secret = generateWebhookSecret();
+    const result = createWebhookEndpoint({ url: value.url, description: value.description, events, secret }, req.adminUser.username);
+    audit(req, 'webhook.create', {
+      targetType: 'webhook',
+      targetId: result.lastInsertRowid,
+      after: { url: value.url, description: value.description || null, events }
+    });
+
+    logger.info('Webhook endpoint added', { user: req.adminUser.username, webhookId: result.lastInsertRowid });
+    return renderAdminSettings(req, res, {
+      success: 'Webhook endpoint added.',
+      newWebhookSecret: { url: value.url, secret }
+    });
+  } catch (err) {
+    logger.error('Failed to add webhook endpoint:', err);
+    return renderAdminSettings(req, res, { error: 'Failed to add webhook endpoint. Please try again.' });
+  }
+});
+
+app.post('/admin/settings/webhooks/:id/toggle', requireOwner, (req, res) => {
+  const endpoint = webhookQueries.getEndpointById.get(req.params.id);
+  if (!endpoint) {
+    return renderAdminSettings(req, res, { error: 'Webhook endpoint not found.' });
+  }
+
+  const enabled = endpoint.enabled ? 0 : 1;
+  webhookQueries.setEndpointEnabled.run(enabled, new Date().toISOString(), endpoint.id);
+  audit(req, 'webhook.update', {
+    targetType: 'webhook',
+    targetId: endpoint.id,
+    before: { enabled: !!endpoint.enabled },
+    after: { enabled: !!enabled }
+  });
+
+  logger.info('Webhook endpoint updated', { user: req.adminUser.username, webhookId: endpoint.id, enabled: !!enabled });
+  res.redirect(`${res.locals.basePath}/admin/settings?success=` + encodeURIComponent(`Webhook ${enabled ? 'enabled' : 'disabled'}.`));
+});
+
+app.post('/admin/settings/webhooks/:id/delete', requireOwner, (req, res) => {
+  const endpoint = webhookQueries.getEndpointById.get(req.params.id);
+  if (!endpoint) {
+    return renderAdminSettings(req, res, { error: 'Webhook endpoint not found.' });
+  }
+
+  deleteWebhookEndpoint(endpoint.id);
+  audit(req, 'webhook.delete', {
+    targetType: 'webhook',
+    targetId: endpoint.id,
+    before: { url: endpoint.url, description: endpoint.description, events: endpoint.events, enabled: !!endpoint.enabled }
+  });
+
+  logger.info('Webhook endpoint deleted', { user: req.adminUser.username, webhookId: endpoint.id });
+  res.redirect(`${res.locals.basePath}/admin/settings?success=` + encodeURIComponent('Webhook endpoint and its delivery log deleted.'));
+});
+
+// Send a delivery's payload again, e.g. after the receiver was fixed
+app.post('/admin/settings/webhooks/deliveries/:id/replay', requireOwner, (req, res) => {
+  const replayId = replayWebhookDelivery(req.params.id);
+  if (!replayId) {
+    return renderAdminSettings(req, res, { error: 'Webhook delivery not found.' });
+  }
+
+  audit(req, 'webhook.replay', {
+    targetType: 'webhook_delivery',
+    targetId: req.params.id,
+    after: { replay_id: replayId }
+  });
+  kickWebhookDeliveries();
+
+  logger.info('Webhook delivery replayed', { user: req.adminUser.username, deliveryId: req.params.id, replayId });
+  res.redirect(`${res.locals.basePath}/admin/settings?success=` + encodeURIComponent('Delivery queued again.'));
+});
+
+// The uploaded building logo, for voter pages, the admin header and emails
+app.get('/branding/logo', (req, res) => {
+  const logo = getBrandingLogo();
+  if (!logo) {
+    return res.status(404).send('No logo');
+  }
+  res.setHeader('Content-Type', logo.type);
+  res.setHeader('Cache-Control', req.query.v ? 'public, max-age=31536000, immutable' : 'no-cache');
+  res.send(logo.data);
+});
+
+app.post('/admin/settings/branding', requireOwner, (req, res) => {
+  const { error, value } = schemas.branding.validate(req.body, { stripUnknown: true });
+  if (error) {
+    return renderAdminSettings(req, res, { error: error.details[0].message });
   }
 
-  // Aggregate data for each motion
-  const exportData = motions.map(motion => {
-    const stats = getMotionStats(motion.id);
-    const results = ballotQueries.getResultsByMotion.all(motion.id);
-    return { motion, stats, results };
+  const before = getBranding();
+  const after = {
+    name: value.name,
+    planNumber: value.plan_number || '',
+    primaryColor: value.primary_color.toLowerCase(),
+    headerColor: value.header_color.toLowerCase(),
+    footerText: value.footer_text || ''
+  };
+  saveBranding(after, req.adminUser.username);
+  audit(req, 'settings.branding', {
+    targetType: 'settings',
+    before: {
+      name: before.name,
+      planNumber: before.planNumber,
+      primaryColor: before.primaryColor,
+      headerColor: before.headerColor,
+      footerText: before.footerText
+    },
+    after
   });
 
-  // Generate export based on format
-  try {
-    if (format === 'csv') {
-      generateCSVExport(res, exportData, start_date, end_date);
-    } else {
-      generatePDFExport(res, exportData, start_date, end_date);
+  logger.info('Branding settings updated', { user: req.adminUser.username });
+  res.redirect(`${res.locals.basePath}/admin/settings?success=` + encodeURIComponent('Branding saved.'));
+});
+
+// Multipart, so the CSRF token comes in the query string
+app.post('/admin/settings/branding/logo', requireOwner, (req, res) => {
+  logoUpload.single('logo')(req, res, (uploadErr) => {
+    if (uploadErr) {
+      const message = uploadErr.code === 'LIMIT_FILE_SIZE'
+        ? `The logo must be ${MAX_LOGO_BYTES / 1024} KB or smaller.`
+        : uploadErr.message;
+      return renderAdminSettings(req, res, { error: message });
     }
-  } catch (error) {
-    logger.error('Export generation failed', { error: error.message, stack: error.stack });
-    res.status(500).render('export', {
-      error: 'Failed to generate export. Please try again.',
-      success: null
-    });
-  }
+    if (!req.file) {
+      return renderAdminSettings(req, res, { error: 'Choose an image to upload.' });
+    }
+
+    try {
+      const type = saveBrandingLogo(req.file.buffer, req.adminUser.username);
+      audit(req, 'settings.branding_logo', {
+        targetType: 'settings',
+        after: { type, bytes: req.file.size }
+      });
+      logger.info('Branding logo uploaded', { user: req.adminUser.username, type, bytes: req.file.size });
+      res.redirect(`${res.locals.basePath}/admin/settings?success=` + encodeURIComponent('Logo uploaded.'));
+    } catch (err) {
+      return renderAdminSettings(req, res, { error: err.message });
+    }
+  });
 });
 
-// Admin Settings page
-app.get('/admin/settings', requireAuth, (req, res) => {
-  const property_manager_name = getSetting('property_manager_name') || '';
-  const property_manager_email = getSetting('property_manager_email') || '';
-  res.render('admin_settings', {
-    error: null,
-    success: null,
-    dbPath: db.filename ? db.filename.split('/').pop() : 'SQLite',
-    property_manager_name,
-    property_manager_email,
-    imap_host: getSetting('imap_host') || process.env.IMAP_HOST || '',
-    imap_port: getSetting('imap_port') || process.env.IMAP_PORT || '993',
-    imap_security: getSetting('imap_security') || process.env.IMAP_SECURITY || 'ssl',
-    imap_user: getSetting('imap_user') || process.env.IMAP_USER || '',
-    imap_password_set: !!(getSetting('imap_password') || process.env.IMAP_PASSWORD),
-    imap_authorized_senders: getSetting('imap_authorized_senders') || process.env.IMAP_AUTHORIZED_SENDERS || '',
-    imap_poll_interval_ms: getSetting('imap_poll_interval_ms') || process.env.IMAP_POLL_INTERVAL_MS || '60000',
-    imap_default_deadline_hours: getSetting('imap_default_deadline_hours') || process.env.IMAP_DEFAULT_DEADLINE_HOURS || '48',
-    openwa_url: getSetting('openwa_url') || process.env.OPENWA_URL || '',
-    openwa_api_key_set: !!(getSetting('openwa_api_key') || process.env.OPENWA_API_KEY),
-    openwa_session_id: getSetting('openwa_session_id') || process.env.OPENWA_SESSION_ID || ''
+app.post('/admin/settings/branding/logo/remove', requireOwner, (req, res) => {
+  removeBrandingLogo(req.adminUser.username);
+  audit(req, 'settings.branding_logo', {
+    targetType: 'settings',
+    after: { removed: true }
   });
+  logger.info('Branding logo removed', { user: req.adminUser.username });
+  res.redirect(`${res.locals.basePath}/admin/settings?success=` + encodeURIComponent('Logo removed.'));
 });
 
-function getSettingsData() {
-  return {
-    property_manager_name: getSetting('property_manager_name') || '',
-    property_manager_email: getSetting('property_manager_email') || '',
-    dbPath: db.filename ? db.filename.split('/').pop() : 'SQLite',
-    imap_host: getSetting('imap_host') || process.env.IMAP_HOST || '',
-    imap_port: getSetting('imap_port') || process.env.IMAP_PORT || '993',
-    imap_security: getSetting('imap_security') || process.env.IMAP_SECURITY || 'ssl',
-    imap_user: getSetting('imap_user') || process.env.IMAP_USER || '',
-    imap_password_set: !!(getSetting('imap_password') || process.env.IMAP_PASSWORD),
-    imap_authorized_senders: getSetting('imap_authorized_senders') || process.env.IMAP_AUTHORIZED_SENDERS || '',
-    imap_poll_interval_ms: getSetting('imap_poll_interval_ms') || process.env.IMAP_POLL_INTERVAL_MS || '60000',
-    imap_default_deadline_hours: getSetting('imap_default_deadline_hours') || process.env.IMAP_DEFAULT_DEADLINE_HOURS || '48',
-    openwa_url: getSetting('openwa_url') || process.env.OPENWA_URL || '',
-    openwa_api_key_set: !!(getSetting('openwa_api_key') || process.env.OPENWA_API_KEY),
-    openwa_session_id: getSetting('openwa_session_id') || process.env.OPENWA_SESSION_ID || ''
-  };
+// Sample email for the template editor, from the made-up motion and voters.
+// `template` null previews the built-in email.
+function previewEmailTemplate(kind, template) {
+  const motion = { ...PREVIEW_SAMPLE.motion };
+
+  if (kind === 'results') {
+    motion.close_at = new Date().toISOString();
+    return buildResultsEmailContent({
+      motion,
+      stats: PREVIEW_SAMPLE.stats,
+      closeReason: 'Voting period ended',
+      outcome: 'Passed',
+      publicResultsUrl: `${tenantBaseUrl(BASE_URL)}/results/${motion.id}`,
+      propertyManagerName: getSetting('property_manager_name'),
+      voterStatus: PREVIEW_SAMPLE.voters,
+      template
+    });
+  }
+
+  motion.close_at = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  return buildVotingEmail(PREVIEW_SAMPLE.recipientName, `${tenantBaseUrl(BASE_URL)}/vote/${motion.id}?token=sample`, motion, {
+    reminder: kind === 'reminder' ? { hoursLeft: 24 } : null,
+    code: { url: `${tenantBaseUrl(BASE_URL)}/vote`, code: PREVIEW_SAMPLE.code },
+    template
+  });
 }
 
-function renderAdminSettings(req, res, { error = null, success = null, property_manager_name, property_manager_email } = {}) {
-  const pmName = typeof property_manager_name === 'string' ? property_manager_name : (getSetting('property_manager_name') || '');
-  const pmEmail = typeof property_manager_email === 'string' ? property_manager_email : (getSetting('property_manager_email') || '');
+// `draft` is the template as entered, when it was not saved
+function renderEmailTemplates(req, res, kind, { error = null, success = null, draft = null, testTo } = {}) {
+  const saved = getEmailTemplate(kind);
+  const definition = EMAIL_TEMPLATE_KINDS[kind];
+  const template = draft || saved || { subject: definition.defaultSubject, body_html: definition.defaultBody };
 
-  return res.render('admin_settings', {
+  return res.status(error ? 400 : 200).render('email_templates', {
     error,
     success,
-    ...getSettingsData(),
-    property_manager_name: pmName,
-    property_manager_email: pmEmail
+    kinds: EMAIL_TEMPLATE_KINDS,
+    kind,
+    definition,
+    saved,
+    template,
+    preview: previewEmailTemplate(kind, template),
+    testTo: typeof testTo === 'string' ? testTo : (getSetting('property_manager_email') || '')
   });
 }
 
-app.post('/admin/settings/property-manager', requireAuth, (req, res) => {
-  const { property_manager_name, property_manager_email } = req.body;
+function findEmailTemplateKind(req, res, next) {
+  if (!Object.prototype.hasOwnProperty.call(EMAIL_TEMPLATE_KINDS, req.params.kind)) {
+    return res.status(404).send('Email template not found');
+  }
+  next();
+}
 
-  const name = (property_manager_name || '').trim();
-  const email = (property_manager_email || '').trim();
+// Validate a submitted template. Returns { template } or { error }.
+function parseEmailTemplateInput(kind, body) {
+  const { error, value } = schemas.emailTemplate.validate(body, { stripUnknown: true });
+  if (error) return { error: error.details[0].message };
 
-  if (!email) {
-    return renderAdminSettings(req, res, {
-      error: 'Property Manager email is required',
-      property_manager_name: name,
-      property_manager_email: email
-    });
+  const unknown = findUnknownPlaceholders(kind, value);
+  if (unknown.length > 0) {
+    return { error: `Unknown placeholder${unknown.length !== 1 ? 's' : ''}: ${unknown.map(name => `{{${name}}}`).join(', ')}` };
   }
+  return { template: value };
+}
 
-  const emailSchema = Joi.string().email().max(200);
-  const { error } = emailSchema.validate(email);
+app.get('/admin/settings/email-templates', requireOwner, (req, res) => {
+  res.redirect(`${res.locals.basePath}/admin/settings/email-templates/invitation`);
+});
+
+app.get('/admin/settings/email-templates/:kind', requireOwner, findEmailTemplateKind, (req, res) => {
+  renderEmailTemplates(req, res, req.params.kind, {
+    error: req.query.error || null,
+    success: req.query.success || null
+  });
+});
+
+app.post('/admin/settings/email-templates/:kind', requireOwner, findEmailTemplateKind, (req, res) => {
+  const { kind } = req.params;
+  const draft = { subject: String(req.body.subject || ''), body_html: String(req.body.body_html || '') };
+  const { template, error } = parseEmailTemplateInput(kind, req.body);
   if (error) {
-    return renderAdminSettings(req, res, {
-      error: 'Property Manager email must be a valid email address',
-      property_manager_name: name,
-      property_manager_email: email
-    });
+    return renderEmailTemplates(req, res, kind, { error, draft });
   }
 
-  try {
-    setSetting('property_manager_name', name);
-    setSetting('property_manager_email', email);
-    logger.info('Property Manager settings updated', {
-      sessionId: req.session.id,
-      ip: req.ip
-    });
+  const before = getEmailTemplate(kind);
+  saveEmailTemplate(kind, template, req.adminUser.username);
+  audit(req, 'email_template.update', {
+    targetType: 'email_template',
+    targetId: kind,
+    before: before ? { subject: before.subject, body_html: before.body_html } : { builtin: true },
+    after: template
+  });
 
-    return renderAdminSettings(req, res, {
-      success: 'Property Manager settings updated successfully!',
-      property_manager_name: name,
-      property_manager_email: email
-    });
-  } catch (err) {
-    logger.error('Failed to update Property Manager settings', err);
-    return renderAdminSettings(req, res, {
-      error: 'Failed to update Property Manager settings. Please try again.',
-      property_manager_name: name,
-      property_manager_email: email
+  logger.info('Email template saved', { user: req.adminUser.username, kind });
+  res.redirect(`${res.locals.basePath}/admin/settings/email-templates/${kind}?success=` + encodeURIComponent('Template saved. It is used for every email of this kind from now on.'));
+});
+
+app.post('/admin/settings/email-templates/:kind/reset', requireOwner, findEmailTemplateKind, (req, res) => {
+  const { kind } = req.params;
+  const before = getEmailTemplate(kind);
+  if (before) {
+    emailTemplateQueries.delete.run(kind);
+    audit(req, 'email_template.reset', {
+      targetType: 'email_template',
+      targetId: kind,
+      before: { subject: before.subject, body_html: before.body_html }
     });
+    logger.info('Email template reset to built-in', { user: req.adminUser.username, kind });
   }
+
+  res.redirect(`${res.locals.basePath}/admin/settings/email-templates/${kind}?success=` + encodeURIComponent('Template removed. The built-in email is used again.'));
 });
 
-// Change Admin Password
-app.post('/admin/settings/password', requireAuth, (req, res) => {
-  const { current_password, new_password, confirm_password } = req.body;
-  
-  // Validate input
-  if (!current_password || !new_password || !confirm_password) {
-    return renderAdminSettings(req, res, { error: 'All fields are required' });
-  }
-  
-  if (new_password.length < 8) {
-    return renderAdminSettings(req, res, { error: 'New password must be at least 8 characters long' });
+// Live preview for the editor: the sample email from the template as entered
+app.post('/admin/settings/email-templates/:kind/preview', requireOwner, findEmailTemplateKind, (req, res) => {
+  const { kind } = req.params;
+  const { template, error } = parseEmailTemplateInput(kind, req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
-  
-  if (new_password !== confirm_password) {
-    return renderAdminSettings(req, res, { error: 'New passwords do not match' });
+  res.json(previewEmailTemplate(kind, template));
+});
+
+// Send the sample email from the template as entered, without saving it
+app.post('/admin/settings/email-templates/:kind/test', requireOwner, findEmailTemplateKind, async (req, res) => {
+  const { kind } = req.params;
+  const draft = { subject: String(req.body.subject || ''), body_html: String(req.body.body_html || '') };
+  const testTo = String(req.body.test_to || '').trim();
+  const { template, error } = parseEmailTemplateInput(kind, req.body);
+  if (error) {
+    return renderEmailTemplates(req, res, kind, { error, draft, testTo });
   }
-  
-  // Verify current password
-  if (!verifyAdminPassword(current_password)) {
-    logger.warn('Admin password change failed - incorrect current password', {
-      sessionId: req.session.id,
-      ip: req.ip
-    });
-    return renderAdminSettings(req, res, { error: 'Current password is incorrect' });
+
+  if (Joi.string().email().max(200).validate(testTo).error) {
+    return renderEmailTemplates(req, res, kind, { error: 'Enter a valid email address to send the test to.', draft, testTo });
   }
-  
-  // Check if new password is the same as current
-  if (verifyAdminPassword(new_password)) {
-    return renderAdminSettings(req, res, { error: 'New password must be different from current password' });
+
+  if (!isEmailConfigured()) {
+    return renderEmailTemplates(req, res, kind, { error: 'Email is not configured. Set the SMTP variables to send test emails.', draft, testTo });
   }
-  
-  // Update the password in real-time
-  try {
-    updateAdminPassword(new_password, 'admin');
-    
-    logger.info('Admin password changed successfully', {
-      sessionId: req.session.id,
-      ip: req.ip,
-      timestamp: new Date().toISOString()
-    });
 
-    return renderAdminSettings(req, res, { success: 'Password updated successfully!' });
+  try {
+    const { subject, text, html } = previewEmailTemplate(kind, template);
+    await sendGenericEmail({ to: testTo, subject: `[Test] ${subject}`, text, html });
+    logger.info('Email template test sent', { user: req.adminUser.username, kind, to: testTo });
+    return renderEmailTemplates(req, res, kind, { success: `Test email sent to ${testTo}. The template has not been saved.`, draft, testTo });
   } catch (err) {
-    logger.error('Failed to update admin password:', err);
-    return renderAdminSettings(req, res, { error: 'Failed to update password. Please try again.' });
+    logger.error('Failed to send email template test', { kind, error: err.message });
+    return renderEmailTemplates(req, res, kind, { error: `Failed to send test email: ${err.message}`, draft, testTo });
   }
 });
 
 // Test Email Configuration
-app.post('/admin/settings/test-email', requireAuth, async (req, res) => {
+app.post('/admin/settings/test-email', requireOwner, async (req, res) => {
   try {
     const result = await testEmailConfig();
     
@@ -1902,13 +5553,13 @@ app.post('/admin/settings/test-email', requireAuth, async (req, res) => {
 });
 
 // Test email trigger polling (runs one cycle immediately)
-app.post('/admin/settings/test-email-trigger', requireAuth, async (req, res) => {
+app.post('/admin/settings/test-email-trigger', requireOwner, async (req, res) => {
   try {
-    const result = await emailTriggerPollOnce(getBaseUrl(req));
+    const result = await emailTriggerPollOnce(tenantBaseUrl(getBaseUrl(req)));
     if (!result.connected) {
       return renderAdminSettings(req, res, { error: `IMAP connection failed: ${result.reason}` });
     }
-    const msg = `Connected. Unseen emails: ${result.unseenCount}. Created ${result.processed} vote(s), skipped ${result.skipped}, errors: ${result.errors}.`;
+    const msg = `Connected. Unseen emails: ${result.unseenCount}. Created ${result.processed} vote(s), rejected ${result.rejected} with invalid directives, skipped ${result.skipped}, errors: ${result.errors}.`;
     return renderAdminSettings(req, res, { success: msg });
   } catch (err) {
     logger.error('Email trigger test error', { error: err.message });
@@ -1916,24 +5567,52 @@ app.post('/admin/settings/test-email-trigger', requireAuth, async (req, res) =>
   }
 });
 
+// Stored settings for the audit log. Secret values are only noted as set,
+// and marked as changed when a new one was saved.
+function settingsSnapshot(keys, secretKeys = [], changedSecrets = []) {
+  const snapshot = {};
+  for (const key of keys) {
+    const value = getSetting(key);
+    if (secretKeys.includes(key)) {
+      snapshot[key] = value ? (changedSecrets.includes(key) ? '(changed)' : '(set)') : null;
+    } else {
+      snapshot[key] = value;
+    }
+  }
+  return snapshot;
+}
+
+const IMAP_SETTING_KEYS = [
+  'imap_host', 'imap_port', 'imap_security', 'imap_user', 'imap_password',
+  'imap_authorized_senders', 'imap_poll_interval_ms', 'imap_default_deadline_hours'
+];
+const OPENWA_SETTING_KEYS = ['openwa_url', 'openwa_api_key', 'openwa_session_id'];
+
 // Save email trigger (IMAP) settings
-app.post('/admin/settings/email-trigger', requireAuth, (req, res) => {
+app.post('/admin/settings/email-trigger', requireOwner, (req, res) => {
   const {
     imap_host, imap_port, imap_security, imap_user, imap_password,
     imap_authorized_senders, imap_poll_interval_ms, imap_default_deadline_hours
   } = req.body;
 
   try {
-    if (imap_host !== undefined) setSetting('imap_host', imap_host.trim());
-    if (imap_port !== undefined) setSetting('imap_port', imap_port.trim());
-    if (imap_security === 'ssl' || imap_security === 'starttls') setSetting('imap_security', imap_security);
-    if (imap_user !== undefined) setSetting('imap_user', imap_user.trim());
-    if (imap_password && imap_password.trim()) setSetting('imap_password', imap_password.trim());
-    if (imap_authorized_senders !== undefined) setSetting('imap_authorized_senders', imap_authorized_senders.trim());
-    if (imap_poll_interval_ms !== undefined) setSetting('imap_poll_interval_ms', imap_poll_interval_ms.trim());
-    if (imap_default_deadline_hours !== undefined) setSetting('imap_default_deadline_hours', imap_default_deadline_hours.trim());
-
-    logger.info('Email trigger settings updated', { sessionId: req.session.id, ip: req.ip });
+    const before = settingsSnapshot(IMAP_SETTING_KEYS, ['imap_password']);
+    if (imap_host !== undefined) setSetting('imap_host', imap_host.trim(), req.adminUser.username);
+    if (imap_port !== undefined) setSetting('imap_port', imap_port.trim(), req.adminUser.username);
+    if (imap_security === 'ssl' || imap_security === 'starttls') setSetting('imap_security', imap_security, req.adminUser.username);
+    if (imap_user !== undefined) setSetting('imap_user', imap_user.trim(), req.adminUser.username);
+    if (imap_password && imap_password.trim()) setSetting('imap_password', imap_password.trim(), req.adminUser.username);
+    if (imap_authorized_senders !== undefined) setSetting('imap_authorized_senders', imap_authorized_senders.trim(), req.adminUser.username);
+    if (imap_poll_interval_ms !== undefined) setSetting('imap_poll_interval_ms', imap_poll_interval_ms.trim(), req.adminUser.username);
+    if (imap_default_deadline_hours !== undefined) setSetting('imap_default_deadline_hours', imap_default_deadline_hours.trim(), req.adminUser.username);
+
+    audit(req, 'settings.email_trigger', {
+      targetType: 'settings',
+      before,
+      after: settingsSnapshot(IMAP_SETTING_KEYS, ['imap_password'], imap_password && imap_password.trim() ? ['imap_password'] : [])
+    });
+
+    logger.info('Email trigger settings updated', { user: req.adminUser.username, sessionId: req.session.id, ip: req.ip });
     return renderAdminSettings(req, res, { success: 'Email trigger settings saved.' });
   } catch (err) {
     logger.error('Failed to save email trigger settings:', err);
@@ -1942,15 +5621,22 @@ app.post('/admin/settings/email-trigger', requireAuth, (req, res) => {
 });
 
 // Save WhatsApp (OpenWA) settings
-app.post('/admin/settings/whatsapp', requireAuth, (req, res) => {
+app.post('/admin/settings/whatsapp', requireOwner, (req, res) => {
   const { openwa_url, openwa_api_key, openwa_session_id } = req.body;
 
   try {
-    if (openwa_url !== undefined) setSetting('openwa_url', openwa_url.trim());
-    if (openwa_api_key && openwa_api_key.trim()) setSetting('openwa_api_key', openwa_api_key.trim());
-    if (openwa_session_id !== undefined) setSetting('openwa_session_id', openwa_session_id.trim());
+    const before = settingsSnapshot(OPENWA_SETTING_KEYS, ['openwa_api_key']);
+    if (openwa_url !== undefined) setSetting('openwa_url', openwa_url.trim(), req.adminUser.username);
+    if (openwa_api_key && openwa_api_key.trim()) setSetting('openwa_api_key', openwa_api_key.trim(), req.adminUser.username);
+    if (openwa_session_id !== undefined) setSetting('openwa_session_id', openwa_session_id.trim(), req.adminUser.username);
+
+    audit(req, 'settings.whatsapp', {
+      targetType: 'settings',
+      before,
+      after: settingsSnapshot(OPENWA_SETTING_KEYS, ['openwa_api_key'], openwa_api_key && openwa_api_key.trim() ? ['openwa_api_key'] : [])
+    });
 
-    logger.info('WhatsApp settings updated', { sessionId: req.session.id, ip: req.ip });
+    logger.info('WhatsApp settings updated', { user: req.adminUser.username, sessionId: req.session.id, ip: req.ip });
     return renderAdminSettings(req, res, { success: 'WhatsApp settings saved.' });
   } catch (err) {
     logger.error('Failed to save WhatsApp settings:', err);
@@ -1969,9 +5655,274 @@ app.get('/results/:id', (req, res) => {
 
   motion.options = JSON.parse(motion.options_json);
   const stats = getMotionStats(id);
-  const voterStatus = ballotQueries.getVoterStatusByMotion.all(id);
+  // No per-voter breakdown for secret ballots
+  const voterStatus = isSecret(motion) ? [] : ballotQueries.getVoterStatusByMotion.all(id);
+
+  res.render('public_results', { motion, stats, voterStatus, tieBreak: tieBreakQueries.getByMotion.get(id) || null });
+});
+
+// ============================================================================
+// JSON API (/api/v1)
+// ============================================================================
+// For building-management portals and other integrations. Requests carry an
+// API key created by an owner under Admin → API Keys, as
+// "Authorization: Bearer <key>". Read-only keys act as observers and can only
+// use GET. Errors are { error: { code, message } } with a matching status.
+
+function apiError(res, status, code, message, details) {
+  return res.status(status).json({ error: { code, message, ...(details ? { details } : {}) } });
+}
+
+function requireApiKey(role) {
+  return (req, res, next) => {
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+      return apiError(res, 401, 'unauthorized', 'Send an API key as "Authorization: Bearer <key>".');
+    }
+
+    const apiKey = authenticateApiKey(match[1]);
+    if (!apiKey) {
+      logger.warn('API request with an invalid key', { path: req.path, ip: req.ip });
+      return apiError(res, 401, 'unauthorized', 'The API key is not valid or has been revoked.');
+    }
+
+    // The key acts as a user with its role, so audit entries and
+    // created_by/updated_by name it
+    req.apiKey = apiKey;
+    req.adminUser = { id: null, username: `api:${apiKey.name}`, role: apiKey.role };
+
+    if (!hasRole(req.adminUser, role)) {
+      return apiError(res, 403, 'forbidden', 'This API key is read-only.');
+    }
+    next();
+  };
+}
+
+const apiRead = requireApiKey('observer');
+const apiWrite = requireApiKey('admin');
+
+// Like validate(), with every problem listed as JSON
+function validateApi(schema) {
+  return (req, res, next) => {
+    const { error } = schema.validate(req.body || {}, { stripUnknown: true, abortEarly: false });
+    if (error) {
+      return apiError(res, 400, 'validation_error', error.details[0].message, error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      })));
+    }
+    next();
+  };
+}
+
+// Motions can be addressed by id or by reference
+function findApiMotion(idOrRef) {
+  return motionQueries.getById.get(idOrRef) || motionQueries.getByRef.get(String(idOrRef).toUpperCase()) || null;
+}
+
+function apiMotion(motion) {
+  const { options_json, ...rest } = motion;
+  return { ...rest, options: JSON.parse(options_json), vote_url: `${tenantBaseUrl(BASE_URL)}/vote` };
+}
+
+function apiToken(token) {
+  return {
+    id: token.id,
+    motion_id: token.motion_id,
+    recipient_name: token.recipient_name,
+    recipient_email: token.recipient_email,
+    unit_number: token.unit_number,
+    status: token.status,
+    expires_at: token.expires_at || null,
+    used_at: token.used_at,
+    email_sent: !!token.email_sent,
+    created_at: token.created_at
+  };
+}
+
+function apiCouncilMember(member) {
+  return {
+    id: member.id,
+    name: member.name,
+    email: member.email,
+    unit_number: member.unit_number,
+    whatsapp: member.whatsapp,
+    created_at: member.created_at,
+    updated_at: member.updated_at
+  };
+}
 
-  res.render('public_results', { motion, stats, voterStatus });
+app.use('/api/v1', apiLimiter);
+
+app.get('/api/v1/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument({
+    baseUrl: tenantBaseUrl(BASE_URL),
+    enums: {
+      statuses: MOTION_STATUSES,
+      majorityTypes: MAJORITY_TYPES,
+      thresholdBases: THRESHOLD_BASES,
+      quorumTypes: QUORUM_TYPES,
+      votingMethods: VOTING_METHODS,
+      weightingModes: WEIGHTING_MODES,
+      tieBreakPolicies: TIE_BREAK_POLICIES
+    }
+  }));
+});
+
+app.get('/api/v1/motions', apiRead, (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !MOTION_STATUSES.includes(status)) {
+    return apiError(res, 400, 'bad_request', `status must be one of ${MOTION_STATUSES.join(', ')}.`);
+  }
+
+  const motions = motionQueries.getAll.all().filter(motion => !status || motion.status === status);
+  res.json({ motions: motions.map(apiMotion) });
+});
+
+app.post('/api/v1/motions', apiWrite, validateApi(schemas.motion), (req, res) => {
+  const fields = parseMotionInput(req.body);
+  if (fields.error) {
+    return apiError(res, 400, 'validation_error', fields.error);
+  }
+
+  try {
+    const motionId = createMotion(req, fields);
+    logger.info('Motion created via API', { motionId, apiKeyId: req.apiKey.id });
+    res.status(201).json({ motion: apiMotion(motionQueries.getById.get(motionId)) });
+  } catch (err) {
+    logger.error('API motion creation error', { error: err.message });
+    apiError(res, 500, 'internal_error', 'Failed to create motion.');
+  }
+});
+
+app.get('/api/v1/motions/:id', apiRead, (req, res) => {
+  const motion = findApiMotion(req.params.id);
+  if (!motion) return apiError(res, 404, 'not_found', 'Motion not found.');
+  res.json({ motion: apiMotion(motion) });
+});
+
+app.put('/api/v1/motions/:id', apiWrite, validateApi(schemas.motion), (req, res) => {
+  const motion = findApiMotion(req.params.id);
+  if (!motion) return apiError(res, 404, 'not_found', 'Motion not found.');
+  if (!canEditMotion(motion)) {
+    return apiError(res, 409, 'conflict', 'Motion cannot be edited after voting opens.');
+  }
+
+  const fields = parseMotionInput(req.body, motion);
+  if (fields.error) {
+    return apiError(res, 400, 'validation_error', fields.error);
+  }
+
+  try {
+    res.json({ motion: apiMotion(updateMotion(req, motion, fields)) });
+  } catch (err) {
+    logger.error('API motion update error', { motionId: motion.id, error: err.message });
+    apiError(res, 500, 'internal_error', 'Failed to update motion.');
+  }
+});
+
+app.post('/api/v1/motions/:id/status', apiWrite, validateApi(schemas.motionStatus), (req, res) => {
+  const motion = findApiMotion(req.params.id);
+  if (!motion) return apiError(res, 404, 'not_found', 'Motion not found.');
+
+  try {
+    changeMotionStatus(req, motion.id, req.body.status);
+    res.json({ motion: apiMotion(motionQueries.getById.get(motion.id)) });
+  } catch (err) {
+    logger.error('API status update error', { motionId: motion.id, error: err.message });
+    apiError(res, 500, 'internal_error', 'Failed to update status.');
+  }
+});
+
+app.get('/api/v1/motions/:id/stats', apiRead, (req, res) => {
+  const motion = findApiMotion(req.params.id);
+  if (!motion) return apiError(res, 404, 'not_found', 'Motion not found.');
+
+  const stats = getMotionStats(motion.id);
+  res.json({
+    motion_id: motion.id,
+    status: motion.status,
+    stats,
+    quorum: getQuorumStatus(motion, stats)
+  });
+});
+
+app.get('/api/v1/motions/:id/tokens', apiRead, (req, res) => {
+  const motion = findApiMotion(req.params.id);
+  if (!motion) return apiError(res, 404, 'not_found', 'Motion not found.');
+  res.json({ tokens: tokenQueries.getByMotion.all(motion.id).map(apiToken) });
+});
+
+app.post('/api/v1/motions/:id/tokens', apiWrite, validateApi(schemas.token), (req, res) => {
+  const motion = findApiMotion(req.params.id);
+  if (!motion) return apiError(res, 404, 'not_found', 'Motion not found.');
+  if (motion.group_id) {
+    return apiError(res, 409, 'conflict', 'This motion is part of a ballot. Issue voting links from the ballot page.');
+  }
+
+  const recipientList = collectRecipients(req.body.recipients, req.body.selected_council_members);
+  if (recipientList.length === 0) {
+    return apiError(res, 400, 'validation_error', 'No recipients provided.');
+  }
+
+  const expiry = parseLinkExpiry(req.body.expires_at);
+  if (expiry.error) {
+    return apiError(res, 400, 'validation_error', expiry.error);
+  }
+
+  try {
+    const issued = issueMotionTokens(req, motion, recipientList, expiry.expiresAt);
+    logger.info('Voting links issued via API', { motionId: motion.id, created: issued.created, apiKeyId: req.apiKey.id });
+    res.status(201).json({
+      created: issued.newLinks.map(({ tokenId, name, email, unit, link, code }) => ({
+        token_id: tokenId,
+        name: name || null,
+        email: email || null,
+        unit: unit || null,
+        link,
+        code
+      })),
+      skipped_duplicates: issued.skippedDuplicates,
+      skipped_units: issued.skippedUnits,
+      emails_queued: issued.emailsSent,
+      emails_held: issued.emailConfigured && issued.holdEmails
+    });
+  } catch (err) {
+    logger.error('API token creation error', { motionId: motion.id, error: err.message });
+    apiError(res, 500, 'internal_error', 'Failed to create tokens.');
+  }
+});
+
+app.post('/api/v1/tokens/:tokenId/revoke', apiWrite, (req, res) => {
+  const token = tokenQueries.getById.get(req.params.tokenId);
+  if (!token) return apiError(res, 404, 'not_found', 'Voting link not found.');
+
+  try {
+    if (token.status !== 'Revoked') {
+      revokeVoterToken(req, token);
+    }
+    res.json({ token: apiToken(tokenQueries.getById.get(token.id)) });
+  } catch (err) {
+    logger.error('API token revoke error', { tokenId: token.id, error: err.message });
+    apiError(res, 500, 'internal_error', 'Failed to revoke token.');
+  }
+});
+
+app.get('/api/v1/council-members', apiRead, (req, res) => {
+  res.json({ council_members: councilQueries.getAll.all().map(apiCouncilMember) });
+});
+
+app.use('/api', (req, res) => {
+  apiError(res, 404, 'not_found', `No API endpoint ${req.method} ${req.originalUrl.split('?')[0]}.`);
+});
+
+// JSON errors for the API, e.g. a request body that is not valid JSON
+app.use('/api', (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return apiError(res, 400, 'bad_request', 'The request body is not valid JSON.');
+  }
+  logger.error('API error', { path: req.path, error: err.message });
+  apiError(res, err.status || 500, err.status ? 'bad_request' : 'internal_error', err.status ? err.message : 'Something went wrong.');
 });
 
 // Health check endpoints (for Coolify/Docker/monitoring)
@@ -0,0 +1,275 @@
+'use strict';
+
+// Directives in an email-trigger message that set up the motion it creates.
+// In the body each goes on its own line:
+//
+//   Deadline: Friday 5pm
+//   Majority: 2/3
+//   Draft
+//
+// with "Options: Option A, Option B, Option C" in place of the majority for
+// a choice won by the most votes. In the subject each goes in square
+// brackets, e.g. "[Draft] [Majority: 3/4] Replace the roof". Directive lines
+// and tags are removed from the description and title. Anything not given falls back to
+// the defaults: Yes/No/Abstain, a simple majority, the default voting window,
+// and voting open straight away.
+
+const { parseThresholdInput } = require('./tally');
+const { parseMotionDateTime, toDatetimeLocalValue } = require('./motionTime');
+
+const DEFAULT_OPTIONS = ['Yes', 'No', 'Abstain'];
+const MAX_OPTIONS_LENGTH = 500;
+const MAX_OPTION_LENGTH = 100;
+
+const BODY_DIRECTIVE_PATTERN = /^\s*(deadline|options|majority|draft)\s*(?::\s*(.*?))?\s*$/i;
+const SUBJECT_DIRECTIVE_PATTERN = /\[\s*(deadline|options|majority|draft)\s*(?::\s*([^\]]*?))?\s*\]/gi;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MAJORITY_ALIASES = {
+  simple: 'Simple',
+  '2/3': 'TwoThirds',
+  'two thirds': 'TwoThirds',
+  twothirds: 'TwoThirds',
+  '3/4': 'ThreeQuarters',
+  'three quarters': 'ThreeQuarters',
+  threequarters: 'ThreeQuarters',
+  unanimous: 'Unanimous'
+};
+
+// "5pm", "5:30 pm" or "17:00"; a bare hour is ambiguous and not accepted
+function parseTimeOfDay(text) {
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = Number(match[1]);
+  const minutes = match[2] ? Number(match[2]) : 0;
+  if (minutes > 59) return null;
+
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    const pm = match[3].toLowerCase().startsWith('p');
+    hours = (hours % 12) + (pm ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+  return { hours, minutes };
+}
+
+// Calendar days are held as UTC midnights so that adding days and reading
+// the weekday don't depend on the server's timezone
+function calendarDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+}
+
+// Today's date in the app's timezone
+function today(now) {
+  const [year, month, day] = toDatetimeLocalValue(now.toISOString()).slice(0, 10).split('-').map(Number);
+  return calendarDay(year, month, day);
+}
+
+function addDays(day, count) {
+  const result = new Date(day);
+  result.setUTCDate(result.getUTCDate() + count);
+  return result;
+}
+
+// The day at the given time of day, or at the end of the day, read in the
+// app's timezone like the datetime-local fields on the motion forms
+function atTimeOfDay(day, time) {
+  const { hours, minutes } = time || { hours: 23, minutes: 59 };
+  const pad = number => String(number).padStart(2, '0');
+  return parseMotionDateTime(`${day.toISOString().slice(0, 10)}T${pad(hours)}:${pad(minutes)}`);
+}
+
+/**
+ * Closing time from a Deadline directive: a duration ("48 hours", "3 days"),
+ * a date ("2026-11-06", "2026-11-06 17:00") or a day ("Friday 5pm",
+ * "tomorrow 9:30am"). A day or date without a time closes at 23:59. A
+ * weekday means its next occurrence, which is today only if the time is
+ * still ahead. Days and times are in APP_TIMEZONE_OFFSET_MINUTES when set.
+ * @param {string} text
+ * @param {Date} now
+ * @returns {Date|null} null when the text is not understood
+ */
+function parseDeadline(text, now) {
+  const value = text.trim().replace(/\s+/g, ' ');
+
+  const duration = value.match(/^(?:in )?(\d{1,4}) ?(h|hrs?|hours?|d|days?)$/i);
+  if (duration) {
+    const amount = Number(duration[1]);
+    const hours = duration[2].toLowerCase().startsWith('d') ? amount * 24 : amount;
+    return hours > 0 ? new Date(now.getTime() + hours * 3_600_000) : null;
+  }
+
+  const isoDate = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:(?:T| at | )(.+))?$/i);
+  if (isoDate) {
+    const [, year, month, day, timeText] = isoDate;
+    const date = calendarDay(Number(year), Number(month), Number(day));
+    if (!date) return null;
+    const time = timeText ? parseTimeOfDay(timeText) : null;
+    if (timeText && !time) return null;
+    return atTimeOfDay(date, time);
+  }
+
+  const dayMatch = value.match(/^([a-z]+)(?:,? (?:at )?(.+))?$/i);
+  if (dayMatch) {
+    const dayName = dayMatch[1].toLowerCase();
+    const time = dayMatch[2] ? parseTimeOfDay(dayMatch[2]) : null;
+    if (dayMatch[2] && !time) return null;
+
+    const current = today(now);
+    if (dayName === 'today') return atTimeOfDay(current, time);
+    if (dayName === 'tomorrow') return atTimeOfDay(addDays(current, 1), time);
+
+    const weekday = WEEKDAYS.findIndex(name => name === dayName || (dayName.length >= 3 && name.startsWith(dayName)));
+    if (weekday === -1) return null;
+    const date = addDays(current, (weekday - current.getUTCDay() + 7) % 7);
+    const deadline = atTimeOfDay(date, time);
+    return deadline <= now ? atTimeOfDay(addDays(date, 7), time) : deadline;
+  }
+
+  return null;
+}
+
+// Threshold fields from a Majority directive: the presets by name or
+// fraction, or any other fraction or percentage as a custom majority. A
+// custom value must say which it is, so "0.5" or "1" can't quietly become a
+// 0.5% or 1% threshold, and it can't be less than a simple majority. Exactly
+// half is the simple majority, which needs more than half: a tie doesn't pass.
+function parseMajority(text, errors) {
+  const key = text.trim().toLowerCase().replace(/[-\s]+/g, ' ').replace(/ majority$/, '').replace(/\s*\/\s*/, '/');
+  const preset = MAJORITY_ALIASES[key];
+  if (preset) return parseThresholdInput({ required_majority: preset });
+
+  const custom = /[%/]/.test(text)
+    ? parseThresholdInput({ required_majority: 'Custom', threshold_custom: text })
+    : { error: true };
+  if (custom.error) {
+    errors.push(`Majority "${text}" was not understood. Use Simple, 2/3, 3/4, Unanimous, or another fraction such as 3/5 or percentage such as 60%.`);
+    return null;
+  }
+  if (custom.threshold_numerator * 2 < custom.threshold_denominator) {
+    errors.push(`Majority "${text}" is less than a simple majority. Use 50% or more.`);
+    return null;
+  }
+  if (custom.threshold_numerator * 2 === custom.threshold_denominator) {
+    return parseThresholdInput({ required_majority: 'Simple' });
+  }
+  return custom;
+}
+
+function parseOptions(text, errors) {
+  const options = text.split(',').map(option => option.trim()).filter(Boolean);
+  const distinct = new Set(options.map(option => option.toLowerCase()));
+
+  if (options.length < 2) {
+    errors.push('Options must list at least two choices, separated by commas.');
+  } else if (distinct.size !== options.length) {
+    errors.push('Options must all be different.');
+  } else if (options.some(option => option.length > MAX_OPTION_LENGTH)) {
+    errors.push(`Each option must be at most ${MAX_OPTION_LENGTH} characters.`);
+  } else if (options.join(', ').length > MAX_OPTIONS_LENGTH) {
+    errors.push(`Options must be at most ${MAX_OPTIONS_LENGTH} characters in total.`);
+  }
+  return options;
+}
+
+function parseDraft(text, errors) {
+  if (text === undefined || text === '') return true;
+  const value = text.trim().toLowerCase();
+  if (['yes', 'true', 'on'].includes(value)) return true;
+  if (['no', 'false', 'off'].includes(value)) return false;
+  errors.push(`Draft "${text}" was not understood. Write Draft on its own line, or Draft: yes or Draft: no.`);
+  return false;
+}
+
+/**
+ * Read the directives in an email-trigger message.
+ * @param {{subject: string, body: string}} message
+ * @param {{defaultDeadlineHours: number, now?: Date}} defaults
+ * @returns {{title: string, description: string, closeAt: Date, options: string[],
+ *   threshold: Object, draft: boolean, errors: string[]}} `errors` lists each
+ *   directive that could not be used; the message should not become a motion
+ *   if it has any
+ */
+function parseEmailDirectives({ subject, body }, { defaultDeadlineHours, now = new Date() }) {
+  const found = [];
+  const errors = [];
+
+  const title = String(subject || '')
+    .replace(SUBJECT_DIRECTIVE_PATTERN, (match, name, value) => {
+      found.push({ name: name.toLowerCase(), value });
+      return ' ';
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const descriptionLines = [];
+  for (const line of String(body || '').split(/\r?\n/)) {
+    const match = line.match(BODY_DIRECTIVE_PATTERN);
+    if (match) {
+      found.push({ name: match[1].toLowerCase(), value: match[2] });
+    } else {
+      descriptionLines.push(line);
+    }
+  }
+
+  const values = {};
+  const repeated = new Set();
+  for (const { name, value } of found) {
+    if (Object.prototype.hasOwnProperty.call(values, name)) {
+      repeated.add(name);
+    } else {
+      values[name] = value;
+    }
+  }
+  for (const name of repeated) {
+    errors.push(`${name.charAt(0).toUpperCase()}${name.slice(1)} is given more than once.`);
+  }
+  const has = name => Object.prototype.hasOwnProperty.call(values, name);
+
+  let closeAt = new Date(now.getTime() + defaultDeadlineHours * 3_600_000);
+  if (has('deadline')) {
+    const deadline = parseDeadline(values.deadline || '', now);
+    if (!deadline) {
+      errors.push(`Deadline "${values.deadline || ''}" was not understood. Use a date such as 2026-11-06 17:00, a day such as Friday 5pm or tomorrow 9am, or a duration such as 48 hours.`);
+    } else if (deadline <= now) {
+      errors.push(`Deadline "${values.deadline}" is in the past.`);
+    } else {
+      closeAt = deadline;
+    }
+  }
+
+  let options = DEFAULT_OPTIONS;
+  if (has('options')) {
+    options = parseOptions(values.options || '', errors);
+  }
+
+  let threshold = parseThresholdInput({ required_majority: 'Simple' });
+  if (has('majority')) {
+    threshold = parseMajority(values.majority || '', errors) || threshold;
+
+    // Any other options are decided by the most votes, not a majority of Yes
+    const lowerOptions = options.map(option => option.toLowerCase());
+    if (!lowerOptions.includes('yes') || !lowerOptions.includes('no')) {
+      errors.push('Majority only applies to Yes/No votes. Leave it out when Options lists other choices: the choice with the most votes wins.');
+    }
+  }
+
+  const draft = has('draft') ? parseDraft(values.draft, errors) : false;
+
+  return {
+    title: title || 'New Vote',
+    description: descriptionLines.join('\n').trim(),
+    closeAt,
+    options,
+    threshold,
+    draft,
+    errors
+  };
+}
+
+module.exports = { parseEmailDirectives };
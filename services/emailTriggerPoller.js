@@ -2,49 +2,97 @@
 
 const { ImapFlow } = require('imapflow');
 const { simpleParser } = require('mailparser');
-const crypto = require('crypto');
 const logger = require('../logger');
-const { getSetting, db, generateUUID, generateMotionRef, motionQueries, tokenQueries, enqueueTokenEmail, isEmailAlreadyProcessed, recordProcessedEmail } = require('../db');
-const { isEmailConfigured } = require('../email');
+const { getSetting, db, generateUUID, generateMotionRef, motionQueries, tokenQueries, enqueueTokenEmail, generateVoterCode, isEmailAlreadyProcessed, recordProcessedEmail, recordAuditEvent } = require('../db');
+const { generateToken, hashToken } = require('../tokenCrypto');
+const { isEmailConfigured, sendGenericEmail } = require('../email');
+const { escapeHtml } = require('../emailTemplates');
 const { sendVotingLink: sendWhatsApp } = require('./whatsapp');
 const { processPendingTokenEmails } = require('./notificationWorker');
+const { emitWebhook, motionEventData } = require('./webhooks');
+const { tenantEnv, tenantBaseUrl, forEachTenant } = require('../tenants');
+const { parseEmailDirectives } = require('./emailDirectives');
 
 function getImapConfig() {
-  const security = getSetting('imap_security') || process.env.IMAP_SECURITY || 'ssl';
+  const security = getSetting('imap_security') || tenantEnv('IMAP_SECURITY') || 'ssl';
   return {
-    user: getSetting('imap_user') || process.env.IMAP_USER || '',
-    password: getSetting('imap_password') || process.env.IMAP_PASSWORD || '',
-    host: getSetting('imap_host') || process.env.IMAP_HOST || 'imap.gmail.com',
-    port: parseInt(getSetting('imap_port') || process.env.IMAP_PORT || '993', 10),
+    user: getSetting('imap_user') || tenantEnv('IMAP_USER') || '',
+    password: getSetting('imap_password') || tenantEnv('IMAP_PASSWORD') || '',
+    host: getSetting('imap_host') || tenantEnv('IMAP_HOST') || 'imap.gmail.com',
+    port: parseInt(getSetting('imap_port') || tenantEnv('IMAP_PORT') || '993', 10),
     secure: security !== 'starttls',
-    authorizedSenders: (getSetting('imap_authorized_senders') || process.env.IMAP_AUTHORIZED_SENDERS || '')
+    authorizedSenders: (getSetting('imap_authorized_senders') || tenantEnv('IMAP_AUTHORIZED_SENDERS') || '')
       .split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
-    pollIntervalMs: parseInt(getSetting('imap_poll_interval_ms') || process.env.IMAP_POLL_INTERVAL_MS || '60000', 10),
-    defaultDeadlineHours: parseInt(getSetting('imap_default_deadline_hours') || process.env.IMAP_DEFAULT_DEADLINE_HOURS || '48', 10)
+    pollIntervalMs: parseInt(getSetting('imap_poll_interval_ms') || tenantEnv('IMAP_POLL_INTERVAL_MS') || '60000', 10),
+    defaultDeadlineHours: parseInt(getSetting('imap_default_deadline_hours') || tenantEnv('IMAP_DEFAULT_DEADLINE_HOURS') || '48', 10)
   };
 }
 
-function createMotionFromEmail({ title, description, deadlineDate }) {
+// `directives` is the result of parseEmailDirectives. A draft motion is left
+// for the council to open; otherwise voting opens straight away.
+function createMotionFromEmail({ title, description, closeAt, options, threshold, draft }) {
   const motionId = generateUUID();
   const motionRef = generateMotionRef();
   const now = new Date().toISOString();
 
-  motionQueries.create.run(
-    motionId,
-    motionRef,
+  motionQueries.create.run({
+    id: motionId,
+    motion_ref: motionRef,
     title,
-    description || title,
-    JSON.stringify(['Yes', 'No', 'Abstain']),
-    now,
-    deadlineDate.toISOString(),
-    'Open',
-    'Simple',
-    now
-  );
+    description: description || title,
+    options_json: JSON.stringify(options),
+    open_at: now,
+    close_at: closeAt.toISOString(),
+    status: draft ? 'Draft' : 'Open',
+    required_majority: threshold.required_majority,
+    threshold_numerator: threshold.threshold_numerator,
+    threshold_denominator: threshold.threshold_denominator,
+    threshold_basis: threshold.threshold_basis,
+    voting_method: 'Single',
+    min_selections: null,
+    max_selections: null,
+    weighting: 'Headcount',
+    quorum_type: 'None',
+    quorum_value: null,
+    revisable: 0,
+    secret: 0,
+    tie_break: 'None',
+    send_links_on_open: 0,
+    reminder_hours: null,
+    created_at: now,
+    created_by: 'system'
+  });
 
   return { id: motionId, title, description };
 }
 
+// Tell the sender why their email did not create a vote. Only sent to the
+// authorized senders: any other From address may be forged, and replying to
+// it would mail a stranger (backscatter). Never sent to this server's own
+// addresses, so the reply cannot come back into the inbox as a new message.
+async function replyWithDirectiveErrors({ to, subject, errors, cfg }) {
+  const ownAddresses = [process.env.SMTP_FROM_EMAIL, process.env.SMTP_USER, cfg.user]
+    .filter(Boolean).map(address => address.toLowerCase());
+  if (!isEmailConfigured() || !to || !cfg.authorizedSenders.includes(to) || ownAddresses.includes(to)) return;
+
+  const intro = `Your email "${subject}" did not create a vote:`;
+  const help = 'Fix these and send the email again. Each directive goes on its own line, for example ' +
+    '"Deadline: Friday 5pm", "Options: Contractor A, Contractor B", "Majority: 2/3" or "Draft". ' +
+    'Without directives the vote is Yes/No/Abstain, needs a simple majority, opens straight away ' +
+    `and closes after ${cfg.defaultDeadlineHours} hours.`;
+
+  try {
+    await sendGenericEmail({
+      to,
+      subject: `Vote not created: ${subject}`,
+      text: [intro, '', ...errors.map(error => `- ${error}`), '', help].join('\n'),
+      html: `<p>${escapeHtml(intro)}</p><ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul><p>${escapeHtml(help)}</p>`
+    });
+  } catch (err) {
+    logger.warn('Email trigger: could not send directive errors to sender', { to, error: err.message });
+  }
+}
+
 function issueTokensToCouncil(motion, baseUrl) {
   const allMembers = db.prepare('SELECT * FROM council_members ORDER BY name ASC').all();
   const emailConfigured = isEmailConfigured();
@@ -79,14 +127,15 @@ function issueTokensToCouncil(motion, baseUrl) {
       continue;
     }
 
-    const token = crypto.randomBytes(24).toString('base64url');
+    const token = generateToken();
+    const { code, codeHash } = generateVoterCode(motion.id);
     const now = new Date().toISOString();
 
     let result;
     try {
       result = tokenQueries.create.run(
-        motion.id, token, name, email, member.unit_number,
-        'Active', now, 0, null, null
+        motion.id, hashToken(token), name, email, member.unit_number,
+        'Active', now, 0, null, null, null, codeHash
       );
       tokensCreated++;
       logger.debug('issueTokensToCouncil: token created', { name, email, unit: member.unit_number, tokenRowId: result.lastInsertRowid });
@@ -101,7 +150,7 @@ function issueTokensToCouncil(motion, baseUrl) {
     }
 
     if (emailConfigured && email) {
-      enqueueTokenEmail(result.lastInsertRowid);
+      enqueueTokenEmail(result.lastInsertRowid, token, { code });
       tokenIds.push(result.lastInsertRowid);
       emailsEnqueued++;
       logger.debug('issueTokensToCouncil: token email enqueued', { name, email, tokenRowId: result.lastInsertRowid });
@@ -112,7 +161,7 @@ function issueTokensToCouncil(motion, baseUrl) {
     if (whatsapp) {
       whatsappAttempted++;
       logger.info('issueTokensToCouncil: sending WhatsApp voting link', { name, phone: whatsapp, motionId: motion.id });
-      sendWhatsApp({ to: whatsapp, token, motionTitle: motion.title, baseUrl }).catch(err => {
+      sendWhatsApp({ to: whatsapp, link: `${baseUrl}/vote/${motion.id}?token=${token}`, motionTitle: motion.title }).catch(err => {
         logger.warn('issueTokensToCouncil: WhatsApp send failed', { error: err.message, name, phone: whatsapp, motionId: motion.id });
       });
     }
@@ -140,7 +189,7 @@ function issueTokensToCouncil(motion, baseUrl) {
 
 const POLL_TIMEOUT_MS = 60000;
 
-// Returns { connected, unseenCount, processed, skipped, errors }
+// Returns { connected, unseenCount, processed, rejected, skipped, errors }
 async function pollOnceInner(baseUrl) {
   const cfg = getImapConfig();
   if (!cfg.user || !cfg.password) {
@@ -211,7 +260,7 @@ async function pollOnceInner(baseUrl) {
     return { connected: false, reason };
   }
 
-  const result = { connected: true, unseenCount: 0, processed: 0, skipped: 0, errors: 0 };
+  const result = { connected: true, unseenCount: 0, processed: 0, rejected: 0, skipped: 0, errors: 0 };
 
   try {
     // Only look at emails from the last 7 days to avoid scanning a huge inbox
@@ -268,28 +317,68 @@ async function pollOnceInner(baseUrl) {
         }
 
         const parsed = await simpleParser(source);
-        const title = (envelope?.subject ?? 'New Vote').trim();
-        const body = (parsed.text ?? '').trim();
-        const deadlineDate = new Date(Date.now() + cfg.defaultDeadlineHours * 3_600_000);
+        const directives = parseEmailDirectives(
+          { subject: envelope?.subject ?? '', body: parsed.text ?? '' },
+          { defaultDeadlineHours: cfg.defaultDeadlineHours }
+        );
+        const { title } = directives;
+
+        if (directives.errors.length > 0) {
+          logger.warn('Email trigger: rejecting message with invalid directives', { uid, from, subject, errors: directives.errors });
+          recordAuditEvent({
+            actor: 'system',
+            action: 'email_trigger.reject',
+            after: { subject, from, message_id: messageId || null, errors: directives.errors }
+          });
+          await replyWithDirectiveErrors({ to: from, subject, errors: directives.errors, cfg });
+          await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+          result.rejected++;
+          continue;
+        }
 
         logger.info('Email trigger: creating motion from email', {
           uid, from, title,
-          bodyLength: body.length,
-          deadline: deadlineDate.toISOString(),
+          bodyLength: directives.description.length,
+          deadline: directives.closeAt.toISOString(),
+          options: directives.options,
+          majority: directives.threshold.required_majority,
+          draft: directives.draft,
           messageId
         });
 
         const motion = db.transaction(() => {
-          const m = createMotionFromEmail({ title, description: body, deadlineDate });
+          const m = createMotionFromEmail(directives);
           if (messageId) recordProcessedEmail(messageId, m.id);
+          recordAuditEvent({
+            actor: 'system',
+            action: 'motion.create',
+            targetType: 'motion',
+            targetId: m.id,
+            motionId: m.id,
+            after: {
+              title,
+              status: directives.draft ? 'Draft' : 'Open',
+              close_at: directives.closeAt.toISOString(),
+              options: directives.options,
+              required_majority: directives.threshold.required_majority,
+              source: 'email',
+              from,
+              message_id: messageId || null
+            }
+          });
           return m;
         })();
 
-        logger.info('Email trigger: motion created', { motionId: motion.id, title, from });
+        logger.info('Email trigger: motion created', { motionId: motion.id, title, from, draft: directives.draft });
+
+        // A draft is left for an admin to issue voting links and open
+        if (!directives.draft) {
+          emitWebhook('motion.opened', () => motionEventData(motionQueries.getById.get(motion.id), { reason: 'created_by_email' }));
 
-        const memberCount = issueTokensToCouncil(motion, baseUrl);
+          const memberCount = issueTokensToCouncil(motion, baseUrl);
 
-        logger.info('Vote created via email trigger', { motionId: motion.id, title, from, members: memberCount });
+          logger.info('Vote created via email trigger', { motionId: motion.id, title, from, members: memberCount });
+        }
         result.processed++;
       } catch (err) {
         logger.error('Email trigger: failed to process message', {
@@ -307,6 +396,7 @@ async function pollOnceInner(baseUrl) {
     logger.info('Email trigger: poll cycle complete', {
       unseenCount: result.unseenCount,
       processed: result.processed,
+      rejected: result.rejected,
       skipped: result.skipped,
       errors: result.errors
     });
@@ -326,24 +416,40 @@ async function pollOnce(baseUrl) {
   return Promise.race([pollOnceInner(baseUrl), timeout]);
 }
 
+// How often the poller checks whether a building's mailbox is due
+const SCHEDULER_TICK_MS = 15000;
+
+// Each building's mailbox is polled on its own interval. Config is read on
+// every tick, so credentials saved via admin UI and newly added buildings
+// take effect without a server restart.
 function startEmailTriggerPoller(baseUrl) {
   logger.info('Email trigger poller starting (reads IMAP config from DB on each cycle)');
 
-  const run = () => {
-    logger.debug('Email trigger: starting scheduled poll cycle');
-    return pollOnce(baseUrl)
-      .then(r => { if (r) logger.debug('Email trigger: scheduled poll cycle done', r); })
-      .catch(err => logger.error('Email trigger poll error', { error: err.message }));
+  const nextPollAt = new Map();
+  let running = false;
+
+  const run = tenant => {
+    logger.debug('Email trigger: starting scheduled poll cycle', { tenant: tenant.slug });
+    return pollOnce(tenantBaseUrl(baseUrl))
+      .then(r => { if (r) logger.debug('Email trigger: scheduled poll cycle done', { tenant: tenant.slug, ...r }); })
+      .catch(err => logger.error('Email trigger poll error', { tenant: tenant.slug, error: err.message }));
   };
 
-  // Schedule runs config on every tick so credentials saved via admin UI
-  // take effect without a server restart
-  const schedule = () => {
-    const interval = getImapConfig().pollIntervalMs;
-    setTimeout(() => run().then(schedule).catch(schedule), interval);
+  const tick = () => {
+    if (running) return;
+    running = true;
+    forEachTenant('Email trigger poll', async tenant => {
+      const now = Date.now();
+      if (now < (nextPollAt.get(tenant.id) || 0)) return;
+      nextPollAt.set(tenant.id, now + getImapConfig().pollIntervalMs);
+      await run(tenant);
+    }).finally(() => {
+      running = false;
+    });
   };
 
-  run().then(schedule).catch(schedule);
+  tick();
+  setInterval(tick, SCHEDULER_TICK_MS);
 }
 
 module.exports = { startEmailTriggerPoller, pollOnce };
@@ -0,0 +1,66 @@
+'use strict';
+
+// Motion times are entered as datetime-local values ("YYYY-MM-DDTHH:mm"),
+// which have no timezone. They are read in the APP_TIMEZONE_OFFSET_MINUTES
+// offset when it is set, else in the server's timezone, and stored as UTC.
+
+function parseMotionDateTime(value) {
+  if (!value) return new Date(NaN);
+  if (typeof value !== 'string') return new Date(value);
+
+  // Handle values from <input type="datetime-local"> which are typically like "YYYY-MM-DDTHH:mm"
+  // and therefore have no explicit timezone.
+  const m = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (m) {
+    const year = Number(m[1]);
+    const month = Number(m[2]);
+    const day = Number(m[3]);
+    const hour = Number(m[4]);
+    const minute = Number(m[5]);
+    const second = m[6] ? Number(m[6]) : 0;
+
+    // If APP_TIMEZONE_OFFSET_MINUTES is set (e.g. -480 for PST), interpret the input as that local
+    // time and convert to a UTC Date.
+    const offsetMinutesRaw = process.env.APP_TIMEZONE_OFFSET_MINUTES;
+    if (offsetMinutesRaw !== undefined && offsetMinutesRaw !== null && String(offsetMinutesRaw).trim() !== '') {
+      const offsetMinutes = Number(offsetMinutesRaw);
+      if (!Number.isNaN(offsetMinutes)) {
+        const utcMs = Date.UTC(year, month - 1, day, hour, minute, second) - (offsetMinutes * 60 * 1000);
+        return new Date(utcMs);
+      }
+    }
+
+    // Fallback: let JS interpret it in the server's local timezone.
+    return new Date(value);
+  }
+
+  return new Date(value);
+}
+
+// Convert a stored UTC ISO string back to a datetime-local value
+function toDatetimeLocalValue(isoString) {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  const offsetMinutesRaw = process.env.APP_TIMEZONE_OFFSET_MINUTES;
+  if (offsetMinutesRaw !== undefined && String(offsetMinutesRaw).trim() !== '') {
+    const offsetMinutes = Number(offsetMinutesRaw);
+    if (!Number.isNaN(offsetMinutes)) {
+      const localMs = date.getTime() + (offsetMinutes * 60 * 1000);
+      const d = new Date(localMs);
+      const yyyy = d.getUTCFullYear();
+      const mm = String(d.getUTCMonth() + 1).padStart(2, '0');
+      const dd = String(d.getUTCDate()).padStart(2, '0');
+      const hh = String(d.getUTCHours()).padStart(2, '0');
+      const mi = String(d.getUTCMinutes()).padStart(2, '0');
+      return `${yyyy}-${mm}-${dd}T${hh}:${mi}`;
+    }
+  }
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, '0');
+  const dd = String(date.getDate()).padStart(2, '0');
+  const hh = String(date.getHours()).padStart(2, '0');
+  const mi = String(date.getMinutes()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}T${hh}:${mi}`;
+}
+
+module.exports = { parseMotionDateTime, toDatetimeLocalValue };
@@ -7,46 +7,41 @@ const {
   getPendingTokenEmails,
   markTokenEmailSent,
   markTokenEmailFailed,
+  markTokenEmailSkipped,
+  releaseHeldTokenEmails,
+  rotateVoterToken,
+  rotateGroupToken,
   motionQueries,
   tokenQueries,
+  ballotGroupQueries,
+  reminderQueries,
+  generateUUID,
   getMotionStats,
+  recordAuditEvent,
+  webhookQueries,
   db
 } = require('../db');
+const { generateToken, formatCode, unsealToken } = require('../tokenCrypto');
 const { sendResultsEmailForMotion } = require('./resultsEmailService');
-const { sendGenericEmail, sendVotingLink } = require('../email');
+const { applyTieBreak } = require('./tieBreak');
+const { emitWebhook, motionEventData, deliverWebhook, MAX_DELIVERY_ATTEMPTS } = require('./webhooks');
+const { isEmailConfigured, sendGenericEmail, sendVotingLink } = require('../email');
+const {
+  isRankedMotion,
+  isApprovalMotion,
+  isYesNoMotion,
+  getThreshold,
+  meetsThreshold,
+  getQuorumStatus,
+  describeQuorumProgress,
+  getReminderHours
+} = require('./tally');
+const { parseMotionDateTime } = require('./motionTime');
 
 function addMinutes(date, minutes) {
   return new Date(date.getTime() + minutes * 60 * 1000);
 }
 
-function parseMotionDateTime(value) {
-  if (!value) return new Date(NaN);
-  if (typeof value !== 'string') return new Date(value);
-
-  const m = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
-  if (m) {
-    const year = Number(m[1]);
-    const month = Number(m[2]);
-    const day = Number(m[3]);
-    const hour = Number(m[4]);
-    const minute = Number(m[5]);
-    const second = m[6] ? Number(m[6]) : 0;
-
-    const offsetMinutesRaw = process.env.APP_TIMEZONE_OFFSET_MINUTES;
-    if (offsetMinutesRaw !== undefined && offsetMinutesRaw !== null && String(offsetMinutesRaw).trim() !== '') {
-      const offsetMinutes = Number(offsetMinutesRaw);
-      if (!Number.isNaN(offsetMinutes)) {
-        const utcMs = Date.UTC(year, month - 1, day, hour, minute, second) - (offsetMinutes * 60 * 1000);
-        return new Date(utcMs);
-      }
-    }
-
-    return new Date(value);
-  }
-
-  return new Date(value);
-}
-
 function computeBackoffMinutes(attempts) {
   if (attempts <= 0) return 1;
   if (attempts === 1) return 1;
@@ -65,6 +60,11 @@ function getCount(stats, label) {
 }
 
 function evaluateEarlyCompletion(motion, stats) {
+  // Instant-runoff winners depend on later preferences, approval ballots can
+  // back several options and other single-choice motions go to the option
+  // with the most votes, so none of them has a Yes/No early result.
+  if (isRankedMotion(motion) || isApprovalMotion(motion) || !isYesNoMotion(motion)) return { complete: false };
+
   const eligible = stats.eligible || 0;
   const voted = stats.voted || 0;
   const remaining = stats.remaining || 0;
@@ -72,29 +72,32 @@ function evaluateEarlyCompletion(motion, stats) {
   if (eligible <= 0) return { complete: false };
   if (voted <= 0) return { complete: false };
 
+  // No early result until quorum is reached; later ballots may still reach it
+  const quorum = getQuorumStatus(motion, stats);
+  if (quorum && !quorum.met) return { complete: false };
+
   const yes = getCount(stats, 'Yes');
   const no = getCount(stats, 'No');
+  const threshold = getThreshold(motion);
 
-  if (motion.required_majority === 'TwoThirds') {
-    const threshold = Math.ceil((eligible * 2) / 3);
-    if (yes >= threshold) {
-      return { complete: true, outcome: 'Passed', reason: 'early_threshold_passed' };
-    }
+  // Decide only when no remaining votes could change the outcome: pass if the
+  // threshold holds even if everyone left votes No, fail if it can't be reached
+  // even if everyone left votes Yes. Abstentions are outside a "votes cast" base.
+  const base = threshold.basis === 'Eligible' ? eligible : yes + no + remaining;
 
-    // Can't reach threshold anymore
-    if (yes + remaining < threshold) {
-      return { complete: true, outcome: 'Failed', reason: 'early_threshold_failed' };
-    }
+  if (meetsThreshold(threshold, yes, base)) {
+    return { complete: true, outcome: 'Passed', reason: 'early_threshold_passed' };
+  }
 
+  // A strict half of the votes cast ends in a tie on an even split, which the
+  // tie-break rule decides; fail early only if Yes can no longer draw level
+  const tieable = threshold.strict && threshold.basis === 'Cast' && threshold.numerator * 2 === threshold.denominator;
+  if (tieable && yes + remaining >= no && yes + no + remaining > 0) {
+    if (remaining <= 0) return { complete: true, outcome: 'Tie', reason: 'all_votes_cast' };
     return { complete: false };
   }
 
-  // Simple majority
-  const threshold = Math.floor(eligible / 2) + 1;
-  if (yes >= threshold) {
-    return { complete: true, outcome: 'Passed', reason: 'early_threshold_passed' };
-  }
-  if (no >= threshold) {
+  if (!meetsThreshold(threshold, yes + remaining, base)) {
     return { complete: true, outcome: 'Failed', reason: 'early_threshold_failed' };
   }
 
@@ -110,26 +113,90 @@ function closeMotionIfEligible(motion, now) {
   const stats = getMotionStats(motion.id);
 
   const closeByTime = now >= closeAt;
-  const closeByAllVoted = stats.remaining <= 0 && stats.eligible > 0;
+  // Every voter has voted (by headcount: unregistered units weigh nothing)
+  const closeByAllVoted = stats.headcount.remaining <= 0 && stats.headcount.eligible > 0;
 
   const early = evaluateEarlyCompletion(motion, stats);
   const closeByEarlyOutcome = !!early.complete;
 
   if (!closeByTime && !closeByAllVoted && !closeByEarlyOutcome) return { changed: false };
 
-  motionQueries.updateStatus.run('Closed', motion.id);
+  motionQueries.updateStatus.run('Closed', 'system', motion.id);
 
   const reason = closeByEarlyOutcome ? early.reason : (closeByAllVoted ? 'all_votes_cast' : 'end_time_reached');
+  recordAuditEvent({
+    actor: 'system',
+    action: 'motion.status',
+    targetType: 'motion',
+    targetId: motion.id,
+    motionId: motion.id,
+    before: { status: 'Open' },
+    after: { status: 'Closed', reason }
+  });
   logger.info('motion completed', {
     motionId: motion.id,
     motionRef: motion.motion_ref,
     reason
   });
 
+  // Closed without quorum: record that as the outcome unless an admin already set one
+  let outcome = closeByEarlyOutcome ? early.outcome : undefined;
+  const quorum = getQuorumStatus(motion, stats);
+  if (quorum && !quorum.met) {
+    outcome = 'No quorum';
+    if (!motion.outcome) {
+      motionQueries.updateOutcome.run(outcome, `Quorum: ${describeQuorumProgress(quorum)}`, 'system', motion.id);
+    }
+    logger.info('motion closed without quorum', { motionId: motion.id, motionRef: motion.motion_ref });
+  }
+
+  const tieBreak = applyTieBreak(motion.id);
+  if (tieBreak && tieBreak.outcome) outcome = tieBreak.outcome;
+
   ensureResultsEmailNotification(motion.id);
   logger.info('notification queued', { motionId: motion.id, motionRef: motion.motion_ref });
 
-  return { changed: true, reason };
+  emitWebhook('motion.closed', () => motionEventData(motionQueries.getById.get(motion.id), { reason, outcome: outcome || null }));
+
+  return { changed: true, reason, outcome };
+}
+
+// Open Scheduled motions whose open_at has passed, and release any voting
+// link emails that were held until then
+function openScheduledMotions() {
+  const now = new Date();
+
+  const dueMotions = motionQueries.getScheduledDue.all(now.toISOString());
+  for (const motion of dueMotions) {
+    try {
+      const released = db.transaction(() => {
+        if (motionQueries.openScheduled.run(motion.id).changes === 0) return 0;
+        recordAuditEvent({
+          actor: 'system',
+          action: 'motion.status',
+          targetType: 'motion',
+          targetId: motion.id,
+          motionId: motion.id,
+          before: { status: 'Scheduled' },
+          after: { status: 'Open', reason: 'open_time_reached' }
+        });
+        emitWebhook('motion.opened', () => motionEventData(motionQueries.getById.get(motion.id), { reason: 'open_time_reached' }));
+        return releaseHeldTokenEmails(motion.id);
+      })();
+
+      logger.info('scheduled motion opened', {
+        motionId: motion.id,
+        motionRef: motion.motion_ref,
+        heldEmailsReleased: released
+      });
+    } catch (err) {
+      logger.error('scheduled motion open failed', {
+        motionId: motion.id,
+        motionRef: motion.motion_ref,
+        error: err.message
+      });
+    }
+  }
 }
 
 function sweepAndEnqueueCompletedMotions() {
@@ -233,6 +300,19 @@ async function processPendingResultsEmails({ baseUrl, limit = 25 } = {}) {
   }
 }
 
+// Only a hash of each voting token is stored, so an outbox row whose sealed
+// copy is missing or was sealed under another TOKEN_SECRET cannot be sent
+const UNSEALABLE_LINK_ERROR = 'Voting link could not be recovered - send a new link';
+
+function skipUnsealableEmail(outbox) {
+  markTokenEmailSkipped(outbox.id, UNSEALABLE_LINK_ERROR);
+  logger.warn('token email skipped, sealed link unavailable', {
+    outboxId: outbox.id,
+    tokenId: outbox.token_id,
+    groupTokenId: outbox.group_token_id
+  });
+}
+
 async function processPendingTokenEmails({ baseUrl, limit = 25 } = {}) {
   const nowIso = new Date().toISOString();
   const pending = getPendingTokenEmails(nowIso, limit);
@@ -242,6 +322,11 @@ async function processPendingTokenEmails({ baseUrl, limit = 25 } = {}) {
   }
 
   for (const outbox of pending) {
+    if (outbox.group_token_id) {
+      await sendGroupTokenEmail(outbox, baseUrl);
+      continue;
+    }
+
     try {
       const token = tokenQueries.getById.get(outbox.token_id);
       if (!token || !token.recipient_email) {
@@ -255,8 +340,19 @@ async function processPendingTokenEmails({ baseUrl, limit = 25 } = {}) {
         continue;
       }
 
-      const votingLink = `${baseUrl}/vote/${token.motion_id}?token=${token.token}`;
-      const emailResult = await sendVotingLink(token.recipient_name, token.recipient_email, votingLink, motion);
+      const rawToken = unsealToken(outbox.sealed_token);
+      if (!rawToken) {
+        skipUnsealableEmail(outbox);
+        tokenQueries.updateEmailStatus.run(0, null, UNSEALABLE_LINK_ERROR, token.id);
+        continue;
+      }
+
+      // The code is optional: emails queued before codes existed have none
+      const code = unsealToken(outbox.sealed_code);
+      const votingLink = `${baseUrl}/vote/${token.motion_id}?token=${rawToken}`;
+      const emailResult = await sendVotingLink(token.recipient_name, token.recipient_email, votingLink, motion, {
+        code: code ? { url: `${baseUrl}/vote`, code: formatCode(code) } : null
+      });
 
       if (emailResult.success) {
         markTokenEmailSent(outbox.id);
@@ -281,8 +377,222 @@ async function processPendingTokenEmails({ baseUrl, limit = 25 } = {}) {
   }
 }
 
+// Queue reminders for Open motions whose latest reminder mark has passed.
+// Only that mark is queued, so a worker that was down does not send a burst of
+// stale reminders, and a mark that passed before voting opened is skipped.
+function enqueueDueReminders() {
+  if (!isEmailConfigured()) return;
+
+  const now = new Date();
+  const nowIso = now.toISOString();
+
+  for (const motion of reminderQueries.getOpenMotionsWithSchedule.all()) {
+    try {
+      const closeAt = parseMotionDateTime(motion.close_at);
+      if (now >= closeAt) continue;
+
+      const hoursBefore = getReminderHours(motion)
+        .filter(hours => closeAt.getTime() - hours * 60 * 60 * 1000 <= now.getTime())
+        .pop();
+      if (!hoursBefore) continue;
+
+      const markAt = new Date(closeAt.getTime() - hoursBefore * 60 * 60 * 1000);
+      if (markAt < parseMotionDateTime(motion.open_at)) continue;
+
+      // Links issued after the mark have only just been emailed
+      const tokens = reminderQueries.getRemindableTokens.all(motion.id, markAt.toISOString());
+      const queued = db.transaction(() => tokens.reduce((count, token) => count + reminderQueries.enqueue.run(
+        generateUUID(), motion.id, token.id, token.group_token_id, hoursBefore, nowIso
+      ).changes, 0))();
+
+      if (queued > 0) {
+        logger.info('reminders queued', { motionId: motion.id, motionRef: motion.motion_ref, hoursBefore, count: queued });
+      }
+    } catch (err) {
+      logger.error('reminder scheduling failed', { motionId: motion.id, motionRef: motion.motion_ref, error: err.message });
+    }
+  }
+}
+
+// Why a queued reminder should no longer go out, or null to send it
+function getReminderSkipReason(token, motion, now) {
+  if (!token || !motion) return 'Voting link deleted';
+  if (token.status === 'Used') return 'Already voted';
+  if (token.status !== 'Active') return 'Voting link revoked';
+  if (token.expires_at && now >= new Date(token.expires_at)) return 'Voting link expired';
+  if (motion.status !== 'Open' || now >= parseMotionDateTime(motion.close_at)) return 'Voting closed';
+  return null;
+}
+
+async function processPendingReminders({ baseUrl, limit = 50 } = {}) {
+  const now = new Date();
+  const pending = reminderQueries.getPending.all(now.toISOString(), limit);
+
+  if (pending.length > 0) {
+    logger.info('processing pending reminders', { count: pending.length });
+  }
+
+  for (const reminder of pending) {
+    try {
+      const token = tokenQueries.getById.get(reminder.token_id);
+      const motion = token ? motionQueries.getById.get(token.motion_id) : null;
+      const groupToken = reminder.group_token_id ? ballotGroupQueries.getTokenById.get(reminder.group_token_id) : null;
+
+      let skipReason = getReminderSkipReason(token, motion, now);
+      if (!skipReason && reminder.group_token_id && (!groupToken || groupToken.status !== 'Active')) {
+        skipReason = 'Ballot link no longer active';
+      }
+      if (skipReason) {
+        reminderQueries.markCancelled.run(skipReason, reminder.id);
+        continue;
+      }
+
+      // Raw tokens are not kept, so a reminder carries a new link that replaces
+      // the earlier one once it has been sent. Ballot voters are reminded with
+      // their ballot link, which covers every question.
+      const rawToken = generateToken();
+      const votingLink = groupToken
+        ? `${baseUrl}/ballot/${groupToken.group_id}?token=${rawToken}`
+        : `${baseUrl}/vote/${motion.id}?token=${rawToken}`;
+      const hoursLeft = (parseMotionDateTime(motion.close_at).getTime() - now.getTime()) / (60 * 60 * 1000);
+      const emailResult = await sendVotingLink(token.recipient_name, token.recipient_email, votingLink, motion, {
+        reminder: { hoursLeft }
+      });
+
+      if (emailResult.success) {
+        if (groupToken) {
+          rotateGroupToken(groupToken.id, rawToken);
+        } else {
+          rotateVoterToken(token.id, rawToken);
+        }
+        reminderQueries.markSent.run(new Date().toISOString(), reminder.id);
+      } else {
+        const nextMinutes = computeBackoffMinutes((reminder.attempts || 0) + 1);
+        const nextAttemptAtIso = addMinutes(new Date(), nextMinutes).toISOString();
+        reminderQueries.markFailed.run((reminder.attempts || 0) + 1, nextAttemptAtIso, emailResult.error || 'unknown', reminder.id);
+        logger.warn('reminder email failed, will retry', {
+          reminderId: reminder.id,
+          tokenId: reminder.token_id,
+          nextAttemptAt: nextAttemptAtIso
+        });
+      }
+    } catch (err) {
+      const nextMinutes = computeBackoffMinutes((reminder.attempts || 0) + 1);
+      const nextAttemptAtIso = addMinutes(new Date(), nextMinutes).toISOString();
+      reminderQueries.markFailed.run((reminder.attempts || 0) + 1, nextAttemptAtIso, err.message, reminder.id);
+      logger.error('reminder email send error', { reminderId: reminder.id, tokenId: reminder.token_id, error: err.message });
+    }
+  }
+}
+
+// One email per ballot group voter, listing every question on the ballot
+async function sendGroupTokenEmail(outbox, baseUrl) {
+  try {
+    const groupToken = ballotGroupQueries.getTokenById.get(outbox.group_token_id);
+    if (!groupToken || !groupToken.recipient_email || groupToken.status !== 'Active') {
+      markTokenEmailSent(outbox.id);
+      return;
+    }
+
+    const group = ballotGroupQueries.getById.get(groupToken.group_id);
+    if (!group) {
+      markTokenEmailSent(outbox.id);
+      return;
+    }
+
+    // sendVotingLink only needs a title, description and closing time, so
+    // describe the whole ballot
+    const groupMotions = motionQueries.getByGroup.all(group.id);
+    const questions = groupMotions.map((motion, index) => `${index + 1}. ${motion.motion_ref} - ${motion.title}`);
+    const ballot = {
+      id: group.id,
+      title: group.title,
+      description: [group.description, `This ballot has ${questions.length} question(s):`, ...questions]
+        .filter(Boolean)
+        .join('\n'),
+      close_at: groupMotions.map(motion => motion.close_at).sort()[0] || null
+    };
+
+    const rawToken = unsealToken(outbox.sealed_token);
+    if (!rawToken) {
+      skipUnsealableEmail(outbox);
+      ballotGroupQueries.updateTokenEmailStatus.run(0, null, UNSEALABLE_LINK_ERROR, groupToken.id);
+      return;
+    }
+
+    const ballotLink = `${baseUrl}/ballot/${group.id}?token=${rawToken}`;
+    const emailResult = await sendVotingLink(groupToken.recipient_name, groupToken.recipient_email, ballotLink, ballot);
+
+    if (emailResult.success) {
+      markTokenEmailSent(outbox.id);
+      ballotGroupQueries.updateTokenEmailStatus.run(1, new Date().toISOString(), null, groupToken.id);
+    } else {
+      const nextMinutes = computeBackoffMinutes((outbox.attempts || 0) + 1);
+      const nextAttemptAtIso = addMinutes(new Date(), nextMinutes).toISOString();
+      markTokenEmailFailed(outbox.id, (outbox.attempts || 0) + 1, nextAttemptAtIso, emailResult.error || 'unknown');
+      ballotGroupQueries.updateTokenEmailStatus.run(0, null, emailResult.error || 'queued, will retry', groupToken.id);
+      logger.warn('ballot email failed, will retry', {
+        outboxId: outbox.id,
+        groupTokenId: outbox.group_token_id,
+        nextAttemptAt: nextAttemptAtIso
+      });
+    }
+  } catch (err) {
+    const nextMinutes = computeBackoffMinutes((outbox.attempts || 0) + 1);
+    const nextAttemptAtIso = addMinutes(new Date(), nextMinutes).toISOString();
+    markTokenEmailFailed(outbox.id, (outbox.attempts || 0) + 1, nextAttemptAtIso, err.message);
+    logger.error('ballot email send error', { outboxId: outbox.id, groupTokenId: outbox.group_token_id, error: err.message });
+  }
+}
+
+// POST queued webhook deliveries. Failures are retried with the same backoff
+// as emails and given up after MAX_DELIVERY_ATTEMPTS; they can be replayed
+// from the settings page. Deliveries to a disabled endpoint wait.
+async function processPendingWebhooks({ limit = 50 } = {}) {
+  const pending = webhookQueries.getPendingDeliveries.all(new Date().toISOString(), limit);
+
+  for (const delivery of pending) {
+    const attempts = (delivery.attempts || 0) + 1;
+    let result;
+    try {
+      result = await deliverWebhook(delivery);
+    } catch (err) {
+      result = { ok: false, status: null, error: err.message };
+    }
+
+    if (result.ok) {
+      webhookQueries.markDeliverySent.run(attempts, new Date().toISOString(), result.status, delivery.id);
+      continue;
+    }
+
+    const abandoned = attempts >= MAX_DELIVERY_ATTEMPTS;
+    const nextAttemptAtIso = abandoned ? null : addMinutes(new Date(), computeBackoffMinutes(attempts)).toISOString();
+    webhookQueries.markDeliveryFailed.run(
+      abandoned ? 'ABANDONED' : 'FAILED',
+      attempts,
+      nextAttemptAtIso,
+      result.status,
+      result.error,
+      delivery.id
+    );
+    logger.warn(abandoned ? 'webhook delivery abandoned' : 'webhook delivery failed, will retry', {
+      deliveryId: delivery.id,
+      endpointId: delivery.endpoint_id,
+      event: delivery.event,
+      attempts,
+      status: result.status,
+      error: result.error,
+      nextAttemptAt: nextAttemptAtIso
+    });
+  }
+}
+
 module.exports = {
+  openScheduledMotions,
   sweepAndEnqueueCompletedMotions,
   processPendingResultsEmails,
-  processPendingTokenEmails
+  processPendingTokenEmails,
+  enqueueDueReminders,
+  processPendingReminders,
+  processPendingWebhooks
 };
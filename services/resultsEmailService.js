@@ -1,5 +1,22 @@
 const logger = require('../logger');
-const { getMotionStats, motionQueries, ballotQueries, getSetting } = require('../db');
+const { getMotionStats, motionQueries, ballotQueries, tieBreakQueries, getSetting, getEmailTemplate, isSecret } = require('../db');
+const { renderEmailTemplate, multilineValue, escapeHtml } = require('../emailTemplates');
+const { getBranding, describeStrataPlan, brandingEmailValues } = require('../branding');
+const {
+  isRankedMotion,
+  isApprovalMotion,
+  isYesNoMotion,
+  pluralityResults,
+  describeVotingMethod,
+  describeRunoffRounds,
+  describeRunoffResult,
+  describeApprovalResult,
+  describeThreshold,
+  evaluateThresholdOutcome,
+  getQuorumStatus,
+  describeQuorumProgress,
+  describeTieBreak
+} = require('./tally');
 
 function isResultsEmailsEnabled() {
   // Enabled by default; set RESULTS_EMAILS_ENABLED=false to disable the automatic worker.
@@ -42,31 +59,36 @@ function computeOutcomeFromResults(motion, stats) {
   // If admin has explicitly set an outcome, use it.
   if (motion.outcome) return motion.outcome;
 
-  const counts = {};
-  for (const row of stats.results || []) {
-    counts[row.choice] = row.count;
-  }
+  const quorum = getQuorumStatus(motion, stats);
+  if (quorum && !quorum.met) return 'No quorum';
 
-  const yes = counts.Yes || counts.YES || 0;
-  const no = counts.No || counts.NO || 0;
-
-  if (yes === no) return 'Tie';
+  if (isRankedMotion(motion)) {
+    const runoff = stats.runoff;
+    if (!runoff || runoff.totalBallots === 0) return 'Failed';
+    return runoff.winner ? 'Passed' : 'Tie';
+  }
 
-  const total = yes + no;
-  if (total === 0) return 'Failed';
+  if (isApprovalMotion(motion)) {
+    const results = stats.results || [];
+    if (stats.voted === 0 || results.length === 0 || results[0].count === 0) return 'Failed';
+    return results.length > 1 && results[1].count === results[0].count ? 'Tie' : 'Passed';
+  }
 
-  const ratio = yes / total;
-  if (motion.required_majority === 'TwoThirds') {
-    return ratio >= (2 / 3) ? 'Passed' : 'Failed';
+  // Other options than Yes/No: the option with the most votes wins
+  if (!isYesNoMotion(motion)) {
+    const results = pluralityResults(stats);
+    if (results.length === 0 || results[0].count === 0) return 'Failed';
+    return results.length > 1 && results[1].count === results[0].count ? 'Tie' : 'Passed';
   }
 
-  return ratio > 0.5 ? 'Passed' : 'Failed';
+  return evaluateThresholdOutcome(motion, stats);
 }
 
 function buildRecipientsForMotion(motionId) {
-  const ballots = ballotQueries.getByMotion.all(motionId);
-  const participantEmails = ballots
-    .map(b => b.recipient_email)
+  // Everyone whose link was used; secret ballots have no ballot rows to join
+  const participantEmails = ballotQueries.getVoterStatusByMotion.all(motionId)
+    .filter(v => v.token_status === 'Used')
+    .map(v => v.recipient_email)
     .filter(Boolean);
 
   const { email: pmEmail } = getPropertyManager();
@@ -77,7 +99,8 @@ function buildRecipientsForMotion(motionId) {
   };
 }
 
-function buildResultsEmailContent({ motion, stats, closeReason, outcome, publicResultsUrl, propertyManagerName, voterStatus }) {
+// `template` is the admin's results template; without one the built-in email is used
+function buildResultsEmailContent({ motion, stats, closeReason, outcome, publicResultsUrl, propertyManagerName, voterStatus, template = null }) {
   const counts = {};
   for (const row of stats.results || []) {
     counts[row.choice] = row.count;
@@ -87,11 +110,91 @@ function buildResultsEmailContent({ motion, stats, closeReason, outcome, publicR
   const no = counts.No || counts.NO || 0;
   const abstain = counts.Abstain || counts.ABSTAIN || 0;
 
-  const subject = `Motion ${motion.motion_ref} results: ${String(outcome || 'UNKNOWN').toUpperCase()}`;
+  const ranked = isRankedMotion(motion);
+  const runoffResult = ranked ? describeRunoffResult(stats.runoff) : null;
+  const runoffLines = ranked ? describeRunoffRounds(stats.runoff) : [];
+
+  const weighted = stats.weighting === 'Entitlement';
+  const summaryLines = weighted
+    ? [
+      'Weighting: Unit entitlement',
+      `Eligible entitlement: ${stats.eligible}`,
+      `Entitlement cast: ${stats.voted}`,
+      `Voters: ${stats.headcount.voted} of ${stats.headcount.eligible}`
+    ]
+    : [`Eligible: ${stats.eligible}`, `Cast: ${stats.voted}`];
+
+  if (stats.headcount.proxy > 0) summaryLines.push(`Cast by proxy: ${stats.headcount.proxy}`);
+  const secret = isSecret(motion);
+  if (secret) summaryLines.push('Ballot: Secret (individual votes are not recorded)');
+  const tieBreak = tieBreakQueries.getByMotion.get(motion.id);
+  if (tieBreak) summaryLines.push(`Tie-break: ${describeTieBreak(tieBreak)}`);
+
+  const quorum = getQuorumStatus(motion, stats);
+  if (quorum) summaryLines.push(`Quorum: ${describeQuorumProgress(quorum)}`);
+
+  const approval = isApprovalMotion(motion);
+  const approvalResult = approval ? describeApprovalResult(stats.results) : null;
+  const approvalLines = approval
+    ? (stats.results || []).map(row => weighted
+      ? `${row.choice}: ${row.count} entitlement`
+      : `${row.choice}: ${row.count} approval${row.count !== 1 ? 's' : ''}`)
+    : [];
+
+  let subject = `Motion ${motion.motion_ref} results: ${String(outcome || 'UNKNOWN').toUpperCase()}`;
+  // Without quorum the count decides nothing, so the subject says so for every method
+  if (outcome !== 'No quorum') {
+    if (ranked) subject = `Motion ${motion.motion_ref} results: ${runoffResult}`;
+    if (approval) subject = `Motion ${motion.motion_ref} results: ${approvalResult}`;
+  }
 
   const salutationName = propertyManagerName ? propertyManagerName : 'there';
 
+  const branding = getBranding();
+  const plan = describeStrataPlan(branding);
+  const senderLines = [`${branding.name}${plan ? ` - ${plan}` : ''}`, branding.footerText].filter(Boolean);
+
   const voters = voterStatus || [];
+  const describeVote = v => `${v.choice || 'Did not vote'}${v.proxy_holder_name ? ` (by proxy: ${v.proxy_holder_name})` : ''}`;
+
+  if (template) {
+    const methodLines = ranked
+      ? ['Voting method: Ranked choice (instant runoff)', ...runoffLines, `Result: ${runoffResult}`]
+      : approval
+      ? [`Voting method: ${describeVotingMethod(motion)}`, ...approvalLines, `Result: ${approvalResult}`]
+      : [`Yes: ${yes}`, `No: ${no}`, `Abstain: ${abstain}`, `Required: ${describeThreshold(motion)}`, `Outcome: ${outcome}`];
+    const statsLines = [...summaryLines, ...methodLines];
+    const voterName = v => v.recipient_name || v.recipient_email || 'Unknown';
+
+    return renderEmailTemplate(template, {
+      ...brandingEmailValues(branding, publicResultsUrl),
+      recipient_name: salutationName,
+      motion_title: motion.title,
+      motion_ref: motion.motion_ref,
+      motion_description: multilineValue(motion.description || '(none)'),
+      result: outcome === 'No quorum' ? outcome : (ranked ? runoffResult : approval ? approvalResult : outcome),
+      outcome: outcome || '',
+      close_reason: closeReason,
+      deadline: motion.close_at ? new Date(motion.close_at).toLocaleString() : '',
+      stats: {
+        text: statsLines.map(line => `- ${line}`).join('\n'),
+        html: `<ul>${statsLines.map(line => `<li>${escapeHtml(line).replace(/^([^:]+):/, '<strong>$1:</strong>')}</li>`).join('')}</ul>`
+      },
+      voter_table: secret ? '' : {
+        text: ['Votes:', ...(voters.length > 0
+          ? voters.map(v => `${voterName(v)}${v.unit_number ? ` (Unit ${v.unit_number})` : ''}: ${describeVote(v)}`)
+          : ['No voter information available.'])].join('\n'),
+        html: `<h3>Votes</h3>
+<table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
+  <thead><tr><th>Name</th><th>Unit</th><th>Vote</th></tr></thead>
+  <tbody>${voters.length > 0
+    ? voters.map(v => `<tr><td>${escapeHtml(voterName(v))}</td><td>${escapeHtml(v.unit_number || '-')}</td><td>${escapeHtml(describeVote(v))}</td></tr>`).join('')
+    : '<tr><td colspan="3">No voter information available.</td></tr>'}</tbody>
+</table>`
+      },
+      results_link: publicResultsUrl
+    });
+  }
 
   const text = [
     `Hello ${salutationName},`,
@@ -104,20 +207,40 @@ function buildResultsEmailContent({ motion, stats, closeReason, outcome, publicR
     `Close reason: ${closeReason}`,
     '',
     'Summary:',
-    `Eligible: ${stats.eligible}`,
-    `Cast: ${stats.voted}`,
-    `Yes: ${yes}`,
-    `No: ${no}`,
-    `Abstain: ${abstain}`,
-    `Outcome: ${outcome}`,
-    '',
-    'Votes:',
-    ...(voters.length > 0
-      ? voters.map(v => `${v.recipient_name || v.recipient_email || 'Unknown'}${v.unit_number ? ` (Unit ${v.unit_number})` : ''}: ${v.choice || 'Did not vote'}`)
-      : ['No voter information available.']),
+    ...summaryLines,
+    ...(ranked
+      ? [
+        'Voting method: Ranked choice (instant runoff)',
+        ...runoffLines,
+        `Result: ${runoffResult}`
+      ]
+      : approval
+      ? [
+        `Voting method: ${describeVotingMethod(motion)}`,
+        ...approvalLines,
+        `Result: ${approvalResult}`
+      ]
+      : [
+        `Yes: ${yes}`,
+        `No: ${no}`,
+        `Abstain: ${abstain}`,
+        `Required: ${describeThreshold(motion)}`,
+        `Outcome: ${outcome}`
+      ]),
     '',
+    ...(secret
+      ? []
+      : [
+        'Votes:',
+        ...(voters.length > 0
+          ? voters.map(v => `${v.recipient_name || v.recipient_email || 'Unknown'}${v.unit_number ? ` (Unit ${v.unit_number})` : ''}: ${describeVote(v)}`)
+          : ['No voter information available.']),
+        ''
+      ]),
     `View results: ${publicResultsUrl}`,
-    ''
+    '',
+    '---',
+    ...senderLines
   ].join('\n');
 
   const voterRows = voters.length > 0
@@ -125,7 +248,7 @@ function buildResultsEmailContent({ motion, stats, closeReason, outcome, publicR
       <tr>
         <td>${v.recipient_name || v.recipient_email || 'Unknown'}</td>
         <td>${v.unit_number || '-'}</td>
-        <td>${v.choice || 'Did not vote'}</td>
+        <td>${describeVote(v)}</td>
       </tr>
     `).join('')
     : '<tr><td colspan="3">No voter information available.</td></tr>';
@@ -138,13 +261,29 @@ function buildResultsEmailContent({ motion, stats, closeReason, outcome, publicR
     <p><strong>Close reason:</strong> ${closeReason}</p>
     <h3>Summary</h3>
     <ul>
-      <li><strong>Eligible:</strong> ${stats.eligible}</li>
-      <li><strong>Cast:</strong> ${stats.voted}</li>
+      ${summaryLines.map(line => line.replace(/^([^:]+):/, '<li><strong>$1:</strong>') + '</li>').join('')}
+      ${ranked ? `
+      <li><strong>Voting method:</strong> Ranked choice (instant runoff)</li>
+      <li><strong>Result:</strong> ${runoffResult}</li>
+      ` : approval ? `
+      <li><strong>Voting method:</strong> ${describeVotingMethod(motion)}</li>
+      ${approvalLines.map(line => `<li>${line}</li>`).join('')}
+      <li><strong>Result:</strong> ${approvalResult}</li>
+      ` : `
       <li><strong>Yes:</strong> ${yes}</li>
       <li><strong>No:</strong> ${no}</li>
       <li><strong>Abstain:</strong> ${abstain}</li>
+      <li><strong>Required:</strong> ${describeThreshold(motion)}</li>
       <li><strong>Outcome:</strong> ${outcome}</li>
+      `}
     </ul>
+    ${ranked && runoffLines.length > 0 ? `
+    <h3>Elimination Rounds</h3>
+    <ol>
+      ${runoffLines.map(line => `<li>${line.replace(/^Round \d+: /, '')}</li>`).join('')}
+    </ol>
+    ` : ''}
+    ${secret ? '' : `
     <h3>Votes</h3>
     <table border="1" cellpadding="6" cellspacing="0" style="border-collapse: collapse;">
       <thead>
@@ -154,7 +293,9 @@ function buildResultsEmailContent({ motion, stats, closeReason, outcome, publicR
         ${voterRows}
       </tbody>
     </table>
+    `}
     <p><a href="${publicResultsUrl}">View results</a></p>
+    <p style="color: #777; font-size: 12px;">${senderLines.map(line => escapeHtml(line).replace(/\n/g, '<br>')).join('<br>')}</p>
   `.trim();
 
   return { subject, text, html };
@@ -190,7 +331,8 @@ async function sendResultsEmailForMotion({ motionId, baseUrl, sendMailFn, force
   const closeReason = getMotionCloseReason(motion);
   const outcome = computeOutcomeFromResults(motion, stats);
   const publicResultsUrl = `${baseUrl}/results/${motionId}`;
-  const voterStatus = ballotQueries.getVoterStatusByMotion.all(motionId);
+  // Secret ballots never list individual votes
+  const voterStatus = isSecret(motion) ? [] : ballotQueries.getVoterStatusByMotion.all(motionId);
 
   const { name: propertyManagerName } = getPropertyManager();
 
@@ -201,7 +343,8 @@ async function sendResultsEmailForMotion({ motionId, baseUrl, sendMailFn, force
     outcome,
     publicResultsUrl,
     propertyManagerName,
-    voterStatus
+    voterStatus,
+    template: getEmailTemplate('results')
   });
 
   await sendMailFn({
@@ -222,6 +365,7 @@ async function sendResultsEmailForMotion({ motionId, baseUrl, sendMailFn, force
 
 module.exports = {
   sendResultsEmailForMotion,
+  buildResultsEmailContent,
   buildRecipientsForMotion,
   getPropertyManager
 };
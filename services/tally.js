@@ -0,0 +1,464 @@
+'use strict';
+
+// Pure tallying helpers. No database access here so db.js can use them when
+// building motion stats without a circular require.
+
+const VOTING_METHODS = ['Single', 'Ranked', 'Approval'];
+
+// 'Headcount' counts one vote per voter; 'Entitlement' weights each ballot by
+// the unit entitlement of the voter's unit
+const WEIGHTING_MODES = ['Headcount', 'Entitlement'];
+
+function isRankedMotion(motion) {
+  return !!motion && motion.voting_method === 'Ranked';
+}
+
+function isApprovalMotion(motion) {
+  return !!motion && motion.voting_method === 'Approval';
+}
+
+// Single-choice motions with Yes and No among their options are decided by
+// the majority threshold; other single-choice motions by the most votes
+function isYesNoMotion(motion) {
+  if (!motion || isRankedMotion(motion) || isApprovalMotion(motion)) return false;
+  const options = JSON.parse(motion.options_json || '[]').map(option => String(option).toLowerCase());
+  return options.includes('yes') && options.includes('no');
+}
+
+// Selection limits for approval motions; defaults to "at least one, up to all"
+function getSelectionLimits(motion) {
+  const optionCount = JSON.parse(motion.options_json).length;
+  const min = motion.min_selections || 1;
+  const max = motion.max_selections || optionCount;
+  return { min, max: Math.min(max, optionCount) };
+}
+
+function describeVotingMethod(motion) {
+  if (isRankedMotion(motion)) return 'Ranked Choice (Instant Runoff)';
+  if (isApprovalMotion(motion)) {
+    const { min, max } = getSelectionLimits(motion);
+    if (min === max) return `Approval (select exactly ${max})`;
+    return min > 1 ? `Approval (select ${min} to ${max})` : `Approval (select up to ${max})`;
+  }
+  return 'Single Choice';
+}
+
+function describeWeighting(motion) {
+  return motion && motion.weighting === 'Entitlement' ? 'Unit Entitlement' : 'Headcount (one vote per voter)';
+}
+
+// Required majority for Yes/No motions, as a fraction of a base. The base is
+// either the Yes and No votes cast (abstentions excluded) or everyone eligible.
+// A simple majority needs more than half; every other threshold is "at least".
+const MAJORITY_TYPES = ['Simple', 'TwoThirds', 'ThreeQuarters', 'Unanimous', 'Custom'];
+const THRESHOLD_BASES = ['Cast', 'Eligible'];
+
+const PRESET_THRESHOLDS = {
+  Simple: { numerator: 1, denominator: 2 },
+  TwoThirds: { numerator: 2, denominator: 3 },
+  ThreeQuarters: { numerator: 3, denominator: 4 },
+  Unanimous: { numerator: 1, denominator: 1 }
+};
+
+function getThreshold(motion) {
+  const preset = PRESET_THRESHOLDS[motion.required_majority] || PRESET_THRESHOLDS.Simple;
+  const hasFraction = motion.threshold_numerator > 0 && motion.threshold_denominator > 0;
+  return {
+    numerator: hasFraction ? motion.threshold_numerator : preset.numerator,
+    denominator: hasFraction ? motion.threshold_denominator : preset.denominator,
+    strict: motion.required_majority === 'Simple',
+    basis: motion.threshold_basis === 'Eligible' ? 'Eligible' : 'Cast'
+  };
+}
+
+// True when `yes` out of `base` reaches the threshold. Compared by cross-
+// multiplying so weighted (non-integer) totals work without rounding.
+function meetsThreshold(threshold, yes, base) {
+  if (!(base > 0)) return false;
+  const lhs = yes * threshold.denominator;
+  const rhs = threshold.numerator * base;
+  return threshold.strict ? lhs > rhs : lhs >= rhs;
+}
+
+function formatThresholdPercent(threshold) {
+  const percent = Math.round(threshold.numerator / threshold.denominator * 10000) / 100;
+  return `${threshold.strict ? '>' : '\u2265'} ${percent}%`;
+}
+
+// e.g. "Two-Thirds Majority (≥ 66.67% of votes cast)"
+function describeThreshold(motion) {
+  const threshold = getThreshold(motion);
+  const base = threshold.basis === 'Eligible' ? 'of all eligible voters' : 'of votes cast';
+  const labels = {
+    Simple: 'Simple Majority',
+    TwoThirds: 'Two-Thirds Majority',
+    ThreeQuarters: 'Three-Quarters Majority',
+    Unanimous: 'Unanimous'
+  };
+  const label = labels[motion.required_majority] || 'Custom Majority';
+  const bar = threshold.numerator === threshold.denominator ? '100%' : formatThresholdPercent(threshold);
+  return `${label} (${bar} ${base})`;
+}
+
+// Majority threshold from the motion form, an import row or an email-trigger
+// message. Presets carry their own fraction; Custom takes "3/5" or a
+// percentage such as "60" or "62.5%".
+function parseThresholdInput(input) {
+  const majority = input.required_majority || 'Simple';
+  const basis = input.threshold_basis || 'Cast';
+
+  if (majority !== 'Custom') {
+    const preset = PRESET_THRESHOLDS[majority];
+    return {
+      required_majority: majority,
+      threshold_numerator: preset.numerator,
+      threshold_denominator: preset.denominator,
+      threshold_basis: basis
+    };
+  }
+
+  const raw = String(input.threshold_custom || '').trim();
+  let numerator;
+  let denominator;
+  const fraction = raw.match(/^(\d+)\s*\/\s*(\d+)$/);
+  const percentage = raw.match(/^(\d+(?:\.\d{1,2})?)\s*%?$/);
+  if (fraction) {
+    numerator = Number(fraction[1]);
+    denominator = Number(fraction[2]);
+  } else if (percentage) {
+    numerator = Math.round(Number(percentage[1]) * 100);
+    denominator = 10000;
+  } else {
+    return { error: 'Custom threshold must be a fraction such as 3/5 or a percentage such as 60%.' };
+  }
+
+  if (denominator === 0 || numerator === 0 || numerator > denominator) {
+    return { error: 'Custom threshold must be more than 0% and at most 100%.' };
+  }
+
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const divisor = gcd(numerator, denominator);
+  return {
+    required_majority: 'Custom',
+    threshold_numerator: numerator / divisor,
+    threshold_denominator: denominator / divisor,
+    threshold_basis: basis
+  };
+}
+
+// Final outcome of a Yes/No motion from its (possibly weighted) results
+function evaluateThresholdOutcome(motion, stats) {
+  const counts = {};
+  for (const row of stats.results || []) {
+    counts[row.choice] = row.count;
+  }
+
+  const yes = counts.Yes || counts.YES || 0;
+  const no = counts.No || counts.NO || 0;
+  const threshold = getThreshold(motion);
+
+  if (threshold.basis === 'Eligible') {
+    return meetsThreshold(threshold, yes, stats.eligible || 0) ? 'Passed' : 'Failed';
+  }
+
+  // An even split can only be a tie when the bar is "more than half", and
+  // only once someone has voted Yes or No
+  if (threshold.strict && threshold.numerator * 2 === threshold.denominator && yes === no && yes > 0) return 'Tie';
+
+  const total = yes + no;
+  if (total === 0) return 'Failed';
+
+  return meetsThreshold(threshold, yes, total) ? 'Passed' : 'Failed';
+}
+
+// Quorum: a minimum number of ballots cast, or a minimum turnout percentage
+// (of entitlement on entitlement-weighted motions). Without it the outcome is
+// 'No quorum' whatever the votes say.
+const QUORUM_TYPES = ['None', 'Ballots', 'Percent'];
+
+function describeQuorum(motion) {
+  if (motion.quorum_type === 'Ballots') return `At least ${motion.quorum_value} ballot${motion.quorum_value !== 1 ? 's' : ''} cast`;
+  if (motion.quorum_type === 'Percent') return `At least ${motion.quorum_value}% turnout`;
+  return 'None';
+}
+
+// null when the motion has no quorum rule
+function getQuorumStatus(motion, stats) {
+  if (motion.quorum_type === 'Ballots') {
+    const current = stats.headcount ? stats.headcount.voted : stats.voted;
+    return { type: 'Ballots', required: motion.quorum_value, current, met: current >= motion.quorum_value };
+  }
+
+  if (motion.quorum_type === 'Percent') {
+    const eligible = stats.eligible || 0;
+    const turnout = eligible > 0 ? Math.round(stats.voted / eligible * 10000) / 100 : 0;
+    return {
+      type: 'Percent',
+      required: motion.quorum_value,
+      current: turnout,
+      met: eligible > 0 && stats.voted * 100 >= motion.quorum_value * eligible
+    };
+  }
+
+  return null;
+}
+
+// e.g. "3 of 5 ballots cast - not met" or "62.5% turnout of 50% required - met"
+function describeQuorumProgress(quorum) {
+  if (!quorum) return 'No quorum required';
+  const progress = quorum.type === 'Ballots'
+    ? `${quorum.current} of ${quorum.required} ballots cast`
+    : `${quorum.current}% turnout of ${quorum.required}% required`;
+  return `${progress} - ${quorum.met ? 'met' : 'not met'}`;
+}
+
+// Tie-break policies: 'None' reports a tie as a tie; 'CastingVote' waits for
+// the chair to pick one of the tied options; 'StatusQuo' treats a tie as a
+// failed motion; 'Runoff' creates a new motion between the tied options.
+const TIE_BREAK_POLICIES = ['None', 'CastingVote', 'StatusQuo', 'Runoff'];
+
+function describeTieBreakPolicy(motion) {
+  const labels = {
+    CastingVote: "Chair's casting vote",
+    StatusQuo: 'Status quo (a tie fails)',
+    Runoff: 'Run-off motion between the tied options'
+  };
+  return labels[motion && motion.tie_break] || 'None (a tie is reported as a tie)';
+}
+
+// The options sharing the most votes (results sorted by count, highest
+// first), or null when one option leads or nothing was counted
+function findTopTie(results) {
+  if (results.length < 2 || !(results[0].count > 0)) return null;
+  const top = results.filter(row => row.count === results[0].count);
+  return top.length > 1 ? top.map(row => row.choice) : null;
+}
+
+// Single-choice results without the abstentions, which no option wins by
+function pluralityResults(stats) {
+  return (stats.results || []).filter(row => String(row.choice).toLowerCase() !== 'abstain');
+}
+
+// The options tied for the result, or null when the count decided it. Without
+// quorum there is nothing to break: the outcome is 'No quorum'.
+function findTie(motion, stats) {
+  const quorum = getQuorumStatus(motion, stats);
+  if (quorum && !quorum.met) return null;
+
+  if (isRankedMotion(motion)) {
+    const runoff = stats.runoff;
+    return runoff && !runoff.winner && runoff.tied.length > 1 ? runoff.tied.slice() : null;
+  }
+
+  if (isApprovalMotion(motion)) return findTopTie(stats.results || []);
+  if (!isYesNoMotion(motion)) return findTopTie(pluralityResults(stats));
+
+  return evaluateThresholdOutcome(motion, stats) === 'Tie' ? ['Yes', 'No'] : null;
+}
+
+// How a recorded tie was resolved, e.g. "Tie between Yes and No. Chair's
+// casting vote (Jane Smith): Yes, so the motion passed."
+function describeTieBreak(tieBreak) {
+  if (!tieBreak) return null;
+  const tied = JSON.parse(tieBreak.tied_json);
+  const between = `Tie between ${tied.slice(0, -1).join(', ')} and ${tied[tied.length - 1]}.`;
+
+  if (tieBreak.policy === 'StatusQuo') {
+    return `${between} Status quo: the motion fails.`;
+  }
+  if (tieBreak.policy === 'Runoff') {
+    const ref = tieBreak.runoff_motion_ref ? ` ${tieBreak.runoff_motion_ref}` : '';
+    return `${between} Run-off motion${ref} created between the tied options.`;
+  }
+  if (tieBreak.status === 'Pending') {
+    return `${between} Awaiting the chair's casting vote.`;
+  }
+  const chair = tieBreak.chair_name ? ` (${tieBreak.chair_name})` : '';
+  const result = tieBreak.outcome === 'Passed' && !['Yes', 'No'].includes(tieBreak.choice)
+    ? `${tieBreak.choice} wins`
+    : `the motion ${tieBreak.outcome === 'Passed' ? 'passed' : 'failed'}`;
+  return `${between} Chair's casting vote${chair}: ${tieBreak.choice}, so ${result}.`;
+}
+
+// Reminder marks in hours before close_at, largest first. motions.reminder_hours
+// holds them as text such as "24,2".
+function getReminderHours(motion) {
+  if (!motion || !motion.reminder_hours) return [];
+  return String(motion.reminder_hours)
+    .split(',')
+    .map(value => Number(value.trim()))
+    .filter(hours => Number.isInteger(hours) && hours > 0)
+    .sort((a, b) => b - a);
+}
+
+function describeReminders(motion) {
+  const hours = getReminderHours(motion);
+  if (hours.length === 0) return 'None';
+  const list = hours.length === 1 ? `${hours[0]}` : `${hours.slice(0, -1).join(', ')} and ${hours[hours.length - 1]}`;
+  return `${list} hour${hours.length === 1 && hours[0] === 1 ? '' : 's'} before voting closes, to voters who have not voted`;
+}
+
+function formatRanking(ranking) {
+  return ranking.join(' > ');
+}
+
+// Instant-runoff count.
+//
+// `rankings` is one array per ballot, most preferred option first. Each round
+// counts every ballot for its highest-ranked option that is still in the race.
+// An option wins as soon as it holds more than half of the ballots that are
+// still live (not exhausted). Otherwise the option(s) with the fewest votes are
+// eliminated. A tie for last place is broken by first-preference totals; if
+// that is also tied, all of the tied options are eliminated together unless
+// doing so would empty the race, in which case the count ends in a tie.
+//
+// `weights` optionally gives each ballot a weight (e.g. unit entitlement);
+// counts, exhausted totals and `totalWeight` are then weighted sums.
+function computeInstantRunoff(options, rankings, weights = null) {
+  const ballots = [];
+  (rankings || []).forEach((ranking, index) => {
+    if (Array.isArray(ranking) && ranking.length > 0) {
+      ballots.push({ ranking, weight: weights ? weights[index] : 1 });
+    }
+  });
+  const totalWeight = ballots.reduce((sum, ballot) => sum + ballot.weight, 0);
+
+  const firstPreferences = {};
+  for (const option of options) firstPreferences[option] = 0;
+  for (const { ranking, weight } of ballots) {
+    if (ranking[0] in firstPreferences) firstPreferences[ranking[0]] += weight;
+  }
+
+  const rounds = [];
+  let remaining = options.slice();
+  const result = (winner, tied) => ({ rounds, winner, tied, totalBallots: ballots.length, totalWeight });
+
+  if (ballots.length === 0) {
+    return result(null, []);
+  }
+
+  while (remaining.length > 0) {
+    const counts = {};
+    for (const option of remaining) counts[option] = 0;
+
+    let exhausted = 0;
+    for (const { ranking, weight } of ballots) {
+      const pick = ranking.find(option => option in counts);
+      if (pick === undefined) {
+        exhausted += weight;
+      } else {
+        counts[pick] += weight;
+      }
+    }
+
+    const live = totalWeight - exhausted;
+    const round = { round: rounds.length + 1, counts, exhausted, eliminated: [], winner: null };
+    rounds.push(round);
+
+    const sorted = remaining.slice().sort((a, b) => counts[b] - counts[a]);
+    const leader = sorted[0];
+
+    if (live > 0 && counts[leader] * 2 > live) {
+      round.winner = leader;
+      return result(leader, []);
+    }
+
+    if (remaining.length === 1) {
+      round.winner = leader;
+      return result(leader, []);
+    }
+
+    const lowest = Math.min(...remaining.map(option => counts[option]));
+    let toEliminate = remaining.filter(option => counts[option] === lowest);
+
+    if (toEliminate.length > 1) {
+      const fewestFirst = Math.min(...toEliminate.map(option => firstPreferences[option]));
+      toEliminate = toEliminate.filter(option => firstPreferences[option] === fewestFirst);
+    }
+
+    if (toEliminate.length === remaining.length) {
+      return result(null, remaining.slice());
+    }
+
+    round.eliminated = toEliminate;
+    remaining = remaining.filter(option => !toEliminate.includes(option));
+  }
+
+  return result(null, []);
+}
+
+// One line per round, e.g. "Round 2: A 5, B 4 (exhausted 1) - eliminated C"
+function describeRunoffRounds(runoff) {
+  if (!runoff || runoff.rounds.length === 0) return [];
+
+  return runoff.rounds.map(round => {
+    const tally = Object.entries(round.counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([option, count]) => `${option} ${count}`)
+      .join(', ');
+    let line = `Round ${round.round}: ${tally}`;
+    if (round.exhausted > 0) line += ` (exhausted ${round.exhausted})`;
+    if (round.winner) line += ` - winner ${round.winner}`;
+    else if (round.eliminated.length > 0) line += ` - eliminated ${round.eliminated.join(', ')}`;
+    return line;
+  });
+}
+
+// Approval counts for every option, including those nobody selected
+function buildApprovalResults(options, countRows) {
+  const counts = {};
+  for (const row of countRows) counts[row.choice] = row.count;
+  return options
+    .map(choice => ({ choice, count: counts[choice] || 0 }))
+    .sort((a, b) => b.count - a.count);
+}
+
+function describeApprovalResult(results) {
+  if (!results || results.length === 0 || results[0].count === 0) return 'No ballots cast';
+  const top = results.filter(row => row.count === results[0].count);
+  if (top.length > 1) return `Tie for most approved: ${top.map(row => row.choice).join(', ')}`;
+  return `Most approved: ${top[0].choice}`;
+}
+
+function describeRunoffResult(runoff) {
+  if (!runoff || runoff.totalBallots === 0) return 'No ballots cast';
+  if (runoff.winner) return `Winner: ${runoff.winner}`;
+  if (runoff.tied.length > 0) return `Tie between ${runoff.tied.join(', ')}`;
+  return 'No winner';
+}
+
+module.exports = {
+  VOTING_METHODS,
+  WEIGHTING_MODES,
+  MAJORITY_TYPES,
+  THRESHOLD_BASES,
+  PRESET_THRESHOLDS,
+  getThreshold,
+  meetsThreshold,
+  describeThreshold,
+  parseThresholdInput,
+  evaluateThresholdOutcome,
+  QUORUM_TYPES,
+  describeQuorum,
+  getQuorumStatus,
+  describeQuorumProgress,
+  TIE_BREAK_POLICIES,
+  describeTieBreakPolicy,
+  findTie,
+  pluralityResults,
+  describeTieBreak,
+  getReminderHours,
+  describeReminders,
+  isRankedMotion,
+  isApprovalMotion,
+  isYesNoMotion,
+  getSelectionLimits,
+  describeVotingMethod,
+  describeWeighting,
+  formatRanking,
+  computeInstantRunoff,
+  describeRunoffRounds,
+  describeRunoffResult,
+  buildApprovalResults,
+  describeApprovalResult
+};
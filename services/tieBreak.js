@@ -0,0 +1,158 @@
+const logger = require('../logger');
+const {
+  db,
+  motionQueries,
+  tieBreakQueries,
+  getMotionStats,
+  generateUUID,
+  generateMotionRef,
+  recordAuditEvent
+} = require('../db');
+const { findTie, isApprovalMotion, isYesNoMotion } = require('./tally');
+
+// Apply a closed motion's tie-break policy. Safe to call more than once: a
+// motion that already has a tie_breaks row, or whose count was not tied, is
+// left alone. Returns the tie_breaks row, or null when there is no tie to break.
+function applyTieBreak(motionId) {
+  const motion = motionQueries.getById.get(motionId);
+  if (!motion || !motion.tie_break || motion.tie_break === 'None') return null;
+  if (!['Closed', 'Published'].includes(motion.status)) return null;
+
+  const existing = tieBreakQueries.getByMotion.get(motionId);
+  if (existing) return existing;
+
+  const tied = findTie(motion, getMotionStats(motionId));
+  if (!tied) return null;
+
+  const now = new Date().toISOString();
+  const row = {
+    motion_id: motionId,
+    policy: motion.tie_break,
+    tied_json: JSON.stringify(tied),
+    status: 'Resolved',
+    choice: null,
+    outcome: null,
+    runoff_motion_id: null,
+    created_at: now,
+    resolved_at: now
+  };
+  let notes;
+
+  if (motion.tie_break === 'StatusQuo') {
+    row.outcome = 'Failed';
+    notes = 'Tie broken by the status quo: the motion fails.';
+  } else if (motion.tie_break === 'Runoff') {
+    const runoff = createRunoffMotion(motion, tied);
+    row.outcome = 'Tie';
+    row.runoff_motion_id = runoff.id;
+    notes = `Tie: run-off motion ${runoff.motion_ref} created.`;
+  } else {
+    row.status = 'Pending';
+    row.resolved_at = null;
+    notes = "Tie: awaiting the chair's casting vote.";
+  }
+
+  tieBreakQueries.create.run(row);
+  recordAuditEvent({
+    actor: 'system',
+    action: 'motion.tie_break',
+    targetType: 'motion',
+    targetId: motionId,
+    motionId,
+    before: { outcome: motion.outcome },
+    after: { policy: row.policy, tied, status: row.status, outcome: row.outcome, runoff_motion_id: row.runoff_motion_id }
+  });
+  // An outcome the admin already set stands
+  if (!motion.outcome) {
+    motionQueries.updateOutcome.run(row.outcome || 'Tie', notes, 'system', motionId);
+  }
+
+  logger.info('tie-break applied', {
+    motionId,
+    motionRef: motion.motion_ref,
+    policy: motion.tie_break,
+    tied,
+    runoffMotionId: row.runoff_motion_id
+  });
+
+  return tieBreakQueries.getByMotion.get(motionId);
+}
+
+// A Draft motion between the tied options, with the original's settings and
+// voting period length. Yes/No ties are voted again on the same options;
+// other ties are voted between just the tied options, and approval run-offs
+// pick one. A tied run-off falls back to the status quo.
+function createRunoffMotion(motion, tied) {
+  const approval = isApprovalMotion(motion);
+  const options = isYesNoMotion(motion) ? JSON.parse(motion.options_json) : tied;
+  const duration = new Date(motion.close_at).getTime() - new Date(motion.open_at).getTime();
+  const openAt = new Date();
+
+  const runoff = { id: generateUUID(), motion_ref: generateMotionRef() };
+  motionQueries.create.run({
+    ...runoff,
+    title: `Run-off: ${motion.title}`.slice(0, 200),
+    description: `Run-off vote after ${motion.motion_ref} ended in a tie between ${tied.join(' and ')}.\n\n${motion.description}`.slice(0, 5000),
+    options_json: JSON.stringify(options),
+    open_at: openAt.toISOString(),
+    close_at: new Date(openAt.getTime() + Math.max(duration, 60 * 60 * 1000)).toISOString(),
+    status: 'Draft',
+    required_majority: motion.required_majority,
+    threshold_numerator: motion.threshold_numerator,
+    threshold_denominator: motion.threshold_denominator,
+    threshold_basis: motion.threshold_basis,
+    voting_method: motion.voting_method,
+    min_selections: approval ? 1 : motion.min_selections,
+    max_selections: approval ? 1 : motion.max_selections,
+    weighting: motion.weighting,
+    quorum_type: motion.quorum_type,
+    quorum_value: motion.quorum_value,
+    revisable: motion.revisable,
+    secret: motion.secret,
+    tie_break: 'StatusQuo',
+    send_links_on_open: motion.send_links_on_open,
+    reminder_hours: motion.reminder_hours,
+    created_at: openAt.toISOString(),
+    created_by: 'system'
+  });
+  recordAuditEvent({
+    actor: 'system',
+    action: 'motion.create',
+    targetType: 'motion',
+    targetId: runoff.id,
+    motionId: runoff.id,
+    after: { motion_ref: runoff.motion_ref, title: `Run-off: ${motion.title}`.slice(0, 200), runoff_of: motion.motion_ref }
+  });
+
+  return runoff;
+}
+
+// Record the chair's casting vote on a motion that is waiting for one.
+// recordedBy is the admin who entered it. Returns { error } or { tieBreak, outcome }.
+function recordCastingVote(motionId, { chairName, choice, notes, recordedBy }) {
+  const tieBreak = tieBreakQueries.getByMotion.get(motionId);
+  if (!tieBreak || tieBreak.policy !== 'CastingVote' || tieBreak.status !== 'Pending') {
+    return { error: 'This motion is not waiting for a casting vote.' };
+  }
+
+  const tied = JSON.parse(tieBreak.tied_json);
+  if (!tied.includes(choice)) {
+    return { error: 'The casting vote must be for one of the tied options.' };
+  }
+
+  // A Yes/No tie passes or fails with the chair; otherwise the chair picks the winner
+  const yesNo = tied.length === 2 && tied.includes('Yes') && tied.includes('No');
+  const outcome = yesNo && choice === 'No' ? 'Failed' : 'Passed';
+
+  db.transaction(() => {
+    tieBreakQueries.recordCastingVote.run(choice, outcome, chairName, notes || null, new Date().toISOString(), motionId);
+    motionQueries.updateOutcome.run(outcome, `Chair's casting vote (${chairName}): ${choice}`, recordedBy, motionId);
+  })();
+
+  return { tieBreak: tieBreakQueries.getByMotion.get(motionId), outcome };
+}
+
+module.exports = {
+  applyTieBreak,
+  recordCastingVote
+};
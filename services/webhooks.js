@@ -0,0 +1,115 @@
+'use strict';
+
+const crypto = require('crypto');
+const logger = require('../logger');
+const { enqueueWebhookEvent } = require('../db');
+const { unsealToken } = require('../tokenCrypto');
+
+// Outbound webhooks: lifecycle events are queued in webhook_deliveries and
+// POSTed as JSON by the notification worker. Each request is signed with the
+// endpoint's secret:
+//
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Receivers should recompute the HMAC over the raw body and reject old
+// timestamps. The payload id stays the same when a delivery is retried or
+// replayed, so receivers can ignore duplicates.
+
+const WEBHOOK_EVENTS = [
+  'motion.opened',
+  'motion.closed',
+  'motion.published',
+  'ballot.cast',
+  'token.revoked'
+];
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_DELIVERY_ATTEMPTS = 10;
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Queue an event. Never throws: a webhook problem must not undo the action.
+function emitWebhook(event, data) {
+  try {
+    const queued = enqueueWebhookEvent(event, data);
+    if (queued > 0) {
+      logger.info('webhook event queued', { event, deliveries: queued });
+    }
+  } catch (err) {
+    logger.error('webhook event could not be queued', { event, error: err.message });
+  }
+}
+
+// What every motion event carries about the motion
+function motionEventData(motion, extra = {}) {
+  return {
+    motion: {
+      id: motion.id,
+      motion_ref: motion.motion_ref,
+      title: motion.title,
+      status: motion.status,
+      open_at: motion.open_at,
+      close_at: motion.close_at,
+      outcome: motion.outcome || null,
+      group_id: motion.group_id || null
+    },
+    ...extra
+  };
+}
+
+// POST one delivery. Returns { ok, status, error }.
+async function deliverWebhook(delivery) {
+  const secret = unsealToken(delivery.secret_sealed);
+  if (!secret) {
+    return { ok: false, status: null, error: 'Signing secret could not be unsealed - TOKEN_SECRET may have changed' };
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  let response;
+  try {
+    response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'StrataVote-Webhooks/1',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': signWebhookPayload(secret, timestamp, delivery.payload_json)
+      },
+      body: delivery.payload_json,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+  } catch (err) {
+    return { ok: false, status: null, error: err.name === 'TimeoutError' ? 'Timed out' : err.message };
+  }
+
+  if (response.status >= 200 && response.status < 300) {
+    return { ok: true, status: response.status, error: null };
+  }
+
+  let detail = '';
+  try {
+    detail = (await response.text()).slice(0, 200);
+  } catch (err) {
+    // Body unreadable; the status is enough
+  }
+  return { ok: false, status: response.status, error: `HTTP ${response.status}${detail ? `: ${detail}` : ''}` };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_DELIVERY_ATTEMPTS,
+  generateWebhookSecret,
+  signWebhookPayload,
+  emitWebhook,
+  motionEventData,
+  deliverWebhook
+};
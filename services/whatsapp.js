@@ -2,21 +2,27 @@
 
 const logger = require('../logger');
 const { getSetting } = require('../db');
+const { tenantEnv } = require('../tenants');
 
 function getConfig() {
   return {
-    openwaUrl: getSetting('openwa_url') || process.env.OPENWA_URL || '',
-    openwaApiKey: getSetting('openwa_api_key') || process.env.OPENWA_API_KEY || '',
-    openwaSessionId: getSetting('openwa_session_id') || process.env.OPENWA_SESSION_ID || ''
+    openwaUrl: getSetting('openwa_url') || tenantEnv('OPENWA_URL') || '',
+    openwaApiKey: getSetting('openwa_api_key') || tenantEnv('OPENWA_API_KEY') || '',
+    openwaSessionId: getSetting('openwa_session_id') || tenantEnv('OPENWA_SESSION_ID') || ''
   };
 }
 
+function isWhatsAppConfigured() {
+  const cfg = getConfig();
+  return !!(cfg.openwaUrl && cfg.openwaApiKey && cfg.openwaSessionId);
+}
+
 function toChatId(phone) {
   const digits = phone.replace(/\D/g, '');
   return `${digits}@c.us`;
 }
 
-async function sendVotingLink({ to, token, motionTitle, baseUrl }) {
+async function sendVotingLink({ to, link, motionTitle }) {
   const cfg = getConfig();
 
   if (!cfg.openwaUrl || !cfg.openwaApiKey || !cfg.openwaSessionId) {
@@ -30,7 +36,6 @@ async function sendVotingLink({ to, token, motionTitle, baseUrl }) {
   }
 
   const chatId = toChatId(to);
-  const link = `${baseUrl.replace(/\/$/, '')}/vote/${token}`;
   const text = `New vote: ${motionTitle}\n\nYou are invited to cast your vote. Tap the link below:\n\n${link}`;
   const url = `${cfg.openwaUrl.replace(/\/$/, '')}/api/sessions/${cfg.openwaSessionId}/messages/send-text`;
 
@@ -82,4 +87,4 @@ async function sendVotingLink({ to, token, motionTitle, baseUrl }) {
   });
 }
 
-module.exports = { sendVotingLink };
+module.exports = { isWhatsAppConfigured, sendVotingLink };
@@ -39,6 +39,7 @@ CSRF_TOKEN=$(echo "$LOGIN_PAGE" | extract_csrf)
 RESPONSE=$(curl -b /tmp/cookies.txt -c /tmp/cookies.txt -X POST http://localhost:3000/admin/login \
   -H "Content-Type: application/x-www-form-urlencoded" \
   -d "_csrf=$CSRF_TOKEN" \
+  -d "username=admin" \
   -d "password=dev_admin_password_at_least_20_characters" \
   -s -o /dev/null -w "%{http_code}")
 
@@ -56,7 +57,7 @@ CSRF_TOKEN=$(echo "$DASHBOARD" | extract_csrf)
 OPEN_AT=$(date -u +"%Y-%m-%dT%H:%M" -d "now")
 CLOSE_AT=$(date -u +"%Y-%m-%dT%H:%M" -d "now + 24 hours")
 
-MOTION_RESPONSE=$(curl -b /tmp/cookies.txt -X POST http://localhost:3000/admin/motions \
+MOTION_RESPONSE=$(curl -b /tmp/cookies.txt http://localhost:3000/admin/motions \
   -H "Content-Type: application/x-www-form-urlencoded" \
   --data "_csrf=$CSRF_TOKEN" \
   --data "title=Test Motion - Budget Approval" \
@@ -68,7 +69,7 @@ MOTION_RESPONSE=$(curl -b /tmp/cookies.txt -X POST http://localhost:3000/admin/m
   -s -L -w "\n%{url_effective}")
 
 # Extract motion ID from redirect URL
-MOTION_ID=$(echo "$MOTION_RESPONSE" | tail -1 | grep -oP 'motions/\K[0-9]+')
+MOTION_ID=$(echo "$MOTION_RESPONSE" | tail -1 | grep -oP 'motions/\K[0-9a-f-]+')
 
 [ -n "$MOTION_ID" ]
 test_result $? "Motion created (ID: $MOTION_ID)"
@@ -94,15 +95,13 @@ echo "4. Generating voter tokens..."
 TOKENS_PAGE=$(curl -b /tmp/cookies.txt -s "http://localhost:3000/admin/motions/$MOTION_ID/tokens")
 CSRF_TOKEN=$(echo "$TOKENS_PAGE" | extract_csrf)
 
-curl -b /tmp/cookies.txt -X POST "http://localhost:3000/admin/motions/$MOTION_ID/tokens" \
+# New links are only shown in the response to this request (only their hashes are stored)
+TOKEN_RESPONSE=$(curl -b /tmp/cookies.txt -X POST "http://localhost:3000/admin/motions/$MOTION_ID/tokens" \
   -H "Content-Type: application/x-www-form-urlencoded" \
   -d "_csrf=$CSRF_TOKEN" \
   --data "recipients=Alice Smith,alice@example.com,Unit 101
 Bob Johnson,bob@example.com,Unit 102" \
-  -s -o /dev/null
-
-# Fetch the tokens page to extract the generated tokens
-TOKEN_RESPONSE=$(curl -b /tmp/cookies.txt -s "http://localhost:3000/admin/motions/$MOTION_ID/tokens")
+  -s)
 
 # Extract tokens from the response (from value attributes)
 TOKENS=$(echo "$TOKEN_RESPONSE" | grep -oP 'token=\K[^"]+' | head -2)
@@ -167,6 +166,33 @@ test_result $? "CSV export works"
 echo "$CSV_RESPONSE" | grep -q "Alice Smith"
 test_result $? "CSV contains voter data"
 
+echo ""
+echo "10. Checking tie detection..."
+# findTie is pure, so these run straight against services/tally.js
+tie_check() {
+  node -e "
+    const { findTie } = require('./services/tally');
+    const motion = { voting_method: 'Single', options_json: JSON.stringify(process.argv[1].split(',')), required_majority: 'Simple', quorum_type: 'None' };
+    const results = JSON.parse(process.argv[2]);
+    process.exit(JSON.stringify(findTie(motion, { results })) === process.argv[3] ? 0 : 1);
+  " "$1" "$2" "$3"
+}
+
+tie_check "Yes,No,Abstain" '[]' 'null'
+test_result $? "No tie when nobody has voted"
+
+tie_check "Yes,No,Abstain" '[{"choice":"Abstain","count":3}]' 'null'
+test_result $? "No tie when every vote is an abstention"
+
+tie_check "Yes,No,Abstain" '[{"choice":"Yes","count":1},{"choice":"No","count":1}]' '["Yes","No"]'
+test_result $? "Yes/No tie found on an even split"
+
+tie_check "Option A,Option B" '[{"choice":"Option A","count":3},{"choice":"Option B","count":1}]' 'null'
+test_result $? "No tie when one custom option leads"
+
+tie_check "Option A,Option B" '[{"choice":"Option A","count":2},{"choice":"Option B","count":2}]' '["Option A","Option B"]'
+test_result $? "Tie found between custom options with the most votes"
+
 echo ""
 echo "================================"
 echo "Test Summary:"
@@ -0,0 +1,54 @@
+const logger = require('./logger');
+const { getCurrentTenant, listTenants, runWithTenant } = require('./db');
+
+// Buildings (tenants) other than the default one are reached under
+// /b/<slug>/ on any hostname, or at their own hostname if they have one.
+
+const TENANT_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const TENANT_PATH_PATTERN = /^\/b\/([a-z0-9][a-z0-9-]{1,39})(?=[/?]|$)/;
+
+// Path prefix for a building's pages: '' for the default building
+function tenantPath(tenant = getCurrentTenant()) {
+  return tenant.is_default ? '' : `/b/${tenant.slug}`;
+}
+
+/**
+ * Address of a building's pages, for voting links and emails.
+ * @param {string} rootUrl - Address of the default building, e.g. BASE_URL
+ * @param {Object} [tenant] - Defaults to the current building
+ * @returns {string}
+ */
+function tenantBaseUrl(rootUrl, tenant = getCurrentTenant()) {
+  const root = rootUrl.replace(/\/+$/, '');
+  if (tenant.is_default) return root;
+  if (tenant.hostname) return `${new URL(root).protocol}//${tenant.hostname}`;
+  return `${root}${tenantPath(tenant)}`;
+}
+
+// Environment fallback for a per-building setting (e.g. IMAP_HOST). Only the
+// default building falls back to the environment, so other buildings never
+// share its mailbox or WhatsApp account.
+function tenantEnv(name) {
+  return getCurrentTenant().is_default ? process.env[name] : undefined;
+}
+
+// Run `fn` for each building in turn. A failure is logged and does not stop
+// the other buildings.
+async function forEachTenant(label, fn) {
+  for (const tenant of listTenants()) {
+    try {
+      await runWithTenant(tenant, () => fn(tenant));
+    } catch (err) {
+      logger.error(`${label} failed`, { tenant: tenant.slug, error: err.message });
+    }
+  }
+}
+
+module.exports = {
+  TENANT_SLUG_PATTERN,
+  TENANT_PATH_PATTERN,
+  tenantPath,
+  tenantBaseUrl,
+  tenantEnv,
+  forEachTenant
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Voting tokens and the short codes issued with them are stored only as an
+// HMAC, so a copy of the database cannot be used to vote. The key comes from
+// TOKEN_SECRET (falling back to SESSION_SECRET); changing it invalidates every
+// issued voting link. The only recoverable copy of a raw token is the AES-GCM
+// sealed one kept by an outbox email until it is sent, under a second key
+// derived from the same secret; webhook and TOTP secrets are sealed with it too.
+// A third derived key chains the audit log, so its hashes cannot be recomputed
+// after an edit without the secret.
+
+let keys = null;
+
+function getKeys() {
+  if (keys) return keys;
+
+  let secret = process.env.TOKEN_SECRET;
+  if (!secret) {
+    secret = process.env.SESSION_SECRET;
+    if (!secret) {
+      throw new Error('TOKEN_SECRET or SESSION_SECRET is required to hash voting tokens');
+    }
+    logger.warn('TOKEN_SECRET is not set; voting tokens are keyed with SESSION_SECRET, so changing it will invalidate every voting link');
+  }
+
+  keys = {
+    hash: Buffer.from(crypto.hkdfSync('sha256', secret, '', 'voting-token-hash', 32)),
+    seal: Buffer.from(crypto.hkdfSync('sha256', secret, '', 'voting-token-seal', 32)),
+    audit: Buffer.from(crypto.hkdfSync('sha256', secret, '', 'audit-chain', 32))
+  };
+  return keys;
+}
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHmac('sha256', getKeys().hash).update(String(token)).digest('hex');
+}
+
+// Voting codes are 8 digits, typed or read out as "1234-5678". They are only
+// unique within a motion, so the hash includes the motion id.
+function generateCode() {
+  return String(crypto.randomInt(0, 100000000)).padStart(8, '0');
+}
+
+function normalizeCode(input) {
+  return String(input || '').replace(/\D/g, '');
+}
+
+function formatCode(code) {
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function hashCode(motionId, code) {
+  return hashToken(`code:${motionId}:${normalizeCode(code)}`);
+}
+
+function hashAuditEntry(text) {
+  return crypto.createHmac('sha256', getKeys().audit).update(String(text)).digest('hex');
+}
+
+function sealToken(token) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKeys().seal, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(token), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+// Returns null when the value was sealed under a different secret or altered
+function unsealToken(sealed) {
+  if (!sealed) return null;
+  try {
+    const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKeys().seal, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  generateCode,
+  normalizeCode,
+  formatCode,
+  hashCode,
+  hashAuditEntry,
+  sealToken,
+  unsealToken
+};
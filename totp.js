@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) for admin two-factor login: 6 digits,
+// 30-second steps, HMAC-SHA1, as used by every common authenticator app.
+// Secrets are shared with the app as base32 in an otpauth:// URI.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// Check a code against the current step and one step either side, to allow
+// for clock drift. Returns the matching step, or null. Steps at or before
+// lastStep are refused so an observed code cannot be replayed.
+function verifyTotp(secret, code, { lastStep = null, now = Date.now() } = {}) {
+  const input = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(input)) return null;
+
+  const step = currentStep(now);
+  for (const candidate of [step - 1, step, step + 1]) {
+    if (lastStep !== null && candidate <= lastStep) continue;
+    const expected = totpAt(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(input))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function totpUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Recovery codes are 10 lowercase letters and digits, shown as "abcde-fghij".
+// Ambiguous characters (0, o, 1, l, i) are left out.
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    let code = '';
+    for (let j = 0; j < 10; j++) {
+      code += RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)];
+    }
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  return codes;
+}
+
+function normalizeRecoveryCode(input) {
+  return String(input || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+module.exports = {
+  generateTotpSecret,
+  verifyTotp,
+  totpUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};